@@ -0,0 +1,64 @@
+const twilio = require("twilio");
+const { getTwilioAccountBySid } = require("../utils/twilioAccounts");
+
+// Verify the X-Twilio-Signature header on webhook routes, using the auth
+// token of the account the webhook came from (organizations may have their
+// own Twilio account).
+// On by default; the signed URL must match exactly what Twilio called, so
+// set BASE_URL when running behind a proxy. TWILIO_VALIDATE_WEBHOOKS=false
+// turns it off for local development, where webhooks are then untrusted.
+const VALIDATE_WEBHOOKS = process.env.TWILIO_VALIDATE_WEBHOOKS !== "false";
+
+if (!VALIDATE_WEBHOOKS) {
+  console.warn(
+    "⚠️  Twilio webhook signatures are not checked (TWILIO_VALIDATE_WEBHOOKS=false)"
+  );
+}
+
+const validateTwilioWebhook = async (req, res, next) => {
+  if (!VALIDATE_WEBHOOKS) {
+    return next();
+  }
+
+  const signature = req.headers["x-twilio-signature"];
+  const baseUrl =
+    process.env.BASE_URL || `${req.protocol}://${req.get("host")}`;
+  const url = `${baseUrl}${req.originalUrl}`;
+
+  // Errors must not escape: Express does not catch async middleware
+  let isValid;
+  try {
+    const account = await getTwilioAccountBySid(req.body?.AccountSid);
+    if (!account.authToken) {
+      console.error("No Twilio auth token to validate webhook:", url);
+      return res.status(403).send("Invalid Twilio signature");
+    }
+
+    isValid = twilio.validateRequest(
+      account.authToken,
+      signature,
+      url,
+      req.body || {}
+    );
+  } catch (error) {
+    console.error("Failed to validate Twilio webhook:", error);
+    return res.status(500).send("Failed to validate Twilio signature");
+  }
+
+  if (!isValid) {
+    console.error("Rejected Twilio webhook with invalid signature:", url);
+    return res.status(403).send("Invalid Twilio signature");
+  }
+
+  req.twilioVerified = true;
+  next();
+};
+
+/**
+ * Context our server put in a webhook's callback URL (user, organization,
+ * campaign). Only a signed request can be trusted to carry what we put
+ * there, so unsigned requests get an empty context.
+ */
+const getWebhookContext = (req) => (req.twilioVerified ? req.query : {});
+
+module.exports = { validateTwilioWebhook, getWebhookContext };
@@ -1,4 +1,68 @@
 const mongoose = require("mongoose");
+const { publish } = require("../utils/realtimeEvents");
+
+// Phrase found in the transcript
+const qaMatchSchema = new mongoose.Schema(
+  {
+    phrase: String,
+    start: Number, // Seconds from the start of the recording
+    channel: Number,
+  },
+  { _id: false }
+);
+
+// QA scorecard result for a call (utils/qaScoring)
+const qaReviewSchema = new mongoose.Schema(
+  {
+    scorecardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "QaScorecard",
+    },
+    passingScore: Number,
+    score: Number, // 0-100 after adjustments; null while nothing is scored
+    autoScore: Number, // 0-100 from the transcript alone
+    scoreOverride: {
+      type: Number, // Set by a supervisor, replaces the calculated score
+      default: null,
+    },
+    passed: Boolean,
+    flagged: Boolean, // Has violations
+    results: [
+      {
+        _id: false,
+        key: String,
+        label: String,
+        type: { type: String }, // required, forbidden or manual
+        weight: Number,
+        autoPassed: Boolean, // From the transcript; null for manual checks
+        passed: Boolean, // After adjustment; null while undecided
+        adjusted: { type: Boolean, default: false },
+        note: String,
+        matches: [qaMatchSchema],
+      },
+    ],
+    // Missing required phrases and forbidden phrases that were said
+    violations: [
+      {
+        _id: false,
+        key: String,
+        label: String,
+        type: { type: String, enum: ["missing_required", "forbidden"] },
+        phrase: String,
+        start: Number,
+        channel: Number,
+      },
+    ],
+    notes: String,
+    scoredAt: Date,
+    adjustedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    adjustedAt: Date,
+  },
+  { _id: false }
+);
 
 const callLogSchema = new mongoose.Schema(
   {
@@ -13,6 +77,16 @@ const callLogSchema = new mongoose.Schema(
       required: true,
     },
     phoneNumber: { type: String, required: true },
+    dialListId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DialList", // Dial list entry this call was placed for
+      default: null,
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      default: null,
+    },
     type: { type: String, enum: ["manual", "auto"], required: true },
     startTime: { type: Date, default: Date.now },
     ringTime: Date,
@@ -21,36 +95,126 @@ const callLogSchema = new mongoose.Schema(
     duration: { type: Number, default: 0 }, // In seconds
     licenseAgentDuration: { type: Number, default: 0 }, // If conference
     disposition: {
-      type: String,
-      enum: [
-        "Interested",
-        "Not Interested",
-        "Answering Machine",
-        "Dead Air",
-        "No Answer",
-        "Call Back",
-        "DNC",
-      ],
+      type: String, // Code from the organization's disposition catalog
     },
     notes: String,
+    // Call script the agent followed and their answers, in the order asked.
+    // Question text is copied so answers still read right after edits.
+    scriptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CallScript",
+      default: null,
+    },
+    scriptVersion: {
+      type: Number,
+      default: null,
+    },
+    scriptAnswers: [
+      {
+        _id: false,
+        nodeId: String,
+        key: String,
+        question: String,
+        value: mongoose.Schema.Types.Mixed,
+        label: String, // Option label for choice answers
+      },
+    ],
+    // Call recording, kept through utils/recordingStorage
     recordingUrl: {
-      type: String, // Google Drive URL
+      type: String, // Link from the storage provider, when it has one (Drive)
       default: null,
     },
     recordingId: {
-      type: String, // Google Drive file ID
+      type: String, // Storage key (Drive file ID for Drive)
+      default: null,
+    },
+    recordingStorage: {
+      type: String, // Storage adapter holding the recording (local, s3, drive)
+      default: null,
+    },
+    recordingSid: {
+      type: String, // Twilio recording SID
+      default: null,
+    },
+    recordingStatus: {
+      type: String,
+      enum: ["stored", "absent", "failed", "deleted", null],
+      default: null,
+    },
+    recordingDuration: {
+      type: Number, // In seconds, as reported by Twilio
+      default: null,
+    },
+    recordingChannels: {
+      type: Number, // 2 = dual-channel, agent and callee on separate channels
+      default: null,
+    },
+    recordingConsent: {
+      type: String, // Consent mode applied to the call (utils/recordingConsent)
+      default: null,
+    },
+    recordedAt: {
+      type: Date, // When the recording was stored; retention counts from here
+      default: null,
+    },
+    recordingDeletedAt: {
+      type: Date,
+      default: null,
+    },
+    // Speech-to-text of the recording (utils/transcriptionQueue)
+    transcriptStatus: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed", null],
+      default: null,
+    },
+    transcriptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transcript",
+      default: null,
+    },
+    qa: {
+      type: qaReviewSchema,
       default: null,
     },
     twilioCallSid: {
       type: String, // Twilio call SID for reference
       default: null,
     },
+    carrierStatus: {
+      type: String, // Last CallStatus reported by Twilio status webhook
+      default: null,
+    },
+    billedDuration: {
+      type: Number, // In seconds, as reported by Twilio
+      default: null,
+    },
+    durationDelta: {
+      type: Number, // Client duration minus billed duration, in seconds
+      default: null,
+    },
+    durationMismatch: {
+      type: Boolean, // Client and carrier durations disagree
+      default: false,
+    },
     status: {
       type: String,
       enum: ["connecting", "ringing", "on_call", "on_hold", "ended"],
       default: "connecting",
     },
     endedBy: String,
+    abandoned: {
+      type: Boolean, // Answered by the callee but no agent was free to bridge
+      default: false,
+    },
+    answeredBy: {
+      type: String, // Twilio machine detection result (human, machine_end_beep, ...)
+      default: null,
+    },
+    voicemailMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VoicemailMessage", // Message dropped on the answering machine
+      default: null,
+    },
     auditAction: {
       type: String,
       required: true,
@@ -61,10 +225,38 @@ const callLogSchema = new mongoose.Schema(
   }
 );
 
+// Push call lifecycle changes to the realtime supervisor feed
+const publishCallLog = (doc) => {
+  if (!doc) return;
+  publish(doc.organizationId, "callLog", {
+    callLogId: doc._id,
+    userId: doc.userId,
+    phoneNumber: doc.phoneNumber,
+    type: doc.type,
+    status: doc.status,
+    disposition: doc.disposition,
+    startTime: doc.startTime,
+    answerTime: doc.answerTime,
+    endTime: doc.endTime,
+    duration: doc.duration,
+    abandoned: doc.abandoned,
+    answeredBy: doc.answeredBy,
+  });
+};
+
+callLogSchema.post("save", publishCallLog);
+callLogSchema.post("findOneAndUpdate", publishCallLog);
+
 // Add index for better query performance
 callLogSchema.index({ userId: 1, startTime: -1 });
 callLogSchema.index({ organizationId: 1, startTime: -1 });
 callLogSchema.index({ phoneNumber: 1 });
 callLogSchema.index({ twilioCallSid: 1 });
+callLogSchema.index({ organizationId: 1, durationMismatch: 1 });
+callLogSchema.index({ organizationId: 1, campaignId: 1, startTime: -1 });
+callLogSchema.index({ organizationId: 1, scriptId: 1, startTime: -1 });
+callLogSchema.index({ organizationId: 1, recordingStatus: 1, recordedAt: 1 });
+callLogSchema.index({ organizationId: 1, userId: 1, recordedAt: -1 });
+callLogSchema.index({ organizationId: 1, "qa.flagged": 1, startTime: -1 });
 
 module.exports = mongoose.model("CallLog", callLogSchema);
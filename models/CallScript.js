@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+
+// Agent script read during calls: a tree of prompts and questions starting
+// at startNodeId. Choice answers may branch to different nodes.
+const scriptNodeSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    type: {
+      type: String,
+      enum: ["prompt", "question"],
+      default: "prompt",
+    },
+    text: {
+      type: String,
+      required: true,
+      maxlength: 2000,
+    },
+    // Questions only: column the answer is stored and exported under
+    answerKey: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    answerType: {
+      type: String,
+      enum: ["choice", "yes_no", "text", "number"],
+      default: null,
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    options: [
+      {
+        _id: false,
+        value: { type: String, required: true },
+        label: String,
+        next: { type: String, default: null }, // Overrides the node's next
+      },
+    ],
+    next: {
+      type: String,
+      default: null, // null ends the script
+    },
+  },
+  { _id: false }
+);
+
+const callScriptSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      default: null, // null is the organization's default script
+    },
+    // At most one active script per campaign (or default) is served
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+    startNodeId: {
+      type: String,
+      required: true,
+    },
+    nodes: {
+      type: [scriptNodeSchema],
+      default: [],
+    },
+    // Bumped whenever the nodes change; stored with each call's answers
+    version: {
+      type: Number,
+      default: 1,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+callScriptSchema.index({ organizationId: 1, campaignId: 1, isActive: 1 });
+
+module.exports = mongoose.model("CallScript", callScriptSchema);
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+// Owned number in an organization's caller ID pool. Outbound calls present
+// the active number closest to the callee (same area code, then same state
+// or province) that is under its daily cap.
+const callerIdNumberSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    phoneNumber: {
+      type: String, // E.164
+      required: true,
+      trim: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null,
+    },
+    // Resolved from the number for NANP numbers; region may be set by hand
+    country: {
+      type: String,
+      default: null, // "US", "CA"
+    },
+    areaCode: {
+      type: String,
+      default: null,
+    },
+    region: {
+      type: String,
+      default: null, // State or province code, e.g. "TX"
+    },
+    // Retired numbers are never used again; paused ones may be reactivated
+    status: {
+      type: String,
+      enum: ["active", "paused", "retired"],
+      default: "active",
+    },
+    dailyCap: {
+      type: Number,
+      default: null, // Maximum calls per day (UTC); null means no cap
+      min: 1,
+    },
+    // Calls placed on usageDate, for the daily cap
+    usageDate: {
+      type: String,
+      default: null, // "YYYY-MM-DD"
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    // Health: calls placed and answered with this number, from Twilio
+    totalCalls: {
+      type: Number,
+      default: 0,
+    },
+    answeredCalls: {
+      type: Number,
+      default: 0,
+    },
+    spamFlagged: {
+      type: Boolean,
+      default: false, // Reported as spam/scam likely by carriers or callees
+    },
+    spamFlaggedAt: {
+      type: Date,
+      default: null,
+    },
+    retiredAt: {
+      type: Date,
+      default: null,
+    },
+    retiredReason: {
+      type: String,
+      maxlength: 200,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+callerIdNumberSchema.index(
+  { organizationId: 1, phoneNumber: 1 },
+  { unique: true }
+);
+callerIdNumberSchema.index({ organizationId: 1, status: 1, lastUsedAt: 1 });
+
+module.exports = mongoose.model("CallerIdNumber", callerIdNumberSchema);
@@ -0,0 +1,162 @@
+const mongoose = require("mongoose");
+const { isValidTimezone, isWithinWindow } = require("../utils/shiftCalendar");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const campaignSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["draft", "active", "paused", "completed", "archived"],
+      default: "draft",
+    },
+    // Number presented to callees; falls back to TWILIO_PHONE_NUMBER
+    callerId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Local window numbers may be dialed in; no start/end means any time
+    callingHours: {
+      timezone: {
+        type: String,
+        default: null, // IANA name; null uses the organization's timezone
+      },
+      start: {
+        type: String,
+        match: TIME_PATTERN,
+        default: null, // "HH:MM"
+      },
+      end: {
+        type: String,
+        match: TIME_PATTERN,
+        default: null, // "HH:MM"
+      },
+      days: {
+        type: [Number], // 0 = Sunday ... 6 = Saturday; empty means every day
+        default: [],
+      },
+    },
+    // Window in the callee's local time (resolved from the number); no
+    // start/end uses the organization's calleeCallingHours
+    calleeCallingHours: {
+      start: {
+        type: String,
+        match: TIME_PATTERN,
+        default: null, // "HH:MM"
+      },
+      end: {
+        type: String,
+        match: TIME_PATTERN,
+        default: null, // "HH:MM"
+      },
+      days: {
+        type: [Number], // 0 = Sunday ... 6 = Saturday; empty means every day
+        default: [],
+      },
+    },
+    // Answering machine detection on outbound calls. Machine answers are
+    // dispositioned automatically; with a voicemail message set, it is left
+    // once the beep is detected instead of hanging up.
+    answeringMachine: {
+      detection: {
+        type: Boolean,
+        default: true,
+      },
+      voicemailMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "VoicemailMessage",
+        default: null,
+      },
+    },
+    // Recording consent for this campaign's calls; no mode uses the
+    // organization's settings.recording.consent
+    recordingConsent: {
+      mode: {
+        type: String,
+        enum: ["none", "announce", "record_after_announcement", "skip", null],
+        default: null,
+      },
+      jurisdictions: { type: [String], default: [] },
+      announcement: {
+        type: String,
+        trim: true,
+        default: null, // Falls back to the organization's announcement
+      },
+    },
+    retryPolicy: {
+      maxAttempts: {
+        type: Number,
+        default: 3,
+        min: 1,
+        max: 20,
+      },
+      retryDelayMinutes: {
+        type: Number,
+        default: 0, // Minimum gap between attempts on the same number
+        min: 0,
+      },
+    },
+    // Dispositions agents may pick for this campaign; empty allows all
+    dispositions: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    assignedAgents: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Whether the campaign may dial at an instant.
+ * @param {string} fallbackTimezone - Used when callingHours.timezone is unset
+ */
+campaignSchema.methods.isWithinCallingHours = function (
+  now = new Date(),
+  fallbackTimezone = "UTC"
+) {
+  const callingHours = this.callingHours || {};
+  const timezone = callingHours.timezone || fallbackTimezone;
+
+  return isWithinWindow(
+    callingHours,
+    isValidTimezone(timezone) ? timezone : "UTC",
+    now
+  );
+};
+
+// Indexes for better query performance
+campaignSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+campaignSchema.index({ organizationId: 1, status: 1 });
+campaignSchema.index({ assignedAgents: 1 });
+
+module.exports = mongoose.model("Campaign", campaignSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+const contactSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    phoneNumber: {
+      type: String,
+      required: true, // E.164 where it could be normalized
+    },
+    firstName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    lastName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    company: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      country: String,
+      zipCode: String,
+    },
+    // Organization-specific fields (policy number, plan, source, ...)
+    customFields: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+contactSchema.virtual("fullName").get(function () {
+  return [this.firstName, this.lastName].filter(Boolean).join(" ") || null;
+});
+
+contactSchema.set("toJSON", { virtuals: true });
+
+// Indexes for better query performance
+contactSchema.index({ organizationId: 1, phoneNumber: 1 }, { unique: true });
+contactSchema.index({ organizationId: 1, lastName: 1, firstName: 1 });
+contactSchema.index({ organizationId: 1, email: 1 });
+
+module.exports = mongoose.model("Contact", contactSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// One row per change to a contact, for the edit history
+const contactHistorySchema = new mongoose.Schema(
+  {
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contact",
+      required: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    action: {
+      type: String,
+      enum: ["created", "updated", "imported"],
+      required: true,
+    },
+    changes: [
+      {
+        _id: false,
+        field: String, // e.g. "email", "address.city", "customFields.policy"
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    importJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportJob",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+contactHistorySchema.index({ contactId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ContactHistory", contactHistorySchema);
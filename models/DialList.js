@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const {
+  hasSubscribers,
+  scheduleDialListProgress,
+} = require("../utils/realtimeEvents");
 
 const dialListSchema = new mongoose.Schema({
   phoneNumber: {
@@ -19,7 +23,58 @@ const dialListSchema = new mongoose.Schema({
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true, // Which user/agent this number is assigned to
+    // Which user/agent this number is assigned to; pooled numbers start
+    // unassigned and belong to whoever last leased them
+    required: function () {
+      return !this.pool;
+    },
+    default: null,
+  },
+  // Shared pool any member may lease from: listed agents, the campaign's
+  // agents, or a team's members. null means only assignedTo dials it.
+  pool: {
+    type: String,
+    enum: ["agents", "campaign", "team", null],
+    default: null,
+  },
+  poolAgents: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    default: [],
+  },
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Team",
+    default: null,
+  },
+  skill: {
+    type: String,
+    default: null, // Skill tag used to pick agents (lowercase)
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Campaign",
+    default: null, // Campaign of the latest upload; null for legacy lists
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Contact",
+    default: null, // Contact record for this number, if one exists
+  },
+  // Contact details of entries imported before Contact records existed; new
+  // imports write them to the linked Contact instead
+  contactName: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  customFields: {
+    type: Map,
+    of: String, // Extra import columns, keyed by field name
+    default: undefined,
+  },
+  timezone: {
+    type: String,
+    default: null, // Callee's IANA zone from country/area code; null if unknown
   },
   dialingStatus: {
     type: String,
@@ -46,6 +101,29 @@ const dialListSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  // Outcomes so far, for the per-outcome retry limits
+  outcomeAttempts: {
+    busy: { type: Number, default: 0 },
+    no_answer: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  nextEligibleAt: {
+    type: Date,
+    default: null, // Not leased again before this time (retry cool-down)
+  },
+  callbackAt: {
+    type: Date,
+    default: null, // Agent-scheduled "Call Back" time
+  },
+  callbackOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null, // Only this agent may lease the number, pooled or not
+  },
+  callbackReminderSentAt: {
+    type: Date,
+    default: null,
+  },
   completedAt: {
     type: Date,
     default: null,
@@ -55,6 +133,26 @@ const dialListSchema = new mongoose.Schema({
     ref: "User",
     default: null, // Tracks who is currently dialing this number
   },
+  leaseExpiresAt: {
+    type: Date,
+    default: null, // The lock is released by the sweeper after this time
+  },
+  // Why the last lock was released without the call being completed
+  lockRelease: {
+    reason: {
+      type: String,
+      enum: ["agent", "supervisor", "expired"],
+    },
+    releasedAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    previousHolder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
   priority: {
     type: Number,
     default: 1, // For future priority-based dialing
@@ -75,10 +173,51 @@ dialListSchema.pre("save", function (next) {
   next();
 });
 
+// Push dial-list progress to the realtime supervisor feed
+const scheduleForDoc = (doc) => {
+  if (doc) scheduleDialListProgress(doc.organizationId);
+};
+
+async function scheduleForQuery() {
+  if (!hasSubscribers()) return;
+
+  // The filter may no longer match once updated, so only look up by _id
+  let { organizationId, _id } = this.getFilter();
+  if (!organizationId && _id) {
+    const doc = await this.model.findById(_id).select("organizationId");
+    organizationId = doc?.organizationId;
+  }
+  scheduleDialListProgress(organizationId);
+}
+
+dialListSchema.post("save", scheduleForDoc);
+dialListSchema.post("findOneAndUpdate", scheduleForDoc);
+dialListSchema.post("updateOne", scheduleForQuery);
+dialListSchema.post("updateMany", scheduleForQuery);
+
 // Index for better query performance
 dialListSchema.index({ assignedTo: 1, dialingStatus: 1 });
 dialListSchema.index({ organizationId: 1, phoneNumber: 1 }, { unique: true }); // Unique per organization
 dialListSchema.index({ organizationId: 1, assignedTo: 1 });
+dialListSchema.index({ organizationId: 1, campaignId: 1, dialingStatus: 1 });
 dialListSchema.index({ currentlyDialingBy: 1 });
+dialListSchema.index({ currentlyDialingBy: 1, leaseExpiresAt: 1 });
+dialListSchema.index({ assignedTo: 1, nextEligibleAt: 1 });
+dialListSchema.index({ contactId: 1 });
+dialListSchema.index({ organizationId: 1, callbackAt: 1 });
+dialListSchema.index({ callbackReminderSentAt: 1, callbackAt: 1 });
+dialListSchema.index({ poolAgents: 1, dialingStatus: 1 });
+dialListSchema.index({
+  organizationId: 1,
+  pool: 1,
+  campaignId: 1,
+  dialingStatus: 1,
+});
+dialListSchema.index({
+  organizationId: 1,
+  pool: 1,
+  teamId: 1,
+  dialingStatus: 1,
+});
 
 module.exports = mongoose.model("DialList", dialListSchema);
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// One entry in an organization's disposition catalog. The code is what
+// agents submit and what CallLog/DialList store.
+const dispositionSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: null, // Shown instead of the code when set
+    },
+    // Reports group by category: reached and converted, reached, or not
+    category: {
+      type: String,
+      enum: ["success", "contact", "no_contact"],
+      required: true,
+    },
+    color: {
+      type: String,
+      match: /^#[0-9a-fA-F]{6}$/,
+      default: "#6b7280",
+    },
+    requiresCallbackDate: {
+      type: Boolean,
+      default: false, // Agents must pick callbackAt; the number is re-queued then
+    },
+    addsToDnc: {
+      type: Boolean,
+      default: false,
+    },
+    // Final dispositions close the number; retryable ones re-queue it after
+    // retryDelayMinutes until the attempt limit is reached
+    final: {
+      type: Boolean,
+      default: true,
+    },
+    retryDelayMinutes: {
+      type: Number,
+      default: 240,
+      min: 0,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    // Inactive codes stay valid on old calls but cannot be picked
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+dispositionSchema.index({ organizationId: 1, code: 1 }, { unique: true });
+dispositionSchema.index({ organizationId: 1, sortOrder: 1 });
+
+module.exports = mongoose.model("Disposition", dispositionSchema);
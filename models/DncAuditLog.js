@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const dncAuditLogSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null, // null = platform-wide list change
+    },
+    phoneNumber: {
+      type: String,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: [
+        "added", // Entry created (manual, import or disposition)
+        "removed", // Entry deleted
+        "upload_suppressed", // Skipped while uploading numbers
+        "lease_suppressed", // Skipped while handing out the next number
+      ],
+      required: true,
+    },
+    dncEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DncEntry",
+      default: null,
+    },
+    dialListId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DialList",
+      default: null,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // User whose action was suppressed or who changed the list
+    },
+    details: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dncAuditLogSchema.index({ organizationId: 1, createdAt: -1 });
+dncAuditLogSchema.index({ phoneNumber: 1, createdAt: -1 });
+
+module.exports = mongoose.model("DncAuditLog", dncAuditLogSchema);
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+const dncEntrySchema = new mongoose.Schema(
+  {
+    phoneNumber: {
+      type: String, // Normalized (see utils/phoneNumber)
+      required: true,
+      trim: true,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null, // null = platform-wide entry
+    },
+    source: {
+      type: String,
+      enum: ["manual", "import", "disposition", "platform"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    callLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CallLog", // Call that produced a DNC disposition
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One entry per number per organization (or platform-wide)
+dncEntrySchema.index({ organizationId: 1, phoneNumber: 1 }, { unique: true });
+dncEntrySchema.index({ phoneNumber: 1 });
+
+module.exports = mongoose.model("DncEntry", dncEntrySchema);
@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+
+const importJobSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // Single-agent imports
+    },
+    // How rows were spread across agents, see utils/distribution
+    distribution: {
+      strategy: {
+        type: String,
+        enum: ["single", "round_robin", "weighted", "skill", "pool"],
+        default: "single",
+      },
+      agents: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      skill: { type: String, default: null },
+      poolType: {
+        type: String,
+        enum: ["agents", "campaign", "team"],
+        default: "agents",
+      },
+      teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team" },
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+      default: null,
+    },
+    fileName: String,
+    fileType: {
+      type: String,
+      enum: ["csv", "xlsx"],
+      required: true,
+    },
+    defaultCountry: {
+      type: String,
+      default: "US",
+    },
+    headers: [String], // Column headers found in the file
+    // Resolved column mapping, see resolveMapping in utils/contactImport
+    mapping: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed", "failed"],
+      default: "processing",
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    counts: {
+      rows: { type: Number, default: 0 },
+      uploaded: { type: Number, default: 0 },
+      duplicates: { type: Number, default: 0 },
+      suppressed: { type: Number, default: 0 },
+      rejected: { type: Number, default: 0 },
+    },
+    // Every row that was not uploaded as a new number
+    issues: [
+      {
+        _id: false,
+        row: Number, // 1-based line/row in the file, header included
+        phoneNumber: String, // As found in the file
+        status: {
+          type: String,
+          enum: ["rejected", "duplicate", "suppressed"],
+        },
+        reason: String,
+      },
+    ],
+    issuesTruncated: {
+      type: Boolean,
+      default: false,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importJobSchema.index({ organizationId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ImportJob", importJobSchema);
@@ -35,8 +35,16 @@ const organizationSchema = new mongoose.Schema(
     settings: {
       timezone: {
         type: String,
-        default: "UTC",
+        default: "UTC", // IANA name, e.g. "Asia/Karachi"
       },
+      // Working shifts in local time; "end" at or before "start" crosses midnight
+      shifts: [
+        {
+          name: { type: String, trim: true },
+          start: { type: String, required: true }, // "HH:MM"
+          end: { type: String, required: true }, // "HH:MM"
+        },
+      ],
       dateFormat: {
         type: String,
         default: "MM/DD/YYYY",
@@ -53,7 +61,140 @@ const organizationSchema = new mongoose.Schema(
         type: Number,
         default: 25, // Default limit for agents
       },
+      // Hours numbers may be called in the callee's own time zone, resolved
+      // from the country and area code; campaigns can narrow them
+      calleeCallingHours: {
+        enabled: { type: Boolean, default: true },
+        start: { type: String, default: "08:00" }, // "HH:MM"
+        end: { type: String, default: "21:00" }, // "HH:MM"
+        days: { type: [Number], default: [] }, // 0 = Sunday; empty = every day
+      },
+      // Retry limits and cool-downs per unsuccessful outcome
+      retryRules: {
+        maxAttempts: {
+          type: Number,
+          default: 3, // Overall limit for numbers outside a campaign
+          min: 1,
+          max: 20,
+        },
+        busy: {
+          maxAttempts: { type: Number, default: 3, min: 1, max: 20 },
+          delayMinutes: { type: Number, default: 10, min: 0 },
+        },
+        no_answer: {
+          maxAttempts: { type: Number, default: 3, min: 1, max: 20 },
+          delayMinutes: { type: Number, default: 240, min: 0 },
+        },
+        failed: {
+          maxAttempts: { type: Number, default: 2, min: 1, max: 20 },
+          delayMinutes: { type: Number, default: 30, min: 0 },
+        },
+      },
+      // Twilio call recording; recordings older than retentionDays are
+      // deleted (null keeps them indefinitely)
+      recording: {
+        enabled: { type: Boolean, default: true },
+        retentionDays: { type: Number, default: null, min: 1 },
+        // How callees are told about recording (utils/recordingConsent),
+        // limited to the listed jurisdictions ("US", "US-CA"; empty = all)
+        consent: {
+          mode: {
+            type: String,
+            enum: ["none", "announce", "record_after_announcement", "skip"],
+            default: "none",
+          },
+          jurisdictions: { type: [String], default: [] },
+          announcement: {
+            type: String,
+            trim: true,
+            default:
+              "This call may be recorded for quality and training purposes.",
+          },
+        },
+      },
+      // Offline speech-to-text of new recordings; language is a two-letter
+      // code or "auto" to let the engine detect it
+      transcription: {
+        enabled: { type: Boolean, default: false },
+        language: { type: String, default: "en" },
+      },
+      // Server-side pacing engine
+      dialer: {
+        mode: {
+          type: String,
+          enum: ["power", "predictive"],
+          default: "power",
+        },
+        callsPerAgent: {
+          type: Number,
+          default: 1, // Predictive mode only; power mode always dials 1:1
+          min: 1,
+          max: 5,
+        },
+        maxAbandonRate: {
+          type: Number,
+          default: 0.03, // Fraction of answered calls; falls back to 1:1 above it
+          min: 0,
+          max: 1,
+        },
+        abandonWindowHours: {
+          type: Number,
+          default: 24,
+        },
+        ringTimeout: {
+          type: Number,
+          default: 25, // Seconds
+        },
+        abandonMessage: {
+          type: String,
+          default:
+            "Sorry, all of our agents are busy. We will call you back shortly. Goodbye.",
+        },
+      },
+    },
+    // Dedicated Twilio account. Until enabled, the organization uses the
+    // shared account from the environment. Credentials are encrypted
+    // (utils/credentialCipher) and only selected when explicitly asked for.
+    twilio: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      accountSid: { type: String, default: null, select: false },
+      authToken: { type: String, default: null, select: false },
+      apiKey: { type: String, default: null, select: false },
+      apiSecret: { type: String, default: null, select: false },
+      twimlAppSid: { type: String, default: null, select: false },
+      accountSidDigest: {
+        type: String,
+        default: null, // Finds the organization from a webhook's AccountSid
+        select: false,
+      },
+      accountSidHint: {
+        type: String,
+        default: null, // Last 4 characters of the SID, for display
+      },
+      phoneNumber: {
+        type: String,
+        trim: true,
+        default: null, // Default caller ID on this account
+      },
+      validatedAt: {
+        type: Date,
+        default: null,
+      },
+      validationError: {
+        type: String,
+        default: null,
+      },
     },
+    // Phone numbers (DIDs) whose inbound calls ring this organization's agents
+    inboundNumbers: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
     // Subscription/billing info (for future use)
     subscription: {
       plan: {
@@ -87,5 +228,7 @@ const organizationSchema = new mongoose.Schema(
 organizationSchema.index({ name: 1 });
 organizationSchema.index({ email: 1 });
 organizationSchema.index({ isActive: 1 });
+organizationSchema.index({ inboundNumbers: 1 });
+organizationSchema.index({ "twilio.accountSidDigest": 1 });
 
 module.exports = mongoose.model("Organization", organizationSchema);
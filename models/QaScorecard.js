@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// Quality scorecard applied to call transcripts (utils/qaScoring). Each
+// criterion is a required phrase (greeting, disclosure), a forbidden phrase
+// or a manual check left to supervisors, weighted towards a 0-100 score.
+const qaScorecardSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Campaigns whose calls use this scorecard; empty makes it the
+    // organization's default for all other calls
+    campaignIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Campaign",
+      },
+    ],
+    criteria: [
+      {
+        _id: false,
+        key: { type: String, required: true, trim: true }, // Unique per scorecard
+        label: { type: String, required: true, trim: true },
+        type: {
+          type: String,
+          enum: ["required", "forbidden", "manual"],
+          required: true,
+        },
+        // Any one of these counts as saying it; matched on words, ignoring
+        // case and punctuation
+        phrases: [{ type: String, trim: true }],
+        withinSeconds: {
+          type: Number, // Required phrases only: must be said this early
+          default: null,
+          min: 1,
+        },
+        weight: {
+          type: Number,
+          default: 1,
+          min: 0,
+        },
+      },
+    ],
+    passingScore: {
+      type: Number,
+      default: 80,
+      min: 0,
+      max: 100,
+    },
+    // Inactive scorecards are kept for scored calls but no longer applied
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+qaScorecardSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+qaScorecardSchema.index({ organizationId: 1, isActive: 1, campaignIds: 1 });
+
+module.exports = mongoose.model("QaScorecard", qaScorecardSchema);
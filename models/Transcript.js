@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// Speech-to-text transcript of a call's recording. Dual-channel recordings
+// are transcribed per channel, so segments and words carry the channel they
+// were spoken on (1 = the leg that placed the recorded call, 2 = the other).
+const transcriptSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    callLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CallLog",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Agent on the call, for visibility checks
+      required: true,
+    },
+    engine: {
+      type: String, // Engine that produced it, see utils/transcriptionEngines
+      required: true,
+    },
+    language: {
+      type: String,
+      default: null,
+    },
+    text: {
+      type: String, // Whole call in time order, for full-text search
+      default: "",
+    },
+    segments: [
+      {
+        _id: false,
+        channel: Number,
+        start: Number, // Seconds from the start of the recording
+        end: Number,
+        text: String,
+      },
+    ],
+    words: [
+      {
+        _id: false,
+        channel: Number,
+        word: String,
+        start: Number, // Seconds from the start of the recording
+        end: Number,
+        confidence: Number, // 0-1 when the engine reports it
+      },
+    ],
+    recordingId: {
+      type: String, // Storage key of the recording that was transcribed
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+transcriptSchema.index({ callLogId: 1 }, { unique: true });
+transcriptSchema.index({ organizationId: 1, createdAt: -1 });
+transcriptSchema.index({ organizationId: 1, text: "text" });
+
+module.exports = mongoose.model("Transcript", transcriptSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// Queued transcription of a call recording, worked by
+// utils/transcriptionQueue. Failed attempts are retried with a delay until
+// maxAttempts is reached.
+const transcriptionJobSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    callLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CallLog",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed"],
+      default: "queued",
+    },
+    language: {
+      type: String,
+      default: null, // Organization setting when queued; null lets the engine detect it
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    runAfter: {
+      type: Date,
+      default: Date.now, // Not picked up before this (retry delay)
+    },
+    lockedUntil: {
+      type: Date,
+      default: null, // Processing jobs past this are picked up again
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // Null when queued automatically for a new recording
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+transcriptionJobSchema.index({ status: 1, runAfter: 1 });
+transcriptionJobSchema.index({ callLogId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("TranscriptionJob", transcriptionJobSchema);
@@ -36,6 +36,25 @@ const userSchema = new mongoose.Schema({
   phone: {
     type: String,
   },
+  // Number distribution: skill tags (e.g. "spanish") and relative capacity
+  // under weighted distribution; 0 takes no new numbers
+  skills: {
+    type: [String],
+    default: [],
+    set: (skills) => [
+      ...new Set(
+        []
+          .concat(skills || [])
+          .map((skill) => String(skill).trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ],
+  },
+  capacity: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
   // User status and permissions
   isActive: {
     type: Boolean,
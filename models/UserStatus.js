@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { publish, hasSubscribers } = require("../utils/realtimeEvents");
 
 const userStatusSchema = new mongoose.Schema({
   userId: {
@@ -33,6 +34,11 @@ const userStatusSchema = new mongoose.Schema({
     enum: ["stopped", "running", "paused"],
     default: "stopped",
   },
+  dialerMode: {
+    type: String,
+    enum: ["client", "server"], // Browser auto dialer or server pacing engine
+    default: "client",
+  },
   lastActivity: {
     type: Date,
     default: Date.now,
@@ -63,6 +69,10 @@ const userStatusSchema = new mongoose.Schema({
     type: Number, // in seconds
     default: 0,
   },
+  businessDate: {
+    type: String, // "YYYY-MM-DD" business day the daily totals belong to
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -80,6 +90,33 @@ userStatusSchema.pre("save", function (next) {
   next();
 });
 
+// Push status changes to the realtime supervisor feed
+const publishStatus = (doc) => {
+  if (!doc) return;
+  publish(doc.organizationId, "userStatus", {
+    userId: doc.userId,
+    isLoggedIn: doc.isLoggedIn,
+    isOnCall: doc.isOnCall,
+    callStatus: doc.callStatus,
+    autoDialerStatus: doc.autoDialerStatus,
+    dialerMode: doc.dialerMode,
+    deviceStatus: doc.deviceStatus,
+    currentCallNumber: doc.currentCallNumber,
+    currentCallStartTime: doc.currentCallStartTime,
+    lastActivity: doc.lastActivity,
+    totalCallsToday: doc.totalCallsToday,
+  });
+};
+
+userStatusSchema.post("save", publishStatus);
+userStatusSchema.post("findOneAndUpdate", publishStatus);
+userStatusSchema.post("updateOne", async function () {
+  // The filter may no longer match once updated, so re-read by user
+  const { userId, organizationId } = this.getFilter();
+  if (!userId || !hasSubscribers(organizationId)) return;
+  publishStatus(await this.model.findOne({ userId }));
+});
+
 // Index for better query performance
 userStatusSchema.index({ userId: 1 });
 userStatusSchema.index({ isLoggedIn: 1 });
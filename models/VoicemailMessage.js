@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Pre-recorded message a campaign can leave on answering machines. Twilio
+// plays it from audioUrl once the beep is detected.
+const voicemailMessageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    audioUrl: {
+      type: String, // Publicly reachable https URL Twilio can <Play>
+      required: true,
+      trim: true,
+    },
+    durationSeconds: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Inactive messages are kept for old calls but no longer dropped
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+voicemailMessageSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("VoicemailMessage", voicemailMessageSchema);
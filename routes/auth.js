@@ -3,6 +3,7 @@ const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Organization = require("../models/Organization");
 const DeviceFingerprint = require("../utils/deviceFingerprint");
+const { normalizeSkill } = require("../utils/distribution");
 const {
   authMiddleware,
   requireRole,
@@ -236,6 +237,8 @@ router.post(
         email,
         phone,
         permissions,
+        skills,
+        capacity,
       } = req.body;
 
       // Username validation
@@ -257,6 +260,22 @@ router.post(
         });
       }
 
+      if (
+        skills !== undefined &&
+        (!Array.isArray(skills) ||
+          skills.some((skill) => typeof skill !== "string"))
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Skills must be an array of strings" });
+      }
+      if (
+        capacity !== undefined &&
+        !(Number.isFinite(capacity) && capacity >= 0)
+      ) {
+        return res.status(400).json({ error: "Capacity must be zero or more" });
+      }
+
       // Check if user already exists
       const existingUser = await User.findOne({ username });
       if (existingUser) {
@@ -316,6 +335,8 @@ router.post(
         email,
         phone,
         permissions: userPermissions,
+        skills: (skills || []).map(normalizeSkill).filter(Boolean),
+        capacity,
       });
 
       await newUser.save();
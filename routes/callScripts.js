@@ -0,0 +1,457 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const CallScript = require("../models/CallScript");
+const Campaign = require("../models/Campaign");
+const User = require("../models/User");
+const {
+  validateScriptNodes,
+  resolveActiveScript,
+  parseScriptAnswers,
+  buildAnswerExport,
+} = require("../utils/callScripts");
+const router = express.Router();
+
+// Fields owners and admins may set on a script
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "campaignId",
+  "isActive",
+  "startNodeId",
+  "nodes",
+];
+
+// Middleware to check if user is owner or admin
+const ownerOrAdmin = (req, res, next) => {
+  if (!["owner", "admin"].includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ error: "Access denied. Owner or Admin only." });
+  }
+  next();
+};
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// Script lookup scoped to the caller's organization
+const findScript = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? CallScript.findOne({
+        _id: req.params.id,
+        organizationId: req.user.organizationId,
+      })
+    : null;
+
+// Call logs the caller may see: owners all, admins their agents' and their
+// own. Returns a CallLog filter.
+const getCallLogScope = async (req) => {
+  const { role, id: userId, organizationId } = req.user;
+  if (role === "owner") return { organizationId };
+
+  const agents = await User.find({
+    createdBy: userId,
+    organizationId,
+    role: "agent",
+  }).select("_id");
+  return {
+    organizationId,
+    userId: { $in: [userId, ...agents.map((agent) => agent._id)] },
+  };
+};
+
+// Optional from/to (ISO dates) on exports and reports
+const getDateFilter = ({ from, to }) => {
+  const range = {};
+  if (from && !isNaN(new Date(from))) range.$gte = new Date(from);
+  if (to && !isNaN(new Date(to))) range.$lte = new Date(to);
+  return Object.keys(range).length > 0 ? { startTime: range } : {};
+};
+
+/**
+ * Validate a script's campaign (null for the organization default).
+ * Returns an error message or null.
+ */
+const validateScriptCampaign = async (req, campaignId) => {
+  if (campaignId === null || campaignId === undefined) return null;
+  if (!mongoose.isValidObjectId(campaignId)) return "Invalid campaignId";
+
+  const campaign = await Campaign.exists({
+    _id: campaignId,
+    organizationId: req.user.organizationId,
+  });
+  return campaign ? null : "Campaign not found";
+};
+
+// Only one script is served per campaign (or as the default)
+const deactivateOtherScripts = (script) =>
+  CallScript.updateMany(
+    {
+      organizationId: script.organizationId,
+      campaignId: script.campaignId,
+      isActive: true,
+      _id: { $ne: script._id },
+    },
+    { isActive: false }
+  );
+
+// LIST SCRIPTS (campaignId=default lists organization-wide scripts)
+router.get("/", ownerOrAdmin, async (req, res) => {
+  try {
+    const query = { organizationId: req.user.organizationId };
+    const { campaignId } = req.query;
+
+    if (campaignId === "default") {
+      query.campaignId = null;
+    } else if (campaignId) {
+      if (!mongoose.isValidObjectId(campaignId)) {
+        return res.status(400).json({ error: "Invalid campaignId" });
+      }
+      query.campaignId = campaignId;
+    }
+
+    const scripts = await CallScript.find(query)
+      .select("-nodes")
+      .populate("campaignId", "name")
+      .populate("createdBy", "username role")
+      .sort({ isActive: -1, updatedAt: -1 });
+
+    res.json(scripts);
+  } catch (error) {
+    console.error("Error fetching call scripts:", error);
+    res.status(500).json({ error: "Failed to fetch call scripts" });
+  }
+});
+
+// SCRIPT FOR A CALL: the campaign's active script, else the organization's.
+// Pass callId for an active call, or campaignId before dialing.
+router.get("/active", async (req, res) => {
+  try {
+    const { id: userId, organizationId } = req.user;
+    const { callId } = req.query;
+    let { campaignId = null } = req.query;
+
+    if (callId) {
+      const callLog = mongoose.isValidObjectId(callId)
+        ? await CallLog.findOne({ _id: callId, organizationId, userId }).select(
+            "campaignId"
+          )
+        : null;
+      if (!callLog) {
+        return res.status(404).json({ error: "Call not found" });
+      }
+      campaignId = callLog.campaignId;
+    } else if (campaignId && !mongoose.isValidObjectId(campaignId)) {
+      return res.status(400).json({ error: "Invalid campaignId" });
+    }
+
+    const script = await resolveActiveScript({ organizationId, campaignId });
+    if (!script) {
+      return res.status(404).json({ error: "No active call script" });
+    }
+
+    res.json(script);
+  } catch (error) {
+    console.error("Error fetching active call script:", error);
+    res.status(500).json({ error: "Failed to fetch call script" });
+  }
+});
+
+// SAVE ANSWERS for one of the agent's calls (may be sent again as the call
+// goes on; the latest answers replace earlier ones)
+router.post("/answers", async (req, res) => {
+  try {
+    const { id: userId, organizationId } = req.user;
+    const { callId, scriptId, answers } = req.body;
+
+    const callLog = mongoose.isValidObjectId(callId)
+      ? await CallLog.findOne({ _id: callId, organizationId, userId })
+      : null;
+    if (!callLog) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+
+    const script =
+      scriptId && mongoose.isValidObjectId(scriptId)
+        ? await CallScript.findOne({ _id: scriptId, organizationId })
+        : await resolveActiveScript({
+            organizationId,
+            campaignId: callLog.campaignId,
+          });
+    if (!script) {
+      return res.status(404).json({ error: "Call script not found" });
+    }
+
+    const parsed = parseScriptAnswers(script, answers);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    callLog.set({
+      scriptId: script._id,
+      scriptVersion: script.version,
+      scriptAnswers: parsed.answers,
+      auditAction: "Script Answers Saved",
+    });
+    await callLog.save();
+
+    res.json({
+      success: true,
+      message: "Answers saved successfully",
+      scriptAnswers: callLog.scriptAnswers,
+    });
+  } catch (error) {
+    console.error("Error saving script answers:", error);
+    res.status(500).json({ error: "Failed to save answers" });
+  }
+});
+
+// GET SCRIPT
+router.get("/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const script = await findScript(req);
+    if (!script) {
+      return res.status(404).json({ error: "Call script not found" });
+    }
+
+    await script.populate("campaignId", "name");
+    res.json(script);
+  } catch (error) {
+    console.error("Error fetching call script:", error);
+    res.status(500).json({ error: "Failed to fetch call script" });
+  }
+});
+
+// CREATE SCRIPT
+router.post("/", ownerOrAdmin, async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    if (!fields.name || !String(fields.name).trim()) {
+      return res.status(400).json({ error: "Script name is required" });
+    }
+
+    const validationError =
+      validateScriptNodes(fields) ||
+      (await validateScriptCampaign(req, fields.campaignId));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const script = await new CallScript({
+      ...fields,
+      organizationId: req.user.organizationId,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    }).save();
+
+    if (script.isActive) await deactivateOtherScripts(script);
+
+    res.status(201).json({
+      message: "Call script created successfully",
+      script,
+    });
+  } catch (error) {
+    console.error("Error creating call script:", error);
+    res.status(500).json({ error: "Failed to create call script" });
+  }
+});
+
+// UPDATE SCRIPT (editing nodes starts a new version; saved answers keep
+// the version they were given against)
+router.put("/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const script = await findScript(req);
+    if (!script) {
+      return res.status(404).json({ error: "Call script not found" });
+    }
+
+    const fields = pickEditableFields(req.body);
+    if (fields.name !== undefined && !String(fields.name).trim()) {
+      return res.status(400).json({ error: "Script name is required" });
+    }
+
+    const treeChanged =
+      fields.nodes !== undefined || fields.startNodeId !== undefined;
+    const validationError =
+      (treeChanged &&
+        validateScriptNodes({
+          startNodeId: fields.startNodeId ?? script.startNodeId,
+          nodes: fields.nodes ?? script.toObject().nodes,
+        })) ||
+      (await validateScriptCampaign(req, fields.campaignId));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    script.set({ ...fields, updatedBy: req.user.id });
+    if (treeChanged) script.version += 1;
+    await script.save();
+
+    if (script.isActive) await deactivateOtherScripts(script);
+
+    res.json({
+      message: "Call script updated successfully",
+      script,
+    });
+  } catch (error) {
+    console.error("Error updating call script:", error);
+    res.status(500).json({ error: "Failed to update call script" });
+  }
+});
+
+// DELETE SCRIPT (scripts with saved answers must be deactivated instead)
+router.delete("/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const script = await findScript(req);
+    if (!script) {
+      return res.status(404).json({ error: "Call script not found" });
+    }
+
+    const answeredCalls = await CallLog.countDocuments({
+      organizationId: script.organizationId,
+      scriptId: script._id,
+    });
+    if (answeredCalls > 0) {
+      return res.status(400).json({
+        error: "Calls have answers for this script. Deactivate it instead.",
+        answeredCalls,
+      });
+    }
+
+    await script.deleteOne();
+    res.json({ message: "Call script deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting call script:", error);
+    res.status(500).json({ error: "Failed to delete call script" });
+  }
+});
+
+// EXPORT ANSWERS as CSV, one row per call (optional campaignId, from, to)
+router.get("/:id/answers/export", ownerOrAdmin, async (req, res) => {
+  try {
+    const script = await findScript(req);
+    if (!script) {
+      return res.status(404).json({ error: "Call script not found" });
+    }
+    if (
+      req.query.campaignId &&
+      !mongoose.isValidObjectId(req.query.campaignId)
+    ) {
+      return res.status(400).json({ error: "Invalid campaignId" });
+    }
+
+    const callLogs = await CallLog.find({
+      ...(await getCallLogScope(req)),
+      ...getDateFilter(req.query),
+      ...(req.query.campaignId && { campaignId: req.query.campaignId }),
+      scriptId: script._id,
+    })
+      .populate("userId", "username")
+      .select(
+        "phoneNumber startTime userId disposition scriptVersion scriptAnswers"
+      )
+      .sort({ startTime: -1 })
+      .lean();
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="script_answers_${script._id}_${
+        new Date().toISOString().split("T")[0]
+      }.csv"`
+    );
+    res.send(buildAnswerExport(script, callLogs));
+  } catch (error) {
+    console.error("Error exporting script answers:", error);
+    res.status(500).json({ error: "Failed to export answers" });
+  }
+});
+
+// ANSWER REPORT: per question, how often each answer was given and with
+// which dispositions (optional campaignId, from, to)
+router.get("/:id/answers/report", ownerOrAdmin, async (req, res) => {
+  try {
+    const script = await findScript(req);
+    if (!script) {
+      return res.status(404).json({ error: "Call script not found" });
+    }
+    if (
+      req.query.campaignId &&
+      !mongoose.isValidObjectId(req.query.campaignId)
+    ) {
+      return res.status(400).json({ error: "Invalid campaignId" });
+    }
+
+    const match = {
+      ...(await getCallLogScope(req)),
+      ...getDateFilter(req.query),
+      scriptId: script._id,
+    };
+    if (req.query.campaignId) {
+      match.campaignId = new mongoose.Types.ObjectId(req.query.campaignId);
+    }
+
+    const [totalCalls, rows] = await Promise.all([
+      CallLog.countDocuments(match),
+      CallLog.aggregate([
+        { $match: match },
+        { $unwind: "$scriptAnswers" },
+        {
+          $group: {
+            _id: {
+              key: "$scriptAnswers.key",
+              value: "$scriptAnswers.value",
+              disposition: "$disposition",
+            },
+            label: { $last: "$scriptAnswers.label" },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+
+    // Fold into { key: { question, answers: [{ value, label, count,
+    // dispositions: { disposition: count } }] } }
+    const questions = {};
+    script.nodes
+      .filter((node) => node.type === "question")
+      .forEach((node) => {
+        questions[node.answerKey] = { question: node.text, answers: [] };
+      });
+
+    rows.forEach(({ _id: { key, value, disposition }, label, count }) => {
+      questions[key] = questions[key] || { question: null, answers: [] };
+      let answer = questions[key].answers.find((item) => item.value === value);
+      if (!answer) {
+        answer = { value, label: label || null, count: 0, dispositions: {} };
+        questions[key].answers.push(answer);
+      }
+      answer.count += count;
+      const dispositionKey = disposition || "None";
+      answer.dispositions[dispositionKey] =
+        (answer.dispositions[dispositionKey] || 0) + count;
+    });
+
+    Object.values(questions).forEach(({ answers }) =>
+      answers.sort((a, b) => b.count - a.count)
+    );
+
+    res.json({
+      scriptId: script._id,
+      name: script.name,
+      version: script.version,
+      totalCalls,
+      questions,
+    });
+  } catch (error) {
+    console.error("Error building script answer report:", error);
+    res.status(500).json({ error: "Failed to build answer report" });
+  }
+});
+
+module.exports = router;
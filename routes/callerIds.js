@@ -0,0 +1,273 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const CallerIdNumber = require("../models/CallerIdNumber");
+const {
+  getNumberLocation,
+  getCallerIdHealth,
+  toUsageDate,
+} = require("../utils/callerIdPool");
+const { toE164 } = require("../utils/phoneNumber");
+const router = express.Router();
+
+// Fields the owner may set on a pool number; the number itself is fixed
+const EDITABLE_FIELDS = [
+  "label",
+  "region",
+  "status",
+  "dailyCap",
+  "spamFlagged",
+];
+
+// Middleware to check if user is owner or admin
+const ownerOrAdmin = (req, res, next) => {
+  if (!["owner", "admin"].includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ error: "Access denied. Owner or Admin only." });
+  }
+  next();
+};
+
+// Middleware to check if user is owner
+const ownerOnly = (req, res, next) => {
+  if (req.user.role !== "owner") {
+    return res.status(403).json({ error: "Access denied. Owner only." });
+  }
+  next();
+};
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+/**
+ * Validate pool number fields before saving.
+ * Returns an error message or null.
+ */
+const validateCallerIdInput = ({
+  label,
+  region,
+  status,
+  dailyCap,
+  spamFlagged,
+}) => {
+  if (label !== undefined && label !== null && typeof label !== "string") {
+    return "label must be a string";
+  }
+  if (
+    region !== undefined &&
+    region !== null &&
+    !/^[A-Za-z]{2}$/.test(region)
+  ) {
+    return "region must be a two-letter state or province code";
+  }
+  // Retiring goes through its own route so the reason is recorded
+  if (status !== undefined && !["active", "paused"].includes(status)) {
+    return "status must be active or paused";
+  }
+  if (
+    dailyCap !== undefined &&
+    dailyCap !== null &&
+    !(Number.isInteger(dailyCap) && dailyCap >= 1)
+  ) {
+    return "dailyCap must be a whole number of at least 1, or null";
+  }
+  if (spamFlagged !== undefined && typeof spamFlagged !== "boolean") {
+    return "spamFlagged must be true or false";
+  }
+  return null;
+};
+
+// Pool number with its health and today's usage for the API
+const formatCallerId = (number, now = new Date()) => {
+  const data = number.toObject ? number.toObject() : number;
+  return {
+    ...data,
+    ...getCallerIdHealth(data),
+    usedToday: data.usageDate === toUsageDate(now) ? data.usageCount : 0,
+  };
+};
+
+// Pool number lookup scoped to the caller's organization
+const findCallerId = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? CallerIdNumber.findOne({
+        _id: req.params.id,
+        organizationId: req.user.organizationId,
+      })
+    : null;
+
+// LIST POOL NUMBERS (filter by status, region or spamFlagged)
+router.get("/", ownerOrAdmin, async (req, res) => {
+  try {
+    const query = { organizationId: req.user.organizationId };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.region) query.region = req.query.region.toUpperCase();
+    if (req.query.spamFlagged !== undefined) {
+      query.spamFlagged = req.query.spamFlagged === "true";
+    }
+
+    const numbers = await CallerIdNumber.find(query)
+      .sort({ region: 1, phoneNumber: 1 })
+      .lean();
+
+    res.json(numbers.map((number) => formatCallerId(number)));
+  } catch (error) {
+    console.error("Error fetching caller IDs:", error);
+    res.status(500).json({ error: "Failed to fetch caller IDs" });
+  }
+});
+
+// GET POOL NUMBER
+router.get("/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const number = await findCallerId(req);
+    if (!number) {
+      return res.status(404).json({ error: "Caller ID not found" });
+    }
+    res.json(formatCallerId(number));
+  } catch (error) {
+    console.error("Error fetching caller ID:", error);
+    res.status(500).json({ error: "Failed to fetch caller ID" });
+  }
+});
+
+// ADD POOL NUMBER
+router.post("/", ownerOnly, async (req, res) => {
+  try {
+    const phoneNumber = toE164(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return res
+        .status(400)
+        .json({ error: "A valid phone number is required" });
+    }
+
+    const fields = pickEditableFields(req.body);
+    const validationError = validateCallerIdInput(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const location = getNumberLocation(phoneNumber);
+    const number = await new CallerIdNumber({
+      ...location,
+      ...fields,
+      region: fields.region ? fields.region.toUpperCase() : location.region,
+      phoneNumber,
+      spamFlaggedAt: fields.spamFlagged ? new Date() : null,
+      organizationId: req.user.organizationId,
+      createdBy: req.user.id,
+    }).save();
+
+    res.status(201).json({
+      message: "Caller ID added successfully",
+      callerId: formatCallerId(number),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "This number is already in the caller ID pool" });
+    }
+    console.error("Error adding caller ID:", error);
+    res.status(500).json({ error: "Failed to add caller ID" });
+  }
+});
+
+// UPDATE POOL NUMBER
+router.put("/:id", ownerOnly, async (req, res) => {
+  try {
+    const number = await findCallerId(req);
+    if (!number) {
+      return res.status(404).json({ error: "Caller ID not found" });
+    }
+    if (number.status === "retired") {
+      return res
+        .status(400)
+        .json({ error: "Retired caller IDs cannot be changed" });
+    }
+
+    const fields = pickEditableFields(req.body);
+    const validationError = validateCallerIdInput(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (fields.region) fields.region = fields.region.toUpperCase();
+    if (fields.spamFlagged !== undefined) {
+      fields.spamFlaggedAt = fields.spamFlagged
+        ? number.spamFlaggedAt || new Date()
+        : null;
+    }
+
+    number.set(fields);
+    await number.save();
+
+    res.json({
+      message: "Caller ID updated successfully",
+      callerId: formatCallerId(number),
+    });
+  } catch (error) {
+    console.error("Error updating caller ID:", error);
+    res.status(500).json({ error: "Failed to update caller ID" });
+  }
+});
+
+// RETIRE POOL NUMBER (e.g. once it is labelled as spam; cannot be undone)
+router.post("/:id/retire", ownerOnly, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (reason !== undefined && typeof reason !== "string") {
+      return res.status(400).json({ error: "reason must be a string" });
+    }
+
+    const number = await findCallerId(req);
+    if (!number) {
+      return res.status(404).json({ error: "Caller ID not found" });
+    }
+    if (number.status === "retired") {
+      return res.status(400).json({ error: "Caller ID is already retired" });
+    }
+
+    number.status = "retired";
+    number.retiredAt = new Date();
+    number.retiredReason =
+      (reason && reason.trim().slice(0, 200)) ||
+      (number.spamFlagged ? "Flagged as spam" : null);
+    await number.save();
+
+    res.json({
+      message: "Caller ID retired successfully",
+      callerId: formatCallerId(number),
+    });
+  } catch (error) {
+    console.error("Error retiring caller ID:", error);
+    res.status(500).json({ error: "Failed to retire caller ID" });
+  }
+});
+
+// DELETE POOL NUMBER (numbers that placed calls must be retired instead)
+router.delete("/:id", ownerOnly, async (req, res) => {
+  try {
+    const number = await findCallerId(req);
+    if (!number) {
+      return res.status(404).json({ error: "Caller ID not found" });
+    }
+    if (number.totalCalls > 0) {
+      return res.status(400).json({
+        error: "Caller ID has placed calls. Retire it instead of deleting it.",
+        totalCalls: number.totalCalls,
+      });
+    }
+
+    await number.deleteOne();
+    res.json({ message: "Caller ID deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting caller ID:", error);
+    res.status(500).json({ error: "Failed to delete caller ID" });
+  }
+});
+
+module.exports = router;
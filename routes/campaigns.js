@@ -0,0 +1,455 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Campaign = require("../models/Campaign");
+const CallLog = require("../models/CallLog");
+const DialList = require("../models/DialList");
+const User = require("../models/User");
+const VoicemailMessage = require("../models/VoicemailMessage");
+const { validateCalleeHours } = require("../utils/calleeHours");
+const {
+  getDispositionCatalog,
+  findUnknownDispositions,
+} = require("../utils/dispositions");
+const { validateRecordingConsent } = require("../utils/recordingConsent");
+const { isValidTimezone } = require("../utils/shiftCalendar");
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Fields owners and admins may set on a campaign
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "status",
+  "callerId",
+  "callingHours",
+  "calleeCallingHours",
+  "retryPolicy",
+  "answeringMachine",
+  "recordingConsent",
+  "dispositions",
+  "assignedAgents",
+];
+
+// Middleware to check if user is owner or admin
+const ownerOrAdmin = (req, res, next) => {
+  if (!["owner", "admin"].includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ error: "Access denied. Owner or Admin only." });
+  }
+  next();
+};
+
+/**
+ * Validate campaign fields before saving.
+ * Returns an error message or null.
+ */
+const validateCampaignInput = ({
+  status,
+  callerId,
+  callingHours,
+  calleeCallingHours,
+  retryPolicy,
+  answeringMachine,
+  recordingConsent,
+  dispositions,
+}) => {
+  if (
+    status !== undefined &&
+    !Campaign.schema.path("status").enumValues.includes(status)
+  ) {
+    return `Invalid status: ${status}`;
+  }
+
+  if (callerId && !/^\+\d{10,15}$/.test(callerId)) {
+    return "Caller ID must be in E.164 format";
+  }
+
+  if (callingHours) {
+    const { timezone, start, end, days } = callingHours;
+    if (timezone && !isValidTimezone(timezone)) {
+      return `Invalid timezone: ${timezone}`;
+    }
+    if (!!start !== !!end) {
+      return "Calling hours need both start and end";
+    }
+    if (start && (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end))) {
+      return "Calling hours must be in HH:MM (24-hour) format";
+    }
+    if (
+      days !== undefined &&
+      (!Array.isArray(days) ||
+        days.some((day) => !Number.isInteger(day) || day < 0 || day > 6))
+    ) {
+      return "Calling days must be numbers from 0 (Sunday) to 6 (Saturday)";
+    }
+  }
+
+  const calleeHoursError = validateCalleeHours(calleeCallingHours);
+  if (calleeHoursError) return calleeHoursError;
+
+  if (retryPolicy) {
+    const { maxAttempts, retryDelayMinutes } = retryPolicy;
+    if (
+      maxAttempts !== undefined &&
+      !(Number.isInteger(maxAttempts) && maxAttempts >= 1 && maxAttempts <= 20)
+    ) {
+      return "maxAttempts must be a whole number from 1 to 20";
+    }
+    if (
+      retryDelayMinutes !== undefined &&
+      !(Number.isFinite(retryDelayMinutes) && retryDelayMinutes >= 0)
+    ) {
+      return "retryDelayMinutes must be zero or more";
+    }
+  }
+
+  if (answeringMachine) {
+    const { detection, voicemailMessageId } = answeringMachine;
+    if (detection !== undefined && typeof detection !== "boolean") {
+      return "answeringMachine.detection must be true or false";
+    }
+    if (
+      voicemailMessageId !== undefined &&
+      voicemailMessageId !== null &&
+      !mongoose.isValidObjectId(voicemailMessageId)
+    ) {
+      return "Invalid voicemail message";
+    }
+  }
+
+  const consentError = validateRecordingConsent(recordingConsent, {
+    field: "recordingConsent",
+    allowInherit: true,
+  });
+  if (consentError) return consentError;
+
+  if (dispositions !== undefined && !Array.isArray(dispositions)) {
+    return "Dispositions must be an array";
+  }
+
+  return null;
+};
+
+// A campaign's voicemail drop must be an active message of the organization.
+// Returns an error message or null.
+const validateVoicemailMessage = async (req, answeringMachine) => {
+  if (!answeringMachine?.voicemailMessageId) return null;
+
+  const message = await VoicemailMessage.exists({
+    _id: answeringMachine.voicemailMessageId,
+    organizationId: req.user.organizationId,
+    isActive: true,
+  });
+  return message ? null : "Voicemail message not found";
+};
+
+// Campaign dispositions must come from the organization's catalog.
+// Returns an error message or null.
+const validateCampaignDispositions = async (req, dispositions) => {
+  if (!dispositions) return null;
+
+  const unknown = await findUnknownDispositions(
+    req.user.organizationId,
+    dispositions
+  );
+  return unknown.length > 0
+    ? `Unknown dispositions: ${unknown.join(", ")}`
+    : null;
+};
+
+// Agents on a campaign must belong to the organization; admins may only
+// add themselves and the agents they created
+const findInvalidAgents = async (req, agentIds = []) => {
+  const { role, id: userId, organizationId } = req.user;
+  const query = {
+    _id: {
+      $in: agentIds.filter((agentId) => mongoose.isValidObjectId(agentId)),
+    },
+    organizationId,
+  };
+  if (role === "admin") {
+    query.$or = [{ _id: userId }, { createdBy: userId, role: "agent" }];
+  }
+
+  const allowed = await User.find(query).select("_id");
+  const allowedIds = new Set(allowed.map((user) => user._id.toString()));
+  return agentIds.filter((agentId) => !allowedIds.has(agentId.toString()));
+};
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// Campaign lookup scoped to the caller's organization
+const findCampaign = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? Campaign.findOne({
+        _id: req.params.id,
+        organizationId: req.user.organizationId,
+      })
+    : null;
+
+// LIST CAMPAIGNS (agents only see campaigns they are assigned to)
+router.get("/", async (req, res) => {
+  try {
+    const { role, id: userId, organizationId } = req.user;
+    const query = { organizationId };
+
+    if (req.query.status) query.status = req.query.status;
+    if (role === "agent") query.assignedAgents = userId;
+
+    const campaigns = await Campaign.find(query)
+      .populate("assignedAgents", "username role")
+      .populate("createdBy", "username role")
+      .sort({ createdAt: -1 });
+
+    res.json(campaigns);
+  } catch (error) {
+    console.error("Error fetching campaigns:", error);
+    res.status(500).json({ error: "Failed to fetch campaigns" });
+  }
+});
+
+// GET CAMPAIGN
+router.get("/:id", async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+
+    if (
+      !campaign ||
+      (req.user.role === "agent" &&
+        !campaign.assignedAgents.some(
+          (agentId) => agentId.toString() === req.user.id.toString()
+        ))
+    ) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    await campaign.populate("assignedAgents", "username role");
+    res.json(campaign);
+  } catch (error) {
+    console.error("Error fetching campaign:", error);
+    res.status(500).json({ error: "Failed to fetch campaign" });
+  }
+});
+
+// CREATE CAMPAIGN
+router.post("/", ownerOrAdmin, async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    if (!fields.name || !fields.name.trim()) {
+      return res.status(400).json({ error: "Campaign name is required" });
+    }
+
+    const validationError =
+      validateCampaignInput(fields) ||
+      (await validateCampaignDispositions(req, fields.dispositions)) ||
+      (await validateVoicemailMessage(req, fields.answeringMachine));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const invalidAgents = await findInvalidAgents(req, fields.assignedAgents);
+    if (invalidAgents.length > 0) {
+      return res.status(400).json({
+        error: "Some agents cannot be assigned to this campaign",
+        invalidAgents,
+      });
+    }
+
+    const existing = await Campaign.findOne({
+      organizationId: req.user.organizationId,
+      name: fields.name.trim(),
+    });
+    if (existing) {
+      return res
+        .status(409)
+        .json({ error: "A campaign with this name already exists" });
+    }
+
+    const campaign = await new Campaign({
+      ...fields,
+      organizationId: req.user.organizationId,
+      createdBy: req.user.id,
+    }).save();
+
+    res.status(201).json({
+      message: "Campaign created successfully",
+      campaign,
+    });
+  } catch (error) {
+    console.error("Error creating campaign:", error);
+    res.status(500).json({ error: "Failed to create campaign" });
+  }
+});
+
+// UPDATE CAMPAIGN
+router.put("/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const fields = pickEditableFields(req.body);
+
+    const validationError =
+      validateCampaignInput(fields) ||
+      (await validateCampaignDispositions(req, fields.dispositions)) ||
+      (await validateVoicemailMessage(req, fields.answeringMachine));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (fields.assignedAgents) {
+      const invalidAgents = await findInvalidAgents(req, fields.assignedAgents);
+      if (invalidAgents.length > 0) {
+        return res.status(400).json({
+          error: "Some agents cannot be assigned to this campaign",
+          invalidAgents,
+        });
+      }
+    }
+
+    // Nested settings are merged so partial updates keep the other values
+    [
+      "callingHours",
+      "calleeCallingHours",
+      "retryPolicy",
+      "answeringMachine",
+      "recordingConsent",
+    ].forEach((key) => {
+      if (fields[key]) {
+        fields[key] = { ...campaign.toObject()[key], ...fields[key] };
+      }
+    });
+
+    campaign.set(fields);
+    await campaign.save();
+
+    res.json({
+      message: "Campaign updated successfully",
+      campaign,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A campaign with this name already exists" });
+    }
+    console.error("Error updating campaign:", error);
+    res.status(500).json({ error: "Failed to update campaign" });
+  }
+});
+
+// DELETE CAMPAIGN (owner only; campaigns with numbers must be archived)
+router.delete("/:id", async (req, res) => {
+  try {
+    if (req.user.role !== "owner") {
+      return res.status(403).json({ error: "Access denied. Owner only." });
+    }
+
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const numberCount = await DialList.countDocuments({
+      campaignId: campaign._id,
+    });
+    if (numberCount > 0) {
+      return res.status(400).json({
+        error: "Campaign still has numbers. Archive it instead of deleting it.",
+        numberCount,
+      });
+    }
+
+    await campaign.deleteOne();
+    res.json({ message: "Campaign deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting campaign:", error);
+    res.status(500).json({ error: "Failed to delete campaign" });
+  }
+});
+
+// CAMPAIGN PROGRESS (dial list statuses, dispositions by code and catalog
+// category, and call totals)
+router.get("/:id/stats", ownerOrAdmin, async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    const [statusCounts, dispositionCounts, callTotals, catalog] =
+      await Promise.all([
+        DialList.aggregate([
+          { $match: { campaignId: campaign._id } },
+          { $group: { _id: "$dialingStatus", count: { $sum: 1 } } },
+        ]),
+        DialList.aggregate([
+          { $match: { campaignId: campaign._id, disposition: { $ne: null } } },
+          { $group: { _id: "$disposition", count: { $sum: 1 } } },
+        ]),
+        CallLog.aggregate([
+          { $match: { campaignId: campaign._id } },
+          {
+            $group: {
+              _id: null,
+              totalCalls: { $sum: 1 },
+              totalDuration: { $sum: "$duration" },
+            },
+          },
+        ]),
+        getDispositionCatalog(campaign.organizationId),
+      ]);
+
+    const numbers = {
+      pending: 0,
+      dialing: 0,
+      completed: 0,
+      failed: 0,
+      busy: 0,
+      no_answer: 0,
+    };
+    statusCounts.forEach((stat) => {
+      numbers[stat._id] = stat.count;
+    });
+
+    const dispositions = {};
+    const categories = {
+      success: 0,
+      contact: 0,
+      no_contact: 0,
+      uncategorized: 0,
+    };
+    dispositionCounts.forEach((stat) => {
+      dispositions[stat._id] = stat.count;
+      const category =
+        catalog.find((item) => item.code === stat._id)?.category ||
+        "uncategorized";
+      categories[category] += stat.count;
+    });
+
+    res.json({
+      campaignId: campaign._id,
+      name: campaign.name,
+      status: campaign.status,
+      numbers,
+      dispositions,
+      categories,
+      totalCalls: callTotals[0]?.totalCalls || 0,
+      totalDuration: callTotals[0]?.totalDuration || 0,
+    });
+  } catch (error) {
+    console.error("Error fetching campaign stats:", error);
+    res.status(500).json({ error: "Failed to fetch campaign stats" });
+  }
+});
+
+module.exports = router;
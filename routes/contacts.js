@@ -0,0 +1,338 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const Contact = require("../models/Contact");
+const ContactHistory = require("../models/ContactHistory");
+const DialList = require("../models/DialList");
+const {
+  pickContactFields,
+  validateContactInput,
+  diffContact,
+  buildContactUpdate,
+  findContactByPhone,
+  linkDialEntries,
+} = require("../utils/contacts");
+const {
+  normalizePhoneNumber,
+  getPhoneNumberVariants,
+  toE164,
+} = require("../utils/phoneNumber");
+const router = express.Router();
+
+// Calls shown alongside a contact on screen pop
+const RECENT_CALL_LIMIT = 10;
+
+// Middleware to check if user is owner or admin
+const ownerOrAdmin = (req, res, next) => {
+  if (!["owner", "admin"].includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ error: "Access denied. Owner or Admin only." });
+  }
+  next();
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Contact lookup scoped to the caller's organization
+const findContact = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? Contact.findOne({
+        _id: req.params.id,
+        organizationId: req.user.organizationId,
+      })
+    : null;
+
+// Agents only see contacts for numbers assigned to them or that they are
+// currently dialing
+const agentEntryFilter = (userId) => ({
+  $or: [{ assignedTo: userId }, { currentlyDialingBy: userId }],
+});
+
+const canAccessContact = async (req, contact) => {
+  if (req.user.role !== "agent") return true;
+
+  return !!(await DialList.exists({
+    organizationId: req.user.organizationId,
+    contactId: contact._id,
+    ...agentEntryFilter(req.user.id),
+  }));
+};
+
+// SEARCH CONTACTS (name, email, company or phone; optional custom field)
+router.get("/", ownerOrAdmin, async (req, res) => {
+  try {
+    const { q, field, value, page = 1, limit = 50 } = req.query;
+    const filter = { organizationId: req.user.organizationId };
+
+    if (q && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), "i");
+      const or = ["firstName", "lastName", "email", "company"].map((key) => ({
+        [key]: pattern,
+      }));
+
+      const digits = normalizePhoneNumber(q).replace("+", "");
+      if (digits.length >= 3) or.push({ phoneNumber: { $regex: digits } });
+
+      // "Jane Smith" matches first and last name together
+      const [first, ...rest] = q.trim().split(/\s+/);
+      if (rest.length > 0) {
+        or.push({
+          firstName: new RegExp(`^${escapeRegex(first)}`, "i"),
+          lastName: new RegExp(`^${escapeRegex(rest.join(" "))}`, "i"),
+        });
+      }
+
+      filter.$or = or;
+    }
+
+    if (field) {
+      if (field.includes(".") || field.startsWith("$")) {
+        return res.status(400).json({ error: "Invalid custom field name" });
+      }
+      filter[`customFields.${field}`] =
+        value !== undefined
+          ? new RegExp(`^${escapeRegex(value)}$`, "i")
+          : { $exists: true };
+    }
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+
+    const [contacts, total] = await Promise.all([
+      Contact.find(filter)
+        .sort({ lastName: 1, firstName: 1, createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Contact.countDocuments(filter),
+    ]);
+
+    res.json({ contacts, total, page: pageNumber, limit: pageSize });
+  } catch (error) {
+    console.error("Error searching contacts:", error);
+    res.status(500).json({ error: "Failed to search contacts" });
+  }
+});
+
+// SCREEN POP: full contact, dial entry and recent calls for the number being
+// dialed. Pass numberId (DialList entry) or phoneNumber.
+router.get("/screen-pop", async (req, res) => {
+  try {
+    const { role, id: userId, organizationId } = req.user;
+    const { numberId, phoneNumber } = req.query;
+
+    if (!numberId && !phoneNumber) {
+      return res
+        .status(400)
+        .json({ error: "numberId or phoneNumber is required" });
+    }
+    if (numberId && !mongoose.isValidObjectId(numberId)) {
+      return res.status(404).json({ error: "Number not found" });
+    }
+
+    const entryFilter = numberId
+      ? { _id: numberId, organizationId }
+      : {
+          organizationId,
+          phoneNumber: { $in: getPhoneNumberVariants(phoneNumber) },
+        };
+    if (role === "agent") Object.assign(entryFilter, agentEntryFilter(userId));
+
+    const entry = await DialList.findOne(entryFilter)
+      .populate("campaignId", "name")
+      .populate("assignedTo", "username");
+
+    // Agents may only pop numbers that are theirs
+    if (!entry && (numberId || role === "agent")) {
+      return res.status(404).json({ error: "Number not found" });
+    }
+
+    const number = entry?.phoneNumber || phoneNumber;
+    let contact = entry?.contactId
+      ? await Contact.findOne({ _id: entry.contactId, organizationId })
+      : null;
+
+    if (!contact) {
+      contact = await findContactByPhone(organizationId, number);
+      // Link entries uploaded before the contact existed
+      if (contact && entry) await linkDialEntries(contact);
+    }
+
+    const recentCalls = await CallLog.find({
+      organizationId,
+      phoneNumber: { $in: getPhoneNumberVariants(number) },
+    })
+      .populate("userId", "username")
+      .sort({ startTime: -1 })
+      .limit(RECENT_CALL_LIMIT)
+      .select("userId type startTime duration disposition comments status");
+
+    res.json({
+      phoneNumber: normalizePhoneNumber(number),
+      contact,
+      entry: entry && {
+        _id: entry._id,
+        phoneNumber: entry.phoneNumber,
+        dialingStatus: entry.dialingStatus,
+        disposition: entry.disposition,
+        comments: entry.comments,
+        notes: entry.notes,
+        attempts: entry.attempts,
+        lastDialedAt: entry.lastDialedAt,
+        callbackAt: entry.callbackAt,
+        assignedTo: entry.assignedTo,
+        campaign: entry.campaignId,
+        contactName: entry.contactName,
+        customFields: entry.customFields,
+      },
+      recentCalls,
+    });
+  } catch (error) {
+    console.error("Error fetching screen pop:", error);
+    res.status(500).json({ error: "Failed to fetch contact" });
+  }
+});
+
+// GET CONTACT
+router.get("/:id", async (req, res) => {
+  try {
+    const contact = await findContact(req);
+
+    if (!contact || !(await canAccessContact(req, contact))) {
+      return res.status(404).json({ error: "Contact not found" });
+    }
+
+    await contact.populate([
+      { path: "createdBy", select: "username role" },
+      { path: "updatedBy", select: "username role" },
+    ]);
+    res.json(contact);
+  } catch (error) {
+    console.error("Error fetching contact:", error);
+    res.status(500).json({ error: "Failed to fetch contact" });
+  }
+});
+
+// CREATE CONTACT (links any dial entries for the number)
+router.post("/", ownerOrAdmin, async (req, res) => {
+  try {
+    const { id: userId, organizationId } = req.user;
+    const phoneNumber = toE164(req.body.phoneNumber, req.body.defaultCountry);
+
+    if (!phoneNumber) {
+      return res
+        .status(400)
+        .json({ error: "A valid phone number is required" });
+    }
+
+    const fields = pickContactFields(req.body);
+    const validationError = validateContactInput(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (await findContactByPhone(organizationId, phoneNumber)) {
+      return res
+        .status(409)
+        .json({ error: "A contact with this number already exists" });
+    }
+
+    const contact = await new Contact({
+      ...fields,
+      organizationId,
+      phoneNumber,
+      createdBy: userId,
+      updatedBy: userId,
+    }).save();
+
+    await Promise.all([
+      ContactHistory.create({
+        contactId: contact._id,
+        organizationId,
+        userId,
+        action: "created",
+        changes: diffContact({}, fields).filter(({ to }) => to !== null),
+      }),
+      linkDialEntries(contact),
+    ]);
+
+    res.status(201).json({
+      message: "Contact created successfully",
+      contact,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A contact with this number already exists" });
+    }
+    console.error("Error creating contact:", error);
+    res.status(500).json({ error: "Failed to create contact" });
+  }
+});
+
+// UPDATE CONTACT (agents may edit contacts for their own numbers)
+router.put("/:id", async (req, res) => {
+  try {
+    const contact = await findContact(req);
+    if (!contact || !(await canAccessContact(req, contact))) {
+      return res.status(404).json({ error: "Contact not found" });
+    }
+
+    const fields = pickContactFields(req.body);
+    const validationError = validateContactInput(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const changes = diffContact(contact.toObject(), fields);
+    if (changes.length === 0) {
+      return res.json({ message: "No changes", contact });
+    }
+
+    const updated = await Contact.findByIdAndUpdate(
+      contact._id,
+      buildContactUpdate(changes, req.user.id),
+      { new: true, runValidators: true }
+    );
+
+    await ContactHistory.create({
+      contactId: contact._id,
+      organizationId: req.user.organizationId,
+      userId: req.user.id,
+      action: "updated",
+      changes,
+    });
+
+    res.json({
+      message: "Contact updated successfully",
+      contact: updated,
+      changes,
+    });
+  } catch (error) {
+    console.error("Error updating contact:", error);
+    res.status(500).json({ error: "Failed to update contact" });
+  }
+});
+
+// CONTACT EDIT HISTORY
+router.get("/:id/history", async (req, res) => {
+  try {
+    const contact = await findContact(req);
+    if (!contact || !(await canAccessContact(req, contact))) {
+      return res.status(404).json({ error: "Contact not found" });
+    }
+
+    const history = await ContactHistory.find({ contactId: contact._id })
+      .populate("userId", "username role")
+      .sort({ createdAt: -1 })
+      .limit(500);
+
+    res.json(history);
+  } catch (error) {
+    console.error("Error fetching contact history:", error);
+    res.status(500).json({ error: "Failed to fetch contact history" });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,109 @@
 const express = require("express");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const fs = require("fs");
+const Campaign = require("../models/Campaign");
 const CallLog = require("../models/CallLog");
+const CallScript = require("../models/CallScript");
 const DialList = require("../models/DialList");
+const ImportJob = require("../models/ImportJob");
+const Team = require("../models/Team");
 const User = require("../models/User");
 const UserStatus = require("../models/UserStatus");
 const { authMiddleware: auth } = require("../middleware/auth");
+const { reconcileDurations } = require("../utils/callReconciliation");
+const {
+  LEASE_TTL_SECONDS,
+  buildCampaignClauses,
+  getPoolMemberships,
+  buildMembershipClauses,
+  buildLeaseFilter,
+  leaseNextNumber,
+  renewLeases,
+  releaseLocks,
+} = require("../utils/dialListLease");
+const { getDialerEngine } = require("../utils/dialerEngine");
+const { getCalleeTimezone } = require("../utils/calleeHours");
+const {
+  resolveActiveScript,
+  parseScriptAnswers,
+} = require("../utils/callScripts");
+const {
+  normalizeSkill,
+  createAssigner,
+  validateDistribution,
+} = require("../utils/distribution");
+const { getOrganizationBusinessDay } = require("../utils/shiftCalendar");
+const {
+  addToDnc,
+  findDncEntries,
+  recordSuppression,
+} = require("../utils/dncRegistry");
+const {
+  COUNTRY_CALLING_CODES,
+  getPhoneNumberVariants,
+  toStoredPhoneNumber,
+} = require("../utils/phoneNumber");
+const {
+  getFileType,
+  runImport,
+  buildIssueReport,
+} = require("../utils/contactImport");
+const {
+  RETRYABLE_OUTCOMES,
+  recordDialOutcome,
+  parseCallbackAt,
+} = require("../utils/retryScheduler");
+const {
+  getDispositionCatalog,
+  findDisposition,
+  resolveDisposition,
+  applyDisposition,
+} = require("../utils/dispositions");
+const { scheduleDialListProgress } = require("../utils/realtimeEvents");
 const router = express.Router();
 
+// Contact imports are streamed from a temporary file
+const importUpload = multer({
+  dest: "uploads/imports/",
+  limits: { fileSize: 200 * 1024 * 1024 }, // 200MB
+  fileFilter: (req, file, cb) => {
+    if (getFileType(file.originalname)) cb(null, true);
+    else cb(new Error("Only .csv and .xlsx files are allowed"), false);
+  },
+});
+
+// Dispositions flagged addsToDnc put the number on the organization's DNC
+// list
+const addDispositionToDnc = async (req, phoneNumber, callLogId = null) => {
+  try {
+    await addToDnc({
+      organizationId: req.user.organizationId,
+      phoneNumber,
+      source: "disposition",
+      userId: req.user.id,
+      callLogId,
+    });
+  } catch (error) {
+    console.error("Error adding number to DNC list:", error);
+  }
+};
+
+// Reports, stats and dialing routes accept an optional campaignId
+router.use((req, res, next) => {
+  const campaignId = req.query.campaignId || req.body?.campaignId;
+  if (campaignId && !mongoose.isValidObjectId(campaignId)) {
+    return res.status(400).json({ error: "Invalid campaignId" });
+  }
+  next();
+});
+
+// Cast up front so the filter also works in aggregation pipelines
+const getCampaignFilter = (req) =>
+  req.query.campaignId
+    ? { campaignId: new mongoose.Types.ObjectId(req.query.campaignId) }
+    : {};
+
 // Get reports with role-based filtering - Updated to use DialList
 router.get("/reports", async (req, res) => {
   try {
@@ -24,6 +122,10 @@ router.get("/reports", async (req, res) => {
         path: "uploadedBy",
         select: "username role",
       },
+      {
+        path: "contactId",
+        select: "firstName lastName email company",
+      },
     ];
 
     switch (role) {
@@ -66,16 +168,29 @@ router.get("/reports", async (req, res) => {
         return res.status(403).json({ error: "Invalid role" });
     }
 
-    const reports = await DialList.find(query)
-      .populate(populateOptions)
-      .sort({ completedAt: -1 })
-      .limit(1000); // Limit for performance
+    const [reports, catalog] = await Promise.all([
+      DialList.find({ ...query, ...getCampaignFilter(req) })
+        .populate(populateOptions)
+        .sort({ completedAt: -1 })
+        .limit(1000), // Limit for performance
+      getDispositionCatalog(organizationId),
+    ]);
+    const dispositionsByCode = new Map(
+      catalog.map((disposition) => [disposition.code, disposition])
+    );
 
     // Transform DialList data to match expected report format
     const reportsWithUserInfo = reports.map((report) => ({
       _id: report._id,
       phoneNumber: report.phoneNumber,
+      contactId: report.contactId?._id || null,
+      contactName: report.contactId?.fullName || report.contactName || null,
+      contactCompany: report.contactId?.company || null,
       disposition: report.disposition,
+      dispositionCategory:
+        dispositionsByCode.get(report.disposition)?.category || null,
+      dispositionColor:
+        dispositionsByCode.get(report.disposition)?.color || null,
       comments: report.comments,
       notes: report.notes,
       createdAt: report.completedAt || report.createdAt,
@@ -85,6 +200,7 @@ router.get("/reports", async (req, res) => {
       uploadedByUser: report.uploadedBy?.username,
       attempts: report.attempts,
       lastDialedAt: report.lastDialedAt,
+      campaignId: report.campaignId,
     }));
 
     res.json(reportsWithUserInfo);
@@ -94,6 +210,180 @@ router.get("/reports", async (req, res) => {
   }
 });
 
+// Calls per disposition, grouped by the catalog's categories. Codes no
+// longer in the catalog are counted as "uncategorized". Optional from/to
+// (ISO dates) and campaignId.
+router.get("/reports/dispositions", async (req, res) => {
+  try {
+    const { role, id: userId, organizationId } = req.user;
+    const match = { organizationId, disposition: { $nin: [null, ""] } };
+
+    if (role === "admin") {
+      const adminAgents = await User.find({
+        createdBy: userId,
+        organizationId,
+        role: "agent",
+      }).select("_id");
+      match.userId = {
+        $in: [userId, ...adminAgents.map((agent) => agent._id)],
+      };
+    } else if (role === "agent") {
+      match.userId = userId;
+    } else if (role !== "owner") {
+      return res.status(403).json({ error: "Invalid role" });
+    }
+
+    const { from, to } = req.query;
+    if (from || to) {
+      match.startTime = {};
+      if (from && !isNaN(new Date(from))) match.startTime.$gte = new Date(from);
+      if (to && !isNaN(new Date(to))) match.startTime.$lte = new Date(to);
+    }
+    Object.assign(match, getCampaignFilter(req));
+
+    const [counts, catalog] = await Promise.all([
+      CallLog.aggregate([
+        { $match: match },
+        { $group: { _id: "$disposition", count: { $sum: 1 } } },
+      ]),
+      getDispositionCatalog(organizationId),
+    ]);
+
+    const categories = {};
+    ["success", "contact", "no_contact", "uncategorized"].forEach((key) => {
+      categories[key] = { count: 0, dispositions: [] };
+    });
+
+    counts.forEach(({ _id: code, count }) => {
+      const disposition = catalog.find((item) => item.code === code);
+      const category = categories[disposition?.category || "uncategorized"];
+      category.count += count;
+      category.dispositions.push({
+        code,
+        label: disposition?.label || code,
+        color: disposition?.color || null,
+        count,
+      });
+    });
+    Object.values(categories).forEach(({ dispositions }) =>
+      dispositions.sort((a, b) => b.count - a.count)
+    );
+
+    res.json({
+      total: counts.reduce((sum, { count }) => sum + count, 0),
+      categories,
+      campaignId: req.query.campaignId || null,
+    });
+  } catch (error) {
+    console.error("Error fetching disposition report:", error);
+    res.status(500).json({ error: "Failed to fetch disposition report" });
+  }
+});
+
+// QA scores per agent from scored call transcripts: average score, passed
+// and flagged calls, and the most frequent violations. Optional from/to
+// (ISO dates) and campaignId.
+router.get("/reports/qa", async (req, res) => {
+  try {
+    const { role, id: userId, organizationId } = req.user;
+    const match = { organizationId, "qa.score": { $ne: null } };
+
+    if (role === "admin") {
+      const adminAgents = await User.find({
+        createdBy: userId,
+        organizationId,
+        role: "agent",
+      }).select("_id");
+      match.userId = {
+        $in: [userId, ...adminAgents.map((agent) => agent._id)],
+      };
+    } else if (role === "agent") {
+      match.userId = userId;
+    } else if (role !== "owner") {
+      return res.status(403).json({ error: "Invalid role" });
+    }
+
+    const { from, to } = req.query;
+    if (from || to) {
+      match.startTime = {};
+      if (from && !isNaN(new Date(from))) match.startTime.$gte = new Date(from);
+      if (to && !isNaN(new Date(to))) match.startTime.$lte = new Date(to);
+    }
+    Object.assign(match, getCampaignFilter(req));
+
+    const [totals, violations] = await Promise.all([
+      CallLog.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$userId",
+            scoredCalls: { $sum: 1 },
+            averageScore: { $avg: "$qa.score" },
+            passedCalls: { $sum: { $cond: ["$qa.passed", 1, 0] } },
+            flaggedCalls: { $sum: { $cond: ["$qa.flagged", 1, 0] } },
+          },
+        },
+      ]),
+      CallLog.aggregate([
+        { $match: { ...match, "qa.flagged": true } },
+        { $unwind: "$qa.violations" },
+        {
+          $group: {
+            _id: {
+              userId: "$userId",
+              key: "$qa.violations.key",
+              type: "$qa.violations.type",
+            },
+            label: { $last: "$qa.violations.label" },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { count: -1 } },
+      ]),
+    ]);
+
+    const users = await User.find({
+      _id: { $in: totals.map((row) => row._id) },
+    }).select("username role");
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+    const agents = totals
+      .map((row) => {
+        const user = usersById.get(String(row._id));
+        return {
+          userId: row._id,
+          username: user?.username || "Unknown",
+          userRole: user?.role || "Unknown",
+          scoredCalls: row.scoredCalls,
+          averageScore: Math.round(row.averageScore * 10) / 10,
+          passedCalls: row.passedCalls,
+          flaggedCalls: row.flaggedCalls,
+          topViolations: violations
+            .filter(
+              (violation) => String(violation._id.userId) === String(row._id)
+            )
+            .slice(0, 5)
+            .map(({ _id, label, count }) => ({
+              key: _id.key,
+              label,
+              type: _id.type,
+              count,
+            })),
+        };
+      })
+      .sort((a, b) => a.averageScore - b.averageScore);
+
+    res.json({
+      scoredCalls: agents.reduce((sum, agent) => sum + agent.scoredCalls, 0),
+      agents,
+      campaignId: req.query.campaignId || null,
+    });
+  } catch (error) {
+    console.error("Error fetching QA report:", error);
+    res.status(500).json({ error: "Failed to fetch QA report" });
+  }
+});
+
 // Get call logs with duration
 router.get("/call-logs", async (req, res) => {
   try {
@@ -124,7 +414,7 @@ router.get("/call-logs", async (req, res) => {
         return res.status(403).json({ error: "Invalid role" });
     }
 
-    const callLogs = await CallLog.find(query)
+    const callLogs = await CallLog.find({ ...query, ...getCampaignFilter(req) })
       .populate("userId", "username role")
       .sort({ startTime: -1 })
       .limit(100); // Limit to recent 100 calls
@@ -133,11 +423,17 @@ router.get("/call-logs", async (req, res) => {
       _id: log._id,
       phoneNumber: log.phoneNumber,
       duration: log.duration || 0,
+      billedDuration: log.billedDuration,
+      durationMismatch: log.durationMismatch || false,
       disposition: log.disposition,
       startTime: log.startTime,
       endTime: log.endTime,
       type: log.type,
       notes: log.notes,
+      scriptAnswers: log.scriptAnswers,
+      campaignId: log.campaignId,
+      qaScore: log.qa?.score ?? null,
+      qaFlagged: log.qa?.flagged || false,
       username: log.userId?.username || "Unknown",
       userRole: log.userId?.role || "Unknown",
       createdAt: log.createdAt || log.startTime,
@@ -175,7 +471,7 @@ router.get("/users", async (req, res) => {
     }
 
     const users = await User.find(query)
-      .select("username role createdAt createdBy isActive")
+      .select("username role createdAt createdBy isActive skills capacity")
       .populate("createdBy", "username role")
       .sort({ createdAt: -1 });
 
@@ -238,46 +534,16 @@ router.get("/stats", async (req, res) => {
         break;
     }
 
-    // Pakistani time zone offset (UTC+5)
-    const now = new Date();
-    const pakistaniTime = new Date(now.getTime() + 5 * 60 * 60 * 1000);
-
-    // Day starts at 6:00 PM and ends at 4:00 AM next day
-    let dayStart, dayEnd;
-
-    if (pakistaniTime.getHours() >= 18) {
-      // If it's after 6 PM, day starts today at 6 PM
-      dayStart = new Date(pakistaniTime);
-      dayStart.setHours(18, 0, 0, 0);
-
-      dayEnd = new Date(dayStart);
-      dayEnd.setDate(dayEnd.getDate() + 1);
-      dayEnd.setHours(4, 0, 0, 0);
-    } else if (pakistaniTime.getHours() < 4) {
-      // If it's before 4 AM, day started yesterday at 6 PM
-      dayStart = new Date(pakistaniTime);
-      dayStart.setDate(dayStart.getDate() - 1);
-      dayStart.setHours(18, 0, 0, 0);
-
-      dayEnd = new Date(pakistaniTime);
-      dayEnd.setHours(4, 0, 0, 0);
-    } else {
-      // If it's between 4 AM and 6 PM, no active "day" - use regular day
-      dayStart = new Date(pakistaniTime);
-      dayStart.setHours(0, 0, 0, 0);
-      dayEnd = new Date(dayStart);
-      dayEnd.setDate(dayEnd.getDate() + 1);
-    }
+    Object.assign(query, getCampaignFilter(req));
 
-    // Convert back to UTC for database query
-    const utcDayStart = new Date(dayStart.getTime() - 5 * 60 * 60 * 1000);
-    const utcDayEnd = new Date(dayEnd.getTime() - 5 * 60 * 60 * 1000);
+    // Current business day from the organization's timezone and shifts
+    const businessDay = await getOrganizationBusinessDay(organizationId);
 
     const [totalCallsToday, totalCalls, activeSessions, totalUsers] =
       await Promise.all([
         CallLog.countDocuments({
           ...query,
-          startTime: { $gte: utcDayStart, $lt: utcDayEnd },
+          startTime: { $gte: businessDay.start, $lt: businessDay.end },
         }),
         CallLog.countDocuments(query),
         CallLog.countDocuments({
@@ -310,6 +576,13 @@ router.get("/stats", async (req, res) => {
       activeSessions,
       totalUsers,
       userRole: role,
+      campaignId: req.query.campaignId || null,
+      businessDay: {
+        date: businessDay.date,
+        start: businessDay.start,
+        end: businessDay.end,
+        timezone: businessDay.timezone,
+      },
       ...additionalStats,
     });
   } catch (error) {
@@ -463,6 +736,71 @@ router.patch("/users/:id/toggle-status", auth, async (req, res) => {
   }
 });
 
+// Set an agent's skill tags and capacity for number distribution
+router.patch("/users/:id/distribution", auth, async (req, res) => {
+  try {
+    const { role, id: userId, organizationId } = req.user;
+    const { skills, capacity } = req.body;
+
+    if (role === "agent") {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    if (
+      skills !== undefined &&
+      (!Array.isArray(skills) ||
+        skills.some((skill) => typeof skill !== "string"))
+    ) {
+      return res
+        .status(400)
+        .json({ error: "Skills must be an array of strings" });
+    }
+    if (
+      capacity !== undefined &&
+      !(Number.isFinite(capacity) && capacity >= 0)
+    ) {
+      return res.status(400).json({ error: "Capacity must be zero or more" });
+    }
+
+    const targetUser = mongoose.isValidObjectId(req.params.id)
+      ? await User.findOne({ _id: req.params.id, organizationId })
+      : null;
+    if (!targetUser) {
+      return res
+        .status(404)
+        .json({ error: "User not found in your organization" });
+    }
+
+    // Admins can only manage agents they created and themselves
+    if (
+      role === "admin" &&
+      targetUser.createdBy?.toString() !== userId.toString() &&
+      targetUser._id.toString() !== userId.toString()
+    ) {
+      return res
+        .status(403)
+        .json({ error: "You can only manage agents you created" });
+    }
+
+    if (skills !== undefined) targetUser.skills = skills;
+    if (capacity !== undefined) targetUser.capacity = capacity;
+    await targetUser.save();
+
+    res.json({
+      success: true,
+      user: {
+        id: targetUser._id,
+        username: targetUser.username,
+        skills: targetUser.skills,
+        capacity: targetUser.capacity,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating user distribution settings:", error);
+    res.status(500).json({ error: "Failed to update user" });
+  }
+});
+
 // Export CSV reports (no changes needed - already works correctly)
 router.get("/export-csv", async (req, res) => {
   try {
@@ -493,7 +831,7 @@ router.get("/export-csv", async (req, res) => {
         return res.status(403).json({ error: "Invalid role" });
     }
 
-    const reports = await CallLog.find(query)
+    const reports = await CallLog.find({ ...query, ...getCampaignFilter(req) })
       .populate("userId", "username role")
       .sort({ startTime: -1 });
 
@@ -540,6 +878,171 @@ router.get("/export-csv", async (req, res) => {
   }
 });
 
+// Multipart forms send lists and objects as JSON strings; lists may also be
+// comma-separated
+const parseFormField = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+};
+
+// ID of a user as sent in a request; numbers and objects are not IDs
+const isUserId = (value) =>
+  (typeof value === "string" || value instanceof mongoose.Types.ObjectId) &&
+  mongoose.isValidObjectId(value);
+
+// Where numbers go: a distribution over agents (admins may only pick agents
+// they created or themselves) and an optional campaign whose agent list, if
+// any, limits assignment. Options: strategy (default "single" with
+// assignToUserId), agentIds, skill and weights { agentId: weight }; the pool
+// strategy also takes poolType ("agents", "campaign" or "team") and teamId.
+// Returns { campaign, distribution, assignToUser } or { status, error }.
+const resolveUploadTarget = async (req, { campaignId, ...options }) => {
+  const { role, id: userId, organizationId } = req.user;
+  const strategy = options.strategy || "single";
+  const poolType = (strategy === "pool" && options.poolType) || "agents";
+  const sharedPool = strategy === "pool" && poolType !== "agents";
+  const requestedAgentIds = sharedPool
+    ? []
+    : strategy === "single" && options.assignToUserId
+    ? [options.assignToUserId]
+    : [].concat(parseFormField(options.agentIds) || []);
+  if (requestedAgentIds.some((agentId) => !isUserId(agentId))) {
+    return {
+      status: 400,
+      error:
+        strategy === "single"
+          ? "Invalid user to assign numbers to"
+          : "agentIds must be a list of user IDs",
+    };
+  }
+  const agentIds = [
+    ...new Set(requestedAgentIds.map((agentId) => agentId.toString())),
+  ];
+  const weights = parseFormField(options.weights) || {};
+
+  const validationError = validateDistribution({
+    strategy,
+    agentIds,
+    weights,
+    poolType,
+    teamId: options.teamId,
+  });
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+  if (poolType === "campaign" && !campaignId) {
+    return {
+      status: 400,
+      error: "A campaign pool needs the campaign to upload to",
+    };
+  }
+
+  let team = null;
+  if (poolType === "team") {
+    team = mongoose.isValidObjectId(options.teamId)
+      ? await Team.findOne({ _id: options.teamId, organizationId })
+      : null;
+    if (!team) {
+      return { status: 404, error: "Team not found" };
+    }
+    if (
+      role === "admin" &&
+      team.createdBy.toString() !== userId.toString() &&
+      !team.members.some((member) => member.toString() === userId.toString())
+    ) {
+      return {
+        status: 403,
+        error: "You can only pool numbers for teams you created or belong to",
+      };
+    }
+  }
+
+  // Verify the users exist and are accessible
+  const agents = await User.find({
+    _id: { $in: agentIds },
+    organizationId,
+  }).select("username role createdBy skills capacity");
+  if (agents.length !== agentIds.length) {
+    return {
+      status: 404,
+      error:
+        strategy === "single"
+          ? "User to assign numbers to not found"
+          : "Some agents to distribute numbers to were not found",
+    };
+  }
+
+  // Check permissions for assignment
+  if (
+    role === "admin" &&
+    agents.some(
+      (agent) =>
+        agent.createdBy?.toString() !== userId.toString() &&
+        agent._id.toString() !== userId.toString()
+    )
+  ) {
+    return {
+      status: 403,
+      error: "You can only assign numbers to agents you created or yourself",
+    };
+  }
+
+  let campaign = null;
+  if (campaignId) {
+    campaign = mongoose.isValidObjectId(campaignId)
+      ? await Campaign.findOne({ _id: campaignId, organizationId })
+      : null;
+    if (!campaign) {
+      return { status: 404, error: "Campaign not found" };
+    }
+    if (["completed", "archived"].includes(campaign.status)) {
+      return {
+        status: 400,
+        error: `Cannot upload to a ${campaign.status} campaign`,
+      };
+    }
+    if (
+      campaign.assignedAgents.length > 0 &&
+      agents.some(
+        (agent) =>
+          !campaign.assignedAgents.some(
+            (agentId) => agentId.toString() === agent._id.toString()
+          )
+      )
+    ) {
+      return { status: 400, error: "User is not assigned to this campaign" };
+    }
+  }
+
+  return {
+    campaign,
+    distribution: {
+      strategy,
+      agents,
+      skill: normalizeSkill(options.skill),
+      weights,
+      poolType,
+      teamId: team?._id || null,
+    },
+    assignToUser: strategy === "single" ? agents[0] : null,
+  };
+};
+
+// Per-agent totals for an upload or re-balance response
+const countAssignment = (totals, assignment) => {
+  const key = assignment.assignedTo
+    ? assignment.assignedTo.toString()
+    : `pool:${assignment.pool}`;
+  totals[key] = (totals[key] || 0) + 1;
+};
+
 // Upload numbers file (owner/admin can upload and assign to agents)
 router.post("/upload-numbers", auth, async (req, res) => {
   try {
@@ -552,56 +1055,70 @@ router.post("/upload-numbers", auth, async (req, res) => {
         .json({ error: "Only owners and admins can upload number files" });
     }
 
-    const { numbers, fileName, assignToUserId } = req.body;
+    const { numbers, fileName } = req.body;
 
     if (!numbers || !Array.isArray(numbers)) {
       return res.status(400).json({ error: "Invalid numbers data" });
     }
 
-    if (!assignToUserId) {
-      return res
-        .status(400)
-        .json({ error: "Please specify which user to assign numbers to" });
-    }
-
-    // Verify the user exists and is accessible
-    const assignToUser = await User.findById(assignToUserId);
-    if (!assignToUser) {
-      return res
-        .status(404)
-        .json({ error: "User to assign numbers to not found" });
-    }
-
-    // Check permissions for assignment
-    if (
-      role === "admin" &&
-      assignToUser.createdBy.toString() !== userId.toString() &&
-      assignToUser._id.toString() !== userId.toString()
-    ) {
-      return res.status(403).json({
-        error: "You can only assign numbers to agents you created or yourself",
-      });
+    const target = await resolveUploadTarget(req, req.body);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
     }
+    const { campaign, distribution } = target;
+    const assign = createAssigner(distribution);
 
     const results = {
       uploaded: 0,
       duplicates: 0,
+      suppressed: 0,
       errors: [],
+      assignments: {}, // Numbers per agent id ("pool:<type>" for shared pools)
     };
 
-    for (const number of numbers) {
+    // Numbers on the organization or platform DNC list are never uploaded
+    const dncEntries = await findDncEntries(req.user.organizationId, numbers);
+
+    for (const rawNumber of numbers) {
+      // New numbers are stored in E.164 so they compare with the DNC list
+      const number = toStoredPhoneNumber(rawNumber);
       try {
-        // Check if number already exists in the same organization
+        if (!number) throw new Error("Invalid phone number");
+
+        // Check if number already exists in the same organization, in
+        // whichever form it was saved
         const existingNumber = await DialList.findOne({
-          phoneNumber: number,
+          phoneNumber: { $in: getPhoneNumberVariants(number) },
           organizationId: req.user.organizationId, // FIXED: Add organizationId filter
         });
 
+        const dncEntry = dncEntries.get(number);
+        if (dncEntry || existingNumber?.disposition === "DNC") {
+          await recordSuppression({
+            organizationId: req.user.organizationId,
+            phoneNumber: number,
+            action: "upload_suppressed",
+            dncEntryId: dncEntry?._id,
+            dialListId: existingNumber?._id,
+            userId,
+            details: dncEntry ? null : "Previously dispositioned DNC",
+          });
+          results.suppressed++;
+          continue;
+        }
+
+        const assignment = assign();
+        if (!assignment) {
+          results.errors.push(`No eligible agent for number ${number}`);
+          continue;
+        }
+        countAssignment(results.assignments, assignment);
+
         if (existingNumber) {
           // Reset calling status while preserving disposition and comments
           await DialList.updateOne(
             {
-              phoneNumber: number,
+              _id: existingNumber._id,
               organizationId: req.user.organizationId, // FIXED: Add organizationId filter
             },
             {
@@ -609,8 +1126,15 @@ router.post("/upload-numbers", auth, async (req, res) => {
                 dialingStatus: "pending",
                 attempts: 0,
                 currentlyDialingBy: null,
-                assignedTo: assignToUserId,
+                ...assignment,
+                skill: distribution.skill,
                 uploadedBy: userId,
+                campaignId: campaign?._id || null,
+                timezone: getCalleeTimezone(number),
+                outcomeAttempts: { busy: 0, no_answer: 0, failed: 0 },
+                nextEligibleAt: null,
+                callbackAt: null,
+                callbackOwner: null,
               },
               $unset: {
                 lastDialedAt: "",
@@ -627,20 +1151,23 @@ router.post("/upload-numbers", auth, async (req, res) => {
           phoneNumber: number,
           organizationId: req.user.organizationId, // FIXED: Add organizationId
           uploadedBy: userId,
-          assignedTo: assignToUserId,
+          ...assignment,
+          skill: distribution.skill,
+          campaignId: campaign?._id || null,
+          timezone: getCalleeTimezone(number),
           dialingStatus: "pending",
         });
 
         await dialListEntry.save();
         results.uploaded++;
       } catch (error) {
-        results.errors.push(`Error with number ${number}: ${error.message}`);
+        results.errors.push(`Error with number ${rawNumber}: ${error.message}`);
       }
     }
 
     res.json({
       success: true,
-      message: `Successfully uploaded ${results.uploaded} new numbers, ${results.duplicates} existing numbers reset for re-dialing`,
+      message: `Successfully uploaded ${results.uploaded} new numbers, ${results.duplicates} existing numbers reset for re-dialing, ${results.suppressed} DNC numbers skipped`,
       results,
     });
   } catch (error) {
@@ -649,6 +1176,151 @@ router.post("/upload-numbers", auth, async (req, res) => {
   }
 });
 
+// Import a CSV/XLSX file of contacts (owner/admin). Multipart fields:
+// file, campaignId, defaultCountry, the distribution (assignToUserId, or
+// strategy with agentIds, skill and weights) and an optional JSON mapping
+// { phone, name, firstName, lastName, email, company, address, skill,
+// customFields } of column headers.
+// Runs in the background; poll /imports/:id for progress.
+router.post(
+  "/import-numbers",
+  auth,
+  importUpload.single("file"),
+  async (req, res) => {
+    const removeUpload = () => req.file && fs.unlink(req.file.path, () => {});
+
+    try {
+      const { role, id: userId, organizationId } = req.user;
+
+      // Only owners and admins can upload numbers
+      if (role === "agent") {
+        removeUpload();
+        return res
+          .status(403)
+          .json({ error: "Only owners and admins can upload number files" });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded" });
+      }
+
+      const defaultCountry = (req.body.defaultCountry || "US").toUpperCase();
+
+      if (!COUNTRY_CALLING_CODES[defaultCountry]) {
+        removeUpload();
+        return res
+          .status(400)
+          .json({ error: `Unsupported defaultCountry: ${defaultCountry}` });
+      }
+
+      let requestedMapping = null;
+      if (req.body.mapping) {
+        try {
+          requestedMapping = JSON.parse(req.body.mapping);
+        } catch (error) {
+          removeUpload();
+          return res.status(400).json({ error: "mapping must be valid JSON" });
+        }
+      }
+
+      const target = await resolveUploadTarget(req, req.body);
+      if (target.error) {
+        removeUpload();
+        return res.status(target.status).json({ error: target.error });
+      }
+      const { distribution } = target;
+
+      const job = await new ImportJob({
+        organizationId,
+        uploadedBy: userId,
+        assignedTo: target.assignToUser?._id || null,
+        distribution: {
+          strategy: distribution.strategy,
+          agents: distribution.agents.map((agent) => agent._id),
+          skill: distribution.skill,
+          poolType: distribution.poolType,
+          teamId: distribution.teamId,
+        },
+        campaignId: target.campaign?._id || null,
+        fileName: req.file.originalname,
+        fileType: getFileType(req.file.originalname),
+        defaultCountry,
+      }).save();
+
+      runImport({
+        jobId: job._id,
+        filePath: req.file.path,
+        requestedMapping,
+        organizationId,
+        userId,
+        distribution,
+        campaignId: target.campaign?._id || null,
+      }).catch((error) => console.error("Import worker error:", error));
+
+      res.status(202).json({
+        success: true,
+        message: "Import started",
+        jobId: job._id,
+      });
+    } catch (error) {
+      removeUpload();
+      console.error("Error starting import:", error);
+      res.status(500).json({ error: "Failed to start import" });
+    }
+  }
+);
+
+// Import job progress and totals
+router.get("/imports/:id", auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Import not found" });
+    }
+
+    const job = await ImportJob.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId,
+    }).select("-issues");
+
+    if (!job) {
+      return res.status(404).json({ error: "Import not found" });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error("Error fetching import:", error);
+    res.status(500).json({ error: "Failed to fetch import" });
+  }
+});
+
+// Download the per-row report of rejected, duplicate and suppressed rows
+router.get("/imports/:id/report", auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Import not found" });
+    }
+
+    const job = await ImportJob.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId,
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: "Import not found" });
+    }
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="import_report_${job._id}.csv"`
+    );
+    res.send(buildIssueReport(job));
+  } catch (error) {
+    console.error("Error exporting import report:", error);
+    res.status(500).json({ error: "Failed to export import report" });
+  }
+});
+
 // Get available agents for number assignment - organization-specific
 router.get("/available-agents", auth, async (req, res) => {
   try {
@@ -674,7 +1346,9 @@ router.get("/available-agents", auth, async (req, res) => {
       return res.status(403).json({ error: "Insufficient permissions" });
     }
 
-    const users = await User.find(query).select("_id username role createdBy");
+    const users = await User.find(query).select(
+      "_id username role createdBy skills capacity"
+    );
     res.json(users);
   } catch (error) {
     console.error("Error fetching available agents:", error);
@@ -710,10 +1384,15 @@ router.get("/my-numbers", auth, async (req, res) => {
       );
     }
 
+    const memberships = await getPoolMemberships({
+      organizationId: req.user.organizationId,
+      userId,
+    });
     const numbers = await DialList.find({
-      assignedTo: userId,
+      $or: buildMembershipClauses(userId, memberships), // Own or shared pool
       organizationId: req.user.organizationId, // FIXED: Add organizationId filter
       dialingStatus: { $in: ["pending", "failed", "no_answer", "busy"] }, // Only get numbers that can be dialed
+      ...getCampaignFilter(req),
     })
       .sort({ priority: -1, createdAt: 1 }) // Higher priority first, then oldest first
       .limit(1000); // Limit for performance
@@ -732,18 +1411,32 @@ router.get("/my-numbers", auth, async (req, res) => {
 router.post("/get-next-number", auth, async (req, res) => {
   try {
     const userId = req.user.id; // FIXED: Use req.user.id instead of destructuring _id
+    const { campaignId } = req.body;
 
     console.log("=== GET NEXT NUMBER DEBUG ===");
     console.log("User ID:", userId);
     console.log("Organization ID:", req.user.organizationId);
+    console.log("Campaign ID:", campaignId || "any");
 
     // First, let's see what numbers are available for this user
-    const availableNumbers = await DialList.find({
-      assignedTo: userId,
-      organizationId: req.user.organizationId,
-      dialingStatus: { $in: ["pending", "failed", "no_answer", "busy"] },
-      currentlyDialingBy: null,
-    }).limit(5);
+    const [campaignClauses, memberships] = await Promise.all([
+      buildCampaignClauses({
+        organizationId: req.user.organizationId,
+        campaignId,
+      }),
+      getPoolMemberships({ organizationId: req.user.organizationId, userId }),
+    ]);
+    const availableNumbers =
+      campaignClauses.length > 0
+        ? await DialList.find(
+            buildLeaseFilter({
+              organizationId: req.user.organizationId,
+              assignedTo: userId,
+              memberships,
+              campaignClauses,
+            })
+          ).limit(5)
+        : [];
 
     console.log("Available numbers for user:", availableNumbers.length);
     console.log(
@@ -756,26 +1449,12 @@ router.post("/get-next-number", auth, async (req, res) => {
       }))
     );
 
-    // Find the next available number - prioritize never-attempted, then retry failed ones
-    const nextNumber = await DialList.findOneAndUpdate(
-      {
-        assignedTo: userId,
-        organizationId: req.user.organizationId,
-        dialingStatus: { $in: ["pending", "failed", "no_answer", "busy"] }, // FIXED: Allow retries
-        currentlyDialingBy: null, // Not currently being dialed by someone else
-        attempts: { $lt: 3 }, // FIXED: Allow up to 3 attempts instead of only 0
-      },
-      {
-        dialingStatus: "dialing",
-        currentlyDialingBy: userId,
-        lastDialedAt: new Date(),
-        $inc: { attempts: 1 },
-      },
-      {
-        new: true,
-        sort: { attempts: 1, priority: -1, createdAt: 1 }, // FIXED: Never-attempted first, then priority, then oldest
-      }
-    );
+    // Lock the next available number - never-attempted first, then retries
+    const nextNumber = await leaseNextNumber({
+      organizationId: req.user.organizationId,
+      userId,
+      campaignId,
+    });
 
     console.log(
       "Next number found:",
@@ -806,9 +1485,18 @@ router.post("/get-next-number", auth, async (req, res) => {
       userId
     );
 
+    // Campaign settings the dialer needs for this call
+    const campaign = nextNumber.campaignId
+      ? await Campaign.findById(nextNumber.campaignId).select(
+          "name callerId dispositions"
+        )
+      : null;
+
     res.json({
       success: true,
       number: nextNumber,
+      campaign,
+      leaseTtlSeconds: LEASE_TTL_SECONDS, // Renew via /renew-number-lock before it runs out
       hasMore: true,
     });
   } catch (error) {
@@ -821,7 +1509,15 @@ router.post("/get-next-number", auth, async (req, res) => {
 router.post("/update-number-status", auth, async (req, res) => {
   try {
     const userId = req.user.id; // FIXED: Use req.user.id instead of destructuring _id
-    const { numberId, status, disposition, notes, comments } = req.body;
+    const {
+      numberId,
+      status,
+      disposition,
+      notes,
+      comments,
+      callbackAt,
+      keepOwnership,
+    } = req.body;
 
     if (!numberId || !status) {
       return res
@@ -829,33 +1525,56 @@ router.post("/update-number-status", auth, async (req, res) => {
         .json({ error: "Number ID and status are required" });
     }
 
-    const updateData = {
-      dialingStatus: "completed", // Always mark as completed regardless of disposition
-      currentlyDialingBy: null, // Release the lock
-      completedAt: new Date(),
-    };
-
-    if (disposition) {
-      updateData.disposition = disposition;
+    // The catalog decides whether the number is closed, retried or called
+    // back at callbackAt
+    const number = disposition
+      ? await DialList.findOne({
+          _id: numberId,
+          organizationId: req.user.organizationId,
+        }).select("campaignId")
+      : null;
+    const resolved = await resolveDisposition({
+      organizationId: req.user.organizationId,
+      campaignId: number?.campaignId,
+      code: disposition,
+      callbackAt,
+    });
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
     }
 
-    if (notes) {
-      updateData.notes = notes;
-    }
+    const lockFilter = {
+      organizationId: req.user.organizationId, // FIXED: Add organizationId filter
+      currentlyDialingBy: userId, // Ensure only the user who locked it can update
+    };
 
-    if (comments) {
-      updateData.comments = comments;
-    }
+    let updatedNumber;
+    if (!disposition && RETRYABLE_OUTCOMES.includes(status)) {
+      // Busy/no answer/failed: retry later per the organization's rules
+      updatedNumber = await recordDialOutcome({
+        entryId: numberId,
+        outcome: status,
+        filter: lockFilter,
+      });
+    } else {
+      const fields = {};
 
-    const updatedNumber = await DialList.findOneAndUpdate(
-      {
-        _id: numberId,
-        organizationId: req.user.organizationId, // FIXED: Add organizationId filter
-        currentlyDialingBy: userId, // Ensure only the user who locked it can update
-      },
-      updateData,
-      { new: true }
-    );
+      if (notes) {
+        fields.notes = notes;
+      }
+
+      if (comments) {
+        fields.comments = comments;
+      }
+
+      updatedNumber = await applyDisposition({
+        filter: { _id: numberId, ...lockFilter },
+        disposition: resolved.disposition,
+        callbackDate: resolved.callbackDate,
+        callbackOwner: keepOwnership ? userId : null,
+        fields,
+      });
+    }
 
     if (!updatedNumber) {
       return res
@@ -863,6 +1582,10 @@ router.post("/update-number-status", auth, async (req, res) => {
         .json({ error: "Number not found or not locked by you" });
     }
 
+    if (resolved.disposition?.addsToDnc) {
+      await addDispositionToDnc(req, updatedNumber.phoneNumber);
+    }
+
     res.json({
       success: true,
       message: "Number status updated successfully",
@@ -884,20 +1607,18 @@ router.post("/release-number-lock", auth, async (req, res) => {
       return res.status(400).json({ error: "Number ID is required" });
     }
 
-    const updatedNumber = await DialList.findOneAndUpdate(
-      {
+    // Reset to pending if it was in dialing state
+    const released = await releaseLocks({
+      filter: {
         _id: numberId,
         organizationId: req.user.organizationId, // FIXED: Add organizationId filter
         currentlyDialingBy: userId,
       },
-      {
-        dialingStatus: "pending", // Reset to pending if it was in dialing state
-        currentlyDialingBy: null,
-      },
-      { new: true }
-    );
+      reason: "agent",
+      releasedBy: userId,
+    });
 
-    if (!updatedNumber) {
+    if (!released) {
       return res
         .status(404)
         .json({ error: "Number not found or not locked by you" });
@@ -913,6 +1634,229 @@ router.post("/release-number-lock", auth, async (req, res) => {
   }
 });
 
+// Heartbeat: extend the caller's number lock(s) so the sweeper keeps away.
+// Clients call this about every leaseTtlSeconds / 3 (see /next-number) from
+// leasing a number until it is dispositioned or released, including wrap-up
+// after the call has ended.
+router.post("/renew-number-lock", auth, async (req, res) => {
+  try {
+    const { numberId } = req.body;
+
+    const { renewed, leaseExpiresAt } = await renewLeases({
+      organizationId: req.user.organizationId,
+      userId: req.user.id,
+      numberId,
+    });
+
+    if (numberId && !renewed) {
+      return res
+        .status(404)
+        .json({ error: "Number not found or not locked by you" });
+    }
+
+    res.json({ success: true, renewed, leaseExpiresAt });
+  } catch (error) {
+    console.error("Error renewing number lock:", error);
+    res.status(500).json({ error: "Failed to renew number lock" });
+  }
+});
+
+// Force-release every number an agent has locked (owner/admin)
+router.post("/release-agent-locks", auth, async (req, res) => {
+  try {
+    const { role, id: userId, organizationId } = req.user;
+    const { agentId } = req.body;
+
+    if (role === "agent") {
+      return res
+        .status(403)
+        .json({ error: "Only owners and admins can release agent locks" });
+    }
+
+    if (!agentId || !mongoose.isValidObjectId(agentId)) {
+      return res.status(400).json({ error: "Valid agentId is required" });
+    }
+
+    const agent = await User.findOne({ _id: agentId, organizationId });
+    if (!agent) {
+      return res.status(404).json({ error: "Agent not found" });
+    }
+
+    // Admins can only release their own agents and themselves
+    if (
+      role === "admin" &&
+      agent.createdBy?.toString() !== userId.toString() &&
+      agent._id.toString() !== userId.toString()
+    ) {
+      return res.status(403).json({
+        error: "You can only release locks for agents you created or yourself",
+      });
+    }
+
+    const released = await releaseLocks({
+      filter: { organizationId, currentlyDialingBy: agent._id },
+      reason: "supervisor",
+      releasedBy: userId,
+    });
+
+    console.log(
+      `${req.user.username} released ${released} lock(s) held by ${agent.username}`
+    );
+
+    res.json({
+      success: true,
+      message: `Released ${released} number lock(s) for ${agent.username}`,
+      released,
+    });
+  } catch (error) {
+    console.error("Error releasing agent locks:", error);
+    res.status(500).json({ error: "Failed to release agent locks" });
+  }
+});
+
+// Re-assign untouched pending numbers (never attempted, not locked, no
+// disposition) from one agent, the shared pool or a campaign using a
+// distribution strategy (owner/admin). Body: fromAgentId, fromPool or
+// campaignId to pick the numbers, plus strategy, agentIds, skill, weights,
+// poolType, teamId and an optional limit.
+router.post("/rebalance", auth, async (req, res) => {
+  try {
+    const { role, id: userId, organizationId } = req.user;
+    const { fromAgentId, fromPool, campaignId, limit } = req.body;
+
+    if (role === "agent") {
+      return res
+        .status(403)
+        .json({ error: "Only owners and admins can re-balance numbers" });
+    }
+
+    if (!fromAgentId && !fromPool && !campaignId) {
+      return res
+        .status(400)
+        .json({ error: "Specify fromAgentId, fromPool or campaignId" });
+    }
+
+    const target = await resolveUploadTarget(req, req.body);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+    const { campaign, distribution } = target;
+
+    // Only untouched numbers move; re-checked on write so numbers leased or
+    // dispositioned meanwhile are left alone
+    const untouched = {
+      dialingStatus: "pending",
+      attempts: 0,
+      currentlyDialingBy: null,
+      disposition: null,
+    };
+    const filter = { organizationId, ...untouched };
+    if (campaign) filter.campaignId = campaign._id;
+
+    // Admins can only move numbers of their own agents and themselves
+    const adminAgentIds =
+      role === "admin"
+        ? [
+            userId,
+            ...(
+              await User.find({
+                createdBy: userId,
+                organizationId,
+                role: "agent",
+              }).select("_id")
+            ).map((agent) => agent._id),
+          ]
+        : null;
+
+    if (fromAgentId) {
+      const fromAgent = mongoose.isValidObjectId(fromAgentId)
+        ? await User.findOne({ _id: fromAgentId, organizationId })
+        : null;
+      if (!fromAgent) {
+        return res.status(404).json({ error: "Agent not found" });
+      }
+      if (
+        adminAgentIds &&
+        !adminAgentIds.some((id) => id.toString() === fromAgent._id.toString())
+      ) {
+        return res.status(403).json({
+          error: "You can only move numbers of agents you created or yourself",
+        });
+      }
+      filter.assignedTo = fromAgent._id;
+      filter.pool = null;
+    } else if (fromPool) {
+      filter.pool = { $ne: null };
+    }
+    if (adminAgentIds && !fromAgentId) {
+      const adminTeamIds = await Team.distinct("_id", {
+        organizationId,
+        createdBy: userId,
+      });
+      filter.$or = [
+        { pool: "agents", poolAgents: { $in: adminAgentIds } },
+        { pool: "team", teamId: { $in: adminTeamIds } },
+      ];
+      if (!fromPool) {
+        filter.$or.push({ assignedTo: { $in: adminAgentIds }, pool: null });
+      }
+    }
+
+    const maxNumbers = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 0;
+    const assign = createAssigner(distribution);
+    const results = { moved: 0, skipped: 0, assignments: {} };
+
+    const cursor = DialList.find(filter)
+      .select("_id skill")
+      .sort({ priority: -1, createdAt: 1 })
+      .limit(maxNumbers)
+      .lean()
+      .cursor();
+
+    let operations = [];
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await DialList.bulkWrite(operations, { ordered: false });
+      results.moved += result.modifiedCount;
+      results.skipped += operations.length - result.modifiedCount;
+      operations = [];
+    };
+
+    for await (const entry of cursor) {
+      const assignment = assign(entry.skill);
+      if (!assignment) {
+        results.skipped++;
+        continue;
+      }
+      countAssignment(results.assignments, assignment);
+      operations.push({
+        updateOne: {
+          filter: { _id: entry._id, ...untouched },
+          update: { $set: { ...assignment, updatedAt: new Date() } },
+        },
+      });
+      if (operations.length >= 500) await flush();
+    }
+    await flush();
+
+    // bulkWrite skips model hooks, so nudge the realtime feed directly
+    scheduleDialListProgress(organizationId);
+
+    console.log(
+      `${req.user.username} re-balanced ${results.moved} number(s) using ${distribution.strategy}`
+    );
+
+    res.json({
+      success: true,
+      message: `Re-assigned ${results.moved} numbers`,
+      results,
+    });
+  } catch (error) {
+    console.error("Error re-balancing numbers:", error);
+    res.status(500).json({ error: "Failed to re-balance numbers" });
+  }
+});
+
 // Get dialing statistics for a user
 router.get("/dialing-stats", auth, async (req, res) => {
   try {
@@ -934,6 +1878,7 @@ router.get("/dialing-stats", auth, async (req, res) => {
         $match: {
           assignedTo: userId,
           organizationId: req.user.organizationId, // FIXED: Add organizationId filter
+          ...getCampaignFilter(req),
         },
       },
       {
@@ -980,6 +1925,8 @@ router.post("/log", auth, async (req, res) => {
       notes,
       duration,
       licenseAgentDuration,
+      callSid,
+      campaignId,
     } = req.body;
 
     // Use the authenticated user ID from the token, not from request body
@@ -993,6 +1940,33 @@ router.post("/log", auth, async (req, res) => {
     console.log("Full body:", req.body);
     console.log("========================");
 
+    // Dispositions logged with the call must be in the catalog
+    const dispositionEntry = await findDisposition(
+      req.user.organizationId,
+      disposition
+    );
+    if (disposition && !dispositionEntry) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown disposition: ${disposition}`,
+      });
+    }
+
+    // Calls can only be filed under the organization's own campaigns
+    if (campaignId) {
+      const campaign = mongoose.isValidObjectId(campaignId)
+        ? await Campaign.findOne({
+            _id: campaignId,
+            organizationId: req.user.organizationId,
+          }).select("_id")
+        : null;
+      if (!campaign) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Campaign not found" });
+      }
+    }
+
     if (auditAction === "start") {
       // Create new call log for call start
       const updateData = {
@@ -1004,40 +1978,54 @@ router.post("/log", auth, async (req, res) => {
         startTime: new Date(),
         status: status || "connecting",
       };
-
-      const callLog = new CallLog(updateData);
+      if (callSid) updateData.twilioCallSid = callSid;
+      if (campaignId) updateData.campaignId = campaignId;
+
+      // The carrier webhook may already have created this call's log
+      let callLog = callSid
+        ? await CallLog.findOne({
+            twilioCallSid: callSid,
+            organizationId: req.user.organizationId,
+          })
+        : null;
+
+      if (callLog) {
+        callLog.set({ ...updateData, status: callLog.status });
+      } else {
+        callLog = new CallLog(updateData);
+      }
       await callLog.save();
 
       console.log("Call log created for start:", callLog._id);
 
-      // Update user's totalCallsToday count
+      // Update user's totalCallsToday count, starting over on a new business day
       try {
-        // Pakistani time zone offset (UTC+5)
-        const now = new Date();
-        const pakistaniTime = new Date(now.getTime() + 5 * 60 * 60 * 1000);
-
-        // Check if this call is within current "day" (6 PM to 4 AM)
-        let isCurrentDay = false;
-
-        if (pakistaniTime.getHours() >= 18) {
-          // After 6 PM - current day
-          isCurrentDay = true;
-        } else if (pakistaniTime.getHours() < 4) {
-          // Before 4 AM - current day (started yesterday at 6 PM)
-          isCurrentDay = true;
-        }
+        const businessDay = await getOrganizationBusinessDay(
+          req.user.organizationId
+        );
+
+        const incremented = await UserStatus.updateOne(
+          {
+            userId,
+            organizationId: req.user.organizationId,
+            businessDate: businessDay.date,
+          },
+          { $inc: { totalCallsToday: 1 } }
+        );
 
-        if (isCurrentDay) {
+        if (incremented.matchedCount === 0) {
           await UserStatus.findOneAndUpdate(
             { userId, organizationId: req.user.organizationId },
             {
-              $inc: { totalCallsToday: 1 },
+              totalCallsToday: 1,
+              totalCallTimeToday: 0,
+              businessDate: businessDay.date,
               $setOnInsert: { organizationId: req.user.organizationId },
             },
             { upsert: true, new: true }
           );
-          console.log("Incremented totalCallsToday for user:", userId);
         }
+        console.log("Incremented totalCallsToday for user:", userId);
       } catch (error) {
         console.error("Error updating totalCallsToday:", error);
         // Don't fail the request if this update fails
@@ -1051,12 +2039,13 @@ router.post("/log", auth, async (req, res) => {
     } else if (auditAction === "end") {
       // Update existing call log for call end
       try {
-        // Find the most recent call log for this user and phone number that doesn't have an end time
-        const existingCallLog = await CallLog.findOne({
-          userId,
-          phoneNumber,
-          endTime: { $exists: false },
-        }).sort({ startTime: -1 });
+        // Prefer the Twilio call SID; otherwise find the most recent call log
+        // for this user and phone number that doesn't have an end time
+        const existingCallLog = await CallLog.findOne(
+          callSid
+            ? { userId, twilioCallSid: callSid }
+            : { userId, phoneNumber, endTime: { $exists: false } }
+        ).sort({ startTime: -1 });
 
         console.log(
           "Found existing call log for update:",
@@ -1064,9 +2053,10 @@ router.post("/log", auth, async (req, res) => {
         );
 
         if (existingCallLog) {
-          // Update the existing call log with end information
+          // Update the existing call log with end information, keeping the
+          // carrier's end time if the status webhook got here first
           const updateData = {
-            endTime: new Date(),
+            endTime: existingCallLog.endTime || new Date(),
             auditAction: "end",
             status: "ended",
           };
@@ -1081,11 +2071,12 @@ router.post("/log", auth, async (req, res) => {
 
           console.log("Updating call log with data:", updateData);
 
-          const updatedLog = await CallLog.findByIdAndUpdate(
-            existingCallLog._id,
-            updateData,
-            { new: true }
-          );
+          existingCallLog.set(updateData);
+          const updatedLog = await reconcileDurations(existingCallLog).save();
+
+          if (dispositionEntry?.addsToDnc) {
+            await addDispositionToDnc(req, phoneNumber, existingCallLog._id);
+          }
 
           console.log("Call log updated:", updatedLog);
 
@@ -1198,10 +2189,20 @@ router.post("/log", auth, async (req, res) => {
   }
 });
 
-// Add the disposition endpoint
+// Add the disposition endpoint (optionally with the call script's answers:
+// scriptAnswers { nodeId: value } and the scriptId they were given against).
+// Callbacks take callbackAt, and keepOwnership to keep the number.
 router.post("/disposition", auth, async (req, res) => {
   try {
-    const { callId, disposition, notes } = req.body;
+    const {
+      callId,
+      disposition,
+      notes,
+      callbackAt,
+      keepOwnership,
+      scriptId,
+      scriptAnswers,
+    } = req.body;
 
     console.log("=== DISPOSITION REQUEST ===");
     console.log("CallId:", callId);
@@ -1219,12 +2220,70 @@ router.post("/disposition", auth, async (req, res) => {
       });
     }
 
+    // Agents disposition their own calls only
+    const callFilter = {
+      _id: callId,
+      organizationId: req.user.organizationId,
+      userId: req.user.id,
+    };
+    const existingCallLog = mongoose.isValidObjectId(callId)
+      ? await CallLog.findOne(callFilter).select("campaignId")
+      : null;
+    if (!existingCallLog) {
+      console.log("ERROR: Call log not found for ID:", callId);
+      return res.status(404).json({
+        success: false,
+        error: "Call log not found",
+      });
+    }
+
+    // Validate against the organization's catalog (and the campaign's list)
+    const resolved = await resolveDisposition({
+      organizationId: req.user.organizationId,
+      campaignId: existingCallLog.campaignId,
+      code: disposition,
+      callbackAt,
+    });
+    if (resolved.error) {
+      return res.status(400).json({ success: false, error: resolved.error });
+    }
+
+    const scriptUpdate = {};
+    if (scriptAnswers) {
+      const script =
+        scriptId && mongoose.isValidObjectId(scriptId)
+          ? await CallScript.findOne({
+              _id: scriptId,
+              organizationId: req.user.organizationId,
+            })
+          : await resolveActiveScript({
+              organizationId: req.user.organizationId,
+              campaignId: existingCallLog.campaignId,
+            });
+      if (!script) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Call script not found" });
+      }
+
+      const parsed = parseScriptAnswers(script, scriptAnswers);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      Object.assign(scriptUpdate, {
+        scriptId: script._id,
+        scriptVersion: script.version,
+        scriptAnswers: parsed.answers,
+      });
+    }
+
     // First, update the call log
-    const callLog = await CallLog.findByIdAndUpdate(
-      callId,
+    const callLog = await CallLog.findOneAndUpdate(
+      callFilter,
       {
         disposition,
         notes,
+        ...scriptUpdate,
         auditAction: "Disposition Set",
       },
       { new: true }
@@ -1254,21 +2313,19 @@ router.post("/disposition", auth, async (req, res) => {
     });
     console.log("All dial list entries for this phone:", allEntriesForPhone);
 
-    const dialListUpdate = await DialList.findOneAndUpdate(
-      {
+    // Close out, retry or call back the number as the disposition says
+    const dialListUpdate = await applyDisposition({
+      filter: {
         phoneNumber: phoneNumber,
         assignedTo: req.user.id, // Only update if assigned to current user
         organizationId: req.user.organizationId, // FIXED: Add organizationId filter
+        ...(callLog.campaignId && { campaignId: callLog.campaignId }),
       },
-      {
-        disposition: disposition,
-        notes: notes,
-        dialingStatus: "completed", // Mark as completed
-        completedAt: new Date(),
-        currentlyDialingBy: null, // Clear the currently dialing flag
-      },
-      { new: true }
-    );
+      disposition: resolved.disposition,
+      callbackDate: resolved.callbackDate,
+      callbackOwner: keepOwnership ? req.user.id : null,
+      fields: { notes },
+    });
 
     console.log("DialList update result:", dialListUpdate);
 
@@ -1281,6 +2338,10 @@ router.post("/disposition", auth, async (req, res) => {
       );
     }
 
+    if (resolved.disposition?.addsToDnc) {
+      await addDispositionToDnc(req, phoneNumber, callLog._id);
+    }
+
     console.log("Disposition saved successfully for call:", callId);
     res.json({
       success: true,
@@ -1297,6 +2358,265 @@ router.post("/disposition", auth, async (req, res) => {
   }
 });
 
+// ================== CALLBACK ROUTES ==================
+
+// Callbacks more than this many minutes late count as overdue
+const CALLBACK_GRACE_MINUTES = parseInt(
+  process.env.CALLBACK_GRACE_MINUTES || "15",
+  10
+);
+
+// Open callbacks the user may see: agents their own, admins their agents'
+// and their own, owners all. Returns { filter, userIds } (userIds is null
+// for owners).
+const getCallbackScope = async (req) => {
+  const { role, id: userId, organizationId } = req.user;
+  const filter = {
+    organizationId,
+    callbackAt: { $ne: null },
+    dialingStatus: { $ne: "completed" },
+  };
+  if (role === "owner") return { filter, userIds: null };
+
+  const userIds = [userId];
+  if (role === "admin") {
+    const agents = await User.find({
+      createdBy: userId,
+      organizationId,
+      role: "agent",
+    }).select("_id");
+    userIds.push(...agents.map((agent) => agent._id));
+  }
+
+  filter.$or = [
+    { callbackOwner: { $in: userIds } },
+    { callbackOwner: null, assignedTo: { $in: userIds } },
+  ];
+  return { filter, userIds };
+};
+
+// List callbacks. status: "due" (default; at or past their time, overdue
+// included), "overdue", "upcoming" or "all". Owners and admins may pass
+// agentId.
+router.get("/callbacks", auth, async (req, res) => {
+  try {
+    const { status = "due", agentId, page = 1, limit = 50 } = req.query;
+    const now = new Date();
+    const overdueBefore = new Date(
+      now.getTime() - CALLBACK_GRACE_MINUTES * 60 * 1000
+    );
+
+    const windows = {
+      due: { $ne: null, $lte: now },
+      overdue: { $ne: null, $lte: overdueBefore },
+      upcoming: { $gt: now },
+      all: { $ne: null },
+    };
+    if (!windows[status]) {
+      return res.status(400).json({
+        error: `Invalid status: ${status}. Use due, overdue, upcoming or all`,
+      });
+    }
+
+    const { filter } = await getCallbackScope(req);
+    if (agentId && req.user.role !== "agent") {
+      if (!mongoose.isValidObjectId(agentId)) {
+        return res.status(400).json({ error: "Invalid agentId" });
+      }
+      filter.$and = [
+        {
+          $or: [
+            { callbackOwner: agentId },
+            { callbackOwner: null, assignedTo: agentId },
+          ],
+        },
+      ];
+    }
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+
+    const [callbacks, due, overdue, upcoming] = await Promise.all([
+      DialList.find({ ...filter, callbackAt: windows[status] })
+        .populate("contactId", "firstName lastName company")
+        .populate("campaignId", "name")
+        .populate("assignedTo", "username")
+        .populate("callbackOwner", "username")
+        .sort({ callbackAt: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      // Counted with the list windows, so due includes overdue callbacks
+      DialList.countDocuments({ ...filter, callbackAt: windows.due }),
+      DialList.countDocuments({ ...filter, callbackAt: windows.overdue }),
+      DialList.countDocuments({ ...filter, callbackAt: windows.upcoming }),
+    ]);
+
+    res.json({
+      callbacks: callbacks.map((entry) => ({
+        _id: entry._id,
+        phoneNumber: entry.phoneNumber,
+        callbackAt: entry.callbackAt,
+        overdue: entry.callbackAt <= overdueBefore,
+        inProgress: !!entry.currentlyDialingBy,
+        callbackOwner: entry.callbackOwner,
+        assignedTo: entry.assignedTo,
+        contactName: entry.contactId?.fullName || entry.contactName || null,
+        contactCompany: entry.contactId?.company || null,
+        campaign: entry.campaignId,
+        disposition: entry.disposition,
+        notes: entry.notes,
+      })),
+      counts: { due, overdue, upcoming },
+      page: pageNumber,
+      limit: pageSize,
+    });
+  } catch (error) {
+    console.error("Error fetching callbacks:", error);
+    res.status(500).json({ error: "Failed to fetch callbacks" });
+  }
+});
+
+// Move a callback to a new time. keepOwnership true keeps it with its agent,
+// false lets anyone it is assigned or pooled to take it.
+router.patch("/callbacks/:id", auth, async (req, res) => {
+  try {
+    const { callbackAt, keepOwnership } = req.body;
+
+    const callback = parseCallbackAt(callbackAt);
+    if (callback.error) {
+      return res.status(400).json({ error: callback.error });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Callback not found" });
+    }
+
+    const { filter } = await getCallbackScope(req);
+    const entry = await DialList.findOne({ ...filter, _id: req.params.id });
+    if (!entry) {
+      return res.status(404).json({ error: "Callback not found" });
+    }
+
+    const update = {
+      callbackAt: callback.date,
+      nextEligibleAt: callback.date,
+      callbackReminderSentAt: null,
+    };
+    if (keepOwnership !== undefined) {
+      update.callbackOwner = keepOwnership
+        ? entry.callbackOwner || entry.assignedTo
+        : null;
+    }
+
+    const updated = await DialList.findOneAndUpdate(
+      { _id: entry._id, currentlyDialingBy: null },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      return res
+        .status(409)
+        .json({ error: "Callback is being dialed right now" });
+    }
+
+    res.json({
+      success: true,
+      message: "Callback rescheduled successfully",
+      callback: updated,
+    });
+  } catch (error) {
+    console.error("Error rescheduling callback:", error);
+    res.status(500).json({ error: "Failed to reschedule callback" });
+  }
+});
+
+// Hand callbacks to another agent, e.g. when their owner is absent
+// (owner/admin). Body: toAgentId plus callbackIds or fromAgentId.
+router.post("/callbacks/reassign", auth, async (req, res) => {
+  try {
+    const { role, organizationId } = req.user;
+    const { toAgentId, fromAgentId, callbackIds } = req.body;
+
+    if (role === "agent") {
+      return res
+        .status(403)
+        .json({ error: "Only owners and admins can reassign callbacks" });
+    }
+    const byIds = Array.isArray(callbackIds) && callbackIds.length > 0;
+    if (!fromAgentId && !byIds) {
+      return res
+        .status(400)
+        .json({ error: "Specify callbackIds or fromAgentId" });
+    }
+    if (!byIds && !mongoose.isValidObjectId(fromAgentId)) {
+      return res.status(400).json({ error: "Invalid fromAgentId" });
+    }
+
+    const { filter, userIds } = await getCallbackScope(req);
+
+    const toAgent = mongoose.isValidObjectId(toAgentId)
+      ? await User.findOne({ _id: toAgentId, organizationId, isActive: true })
+      : null;
+    if (!toAgent) {
+      return res.status(404).json({ error: "Agent to reassign to not found" });
+    }
+    if (
+      userIds &&
+      !userIds.some((id) => id.toString() === toAgent._id.toString())
+    ) {
+      return res.status(403).json({
+        error:
+          "You can only reassign callbacks to agents you created or yourself",
+      });
+    }
+    if (
+      !byIds &&
+      userIds &&
+      !userIds.some((id) => id.toString() === fromAgentId.toString())
+    ) {
+      return res.status(403).json({
+        error:
+          "You can only reassign callbacks from agents you created or yourself",
+      });
+    }
+
+    const selection = byIds
+      ? {
+          _id: {
+            $in: callbackIds.filter((id) => mongoose.isValidObjectId(id)),
+          },
+        }
+      : {
+          $or: [
+            { callbackOwner: fromAgentId },
+            { callbackOwner: null, assignedTo: fromAgentId },
+          ],
+        };
+
+    // Numbers being dialed right now are left alone
+    const result = await DialList.updateMany(
+      { organizationId, $and: [filter, selection], currentlyDialingBy: null },
+      {
+        assignedTo: toAgent._id,
+        callbackOwner: toAgent._id,
+        callbackReminderSentAt: null,
+      }
+    );
+
+    console.log(
+      `${req.user.username} reassigned ${result.modifiedCount} callback(s) to ${toAgent.username}`
+    );
+
+    res.json({
+      success: true,
+      message: `Reassigned ${result.modifiedCount} callbacks`,
+      reassigned: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error reassigning callbacks:", error);
+    res.status(500).json({ error: "Failed to reassign callbacks" });
+  }
+});
+
 // ================== USER STATUS ROUTES ==================
 
 // Update user login status
@@ -1411,6 +2731,77 @@ router.post("/user-status/autodialer", auth, async (req, res) => {
   }
 });
 
+// Start server-side dialing for the current agent. The agent is dialed for
+// while ready; pause the auto dialer during wrap-up to hold new calls.
+router.post("/dialer/start", auth, async (req, res) => {
+  try {
+    const { id: userId, organizationId } = req.user;
+
+    const status = await UserStatus.findOneAndUpdate(
+      { userId, organizationId, isLoggedIn: true },
+      {
+        autoDialerStatus: "running",
+        dialerMode: "server",
+        deviceStatus: "ready",
+        lastActivity: new Date(),
+      },
+      { new: true }
+    );
+
+    if (!status) {
+      return res
+        .status(400)
+        .json({ error: "Log in to the dialer before starting auto dialing" });
+    }
+
+    res.json({ success: true, message: "Server dialer started" });
+  } catch (error) {
+    console.error("Error starting server dialer:", error);
+    res.status(500).json({ error: "Failed to start server dialer" });
+  }
+});
+
+// Stop server-side dialing for the current agent
+router.post("/dialer/stop", auth, async (req, res) => {
+  try {
+    const { id: userId, organizationId } = req.user;
+
+    await UserStatus.findOneAndUpdate(
+      { userId, organizationId },
+      {
+        autoDialerStatus: "stopped",
+        dialerMode: "client",
+        lastActivity: new Date(),
+      }
+    );
+
+    res.json({ success: true, message: "Server dialer stopped" });
+  } catch (error) {
+    console.error("Error stopping server dialer:", error);
+    res.status(500).json({ error: "Failed to stop server dialer" });
+  }
+});
+
+// Pacing status for the organization (owner/admin)
+router.get("/dialer/status", auth, async (req, res) => {
+  try {
+    const { role, organizationId } = req.user;
+
+    if (!["owner", "admin"].includes(role)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
+
+    const status = await getDialerEngine().getOrganizationStatus(
+      organizationId
+    );
+
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error("Error fetching dialer status:", error);
+    res.status(500).json({ error: "Failed to fetch dialer status" });
+  }
+});
+
 // Get real-time status of all users (for owner/admin)
 router.get("/user-status/all", auth, async (req, res) => {
   try {
@@ -1448,46 +2839,15 @@ router.get("/user-status/all", auth, async (req, res) => {
       organizationId: req.user.organizationId,
     }).populate("userId", "username role");
 
-    // Calculate Pakistani time zone day boundaries
-    const now = new Date();
-    const pakistaniTime = new Date(now.getTime() + 5 * 60 * 60 * 1000);
-
-    let dayStart, dayEnd;
-
-    if (pakistaniTime.getHours() >= 18) {
-      // If it's after 6 PM, day starts today at 6 PM
-      dayStart = new Date(pakistaniTime);
-      dayStart.setHours(18, 0, 0, 0);
-
-      dayEnd = new Date(dayStart);
-      dayEnd.setDate(dayEnd.getDate() + 1);
-      dayEnd.setHours(4, 0, 0, 0);
-    } else if (pakistaniTime.getHours() < 4) {
-      // If it's before 4 AM, day started yesterday at 6 PM
-      dayStart = new Date(pakistaniTime);
-      dayStart.setDate(dayStart.getDate() - 1);
-      dayStart.setHours(18, 0, 0, 0);
-
-      dayEnd = new Date(pakistaniTime);
-      dayEnd.setHours(4, 0, 0, 0);
-    } else {
-      // If it's between 4 AM and 6 PM, use regular day
-      dayStart = new Date(pakistaniTime);
-      dayStart.setHours(0, 0, 0, 0);
-      dayEnd = new Date(dayStart);
-      dayEnd.setDate(dayEnd.getDate() + 1);
-    }
-
-    // Convert back to UTC for database query
-    const utcDayStart = new Date(dayStart.getTime() - 5 * 60 * 60 * 1000);
-    const utcDayEnd = new Date(dayEnd.getTime() - 5 * 60 * 60 * 1000);
+    // Current business day from the organization's timezone and shifts
+    const businessDay = await getOrganizationBusinessDay(organizationId);
 
     // Get actual call counts from database for accuracy
     const userCallCounts = await Promise.all(
       users.map(async (user) => {
         const callsToday = await CallLog.countDocuments({
           userId: user._id,
-          startTime: { $gte: utcDayStart, $lt: utcDayEnd },
+          startTime: { $gte: businessDay.start, $lt: businessDay.end },
         });
         return { userId: user._id, callsToday };
       })
@@ -1516,11 +2876,18 @@ router.get("/user-status/all", auth, async (req, res) => {
         lastActivity: status?.lastActivity,
         lastLoginTime: status?.lastLoginTime,
         totalCallsToday: callCount?.callsToday || 0,
-        totalCallTimeToday: status?.totalCallTimeToday || 0,
+        totalCallTimeToday:
+          status?.businessDate === businessDay.date
+            ? status.totalCallTimeToday || 0
+            : 0,
       };
     });
 
-    res.json({ success: true, userStatuses: userStatusList });
+    res.json({
+      success: true,
+      userStatuses: userStatusList,
+      businessDate: businessDay.date,
+    });
   } catch (error) {
     console.error("Error fetching user statuses:", error);
     res.status(500).json({ error: "Failed to fetch user statuses" });
@@ -0,0 +1,178 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const DialList = require("../models/DialList");
+const Disposition = require("../models/Disposition");
+const {
+  getDispositionCatalog,
+  validateDispositionInput,
+} = require("../utils/dispositions");
+const router = express.Router();
+
+// Fields the owner may set on a catalog entry; the code is fixed once created
+const EDITABLE_FIELDS = [
+  "label",
+  "category",
+  "color",
+  "requiresCallbackDate",
+  "addsToDnc",
+  "final",
+  "retryDelayMinutes",
+  "sortOrder",
+  "isActive",
+];
+
+// Middleware to check if user is owner
+const ownerOnly = (req, res, next) => {
+  if (req.user.role !== "owner") {
+    return res.status(403).json({ error: "Access denied. Owner only." });
+  }
+  next();
+};
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// Catalog entry lookup scoped to the caller's organization
+const findEntry = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? Disposition.findOne({
+        _id: req.params.id,
+        organizationId: req.user.organizationId,
+      })
+    : null;
+
+// LIST CATALOG (active codes; owners and admins may add includeInactive=true)
+router.get("/", async (req, res) => {
+  try {
+    const catalog = await getDispositionCatalog(req.user.organizationId);
+    const includeInactive =
+      req.query.includeInactive === "true" &&
+      ["owner", "admin"].includes(req.user.role);
+
+    res.json(
+      includeInactive
+        ? catalog
+        : catalog.filter((disposition) => disposition.isActive)
+    );
+  } catch (error) {
+    console.error("Error fetching dispositions:", error);
+    res.status(500).json({ error: "Failed to fetch dispositions" });
+  }
+});
+
+// ADD DISPOSITION
+router.post("/", ownerOnly, async (req, res) => {
+  try {
+    const fields = {
+      ...pickEditableFields(req.body),
+      code: req.body.code,
+    };
+
+    if (!fields.code || !fields.category) {
+      return res
+        .status(400)
+        .json({ error: "Disposition code and category are required" });
+    }
+
+    const validationError = validateDispositionInput(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Seed the defaults first so a new code does not stand in for them
+    await getDispositionCatalog(req.user.organizationId);
+
+    const disposition = await new Disposition({
+      ...fields,
+      code: fields.code.trim(),
+      organizationId: req.user.organizationId,
+    }).save();
+
+    res.status(201).json({
+      message: "Disposition created successfully",
+      disposition,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A disposition with this code already exists" });
+    }
+    console.error("Error creating disposition:", error);
+    res.status(500).json({ error: "Failed to create disposition" });
+  }
+});
+
+// UPDATE DISPOSITION
+router.put("/:id", ownerOnly, async (req, res) => {
+  try {
+    const disposition = await findEntry(req);
+    if (!disposition) {
+      return res.status(404).json({ error: "Disposition not found" });
+    }
+    if (req.body.code !== undefined && req.body.code !== disposition.code) {
+      return res.status(400).json({
+        error: "Disposition codes cannot be renamed. Add a new code instead.",
+      });
+    }
+
+    const fields = pickEditableFields(req.body);
+    const validationError = validateDispositionInput({
+      ...fields,
+      addsToDnc: fields.addsToDnc ?? disposition.addsToDnc,
+      final: fields.final ?? disposition.final,
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    disposition.set(fields);
+    await disposition.save();
+
+    res.json({
+      message: "Disposition updated successfully",
+      disposition,
+    });
+  } catch (error) {
+    console.error("Error updating disposition:", error);
+    res.status(500).json({ error: "Failed to update disposition" });
+  }
+});
+
+// DELETE DISPOSITION (codes already used must be deactivated instead)
+router.delete("/:id", ownerOnly, async (req, res) => {
+  try {
+    const disposition = await findEntry(req);
+    if (!disposition) {
+      return res.status(404).json({ error: "Disposition not found" });
+    }
+
+    const filter = {
+      organizationId: disposition.organizationId,
+      disposition: disposition.code,
+    };
+    const [callCount, numberCount] = await Promise.all([
+      CallLog.countDocuments(filter),
+      DialList.countDocuments(filter),
+    ]);
+    if (callCount + numberCount > 0) {
+      return res.status(400).json({
+        error: "Disposition is in use. Deactivate it instead of deleting it.",
+        callCount,
+        numberCount,
+      });
+    }
+
+    await disposition.deleteOne();
+    res.json({ message: "Disposition deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting disposition:", error);
+    res.status(500).json({ error: "Failed to delete disposition" });
+  }
+});
+
+module.exports = router;
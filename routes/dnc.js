@@ -0,0 +1,297 @@
+const express = require("express");
+const multer = require("multer");
+const DncEntry = require("../models/DncEntry");
+const DncAuditLog = require("../models/DncAuditLog");
+const {
+  findDncEntry,
+  addToDnc,
+  removeFromDnc,
+  parseDncCsv,
+  importDncNumbers,
+} = require("../utils/dncRegistry");
+const {
+  normalizePhoneNumber,
+  getPhoneNumberVariants,
+} = require("../utils/phoneNumber");
+const router = express.Router();
+
+// DNC imports are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+});
+
+// Middleware to check if user is owner or admin
+const ownerOrAdmin = (req, res, next) => {
+  if (!["owner", "admin"].includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ error: "Access denied. Owner or Admin only." });
+  }
+  next();
+};
+
+// Middleware to check if user is platform admin
+const platformAdminOnly = (req, res, next) => {
+  if (req.user.role !== "platformadmin") {
+    return res
+      .status(403)
+      .json({ error: "Access denied. Platform Admin only." });
+  }
+  next();
+};
+
+// Import rows come from a CSV upload ("file") or a JSON "numbers" array of
+// strings or { phoneNumber, reason } objects
+const getImportRows = (req) => {
+  if (req.file) return parseDncCsv(req.file.buffer);
+
+  return (req.body.numbers || []).map((item) =>
+    typeof item === "string"
+      ? { phoneNumber: item, reason: req.body.reason || null }
+      : { phoneNumber: item.phoneNumber, reason: item.reason || null }
+  );
+};
+
+const listEntries = async (organizationId, query) => {
+  const { search, page = 1, limit = 50 } = query;
+  const filter = { organizationId };
+
+  if (search) {
+    const digits = normalizePhoneNumber(search).replace("+", "");
+    if (digits) filter.phoneNumber = { $regex: digits };
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+
+  const [entries, total] = await Promise.all([
+    DncEntry.find(filter)
+      .populate("addedBy", "username role")
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    DncEntry.countDocuments(filter),
+  ]);
+
+  return { entries, total, page: pageNumber, limit: pageSize };
+};
+
+// GET ORGANIZATION DNC LIST
+router.get("/", ownerOrAdmin, async (req, res) => {
+  try {
+    res.json(await listEntries(req.user.organizationId, req.query));
+  } catch (error) {
+    console.error("Error fetching DNC list:", error);
+    res.status(500).json({ error: "Failed to fetch DNC list" });
+  }
+});
+
+// CHECK A NUMBER (organization and platform lists)
+router.get("/check/:phoneNumber", async (req, res) => {
+  try {
+    const entry = await findDncEntry(
+      req.user.organizationId,
+      req.params.phoneNumber
+    );
+
+    res.json({
+      phoneNumber: normalizePhoneNumber(req.params.phoneNumber),
+      onDnc: !!entry,
+      scope: entry
+        ? entry.organizationId
+          ? "organization"
+          : "platform"
+        : null,
+    });
+  } catch (error) {
+    console.error("Error checking DNC number:", error);
+    res.status(500).json({ error: "Failed to check DNC list" });
+  }
+});
+
+// ADD NUMBER TO ORGANIZATION DNC LIST
+router.post("/", ownerOrAdmin, async (req, res) => {
+  try {
+    const { phoneNumber, reason } = req.body;
+
+    if (!normalizePhoneNumber(phoneNumber)) {
+      return res.status(400).json({ error: "Valid phoneNumber is required" });
+    }
+
+    const { entry, created } = await addToDnc({
+      organizationId: req.user.organizationId,
+      phoneNumber,
+      source: "manual",
+      reason,
+      userId: req.user.id,
+    });
+
+    res.status(created ? 201 : 200).json({
+      message: created
+        ? "Number added to DNC list"
+        : "Number is already on the DNC list",
+      entry,
+    });
+  } catch (error) {
+    console.error("Error adding DNC number:", error);
+    res.status(500).json({ error: "Failed to add number to DNC list" });
+  }
+});
+
+// BULK IMPORT INTO ORGANIZATION DNC LIST (CSV file or JSON numbers)
+router.post(
+  "/import",
+  ownerOrAdmin,
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      const rows = getImportRows(req);
+      if (rows.length === 0) {
+        return res.status(400).json({ error: "No numbers provided" });
+      }
+
+      const results = await importDncNumbers({
+        organizationId: req.user.organizationId,
+        rows,
+        userId: req.user.id,
+      });
+
+      res.json({
+        message: `Imported ${results.added} numbers (${results.existing} already listed, ${results.invalid.length} invalid)`,
+        results,
+      });
+    } catch (error) {
+      console.error("Error importing DNC numbers:", error);
+      res.status(500).json({ error: "Failed to import DNC numbers" });
+    }
+  }
+);
+
+// REMOVE NUMBER FROM ORGANIZATION DNC LIST
+router.delete("/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const entry = await removeFromDnc({
+      organizationId: req.user.organizationId,
+      entryId: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: "DNC entry not found" });
+    }
+
+    res.json({ message: "Number removed from DNC list", entry });
+  } catch (error) {
+    console.error("Error removing DNC number:", error);
+    res.status(500).json({ error: "Failed to remove number from DNC list" });
+  }
+});
+
+// DNC AUDIT TRAIL (additions, removals and suppressions)
+router.get("/audit", ownerOrAdmin, async (req, res) => {
+  try {
+    const { phoneNumber, action, limit = 100 } = req.query;
+    const filter = { organizationId: req.user.organizationId };
+
+    if (phoneNumber) {
+      filter.phoneNumber = { $in: getPhoneNumberVariants(phoneNumber) };
+    }
+    if (action) filter.action = action;
+
+    const auditLogs = await DncAuditLog.find(filter)
+      .populate("userId", "username role")
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 100, 1000));
+
+    res.json({ auditLogs });
+  } catch (error) {
+    console.error("Error fetching DNC audit log:", error);
+    res.status(500).json({ error: "Failed to fetch DNC audit log" });
+  }
+});
+
+// PLATFORM-WIDE DNC LIST (applies to every organization)
+router.get("/platform", platformAdminOnly, async (req, res) => {
+  try {
+    res.json(await listEntries(null, req.query));
+  } catch (error) {
+    console.error("Error fetching platform DNC list:", error);
+    res.status(500).json({ error: "Failed to fetch platform DNC list" });
+  }
+});
+
+router.post("/platform", platformAdminOnly, async (req, res) => {
+  try {
+    const { phoneNumber, reason } = req.body;
+
+    if (!normalizePhoneNumber(phoneNumber)) {
+      return res.status(400).json({ error: "Valid phoneNumber is required" });
+    }
+
+    const { entry, created } = await addToDnc({
+      phoneNumber,
+      source: "platform",
+      reason,
+      userId: req.user.id,
+    });
+
+    res.status(created ? 201 : 200).json({
+      message: created
+        ? "Number added to platform DNC list"
+        : "Number is already on the platform DNC list",
+      entry,
+    });
+  } catch (error) {
+    console.error("Error adding platform DNC number:", error);
+    res.status(500).json({ error: "Failed to add number to DNC list" });
+  }
+});
+
+router.post(
+  "/platform/import",
+  platformAdminOnly,
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      const rows = getImportRows(req);
+      if (rows.length === 0) {
+        return res.status(400).json({ error: "No numbers provided" });
+      }
+
+      const results = await importDncNumbers({
+        rows,
+        source: "platform",
+        userId: req.user.id,
+      });
+
+      res.json({
+        message: `Imported ${results.added} numbers (${results.existing} already listed, ${results.invalid.length} invalid)`,
+        results,
+      });
+    } catch (error) {
+      console.error("Error importing platform DNC numbers:", error);
+      res.status(500).json({ error: "Failed to import DNC numbers" });
+    }
+  }
+);
+
+router.delete("/platform/:id", platformAdminOnly, async (req, res) => {
+  try {
+    const entry = await removeFromDnc({
+      entryId: req.params.id,
+      userId: req.user.id,
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: "DNC entry not found" });
+    }
+
+    res.json({ message: "Number removed from platform DNC list", entry });
+  } catch (error) {
+    console.error("Error removing platform DNC number:", error);
+    res.status(500).json({ error: "Failed to remove number from DNC list" });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,16 @@ const Organization = require("../models/Organization");
 const User = require("../models/User");
 const jwt = require("jsonwebtoken");
 const { authMiddleware } = require("../middleware/auth");
+const {
+  getBusinessDay,
+  validateShiftSettings,
+} = require("../utils/shiftCalendar");
+const { validateCalleeHours } = require("../utils/calleeHours");
+const { validateRetryRules } = require("../utils/retryScheduler");
+const { validateRecordingSettings } = require("../utils/callRecordings");
+const {
+  validateTranscriptionSettings,
+} = require("../utils/transcriptionQueue");
 const router = express.Router();
 
 // Middleware to check if user is owner or system admin
@@ -23,6 +33,22 @@ const ownerOrAdmin = (req, res, next) => {
   next();
 };
 
+const isPlainObject = (value) =>
+  !!value && Object.getPrototypeOf(value) === Object.prototype;
+
+// Merge a partial settings update into the stored settings, block by block;
+// arrays and plain values replace what was stored
+const mergeSettings = (stored = {}, update) => {
+  const merged = { ...stored };
+  Object.entries(update).forEach(([key, value]) => {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(stored[key])
+        ? mergeSettings(stored[key], value)
+        : value;
+  });
+  return merged;
+};
+
 // GET ORGANIZATION DETAILS
 router.get("/details", authMiddleware, async (req, res) => {
   try {
@@ -45,17 +71,36 @@ router.get("/details", authMiddleware, async (req, res) => {
 router.put("/settings", authMiddleware, ownerOnly, async (req, res) => {
   try {
     const { settings } = req.body;
+    if (!isPlainObject(settings)) {
+      return res.status(400).json({ error: "settings must be an object" });
+    }
+
+    const settingsError =
+      validateShiftSettings(settings) ||
+      validateRetryRules(settings?.retryRules) ||
+      validateCalleeHours(settings?.calleeCallingHours) ||
+      validateRecordingSettings(settings?.recording) ||
+      validateTranscriptionSettings(settings?.transcription);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const stored = await Organization.findById(req.user.organizationId)
+      .select("settings")
+      .lean();
+    if (!stored) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    // Settings left out of the update keep their stored values
+    const merged = mergeSettings(stored.settings, settings);
+    // Ensure some limits are maintained
+    merged.maxUsers = Math.min(merged.maxUsers || 50, 500);
+    merged.maxAgents = Math.min(merged.maxAgents || 25, 250);
 
     const organization = await Organization.findByIdAndUpdate(
       req.user.organizationId,
-      {
-        settings: {
-          ...settings,
-          // Ensure some limits are maintained
-          maxUsers: Math.min(settings.maxUsers || 50, 500),
-          maxAgents: Math.min(settings.maxAgents || 25, 250),
-        },
-      },
+      { settings: merged },
       { new: true }
     );
 
@@ -73,6 +118,62 @@ router.put("/settings", authMiddleware, ownerOnly, async (req, res) => {
   }
 });
 
+// UPDATE INBOUND NUMBERS (Owner only)
+router.put("/inbound-numbers", authMiddleware, ownerOnly, async (req, res) => {
+  try {
+    const { inboundNumbers } = req.body;
+
+    if (!Array.isArray(inboundNumbers)) {
+      return res.status(400).json({ error: "inboundNumbers must be an array" });
+    }
+
+    const numbers = [
+      ...new Set(
+        inboundNumbers.map((number) => String(number).replace(/[\s\-()]/g, ""))
+      ),
+    ];
+
+    const invalid = numbers.filter((number) => !/^\+\d{10,15}$/.test(number));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: "Inbound numbers must be in E.164 format",
+        invalid,
+      });
+    }
+
+    // A DID can only route to one organization
+    const conflict = await Organization.findOne({
+      _id: { $ne: req.user.organizationId },
+      inboundNumbers: { $in: numbers },
+    }).select("_id");
+
+    if (conflict) {
+      return res.status(409).json({
+        error:
+          "One or more numbers are already assigned to another organization",
+      });
+    }
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.user.organizationId,
+      { inboundNumbers: numbers },
+      { new: true }
+    );
+
+    if (!organization) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    res.json({
+      message: "Inbound numbers updated successfully",
+      inboundNumbers: organization.inboundNumbers,
+    });
+  } catch (error) {
+    console.error("Update inbound numbers error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET ORGANIZATION STATISTICS (Owner/Admin only)
 router.get("/statistics", authMiddleware, ownerOrAdmin, async (req, res) => {
   try {
@@ -94,18 +195,18 @@ router.get("/statistics", authMiddleware, ownerOrAdmin, async (req, res) => {
       isActive: true,
     });
 
-    // Get call statistics for today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Get call statistics for the current business day
+    const organization = await Organization.findById(organizationId).select(
+      "settings"
+    );
+    const businessDay = getBusinessDay(organization?.settings);
 
     const CallLog = require("../models/CallLog");
     const DialList = require("../models/DialList");
 
     const todayCalls = await CallLog.countDocuments({
       organizationId,
-      startTime: { $gte: today, $lt: tomorrow },
+      startTime: { $gte: businessDay.start, $lt: businessDay.end },
     });
 
     const totalNumbers = await DialList.countDocuments({ organizationId });
@@ -122,6 +223,8 @@ router.get("/statistics", authMiddleware, ownerOrAdmin, async (req, res) => {
       },
       calls: {
         today: todayCalls,
+        businessDate: businessDay.date,
+        timezone: businessDay.timezone,
       },
       dialList: {
         total: totalNumbers,
@@ -3,6 +3,16 @@ const Organization = require("../models/Organization");
 const User = require("../models/User");
 const jwt = require("jsonwebtoken");
 const DeviceFingerprint = require("../utils/deviceFingerprint");
+const { validateShiftSettings } = require("../utils/shiftCalendar");
+const {
+  CREDENTIAL_FIELDS,
+  loadOrganizationCredentials,
+  clearTwilioAccount,
+  getMissingCredentials,
+  validateCredentialInput,
+  buildCredentialUpdate,
+  verifyTwilioCredentials,
+} = require("../utils/twilioAccounts");
 const { authMiddleware } = require("../middleware/auth");
 const router = express.Router();
 
@@ -207,6 +217,11 @@ router.post(
         });
       }
 
+      const settingsError = validateShiftSettings(settings);
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+      }
+
       // Check if organization already exists
       const existingOrg = await Organization.findOne({
         $or: [{ name }, { email }],
@@ -227,6 +242,7 @@ router.post(
         address: address || {},
         settings: {
           timezone: settings?.timezone || "UTC",
+          shifts: settings?.shifts || [],
           dateFormat: settings?.dateFormat || "MM/DD/YYYY",
           currency: settings?.currency || "USD",
           maxUsers: settings?.maxUsers || 50,
@@ -343,8 +359,13 @@ router.put(
       const { organizationId } = req.params;
       const updateData = req.body;
 
-      // Don't allow updating createdBy
+      // Don't allow updating createdBy; Twilio credentials have their own
+      // routes so they are always stored encrypted
       delete updateData.createdBy;
+      delete updateData.twilio;
+      Object.keys(updateData)
+        .filter((key) => key.startsWith("twilio."))
+        .forEach((key) => delete updateData[key]);
 
       const organization = await Organization.findByIdAndUpdate(
         organizationId,
@@ -508,6 +529,219 @@ router.get(
   }
 );
 
+// Organization.twilio without secrets: which credentials are set
+const describeTwilioAccount = (account, organization) => ({
+  enabled: !!organization.twilio?.enabled,
+  accountSidHint: organization.twilio?.accountSidHint || null,
+  phoneNumber: organization.twilio?.phoneNumber || null,
+  validatedAt: organization.twilio?.validatedAt || null,
+  validationError: organization.twilio?.validationError || null,
+  configured: CREDENTIAL_FIELDS.reduce((configured, field) => {
+    configured[field] = !!account[field];
+    return configured;
+  }, {}),
+});
+
+// GET ORGANIZATION TWILIO ACCOUNT
+router.get(
+  "/organizations/:organizationId/twilio",
+  authMiddleware,
+  platformAdminOnly,
+  async (req, res) => {
+    try {
+      const { organizationId } = req.params;
+
+      const organization = await Organization.findById(organizationId).select(
+        "twilio"
+      );
+      if (!organization) {
+        return res.status(404).json({ error: "Organization not found" });
+      }
+
+      const account = await loadOrganizationCredentials(organizationId);
+      res.json({
+        success: true,
+        twilio: describeTwilioAccount(account, organization),
+      });
+    } catch (error) {
+      console.error("Get organization Twilio account error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// SET ORGANIZATION TWILIO ACCOUNT (credentials are encrypted; fields left
+// out keep their stored values)
+router.put(
+  "/organizations/:organizationId/twilio",
+  authMiddleware,
+  platformAdminOnly,
+  async (req, res) => {
+    try {
+      const { organizationId } = req.params;
+      const { enabled } = req.body;
+
+      if (enabled !== undefined && typeof enabled !== "boolean") {
+        return res.status(400).json({ error: "enabled must be true or false" });
+      }
+
+      const validationError = validateCredentialInput(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const stored = await loadOrganizationCredentials(organizationId);
+      if (!stored) {
+        return res.status(404).json({ error: "Organization not found" });
+      }
+
+      const credentials = {};
+      [...CREDENTIAL_FIELDS, "phoneNumber"].forEach((field) => {
+        if (req.body[field] !== undefined) credentials[field] = req.body[field];
+      });
+
+      const merged = { ...stored, ...credentials };
+      const willEnable = enabled ?? stored.dedicated;
+      const missing = getMissingCredentials(merged);
+      if (willEnable && (missing.length > 0 || !merged.phoneNumber)) {
+        return res.status(400).json({
+          error:
+            "A dedicated Twilio account needs all credentials and a phone number",
+          missing: merged.phoneNumber ? missing : [...missing, "phoneNumber"],
+        });
+      }
+
+      const update = {
+        ...buildCredentialUpdate(credentials),
+        "twilio.enabled": willEnable,
+      };
+      // New credentials have not been checked yet
+      if (Object.keys(credentials).length > 0) {
+        update["twilio.validatedAt"] = null;
+        update["twilio.validationError"] = null;
+      }
+
+      const organization = await Organization.findByIdAndUpdate(
+        organizationId,
+        { $set: update },
+        { new: true }
+      ).select("twilio");
+      clearTwilioAccount(organizationId);
+
+      res.json({
+        success: true,
+        message: "Twilio account updated successfully",
+        twilio: describeTwilioAccount(merged, organization),
+      });
+    } catch (error) {
+      console.error("Organization Twilio account update error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// VALIDATE ORGANIZATION TWILIO ACCOUNT (stored credentials, or ones in the
+// body to check before saving them)
+router.post(
+  "/organizations/:organizationId/twilio/validate",
+  authMiddleware,
+  platformAdminOnly,
+  async (req, res) => {
+    try {
+      const { organizationId } = req.params;
+
+      const validationError = validateCredentialInput(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const stored = await loadOrganizationCredentials(organizationId);
+      if (!stored) {
+        return res.status(404).json({ error: "Organization not found" });
+      }
+
+      const candidate = { ...stored };
+      let usesStored = true;
+      [...CREDENTIAL_FIELDS, "phoneNumber"].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          candidate[field] = req.body[field];
+          usesStored = false;
+        }
+      });
+
+      const result = await verifyTwilioCredentials(candidate);
+
+      // Only the stored credentials' status is recorded
+      if (usesStored) {
+        await Organization.updateOne(
+          { _id: organizationId },
+          {
+            $set: {
+              "twilio.validatedAt": new Date(),
+              "twilio.validationError": result.valid
+                ? null
+                : result.errors.join("; "),
+            },
+          }
+        );
+      }
+
+      res.json({
+        success: true,
+        valid: result.valid,
+        checks: result.checks,
+        errors: result.errors,
+      });
+    } catch (error) {
+      console.error("Organization Twilio account validation error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// REMOVE ORGANIZATION TWILIO ACCOUNT (back to the shared account)
+router.delete(
+  "/organizations/:organizationId/twilio",
+  authMiddleware,
+  platformAdminOnly,
+  async (req, res) => {
+    try {
+      const { organizationId } = req.params;
+
+      const update = buildCredentialUpdate(
+        [...CREDENTIAL_FIELDS, "phoneNumber"].reduce((cleared, field) => {
+          cleared[field] = null;
+          return cleared;
+        }, {})
+      );
+      const organization = await Organization.findByIdAndUpdate(
+        organizationId,
+        {
+          $set: {
+            ...update,
+            "twilio.enabled": false,
+            "twilio.validatedAt": null,
+            "twilio.validationError": null,
+          },
+        },
+        { new: true }
+      );
+      if (!organization) {
+        return res.status(404).json({ error: "Organization not found" });
+      }
+      clearTwilioAccount(organizationId);
+
+      res.json({
+        success: true,
+        message: "Organization now uses the shared Twilio account",
+      });
+    } catch (error) {
+      console.error("Organization Twilio account removal error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 // PLATFORM ADMIN STATISTICS
 router.get(
   "/statistics",
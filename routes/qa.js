@@ -0,0 +1,372 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Campaign = require("../models/Campaign");
+const CallLog = require("../models/CallLog");
+const QaScorecard = require("../models/QaScorecard");
+const Transcript = require("../models/Transcript");
+const { getVisibleCallQuery } = require("../utils/callVisibility");
+const {
+  scoreCallTranscript,
+  summarizeQa,
+  validateScorecardInput,
+} = require("../utils/qaScoring");
+const router = express.Router();
+
+// Fields the owner may set on a scorecard
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "campaignIds",
+  "criteria",
+  "passingScore",
+  "isActive",
+];
+
+// Middleware to check if user is owner
+const ownerOnly = (req, res, next) => {
+  if (req.user.role !== "owner") {
+    return res.status(403).json({ error: "Access denied. Owner only." });
+  }
+  next();
+};
+
+// Middleware to check if user is owner or admin
+const ownerOrAdmin = (req, res, next) => {
+  if (!["owner", "admin"].includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ error: "Access denied. Owner or Admin only." });
+  }
+  next();
+};
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// Scorecard lookup scoped to the caller's organization
+const findScorecard = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? QaScorecard.findOne({
+        _id: req.params.id,
+        organizationId: req.user.organizationId,
+      })
+    : null;
+
+// Call visible to the requesting user, by :callLogId
+const findVisibleCall = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.callLogId)) return null;
+  const query = await getVisibleCallQuery(req.user);
+  if (!query) return null;
+
+  return CallLog.findOne({ ...query, _id: req.params.callLogId });
+};
+
+/**
+ * Check that scorecard campaigns belong to the caller's organization.
+ * Returns an error message or null.
+ */
+const validateScorecardCampaigns = async (req, campaignIds) => {
+  if (campaignIds === undefined) return null;
+  if (
+    !Array.isArray(campaignIds) ||
+    campaignIds.some((campaignId) => !mongoose.isValidObjectId(campaignId))
+  ) {
+    return "campaignIds must be an array of campaign IDs";
+  }
+
+  const count = await Campaign.countDocuments({
+    _id: { $in: campaignIds },
+    organizationId: req.user.organizationId,
+  });
+  return count === new Set(campaignIds.map(String)).size
+    ? null
+    : "Some campaigns were not found";
+};
+
+/**
+ * Validate a supervisor's adjustments to a call's QA review.
+ * Returns an error message or null.
+ */
+const validateQaAdjustments = (qa, { results, scoreOverride, notes }) => {
+  if (results !== undefined) {
+    if (!Array.isArray(results)) return "results must be an array";
+    for (const result of results) {
+      if (!qa.results.some((existing) => existing.key === result?.key)) {
+        return `Unknown criterion: ${result?.key}`;
+      }
+      if (![true, false, null, undefined].includes(result.passed)) {
+        return "passed must be true, false or null";
+      }
+      if (
+        result.note !== undefined &&
+        result.note !== null &&
+        typeof result.note !== "string"
+      ) {
+        return "note must be text";
+      }
+    }
+  }
+  if (
+    scoreOverride !== undefined &&
+    scoreOverride !== null &&
+    (typeof scoreOverride !== "number" ||
+      scoreOverride < 0 ||
+      scoreOverride > 100)
+  ) {
+    return "scoreOverride must be a number from 0 to 100, or null";
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== "string") {
+    return "notes must be text";
+  }
+  return null;
+};
+
+// LIST SCORECARDS
+router.get("/scorecards", ownerOrAdmin, async (req, res) => {
+  try {
+    const query = { organizationId: req.user.organizationId };
+    if (req.query.includeInactive !== "true") query.isActive = true;
+
+    const scorecards = await QaScorecard.find(query)
+      .populate("campaignIds", "name")
+      .sort({ name: 1 });
+
+    res.json(scorecards);
+  } catch (error) {
+    console.error("Error fetching QA scorecards:", error);
+    res.status(500).json({ error: "Failed to fetch QA scorecards" });
+  }
+});
+
+// GET SCORECARD
+router.get("/scorecards/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const scorecard = await findScorecard(req);
+    if (!scorecard) {
+      return res.status(404).json({ error: "Scorecard not found" });
+    }
+
+    res.json(scorecard);
+  } catch (error) {
+    console.error("Error fetching QA scorecard:", error);
+    res.status(500).json({ error: "Failed to fetch QA scorecard" });
+  }
+});
+
+// CREATE SCORECARD
+router.post("/scorecards", ownerOnly, async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    if (typeof fields.name !== "string" || !fields.name.trim()) {
+      return res.status(400).json({ error: "Scorecard name is required" });
+    }
+    if (fields.criteria === undefined) {
+      return res.status(400).json({ error: "Scorecard criteria are required" });
+    }
+
+    const validationError =
+      validateScorecardInput(fields) ||
+      (await validateScorecardCampaigns(req, fields.campaignIds));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const scorecard = await new QaScorecard({
+      ...fields,
+      organizationId: req.user.organizationId,
+      createdBy: req.user.id,
+    }).save();
+
+    res.status(201).json({
+      message: "Scorecard created successfully",
+      scorecard,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A scorecard with this name already exists" });
+    }
+    console.error("Error creating QA scorecard:", error);
+    res.status(500).json({ error: "Failed to create QA scorecard" });
+  }
+});
+
+// UPDATE SCORECARD (calls already scored keep their results until rescored)
+router.put("/scorecards/:id", ownerOnly, async (req, res) => {
+  try {
+    const scorecard = await findScorecard(req);
+    if (!scorecard) {
+      return res.status(404).json({ error: "Scorecard not found" });
+    }
+
+    const fields = pickEditableFields(req.body);
+    if (
+      fields.name !== undefined &&
+      (typeof fields.name !== "string" || !fields.name.trim())
+    ) {
+      return res.status(400).json({ error: "Scorecard name is required" });
+    }
+
+    const validationError =
+      validateScorecardInput(fields) ||
+      (await validateScorecardCampaigns(req, fields.campaignIds));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    scorecard.set(fields);
+    await scorecard.save();
+
+    res.json({
+      message: "Scorecard updated successfully",
+      scorecard,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A scorecard with this name already exists" });
+    }
+    console.error("Error updating QA scorecard:", error);
+    res.status(500).json({ error: "Failed to update QA scorecard" });
+  }
+});
+
+// DELETE SCORECARD (scorecards that scored calls must be deactivated instead)
+router.delete("/scorecards/:id", ownerOnly, async (req, res) => {
+  try {
+    const scorecard = await findScorecard(req);
+    if (!scorecard) {
+      return res.status(404).json({ error: "Scorecard not found" });
+    }
+
+    const callCount = await CallLog.countDocuments({
+      organizationId: scorecard.organizationId,
+      "qa.scorecardId": scorecard._id,
+    });
+    if (callCount > 0) {
+      return res.status(400).json({
+        error: "Scorecard is in use. Deactivate it instead of deleting it.",
+        callCount,
+      });
+    }
+
+    await scorecard.deleteOne();
+    res.json({ message: "Scorecard deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting QA scorecard:", error);
+    res.status(500).json({ error: "Failed to delete QA scorecard" });
+  }
+});
+
+// GET A CALL'S QA REVIEW
+router.get("/calls/:callLogId", async (req, res) => {
+  try {
+    const callLog = await findVisibleCall(req);
+    if (!callLog) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+    if (!callLog.qa) {
+      return res.status(404).json({
+        error: "Call has not been scored",
+        transcriptStatus: callLog.transcriptStatus,
+      });
+    }
+
+    await callLog.populate("qa.adjustedBy", "username");
+    res.json({ callLogId: callLog._id, qa: callLog.qa });
+  } catch (error) {
+    console.error("Error fetching QA review:", error);
+    res.status(500).json({ error: "Failed to fetch QA review" });
+  }
+});
+
+// SCORE A CALL AGAIN (optionally with another scorecard by scorecardId)
+router.post("/calls/:callLogId/score", ownerOrAdmin, async (req, res) => {
+  try {
+    const callLog = await findVisibleCall(req);
+    if (!callLog) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+
+    const transcript = await Transcript.findOne({ callLogId: callLog._id });
+    if (!transcript) {
+      return res.status(400).json({ error: "Call has no transcript" });
+    }
+
+    let scorecard = null;
+    if (req.body.scorecardId !== undefined) {
+      scorecard = mongoose.isValidObjectId(req.body.scorecardId)
+        ? await QaScorecard.findOne({
+            _id: req.body.scorecardId,
+            organizationId: req.user.organizationId,
+          })
+        : null;
+      if (!scorecard) {
+        return res.status(404).json({ error: "Scorecard not found" });
+      }
+    }
+
+    const qa = await scoreCallTranscript(callLog, transcript, { scorecard });
+    if (!qa) {
+      return res
+        .status(400)
+        .json({ error: "No active scorecard applies to this call" });
+    }
+
+    res.json({ message: "Call scored successfully", qa });
+  } catch (error) {
+    console.error("Error scoring call:", error);
+    res.status(500).json({ error: "Failed to score call" });
+  }
+});
+
+// ADJUST A CALL'S QA REVIEW (per-criterion results, where passed null goes
+// back to the transcript's result; or override the whole score)
+router.put("/calls/:callLogId", ownerOrAdmin, async (req, res) => {
+  try {
+    const callLog = await findVisibleCall(req);
+    if (!callLog) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+    if (!callLog.qa) {
+      return res.status(400).json({ error: "Call has not been scored" });
+    }
+
+    const validationError = validateQaAdjustments(callLog.qa, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const qa = callLog.qa.toObject();
+    (req.body.results || []).forEach(({ key, passed, note }) => {
+      const result = qa.results.find((existing) => existing.key === key);
+      if (passed !== undefined) {
+        result.adjusted = passed !== null;
+        result.passed = passed === null ? result.autoPassed : passed;
+      }
+      if (note !== undefined) result.note = note;
+    });
+    if (req.body.scoreOverride !== undefined) {
+      qa.scoreOverride = req.body.scoreOverride;
+    }
+    if (req.body.notes !== undefined) qa.notes = req.body.notes;
+    qa.adjustedBy = req.user.id;
+    qa.adjustedAt = new Date();
+
+    callLog.qa = summarizeQa(qa);
+    await callLog.save();
+
+    res.json({ message: "QA review updated successfully", qa: callLog.qa });
+  } catch (error) {
+    console.error("Error updating QA review:", error);
+    res.status(500).json({ error: "Failed to update QA review" });
+  }
+});
+
+module.exports = router;
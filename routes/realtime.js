@@ -0,0 +1,149 @@
+const express = require("express");
+const User = require("../models/User");
+const UserStatus = require("../models/UserStatus");
+const { authMiddleware } = require("../middleware/auth");
+const { subscribe, getDialListProgress } = require("../utils/realtimeEvents");
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const VISIBILITY_REFRESH_MS = 60 * 1000;
+
+// EventSource cannot send headers, so accept the JWT as ?token= as well
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Same visibility as GET /dial/user-status/all: owners see the whole
+// organization, admins see themselves and the agents they created, agents
+// only themselves. Returns null for "everyone in the organization".
+const getVisibleUserIds = async ({ role, id: userId, organizationId }) => {
+  if (role === "owner") return null;
+  if (role === "agent") return new Set([userId.toString()]);
+
+  const agents = await User.find({
+    createdBy: userId,
+    organizationId,
+    role: "agent",
+  }).select("_id");
+
+  return new Set([
+    userId.toString(),
+    ...agents.map((agent) => agent._id.toString()),
+  ]);
+};
+
+const isVisible = (visibleUserIds, userId) =>
+  !visibleUserIds || (!!userId && visibleUserIds.has(userId.toString()));
+
+// Drop events and rows for users this viewer may not see
+const scopeEvent = (event, visibleUserIds) => {
+  if (event.type === "dialListProgress") {
+    return {
+      ...event,
+      payload: {
+        agents: event.payload.agents.filter((agent) =>
+          isVisible(visibleUserIds, agent.userId)
+        ),
+      },
+    };
+  }
+
+  return isVisible(visibleUserIds, event.payload.userId) ? event : null;
+};
+
+// Live supervisor feed (Server-Sent Events): UserStatus changes, CallLog
+// lifecycle events, dial-list progress and callback reminders for the
+// viewer's organization. Agents get their own events only.
+router.get("/events", tokenFromQuery, authMiddleware, async (req, res) => {
+  const { role, id: userId, organizationId } = req.user;
+
+  if (!["owner", "admin", "agent"].includes(role)) {
+    return res.status(403).json({ error: "Access denied" });
+  }
+
+  try {
+    let visibleUserIds = await getVisibleUserIds(req.user);
+
+    const statuses = await UserStatus.find({ organizationId });
+    const dialListProgress = await getDialListProgress(organizationId);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable proxy buffering (nginx/Render)
+    });
+
+    const send = (event) => {
+      res.write(`event: ${event.type}\n`);
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Initial snapshot so the dashboard does not need the REST route first
+    send({
+      type: "snapshot",
+      payload: {
+        userStatuses: statuses.filter((status) =>
+          isVisible(visibleUserIds, status.userId)
+        ),
+        dialListProgress: dialListProgress.filter((agent) =>
+          isVisible(visibleUserIds, agent.userId)
+        ),
+      },
+      timestamp: new Date().toISOString(),
+    });
+
+    const unsubscribe = subscribe(organizationId, (event) => {
+      const scoped = scopeEvent(event, visibleUserIds);
+      if (scoped) send(scoped);
+    });
+
+    // Heartbeat; also enforce single-session like authMiddleware does
+    const token = req.headers.authorization.split(" ")[1];
+    const heartbeat = setInterval(async () => {
+      try {
+        const user = await User.findById(userId).select("activeToken isActive");
+        if (!user || user.activeToken !== token || !user.isActive) {
+          send({
+            type: "sessionEnded",
+            payload: { reason: "Token expired. User logged in elsewhere." },
+            timestamp: new Date().toISOString(),
+          });
+          return res.end();
+        }
+        res.write(": heartbeat\n\n");
+      } catch (error) {
+        console.error("Realtime heartbeat error:", error);
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // Admins gain agents over time
+    const visibilityRefresh = setInterval(async () => {
+      try {
+        visibleUserIds = await getVisibleUserIds(req.user);
+      } catch (error) {
+        console.error("Realtime visibility refresh error:", error);
+      }
+    }, VISIBILITY_REFRESH_MS);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      clearInterval(visibilityRefresh);
+      unsubscribe();
+    };
+    req.on("close", cleanup);
+    res.on("close", cleanup);
+  } catch (error) {
+    console.error("Realtime events error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to open realtime feed" });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,21 @@
 const express = require("express");
 const multer = require("multer");
-const { google } = require("googleapis");
-const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const { authMiddleware } = require("../middleware/auth");
+const { storeCallRecording } = require("../utils/callRecordings");
+const { getVisibleCallQuery } = require("../utils/callVisibility");
+const { getRecordingStorage } = require("../utils/recordingStorage");
+const {
+  signRecordingAccess,
+  verifyRecordingAccess,
+} = require("../utils/recordingUrls");
 const router = express.Router();
 
-// Configure multer for file upload
+// Configure multer for file upload; files are passed on to recording storage
 const upload = multer({
-  dest: "uploads/recordings/",
+  storage: multer.memoryStorage(),
   limits: { fileSize: 100 * 1024 * 1024 }, // 100MB
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith("audio/")) cb(null, true);
@@ -14,141 +23,228 @@ const upload = multer({
   },
 });
 
-// Google Drive configuration
-const GOOGLE_DRIVE_FOLDER_ID = process.env.GOOGLE_DRIVE_FOLDER_ID;
-const GOOGLE_SERVICE_ACCOUNT_KEY = process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+// Call a browser recording belongs to: callLogId when given, otherwise the
+// uploader's latest call to phoneNumber
+const findRecordingCall = async (req) => {
+  const { callLogId, phoneNumber } = req.body;
+  const query = await getVisibleCallQuery(req.user);
+  if (!query) return null;
 
-// Initialize Google Drive API
-const initializeGoogleDrive = () => {
-  try {
-    const serviceAccountKey = JSON.parse(GOOGLE_SERVICE_ACCOUNT_KEY);
+  if (callLogId) {
+    if (!mongoose.isValidObjectId(callLogId)) return null;
+    return CallLog.findOne({ ...query, _id: callLogId });
+  }
+  if (!phoneNumber) return null;
+  return CallLog.findOne({
+    ...query,
+    userId: req.user.id,
+    phoneNumber,
+  }).sort({ startTime: -1 });
+};
 
-    const auth = new google.auth.GoogleAuth({
-      credentials: serviceAccountKey,
-      scopes: ["https://www.googleapis.com/auth/drive.file"],
-    });
+// Recorded call visible to the requesting user
+const findVisibleRecording = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.callLogId)) return null;
+  const query = await getVisibleCallQuery(req.user);
+  if (!query) return null;
 
-    return google.drive({ version: "v3", auth });
-  } catch (error) {
-    console.error("Failed to initialize Google Drive:", error.message);
-    return null;
-  }
+  return CallLog.findOne({
+    ...query,
+    _id: req.params.callLogId,
+    recordingStatus: "stored",
+  });
 };
 
-// Upload recording to Google Drive
-router.post("/upload", upload.single("recording"), async (req, res) => {
-  try {
-    const { phoneNumber, userId } = req.body;
-    const file = req.file;
+// Upload a browser recording for a call. Calls recorded by Twilio keep that
+// recording instead.
+router.post(
+  "/upload",
+  authMiddleware,
+  upload.single("recording"),
+  async (req, res) => {
+    try {
+      const file = req.file;
+
+      if (!file) {
+        return res
+          .status(400)
+          .json({ success: false, message: "No file uploaded" });
+      }
+
+      const callLog = await findRecordingCall(req);
+      if (!callLog) {
+        return res.status(404).json({
+          success: false,
+          message: "No call found for this recording",
+        });
+      }
+      if (callLog.recordingSid && callLog.recordingStatus === "stored") {
+        return res.status(409).json({
+          success: false,
+          message: "Call already has a Twilio recording",
+        });
+      }
 
-    if (!file) {
+      const extension = file.originalname.includes(".")
+        ? file.originalname.split(".").pop().replace(/[^\w]/g, "")
+        : "webm";
+      await storeCallRecording({
+        callLog,
+        body: file.buffer,
+        contentType: file.mimetype,
+        name: `${callLog._id}-${Date.now()}.${extension}`,
+      });
+
+      res.json({
+        success: true,
+        message: "Recording uploaded successfully",
+        callLogId: callLog._id,
+        fileId: callLog.recordingId,
+        fileName: file.originalname,
+        fileSize: file.size,
+        viewLink: callLog.recordingUrl,
+      });
+    } catch (error) {
+      console.error("Error uploading recording:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to upload recording",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// List recordings visible to the user, optionally for one user
+router.get(["/list", "/list/:userId"], authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (userId && !mongoose.isValidObjectId(userId)) {
       return res
         .status(400)
-        .json({ success: false, message: "No file uploaded" });
+        .json({ success: false, message: "Invalid user ID" });
     }
 
-    if (!GOOGLE_DRIVE_FOLDER_ID || !GOOGLE_SERVICE_ACCOUNT_KEY) {
-      throw new Error("Google Drive not configured");
+    const query = await getVisibleCallQuery(req.user);
+    if (!query) {
+      return res.status(403).json({ success: false, message: "Invalid role" });
     }
 
-    const drive = initializeGoogleDrive();
-    if (!drive) throw new Error("Google Drive init failed");
-
-    // Metadata for file
-    const fileMetadata = {
-      name: file.originalname,
-      parents: [GOOGLE_DRIVE_FOLDER_ID],
-      description: `Call recording for ${phoneNumber} by user ${userId}`,
-    };
-
-    // Media stream
-    const media = {
-      mimeType: file.mimetype,
-      body: fs.createReadStream(file.path),
-    };
-
-    // Upload with support for all drives
-    const driveResponse = await drive.files.create({
-      resource: fileMetadata,
-      media,
-      fields: "id,name,size,webViewLink",
-      supportsAllDrives: true, // ✅ important
-    });
+    const filter = { ...query, recordingStatus: "stored" };
+    if (userId) filter.$and = [{ userId }];
+    if (mongoose.isValidObjectId(req.query.campaignId)) {
+      filter.campaignId = req.query.campaignId;
+    }
 
-    fs.unlinkSync(file.path); // remove local temp file
+    const callLogs = await CallLog.find(filter)
+      .populate("userId", "username role")
+      .sort({ recordedAt: -1 })
+      .limit(100) // Limit to recent 100 recordings
+      .lean();
 
-    res.json({
-      success: true,
-      message: "Recording uploaded successfully",
-      fileId: driveResponse.data.id,
-      fileName: driveResponse.data.name,
-      fileSize: driveResponse.data.size,
-      viewLink: driveResponse.data.webViewLink,
-    });
-  } catch (error) {
-    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+    const recordings = callLogs.map((log) => ({
+      callLogId: log._id,
+      phoneNumber: log.phoneNumber,
+      campaignId: log.campaignId,
+      userId: log.userId?._id || log.userId,
+      username: log.userId?.username || "Unknown",
+      startTime: log.startTime,
+      duration: log.duration || 0,
+      recordingDuration: log.recordingDuration,
+      recordedAt: log.recordedAt,
+    }));
 
+    res.json({ success: true, recordings });
+  } catch (error) {
+    console.error("Error listing recordings:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to upload recording",
+      message: "Failed to list recordings",
       error: error.message,
     });
   }
 });
 
-// List recordings for a user
-router.get("/list/:userId", async (req, res) => {
+// Short-lived signed URL for downloading a recording
+router.get("/download/:callLogId", authMiddleware, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const drive = initializeGoogleDrive();
-    if (!drive) throw new Error("Google Drive not configured");
+    const callLog = await findVisibleRecording(req);
+    if (!callLog) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Recording not found" });
+    }
 
-    const query = `'${GOOGLE_DRIVE_FOLDER_ID}' in parents and description contains '${userId}'`;
+    const { expires, signature, expiresAt } = signRecordingAccess(callLog._id);
+    const baseUrl =
+      process.env.BASE_URL || `${req.protocol}://${req.get("host")}`;
+    const params = new URLSearchParams({ expires, signature });
 
-    const response = await drive.files.list({
-      q: query,
-      fields: "files(id,name,size,createdTime,webViewLink,description)",
-      orderBy: "createdTime desc",
-      includeItemsFromAllDrives: true, // ✅ include shared + my drive
-      supportsAllDrives: true, // ✅ required for shared drive
+    res.json({
+      success: true,
+      url: `${baseUrl}/recording/file/${callLog._id}?${params}`,
+      expiresAt,
     });
-
-    res.json({ success: true, recordings: response.data.files });
   } catch (error) {
+    console.error("Error signing recording URL:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to list recordings",
+      message: "Failed to create download link",
       error: error.message,
     });
   }
 });
 
-// Download recording by ID
-router.get("/download/:fileId", async (req, res) => {
+// Stream a recording through a signed URL from /download (no login needed,
+// so it can be used as an <audio> source)
+router.get("/file/:callLogId", async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const drive = initializeGoogleDrive();
-    if (!drive) throw new Error("Google Drive not configured");
-
-    const fileMetadata = await drive.files.get({
-      fileId,
-      fields: "name,mimeType",
-      supportsAllDrives: true, // ✅
-    });
+    const { callLogId } = req.params;
+    const { expires, signature } = req.query;
 
-    const response = await drive.files.get(
-      { fileId, alt: "media", supportsAllDrives: true }, // ✅
-      { responseType: "stream" }
-    );
+    if (
+      !mongoose.isValidObjectId(callLogId) ||
+      !verifyRecordingAccess(callLogId, expires, signature)
+    ) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Invalid or expired link" });
+    }
+
+    const callLog = await CallLog.findOne({
+      _id: callLogId,
+      recordingStatus: "stored",
+    }).select("recordingId recordingStorage");
+    if (!callLog) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Recording not found" });
+    }
+
+    const { stream, contentType } = await getRecordingStorage(
+      callLog.recordingStorage
+    ).get(callLog.recordingId);
+    const extension = path.extname(callLog.recordingId) || ".mp3";
 
-    res.setHeader("Content-Type", fileMetadata.data.mimeType);
+    res.setHeader("Content-Type", contentType || "audio/mpeg");
     res.setHeader(
       "Content-Disposition",
-      `attachment; filename="${fileMetadata.data.name}"`
+      `attachment; filename="recording-${callLog._id}${extension}"`
     );
+    res.setHeader("Cache-Control", "private, no-store");
 
-    response.data.pipe(res);
+    stream.on("error", (error) => {
+      console.error("Error streaming recording:", error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
   } catch (error) {
+    if (error.code === "ENOENT") {
+      return res
+        .status(404)
+        .json({ success: false, message: "Recording file not found" });
+    }
+    console.error("Error downloading recording:", error);
     res.status(500).json({
       success: false,
       message: "Failed to download recording",
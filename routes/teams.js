@@ -0,0 +1,243 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const DialList = require("../models/DialList");
+const Team = require("../models/Team");
+const User = require("../models/User");
+const router = express.Router();
+
+// Fields owners and admins may set on a team
+const EDITABLE_FIELDS = ["name", "description", "members"];
+
+// Middleware to check if user is owner or admin
+const ownerOrAdmin = (req, res, next) => {
+  if (!["owner", "admin"].includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ error: "Access denied. Owner or Admin only." });
+  }
+  next();
+};
+
+// Team members must belong to the organization; admins may only add
+// themselves and the agents they created
+const findInvalidMembers = async (req, memberIds = []) => {
+  const { role, id: userId, organizationId } = req.user;
+  const query = {
+    _id: {
+      $in: memberIds.filter((memberId) => mongoose.isValidObjectId(memberId)),
+    },
+    organizationId,
+  };
+  if (role === "admin") {
+    query.$or = [{ _id: userId }, { createdBy: userId, role: "agent" }];
+  }
+
+  const allowed = await User.find(query).select("_id");
+  const allowedIds = new Set(allowed.map((user) => user._id.toString()));
+  return memberIds.filter((memberId) => !allowedIds.has(memberId.toString()));
+};
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// Team lookup scoped to the caller's organization
+const findTeam = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? Team.findOne({
+        _id: req.params.id,
+        organizationId: req.user.organizationId,
+      })
+    : null;
+
+const isMember = (team, userId) =>
+  team.members.some((memberId) => memberId.toString() === userId.toString());
+
+// Admins manage the teams they created; owners manage every team
+const canManageTeam = (req, team) =>
+  req.user.role === "owner" ||
+  team.createdBy.toString() === req.user.id.toString();
+
+// LIST TEAMS (agents only see teams they belong to)
+router.get("/", async (req, res) => {
+  try {
+    const { role, id: userId, organizationId } = req.user;
+    const query = { organizationId };
+
+    if (role === "agent") query.members = userId;
+
+    const teams = await Team.find(query)
+      .populate("members", "username role")
+      .populate("createdBy", "username role")
+      .sort({ name: 1 });
+
+    res.json(teams);
+  } catch (error) {
+    console.error("Error fetching teams:", error);
+    res.status(500).json({ error: "Failed to fetch teams" });
+  }
+});
+
+// GET TEAM (with a count of its pooled numbers by status)
+router.get("/:id", async (req, res) => {
+  try {
+    const team = await findTeam(req);
+
+    if (!team || (req.user.role === "agent" && !isMember(team, req.user.id))) {
+      return res.status(404).json({ error: "Team not found" });
+    }
+
+    const statusCounts = await DialList.aggregate([
+      {
+        $match: {
+          organizationId: team.organizationId,
+          pool: "team",
+          teamId: team._id,
+        },
+      },
+      { $group: { _id: "$dialingStatus", count: { $sum: 1 } } },
+    ]);
+
+    await team.populate("members", "username role");
+    res.json({
+      ...team.toObject(),
+      pool: statusCounts.reduce((counts, { _id, count }) => {
+        counts[_id] = count;
+        return counts;
+      }, {}),
+    });
+  } catch (error) {
+    console.error("Error fetching team:", error);
+    res.status(500).json({ error: "Failed to fetch team" });
+  }
+});
+
+// CREATE TEAM
+router.post("/", ownerOrAdmin, async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    if (!fields.name || !fields.name.trim()) {
+      return res.status(400).json({ error: "Team name is required" });
+    }
+    if (fields.members !== undefined && !Array.isArray(fields.members)) {
+      return res.status(400).json({ error: "Members must be an array" });
+    }
+
+    const invalidMembers = await findInvalidMembers(req, fields.members);
+    if (invalidMembers.length > 0) {
+      return res.status(400).json({
+        error: "Some users cannot be added to this team",
+        invalidMembers,
+      });
+    }
+
+    const team = await new Team({
+      ...fields,
+      name: fields.name.trim(),
+      organizationId: req.user.organizationId,
+      createdBy: req.user.id,
+    }).save();
+
+    res.status(201).json({
+      message: "Team created successfully",
+      team,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A team with this name already exists" });
+    }
+    console.error("Error creating team:", error);
+    res.status(500).json({ error: "Failed to create team" });
+  }
+});
+
+// UPDATE TEAM (members can lease from the team's pool as soon as they are
+// added, and stop when removed)
+router.put("/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const team = await findTeam(req);
+    if (!team) {
+      return res.status(404).json({ error: "Team not found" });
+    }
+    if (!canManageTeam(req, team)) {
+      return res
+        .status(403)
+        .json({ error: "You can only edit teams you created" });
+    }
+
+    const fields = pickEditableFields(req.body);
+    if (fields.name !== undefined && !String(fields.name).trim()) {
+      return res.status(400).json({ error: "Team name is required" });
+    }
+
+    if (fields.members !== undefined) {
+      if (!Array.isArray(fields.members)) {
+        return res.status(400).json({ error: "Members must be an array" });
+      }
+      const invalidMembers = await findInvalidMembers(req, fields.members);
+      if (invalidMembers.length > 0) {
+        return res.status(400).json({
+          error: "Some users cannot be added to this team",
+          invalidMembers,
+        });
+      }
+    }
+
+    team.set(fields);
+    await team.save();
+
+    res.json({
+      message: "Team updated successfully",
+      team,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A team with this name already exists" });
+    }
+    console.error("Error updating team:", error);
+    res.status(500).json({ error: "Failed to update team" });
+  }
+});
+
+// DELETE TEAM (only once every pooled number has been dialed out)
+router.delete("/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const team = await findTeam(req);
+    if (!team) {
+      return res.status(404).json({ error: "Team not found" });
+    }
+    if (!canManageTeam(req, team)) {
+      return res
+        .status(403)
+        .json({ error: "You can only delete teams you created" });
+    }
+
+    const numberCount = await DialList.countDocuments({
+      organizationId: team.organizationId,
+      pool: "team",
+      teamId: team._id,
+      dialingStatus: { $ne: "completed" },
+    });
+    if (numberCount > 0) {
+      return res.status(400).json({
+        error: "Team's pool still has numbers left to dial",
+        numberCount,
+      });
+    }
+
+    await team.deleteOne();
+    res.json({ message: "Team deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting team:", error);
+    res.status(500).json({ error: "Failed to delete team" });
+  }
+});
+
+module.exports = router;
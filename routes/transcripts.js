@@ -0,0 +1,139 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const Transcript = require("../models/Transcript");
+const { getVisibleCallQuery } = require("../utils/callVisibility");
+const { enqueueTranscription } = require("../utils/transcriptionQueue");
+const router = express.Router();
+
+const SEARCH_LIMIT = 50;
+
+// Middleware to check if user is owner or admin
+const ownerOrAdmin = (req, res, next) => {
+  if (!["owner", "admin"].includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ error: "Access denied. Owner or Admin only." });
+  }
+  next();
+};
+
+// Call visible to the requesting user, by :callLogId
+const findVisibleCall = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.callLogId)) return null;
+  const query = await getVisibleCallQuery(req.user);
+  if (!query) return null;
+
+  return CallLog.findOne({ ...query, _id: req.params.callLogId });
+};
+
+// Segments mentioning any search term, to show why a transcript matched
+const findMatchingSegments = (segments, search) => {
+  const terms = search
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.replace(/[^\w']/g, ""))
+    .filter(Boolean);
+
+  return segments
+    .filter((segment) => {
+      const text = segment.text.toLowerCase();
+      return terms.some((term) => text.includes(term));
+    })
+    .slice(0, 3);
+};
+
+// SEARCH TRANSCRIPTS (full text, calls the user may see)
+router.get("/search", async (req, res) => {
+  try {
+    const search = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!search) {
+      return res.status(400).json({ error: "Search text (q) is required" });
+    }
+
+    const query = await getVisibleCallQuery(req.user);
+    if (!query) {
+      return res.status(403).json({ error: "Invalid role" });
+    }
+
+    const transcripts = await Transcript.find(
+      { ...query, $text: { $search: search } },
+      { score: { $meta: "textScore" } }
+    )
+      .select("callLogId userId language segments createdAt")
+      .populate("callLogId", "phoneNumber startTime campaignId disposition")
+      .populate("userId", "username")
+      .sort({ score: { $meta: "textScore" } })
+      .limit(SEARCH_LIMIT)
+      .lean();
+
+    res.json(
+      transcripts.map((transcript) => ({
+        transcriptId: transcript._id,
+        callLogId: transcript.callLogId?._id || transcript.callLogId,
+        phoneNumber: transcript.callLogId?.phoneNumber,
+        startTime: transcript.callLogId?.startTime,
+        campaignId: transcript.callLogId?.campaignId,
+        disposition: transcript.callLogId?.disposition,
+        username: transcript.userId?.username || "Unknown",
+        language: transcript.language,
+        score: transcript.score,
+        matches: findMatchingSegments(transcript.segments, search),
+      }))
+    );
+  } catch (error) {
+    console.error("Error searching transcripts:", error);
+    res.status(500).json({ error: "Failed to search transcripts" });
+  }
+});
+
+// GET A CALL'S TRANSCRIPT (with word timestamps)
+router.get("/:callLogId", async (req, res) => {
+  try {
+    const callLog = await findVisibleCall(req);
+    if (!callLog) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+
+    const transcript = await Transcript.findOne({ callLogId: callLog._id });
+    if (!transcript) {
+      return res.status(404).json({
+        error: "Call has no transcript",
+        transcriptStatus: callLog.transcriptStatus,
+      });
+    }
+
+    res.json({ transcriptStatus: callLog.transcriptStatus, transcript });
+  } catch (error) {
+    console.error("Error fetching transcript:", error);
+    res.status(500).json({ error: "Failed to fetch transcript" });
+  }
+});
+
+// QUEUE TRANSCRIPTION (new or repeated) for a recorded call
+router.post("/:callLogId", ownerOrAdmin, async (req, res) => {
+  try {
+    const callLog = await findVisibleCall(req);
+    if (!callLog) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+    if (callLog.recordingStatus !== "stored") {
+      return res.status(400).json({ error: "Call has no stored recording" });
+    }
+
+    const job = await enqueueTranscription(callLog, {
+      requestedBy: req.user.id,
+    });
+
+    res.status(202).json({
+      message: "Transcription queued",
+      jobId: job._id,
+      status: job.status,
+    });
+  } catch (error) {
+    console.error("Error queueing transcription:", error);
+    res.status(500).json({ error: "Failed to queue transcription" });
+  }
+});
+
+module.exports = router;
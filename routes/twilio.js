@@ -1,12 +1,55 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const twilio = require("twilio");
 const { AccessToken } = twilio.jwt;
 const { VoiceGrant } = AccessToken;
 const { VoiceResponse } = require("twilio").twiml;
+const CallLog = require("../models/CallLog");
+const Campaign = require("../models/Campaign");
+const DialList = require("../models/DialList");
+const Organization = require("../models/Organization");
+const UserStatus = require("../models/UserStatus");
+const { authMiddleware } = require("../middleware/auth");
+const {
+  validateTwilioWebhook,
+  getWebhookContext,
+} = require("../middleware/twilioWebhook");
+const {
+  getAnsweringMachineSettings,
+  buildAmdCallOptions,
+  buildAmdNumberOptions,
+  handleAmdResult,
+} = require("../utils/answeringMachine");
+const { applyCarrierStatus } = require("../utils/callReconciliation");
+const {
+  buildRecordingCallOptions,
+  buildRecordingDialOptions,
+  startCallRecording,
+  handleRecordingStatus,
+} = require("../utils/callRecordings");
+const { resolveRecordingConsent } = require("../utils/recordingConsent");
+const {
+  selectCallerId,
+  recordCallerIdStatus,
+} = require("../utils/callerIdPool");
+const { checkCalleeHours, deferDialEntries } = require("../utils/calleeHours");
+const { getDialerEngine } = require("../utils/dialerEngine");
+const { renewNumberLease } = require("../utils/dialListLease");
+const {
+  getTwilioAccount,
+  getTwilioClient,
+  getTwilioAccountBySid,
+  getAccountClient,
+  getMissingCredentials,
+} = require("../utils/twilioAccounts");
+const {
+  buildClientIdentity,
+  parseClientIdentity,
+} = require("../utils/twilioIdentity");
 const router = express.Router();
 
-// Initialize Twilio client
-const client = twilio(
+// Client for the shared account; organization calls use getTwilioClient()
+const sharedClient = twilio(
   process.env.TWILIO_ACCOUNT_SID,
   process.env.TWILIO_AUTH_TOKEN
 );
@@ -42,6 +85,18 @@ router.get("/health", (req, res) => {
   });
 });
 
+// Voice client identity for the authenticated user; platform admins have no
+// organization and therefore no dialer client
+const getUserIdentity = (req, res) => {
+  if (!req.user.organizationId) {
+    res.status(403).json({
+      error: "Voice client is only available to organization users",
+    });
+    return null;
+  }
+  return buildClientIdentity(req.user.organizationId, req.user.id);
+};
+
 // Debug endpoint to verify credentials (without exposing full values)
 router.get("/debug-env", (req, res) => {
   res.json({
@@ -57,40 +112,35 @@ router.get("/debug-env", (req, res) => {
 });
 
 // FIXED: Access Token for Voice SDK v2 - Ireland Region Compatible
-router.get("/access-token", async (req, res) => {
+router.get("/access-token", authMiddleware, async (req, res) => {
   try {
-    if (missingEnvVars.length > 0) {
+    const account = await getTwilioAccount(req.user.organizationId);
+    const missingCredentials = getMissingCredentials(account);
+    if (missingCredentials.length > 0) {
       throw new Error(
-        `Missing required environment variables: ${missingEnvVars.join(", ")}`
+        `Missing Twilio credentials: ${missingCredentials.join(", ")}`
       );
     }
+    const accountClient = getAccountClient(account);
 
-    const identity = "browser"; // Fixed identity to match working old app
+    const identity = getUserIdentity(req, res);
+    if (!identity) return;
 
     console.log("=== ACCESS TOKEN DEBUG ===");
     console.log("Generating access token for identity:", identity);
-    console.log(
-      "Account SID:",
-      process.env.TWILIO_ACCOUNT_SID?.substring(0, 10) + "..."
-    );
-    console.log(
-      "API Key:",
-      process.env.TWILIO_API_KEY?.substring(0, 10) + "..."
-    );
-    console.log(
-      "API Secret:",
-      process.env.TWILIO_API_SECRET ? "SET" : "MISSING"
-    );
+    console.log("Account SID:", account.accountSid?.substring(0, 10) + "...");
+    console.log("API Key:", account.apiKey?.substring(0, 10) + "...");
+    console.log("API Secret:", account.apiSecret ? "SET" : "MISSING");
     console.log(
       "TwiML App SID:",
-      process.env.TWILIO_TWIML_APP_SID?.substring(0, 10) + "..."
+      account.twimlAppSid?.substring(0, 10) + "..."
     );
 
     // � FIXED: Validate TwiML App exists first
     console.log("🔍 Validating TwiML Application...");
     try {
-      const twimlApp = await client
-        .applications(process.env.TWILIO_TWIML_APP_SID)
+      const twimlApp = await accountClient
+        .applications(account.twimlAppSid)
         .fetch();
       console.log("✅ TwiML App validated:", {
         sid: twimlApp.sid,
@@ -101,17 +151,17 @@ router.get("/access-token", async (req, res) => {
       console.error("❌ TwiML App validation failed:", twimlError.message);
       return res.status(500).json({
         error: "TwiML Application not found or invalid",
-        details: `TwiML App ${process.env.TWILIO_TWIML_APP_SID} does not exist or is not accessible`,
+        details: `TwiML App ${account.twimlAppSid} does not exist or is not accessible`,
         suggestion:
           "Create a new TwiML app using the /create-twiml-app endpoint",
-        twimlAppSid: process.env.TWILIO_TWIML_APP_SID,
+        twimlAppSid: account.twimlAppSid,
       });
     }
 
     // � FIXED: Validate API Key exists and is active
     console.log("🔍 Validating API Key...");
     try {
-      const apiKey = await client.keys(process.env.TWILIO_API_KEY).fetch();
+      const apiKey = await accountClient.keys(account.apiKey).fetch();
       console.log("✅ API Key found:", {
         sid: apiKey.sid,
         friendlyName: apiKey.friendlyName,
@@ -121,7 +171,7 @@ router.get("/access-token", async (req, res) => {
       return res.status(500).json({
         error: "API Key not found or invalid",
         details: apiKeyError.message,
-        apiKeySid: process.env.TWILIO_API_KEY,
+        apiKeySid: account.apiKey,
       });
     }
 
@@ -137,9 +187,9 @@ router.get("/access-token", async (req, res) => {
     // 🔧 FIXED: Create AccessToken without region/edge in VoiceGrant
     // Region/edge should be handled on the client side (Dialer.js), not in JWT
     const token = new AccessToken(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_API_KEY,
-      process.env.TWILIO_API_SECRET,
+      account.accountSid,
+      account.apiKey,
+      account.apiSecret,
       {
         identity: identity,
         ttl: 3600, // 1 hour
@@ -150,7 +200,7 @@ router.get("/access-token", async (req, res) => {
     // 🔧 FIXED: Simplified Voice Grant - Remove region/edge from JWT
     // The region/edge should be configured in the client-side Device initialization
     const voiceGrant = new VoiceGrant({
-      outgoingApplicationSid: process.env.TWILIO_TWIML_APP_SID, // For outgoing calls
+      outgoingApplicationSid: account.twimlAppSid, // For outgoing calls
       incomingAllow: true, // Allow incoming calls
       // ❌ REMOVED: region and edge from VoiceGrant - these belong in Device options
       // region: process.env.TWILIO_REGION || "us1",
@@ -227,9 +277,9 @@ router.get("/access-token", async (req, res) => {
       identity: identity,
       ttl: 3600,
       debug: {
-        accountSid: process.env.TWILIO_ACCOUNT_SID?.substring(0, 10) + "...",
-        apiKey: process.env.TWILIO_API_KEY?.substring(0, 10) + "...",
-        twimlAppSid: process.env.TWILIO_TWIML_APP_SID?.substring(0, 10) + "...",
+        accountSid: account.accountSid?.substring(0, 10) + "...",
+        apiKey: account.apiKey?.substring(0, 10) + "...",
+        twimlAppSid: account.twimlAppSid?.substring(0, 10) + "...",
         // Region/edge info for client-side use
         recommendedDeviceOptions: {
           region: process.env.TWILIO_REGION || "us1",
@@ -257,15 +307,18 @@ router.get("/access-token", async (req, res) => {
 });
 
 // Backup simple token endpoint - minimal configuration
-router.get("/access-token-simple", async (req, res) => {
+router.get("/access-token-simple", authMiddleware, async (req, res) => {
   try {
-    if (missingEnvVars.length > 0) {
+    const account = await getTwilioAccount(req.user.organizationId);
+    const missingCredentials = getMissingCredentials(account);
+    if (missingCredentials.length > 0) {
       throw new Error(
-        `Missing required environment variables: ${missingEnvVars.join(", ")}`
+        `Missing Twilio credentials: ${missingCredentials.join(", ")}`
       );
     }
 
-    const identity = "browser";
+    const identity = getUserIdentity(req, res);
+    if (!identity) return;
 
     console.log("=== SIMPLE TOKEN GENERATION ===");
     console.log("Current server time:", new Date().toISOString());
@@ -273,16 +326,16 @@ router.get("/access-token-simple", async (req, res) => {
 
     // Simple token generation - let Twilio SDK handle all timestamps
     const token = new AccessToken(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_API_KEY,
-      process.env.TWILIO_API_SECRET,
+      account.accountSid,
+      account.apiKey,
+      account.apiSecret,
       {
         identity: identity, // Fix: specify identity in options
       }
     );
 
     const voiceGrant = new VoiceGrant({
-      outgoingApplicationSid: process.env.TWILIO_TWIML_APP_SID,
+      outgoingApplicationSid: account.twimlAppSid,
       incomingAllow: true,
     });
 
@@ -309,40 +362,33 @@ router.get("/access-token-simple", async (req, res) => {
 });
 
 // Ultra-simple token endpoint - bypass all validations (for debugging)
-router.get("/access-token-debug", async (req, res) => {
+router.get("/access-token-debug", authMiddleware, async (req, res) => {
   try {
+    const account = await getTwilioAccount(req.user.organizationId);
+
     console.log("=== DEBUG TOKEN GENERATION ===");
-    console.log("Environment variables check:");
     console.log(
-      "ACCOUNT_SID:",
-      process.env.TWILIO_ACCOUNT_SID ? "SET" : "MISSING"
-    );
-    console.log("API_KEY:", process.env.TWILIO_API_KEY ? "SET" : "MISSING");
-    console.log(
-      "API_SECRET:",
-      process.env.TWILIO_API_SECRET ? "SET" : "MISSING"
-    );
-    console.log(
-      "TWIML_APP_SID:",
-      process.env.TWILIO_TWIML_APP_SID ? "SET" : "MISSING"
+      "Credentials check:",
+      account.dedicated ? "organization account" : "shared account"
     );
+    console.log("ACCOUNT_SID:", account.accountSid ? "SET" : "MISSING");
+    console.log("API_KEY:", account.apiKey ? "SET" : "MISSING");
+    console.log("API_SECRET:", account.apiSecret ? "SET" : "MISSING");
+    console.log("TWIML_APP_SID:", account.twimlAppSid ? "SET" : "MISSING");
 
     // Basic validation only
-    if (
-      !process.env.TWILIO_ACCOUNT_SID ||
-      !process.env.TWILIO_API_KEY ||
-      !process.env.TWILIO_API_SECRET
-    ) {
+    if (!account.accountSid || !account.apiKey || !account.apiSecret) {
       throw new Error("Missing basic Twilio credentials");
     }
 
-    const identity = "browser";
+    const identity = getUserIdentity(req, res);
+    if (!identity) return;
 
     // Minimal token generation with no external API calls
     const token = new AccessToken(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_API_KEY,
-      process.env.TWILIO_API_SECRET,
+      account.accountSid,
+      account.apiKey,
+      account.apiSecret,
       {
         identity: identity, // Fix: specify identity in options
       }
@@ -350,7 +396,7 @@ router.get("/access-token-debug", async (req, res) => {
 
     // Basic voice grant without external validation
     const voiceGrant = new VoiceGrant({
-      outgoingApplicationSid: process.env.TWILIO_TWIML_APP_SID || "PLACEHOLDER",
+      outgoingApplicationSid: account.twimlAppSid || "PLACEHOLDER",
       incomingAllow: true,
     });
 
@@ -388,7 +434,7 @@ router.post("/create-twiml-app", async (req, res) => {
     const baseUrl =
       process.env.BASE_URL || "https://twiliodialerbackend.onrender.com";
 
-    const application = await client.applications.create({
+    const application = await sharedClient.applications.create({
       friendlyName: "Twilio Dialer Voice App",
       voiceUrl: `${baseUrl}/twilio/outbound-twiml`,
       voiceMethod: "POST",
@@ -418,45 +464,358 @@ router.post("/create-twiml-app", async (req, res) => {
   }
 });
 
+// Callback URL for a dialed leg, carrying the dialer context so the webhook
+// can act on the call if the browser never reported it
+const buildCallbackUrl = (req, path, context = {}) => {
+  const baseUrl =
+    process.env.BASE_URL || `${req.protocol}://${req.get("host")}`;
+  const params = new URLSearchParams();
+  Object.entries(context).forEach(([key, value]) => {
+    if (value) params.append(key, value.toString());
+  });
+  const query = params.toString();
+  return `${baseUrl}/twilio/${path}${query ? `?${query}` : ""}`;
+};
+
+const buildStatusCallbackUrl = (req, context = {}) =>
+  buildCallbackUrl(req, "call-status", context);
+
+const STATUS_CALLBACK_EVENTS = "initiated ringing answered completed";
+
+/**
+ * Caller ID for a call to phoneNumber, falling back to the Twilio account's
+ * number (or TWILIO_PHONE_NUMBER if the pool cannot be read).
+ */
+const pickCallerId = async ({ organizationId, ...options }) => {
+  try {
+    const account = await getTwilioAccount(organizationId);
+    return await selectCallerId({
+      organizationId,
+      ...options,
+      fallback: account.phoneNumber,
+    });
+  } catch (error) {
+    console.error("Caller ID selection failed:", error.message);
+    return process.env.TWILIO_PHONE_NUMBER;
+  }
+};
+
+// CallLog of a call in the logged-in user's organization, by CallSid
+const findOrganizationCall = (req, callSid) =>
+  typeof callSid === "string"
+    ? CallLog.findOne({
+        twilioCallSid: callSid,
+        organizationId: req.user.organizationId,
+      }).select("_id")
+    : null;
+
+// How long numbers wait after their calling hours could not be checked
+const CALLEE_HOURS_RETRY_MS = 15 * 60 * 1000;
+
+/**
+ * Refuse calls outside the callee's local calling hours, deferring the
+ * number's dial entries until its window opens.
+ * Returns null when the call may go ahead, otherwise the check result.
+ */
+const enforceCalleeHours = async ({ organizationId, campaignId, to }) => {
+  if (!organizationId) return null;
+
+  const check = await checkCalleeHours({
+    organizationId,
+    campaignId,
+    phoneNumber: to,
+  });
+  if (check.allowed) return null;
+
+  console.log(
+    `Refusing call to ${to}: outside calling hours in ${check.timezone}`
+  );
+  if (check.nextAllowedAt) {
+    await deferDialEntries({
+      organizationId,
+      phoneNumber: to,
+      until: check.nextAllowedAt,
+    });
+  }
+  return check;
+};
+
 // TwiML for outbound calls - What happens when Twilio processes the call
-router.all("/outbound-twiml", (req, res) => {
-  const to = req.body.To || req.query.to;
+router.all("/outbound-twiml", validateTwilioWebhook, async (req, res) => {
+  const context = getWebhookContext(req);
+  const to = req.body.To || context.to;
+  const caller = parseClientIdentity(req.body.From || req.body.Caller);
+  const campaignId = req.body.CampaignId || context.campaignId;
   const vr = new twilio.twiml.VoiceResponse();
 
   console.log("Outbound TwiML called with To:", to);
   console.log("Request body:", req.body);
   console.log("Request query:", req.query);
 
+  // Browser calls carry the organization in the caller identity; calls placed
+  // by /make-call in the signed callback URL
+  const organizationId = caller?.organizationId || context.organizationId;
+
+  let refused = null;
+  let hoursUnchecked = false;
+  if (to) {
+    try {
+      refused = await enforceCalleeHours({ organizationId, campaignId, to });
+    } catch (error) {
+      // Without the check the call could land at a prohibited hour
+      console.error("Calling hours check failed:", error.message);
+      hoursUnchecked = true;
+      try {
+        await deferDialEntries({
+          organizationId,
+          phoneNumber: to,
+          until: new Date(Date.now() + CALLEE_HOURS_RETRY_MS),
+        });
+      } catch (deferError) {
+        console.error("Deferring dial entries failed:", deferError.message);
+      }
+    }
+  }
+
   if (!to) {
     vr.say("No number provided. Goodbye.");
+  } else if (hoursUnchecked) {
+    vr.say(
+      "This number's calling hours could not be checked and it has been scheduled for later. Goodbye."
+    );
+    vr.hangup();
+  } else if (refused) {
+    vr.say(
+      "This number is outside its permitted calling hours and has been scheduled for later. Goodbye."
+    );
+    vr.hangup();
   } else {
-    // Create dial with caller ID
+    // Create dial with caller ID - the campaign's number when it has one,
+    // otherwise a local number from the organization's pool
+    let campaignCallerId = null;
+    let detection = true;
+    if (campaignId && caller?.organizationId) {
+      try {
+        const campaign = await Campaign.findOne({
+          _id: campaignId,
+          organizationId: caller.organizationId,
+        }).select("callerId answeringMachine");
+        if (campaign?.callerId) campaignCallerId = campaign.callerId;
+        if (campaign) detection = campaign.answeringMachine.detection;
+      } catch (error) {
+        console.error("Campaign caller ID lookup failed:", error.message);
+      }
+    }
+
     const dialOptions = {};
-    if (process.env.TWILIO_PHONE_NUMBER) {
-      dialOptions.callerId = process.env.TWILIO_PHONE_NUMBER;
+    const callerId = await pickCallerId({
+      organizationId,
+      phoneNumber: to,
+      campaignCallerId,
+    });
+    if (callerId) dialOptions.callerId = callerId;
+
+    const callContext = {
+      userId: caller?.userId || req.body.userId || context.userId,
+      organizationId,
+      type: req.body.callType || context.callType,
+      campaignId,
+    };
+    const numberOptions = {
+      statusCallback: buildStatusCallbackUrl(req, callContext),
+      statusCallbackEvent: STATUS_CALLBACK_EVENTS,
+      statusCallbackMethod: "POST",
+    };
+
+    // Browser calls detect machines on the dialed leg; server-placed calls
+    // already run detection on the call itself (see /make-call)
+    if (caller && detection) {
+      Object.assign(
+        numberOptions,
+        buildAmdNumberOptions(
+          buildCallbackUrl(req, "amd-status", {
+            ...callContext,
+            parentCallSid: req.body.CallSid,
+          })
+        )
+      );
+    }
+
+    // Recording and its consent announcement. Browser calls announce on the
+    // dialed leg before it is bridged; server-placed calls run this TwiML on
+    // the callee's own leg, which calls.create already records unless
+    // recording has to wait for the announcement.
+    let consent = null;
+    try {
+      consent = await resolveRecordingConsent({
+        organizationId,
+        campaignId,
+        phoneNumber: to,
+      });
+    } catch (error) {
+      console.error("Recording consent lookup failed:", error.message);
+    }
+
+    if (!consent && !caller) {
+      // The callee's leg may already be recording, and without the consent
+      // settings it cannot be announced; end the call rather than bridge it
+      vr.hangup();
+      return res.type("text/xml").send(vr.toString());
+    }
+
+    if (consent) {
+      const recordingOptions = buildRecordingDialOptions(
+        buildCallbackUrl(req, "recording-status", { consent: consent.mode })
+      );
+
+      if (caller) {
+        if (consent.announcement) {
+          numberOptions.url = buildCallbackUrl(req, "recording-consent", {
+            organizationId,
+            campaignId,
+          });
+          numberOptions.method = "POST";
+        }
+        if (consent.record && !consent.recordAfterAnnouncement) {
+          Object.assign(dialOptions, recordingOptions);
+        }
+      } else {
+        if (consent.announcement) vr.say(consent.announcement);
+        if (consent.record && consent.recordAfterAnnouncement) {
+          Object.assign(dialOptions, recordingOptions);
+        }
+      }
     }
 
     console.log("Dialing with options:", dialOptions);
     const dial = vr.dial(dialOptions);
-    dial.number(to);
+    dial.number(numberOptions, to);
   }
 
   console.log("Generated TwiML:", vr.toString());
   res.type("text/xml").send(vr.toString());
 });
 
-// Hold functionality
-router.post("/hold", async (req, res) => {
+// Maximum number of agent clients rung at once for an inbound call
+const INBOUND_MAX_RING = parseInt(process.env.INBOUND_MAX_RING || "3", 10);
+
+// Agents who can take an inbound call right now, longest idle first
+const findAvailableAgents = async (organizationId) => {
+  const statuses = await UserStatus.find({
+    organizationId,
+    isLoggedIn: true,
+    isOnCall: false,
+    deviceStatus: "ready",
+    autoDialerStatus: { $ne: "running" },
+  })
+    .populate("userId", "isActive")
+    .sort({ lastActivity: 1 });
+
+  return statuses
+    .filter((status) => status.userId && status.userId.isActive)
+    .map((status) => status.userId._id);
+};
+
+// TwiML for inbound calls - rings the organization that owns the dialed DID
+router.post("/inbound-twiml", validateTwilioWebhook, async (req, res) => {
+  const vr = new VoiceResponse();
+
+  try {
+    const { To, From, CallSid } = req.body;
+    console.log(`Inbound call ${CallSid}: ${From} -> ${To}`);
+
+    const organization = await Organization.findOne({
+      inboundNumbers: To,
+      isActive: true,
+    });
+
+    if (!organization) {
+      console.log("No organization mapped to inbound number:", To);
+      vr.say("The number you have called is not in service. Goodbye.");
+      vr.hangup();
+      return res.type("text/xml").send(vr.toString());
+    }
+
+    const availableAgents = await findAvailableAgents(organization._id);
+
+    // Route a known caller back to the agent their number is assigned to
+    let targets = availableAgents.slice(0, INBOUND_MAX_RING);
+    const dialListEntry = await DialList.findOne({
+      organizationId: organization._id,
+      phoneNumber: From,
+    }).select("assignedTo");
+
+    if (
+      dialListEntry &&
+      availableAgents.some((id) => id.equals(dialListEntry.assignedTo))
+    ) {
+      targets = [dialListEntry.assignedTo];
+    }
+
+    if (targets.length === 0) {
+      console.log("No available agents for organization:", organization.name);
+      vr.say("All of our agents are busy right now. Please try again later.");
+      vr.hangup();
+      return res.type("text/xml").send(vr.toString());
+    }
+
+    console.log("Ringing agents for inbound call:", targets);
+
+    const dial = vr.dial({ timeout: 25 });
+    targets.forEach((userId) => {
+      dial.client(buildClientIdentity(organization._id, userId));
+    });
+
+    // Reached only if nobody answered
+    vr.say("Sorry, no one is available to take your call. Goodbye.");
+  } catch (error) {
+    console.error("Inbound call routing error:", error);
+    vr.say("We are unable to take your call right now. Goodbye.");
+  }
+
+  res.type("text/xml").send(vr.toString());
+});
+
+// Pacing engine: callee answered, bridge to a free agent's client
+router.post("/dialer/answer", validateTwilioWebhook, async (req, res) => {
+  try {
+    const twiml = await getDialerEngine().handleAnswer(req.body);
+    res.type("text/xml").send(twiml);
+  } catch (error) {
+    console.error("Dialer answer webhook error:", error);
+    const vr = new VoiceResponse();
+    vr.hangup();
+    res.type("text/xml").send(vr.toString());
+  }
+});
+
+// Pacing engine: status updates for engine-originated calls
+router.post("/dialer/status", validateTwilioWebhook, async (req, res) => {
+  try {
+    await getDialerEngine().handleStatus(req.body);
+    res.status(200).send("OK");
+  } catch (error) {
+    console.error("Dialer status webhook error:", error);
+    res.status(500).send("Failed to process dialer status");
+  }
+});
+
+// Hold functionality - only calls of the user's own organization
+router.post("/hold", authMiddleware, async (req, res) => {
   try {
     const { callSid } = req.body;
 
     if (!callSid) {
       throw new Error("Missing callSid");
     }
+    if (!(await findOrganizationCall(req, callSid))) {
+      return res.status(404).json({ success: false, error: "Call not found" });
+    }
 
     console.log("Putting call on hold:", callSid);
 
     // Update call with hold music TwiML
+    const client = await getTwilioClient(req.user.organizationId);
     await client.calls(callSid).update({
       twiml:
         '<Response><Enqueue waitUrl="http://com.twilio.music.classical.s3.amazonaws.com/BusyStrings.wav" /></Response>',
@@ -469,8 +828,9 @@ router.post("/hold", async (req, res) => {
   }
 });
 
-// Enhanced Conference functionality - FIXED
-router.post("/conference", async (req, res) => {
+// Enhanced Conference functionality - calls are placed on the logged-in
+// user's organization account, and only its own calls can be conferenced
+router.post("/conference", authMiddleware, async (req, res) => {
   try {
     const {
       callSid,
@@ -479,7 +839,6 @@ router.post("/conference", async (req, res) => {
       holdMusicUrl,
       agentName,
       phoneNumber,
-      userId,
     } = req.body;
 
     console.log("=== CONFERENCE REQUEST DEBUG ===");
@@ -489,7 +848,7 @@ router.post("/conference", async (req, res) => {
     console.log("Agent Name:", agentName);
     console.log("Hold Music Enabled:", holdMusicEnabled);
     console.log("Phone Number:", phoneNumber);
-    console.log("User ID:", userId);
+    console.log("User ID:", req.user.id);
     console.log("================================");
 
     // Validation
@@ -511,12 +870,15 @@ router.post("/conference", async (req, res) => {
       });
     }
 
-    // Validate environment variables
-    if (
-      !process.env.TWILIO_PHONE_NUMBER ||
-      !process.env.TWILIO_ACCOUNT_SID ||
-      !process.env.TWILIO_AUTH_TOKEN
-    ) {
+    const { organizationId } = req.user;
+    if (callSid && !(await findOrganizationCall(req, callSid))) {
+      return res.status(404).json({ success: false, error: "Call not found" });
+    }
+
+    // Validate the Twilio account of the agent's organization
+    const account = await getTwilioAccount(organizationId);
+    const client = getAccountClient(account);
+    if (!account.phoneNumber || !account.accountSid) {
       console.error("ERROR: Missing Twilio configuration");
       return res.status(500).json({
         success: false,
@@ -527,7 +889,7 @@ router.post("/conference", async (req, res) => {
     // Test Twilio client connection
     try {
       console.log("Testing Twilio client connection...");
-      await client.api.v2010.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
+      await client.api.v2010.accounts(account.accountSid).fetch();
       console.log("Twilio client connection successful");
     } catch (twilioError) {
       console.error("Twilio client connection failed:", twilioError);
@@ -537,6 +899,12 @@ router.post("/conference", async (req, res) => {
       });
     }
 
+    // Present a local number to the license agent when the pool has one
+    const callerId = await pickCallerId({
+      organizationId,
+      phoneNumber: cleanNumber,
+    });
+
     // Case 1: Adding to existing call conference (callSid provided)
     if (callSid && callSid.trim() !== "") {
       console.log("Case 1: Adding agent to existing call conference");
@@ -624,7 +992,7 @@ router.post("/conference", async (req, res) => {
         console.log("Calling license agent to join conference...");
         const agentCall = await client.calls.create({
           to: cleanNumber,
-          from: process.env.TWILIO_PHONE_NUMBER,
+          from: callerId,
           twiml: agentTwiML.toString(),
         });
 
@@ -675,7 +1043,7 @@ router.post("/conference", async (req, res) => {
 
       const agentCall = await client.calls.create({
         to: cleanNumber,
-        from: process.env.TWILIO_PHONE_NUMBER,
+        from: callerId,
         twiml: directTwiML.toString(),
       });
 
@@ -785,17 +1153,21 @@ router.all("/join-conference", (req, res) => {
 });
 
 // Conference management endpoints
-router.post("/conference/leave", async (req, res) => {
+router.post("/conference/leave", authMiddleware, async (req, res) => {
   try {
     const { conferenceRoom, participantType, callSid } = req.body;
 
-    if (!conferenceRoom || !participantType) {
-      throw new Error("Missing conferenceRoom or participantType");
+    if (!conferenceRoom || !participantType || !callSid) {
+      throw new Error("Missing conferenceRoom, participantType or callSid");
+    }
+    if (!(await findOrganizationCall(req, callSid))) {
+      return res.status(404).json({ success: false, error: "Call not found" });
     }
 
     console.log(`Removing ${participantType} from conference:`, conferenceRoom);
 
     // Get conference participants
+    const client = await getTwilioClient(req.user.organizationId);
     const conference = client.conferences(conferenceRoom);
     const participants = await conference.participants.list();
 
@@ -841,24 +1213,78 @@ router.post("/conference/leave", async (req, res) => {
 });
 
 // Server-initiated call endpoint (optional)
-router.post("/make-call", async (req, res) => {
+// Calls are placed for the logged-in user, on their organization's account
+router.post("/make-call", authMiddleware, async (req, res) => {
   try {
+    const { id: userId, organizationId } = req.user;
     const { to } = req.body;
 
     if (!to) {
       throw new Error('Missing "to" parameter');
     }
 
+    let campaignId = null;
+    if (req.body.campaignId) {
+      const campaign = mongoose.isValidObjectId(req.body.campaignId)
+        ? await Campaign.findOne({
+            _id: req.body.campaignId,
+            organizationId,
+          }).select("_id")
+        : null;
+      if (!campaign) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Campaign not found" });
+      }
+      campaignId = campaign._id;
+    }
+
+    const refused = await enforceCalleeHours({
+      organizationId,
+      campaignId,
+      to,
+    });
+    if (refused) {
+      return res.status(409).json({
+        success: false,
+        error: "Outside the callee's permitted calling hours",
+        timezone: refused.timezone,
+        nextAllowedAt: refused.nextAllowedAt,
+      });
+    }
+
     console.log("Making server-initiated call to:", to);
 
-    const baseUrl =
-      process.env.BASE_URL || `${req.protocol}://${req.get("host")}`;
-    const url = `${baseUrl}/twilio/outbound-twiml?to=${encodeURIComponent(to)}`;
+    const url = buildCallbackUrl(req, "outbound-twiml", {
+      to,
+      organizationId,
+      campaignId,
+    });
+
+    const { detection } = await getAnsweringMachineSettings(campaignId);
+    const consent = await resolveRecordingConsent({
+      organizationId,
+      campaignId,
+      phoneNumber: to,
+    });
+    const callContext = { userId, organizationId, campaignId };
+    const client = await getTwilioClient(organizationId);
 
     const call = await client.calls.create({
       url: url,
       to: to,
-      from: process.env.TWILIO_PHONE_NUMBER,
+      from: await pickCallerId({ organizationId, phoneNumber: to }),
+      statusCallback: buildStatusCallbackUrl(req, callContext),
+      statusCallbackEvent: STATUS_CALLBACK_EVENTS.split(" "),
+      statusCallbackMethod: "POST",
+      ...(detection &&
+        buildAmdCallOptions(buildCallbackUrl(req, "amd-status", callContext))),
+      // Recording after the announcement is started by /outbound-twiml
+      ...(consent.record &&
+        !consent.recordAfterAnnouncement &&
+        buildRecordingCallOptions(
+          buildCallbackUrl(req, "recording-status", { consent: consent.mode })
+        )),
     });
 
     console.log("Server call initiated, SID:", call.sid);
@@ -874,8 +1300,8 @@ router.post("/make-call", async (req, res) => {
   }
 });
 
-// Transfer call endpoint
-router.post("/transfer", async (req, res) => {
+// Transfer call endpoint - only calls of the user's own organization
+router.post("/transfer", authMiddleware, async (req, res) => {
   try {
     const { callSid, newNumber } = req.body;
 
@@ -883,12 +1309,26 @@ router.post("/transfer", async (req, res) => {
       throw new Error("Missing callSid or newNumber");
     }
 
+    const { organizationId } = req.user;
+    if (!(await findOrganizationCall(req, callSid))) {
+      return res.status(404).json({ success: false, error: "Call not found" });
+    }
+
     console.log("Transferring call:", callSid, "to:", newNumber);
 
-    await client.calls(callSid).update({
-      twiml: `<Response><Say>Transferring call...</Say><Dial callerId="${process.env.TWILIO_PHONE_NUMBER}">${newNumber}</Dial></Response>`,
+    const callerId = await pickCallerId({
+      organizationId,
+      phoneNumber: newNumber,
     });
 
+    // Built with VoiceResponse so the number and caller ID are escaped
+    const vr = new VoiceResponse();
+    vr.say("Transferring call...");
+    vr.dial({ callerId }, newNumber);
+
+    const client = await getTwilioClient(organizationId);
+    await client.calls(callSid).update({ twiml: vr.toString() });
+
     res.json({ success: true, message: "Call transferred" });
   } catch (e) {
     console.error("Transfer failed:", e);
@@ -921,7 +1361,7 @@ router.get("/test-twiml/:number", (req, res) => {
 // Get call logs (if you want to fetch call history from Twilio)
 router.get("/call-logs", async (req, res) => {
   try {
-    const calls = await client.calls.list({ limit: 20 });
+    const calls = await sharedClient.calls.list({ limit: 20 });
 
     const formattedCalls = calls.map((call) => ({
       sid: call.sid,
@@ -941,20 +1381,196 @@ router.get("/call-logs", async (req, res) => {
   }
 });
 
-// Webhook endpoints for call status updates (optional)
-router.post("/call-status", (req, res) => {
-  console.log("Call status webhook:", req.body);
+// Webhook for call status updates - keeps CallLog in sync with the carrier
+router.post("/call-status", validateTwilioWebhook, async (req, res) => {
+  try {
+    const { CallSid, ParentCallSid, CallStatus, From, To, CallDuration } =
+      req.body;
+
+    console.log(
+      `Call ${CallSid}: ${CallStatus} (${From} -> ${To}) Duration: ${CallDuration}s`
+    );
+
+    if (!CallSid || !CallStatus) {
+      return res.status(400).send("Missing CallSid or CallStatus");
+    }
 
-  const { CallSid, CallStatus, From, To, Duration } = req.body;
+    // Browser calls are logged against the client leg, which is the parent
+    // of the dialed leg that reports status here
+    const callSid = ParentCallSid || CallSid;
 
-  // You can log this to your database here
-  console.log(
-    `Call ${CallSid}: ${CallStatus} (${From} -> ${To}) Duration: ${Duration}s`
-  );
+    let callLog = await CallLog.findOne({ twilioCallSid: callSid });
+
+    if (!callLog) {
+      const { userId, organizationId, type, campaignId } =
+        getWebhookContext(req);
+
+      if (!userId || !organizationId) {
+        console.log(
+          "No CallLog for",
+          callSid,
+          "and no signed dialer context; skipping"
+        );
+        return res.status(200).send("OK");
+      }
+
+      callLog = new CallLog({
+        userId,
+        organizationId,
+        phoneNumber: To,
+        campaignId: campaignId || null,
+        type: type === "auto" ? "auto" : "manual",
+        twilioCallSid: callSid,
+        auditAction: "carrier_status",
+        startTime: new Date(),
+      });
+      console.log("Creating CallLog from carrier webhook for:", callSid);
+    }
 
-  res.status(200).send("OK");
+    applyCarrierStatus(callLog, req.body);
+    await callLog.save();
+
+    // Keep the dialed number locked while its call is up and for wrap-up
+    await renewNumberLease(callLog.dialListId);
+
+    // The dialed leg reports the caller ID it presented as From
+    await recordCallerIdStatus(callLog.organizationId, From, CallStatus);
+
+    if (callLog.durationMismatch) {
+      console.warn(
+        `Duration mismatch on call ${callSid}: client ${callLog.duration}s, carrier ${callLog.billedDuration}s`
+      );
+    }
+
+    res.status(200).send("OK");
+  } catch (error) {
+    console.error("Call status webhook error:", error);
+    res.status(500).send("Failed to process call status");
+  }
 });
 
+// Webhook for answering machine detection results - machine answers are
+// dispositioned and get the campaign's voicemail drop or are hung up
+router.post("/amd-status", validateTwilioWebhook, async (req, res) => {
+  try {
+    const { CallSid, AnsweredBy, MachineDetectionDuration } = req.body;
+
+    console.log(
+      `Call ${CallSid} answered by ${AnsweredBy} (detected in ${MachineDetectionDuration}ms)`
+    );
+
+    if (!CallSid || !AnsweredBy) {
+      return res.status(400).send("Missing CallSid or AnsweredBy");
+    }
+
+    const account = await getTwilioAccountBySid(req.body.AccountSid);
+    const result = await handleAmdResult({
+      client: getAccountClient(account),
+      params: req.body,
+      context: getWebhookContext(req),
+    });
+    if (result.machine) {
+      console.log(
+        `Machine answer on ${CallSid}: ${
+          result.voicemailDropped ? "voicemail dropped" : "hung up"
+        }`
+      );
+    }
+
+    res.status(200).send("OK");
+  } catch (error) {
+    console.error("AMD status webhook error:", error);
+    res.status(500).send("Failed to process AMD status");
+  }
+});
+
+// Webhook for recording status - completed recordings are downloaded,
+// stored under the organization's path and linked to the CallLog
+router.post("/recording-status", validateTwilioWebhook, async (req, res) => {
+  try {
+    const { CallSid, RecordingSid, RecordingStatus } = req.body;
+
+    console.log(`Recording ${RecordingSid} for ${CallSid}: ${RecordingStatus}`);
+
+    if (!CallSid || !RecordingSid || !RecordingStatus) {
+      return res
+        .status(400)
+        .send("Missing CallSid, RecordingSid or RecordingStatus");
+    }
+
+    const result = await handleRecordingStatus({
+      params: req.body,
+      context: getWebhookContext(req),
+    });
+    if (result.skipped) {
+      console.log("No matching call for recording", RecordingSid, "; skipping");
+    }
+
+    res.status(200).send("OK");
+  } catch (error) {
+    console.error("Recording status webhook error:", error);
+    res.status(500).send("Failed to process recording status");
+  }
+});
+
+// Whisper TwiML for a browser call's dialed leg: the callee hears the
+// recording announcement before being connected. When recording has to wait
+// for the announcement, it is started afterwards by /recording-consent/start.
+router.post("/recording-consent", validateTwilioWebhook, async (req, res) => {
+  const vr = new VoiceResponse();
+
+  try {
+    const { organizationId, campaignId } = req.query;
+    const consent = await resolveRecordingConsent({
+      organizationId,
+      campaignId,
+      phoneNumber: req.body.To,
+    });
+
+    if (consent.announcement) vr.say(consent.announcement);
+    if (consent.record && consent.recordAfterAnnouncement) {
+      vr.redirect(
+        { method: "POST" },
+        buildCallbackUrl(req, "recording-consent/start", {
+          consent: consent.mode,
+        })
+      );
+    }
+  } catch (error) {
+    // Never bridge a recorded call whose callee did not hear the announcement
+    console.error("Recording consent webhook error:", error);
+    vr.hangup();
+  }
+
+  res.type("text/xml").send(vr.toString());
+});
+
+// Start recording a browser call once its callee heard the announcement.
+// Recording the parent (client) leg keeps the CallLog link; an empty
+// response lets the dialed leg be bridged.
+router.post(
+  "/recording-consent/start",
+  validateTwilioWebhook,
+  async (req, res) => {
+    const { CallSid, ParentCallSid } = req.body;
+
+    try {
+      const account = await getTwilioAccountBySid(req.body.AccountSid);
+      await startCallRecording(
+        getAccountClient(account),
+        ParentCallSid || CallSid,
+        buildCallbackUrl(req, "recording-status", {
+          consent: req.query.consent,
+        })
+      );
+    } catch (error) {
+      console.error(`Failed to start recording for ${CallSid}:`, error);
+    }
+
+    res.type("text/xml").send(new VoiceResponse().toString());
+  }
+);
+
 // Error handler middleware
 router.use((error, req, res, next) => {
   console.error("Twilio router error:", error);
@@ -966,12 +1582,12 @@ router.use((error, req, res, next) => {
 });
 
 // End Client Call - Remove client from conference
-router.post("/end-client-call", async (req, res) => {
+router.post("/end-client-call", authMiddleware, async (req, res) => {
   try {
     console.log("=== END CLIENT CALL REQUEST ===");
     console.log("Body:", req.body);
 
-    const { callSid, userId } = req.body;
+    const { callSid } = req.body;
 
     if (!callSid) {
       return res.status(400).json({
@@ -979,8 +1595,12 @@ router.post("/end-client-call", async (req, res) => {
         error: "CallSid is required",
       });
     }
+    if (!(await findOrganizationCall(req, callSid))) {
+      return res.status(404).json({ success: false, error: "Call not found" });
+    }
 
     // Get conference participants for this call
+    const client = await getTwilioClient(req.user.organizationId);
     const conferences = await client.conferences.list({
       friendlyName: `Room${callSid.slice(-8)}`,
       status: "in-progress",
@@ -1032,12 +1652,12 @@ router.post("/end-client-call", async (req, res) => {
 });
 
 // End License Agent Call - Remove license agent from conference
-router.post("/end-license-agent-call", async (req, res) => {
+router.post("/end-license-agent-call", authMiddleware, async (req, res) => {
   try {
     console.log("=== END LICENSE AGENT CALL REQUEST ===");
     console.log("Body:", req.body);
 
-    const { callSid, userId } = req.body;
+    const { callSid } = req.body;
 
     if (!callSid) {
       return res.status(400).json({
@@ -1045,8 +1665,12 @@ router.post("/end-license-agent-call", async (req, res) => {
         error: "CallSid is required",
       });
     }
+    if (!(await findOrganizationCall(req, callSid))) {
+      return res.status(404).json({ success: false, error: "Call not found" });
+    }
 
     // Get conference participants for this call
+    const client = await getTwilioClient(req.user.organizationId);
     const conferences = await client.conferences.list({
       friendlyName: `Room${callSid.slice(-8)}`,
       status: "in-progress",
@@ -0,0 +1,192 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Campaign = require("../models/Campaign");
+const VoicemailMessage = require("../models/VoicemailMessage");
+const router = express.Router();
+
+// Fields owners and admins may set on a voicemail message
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "audioUrl",
+  "durationSeconds",
+  "isActive",
+];
+
+// Middleware to check if user is owner or admin
+const ownerOrAdmin = (req, res, next) => {
+  if (!["owner", "admin"].includes(req.user.role)) {
+    return res
+      .status(403)
+      .json({ error: "Access denied. Owner or Admin only." });
+  }
+  next();
+};
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+/**
+ * Validate voicemail message fields before saving.
+ * Returns an error message or null.
+ */
+const validateMessageInput = ({
+  name,
+  audioUrl,
+  durationSeconds,
+  isActive,
+}) => {
+  if (name !== undefined && !String(name).trim()) {
+    return "Message name is required";
+  }
+  if (audioUrl !== undefined) {
+    let url = null;
+    try {
+      url = new URL(audioUrl);
+    } catch (error) {
+      // Reported below
+    }
+    if (!url || url.protocol !== "https:") {
+      return "audioUrl must be an https URL Twilio can reach";
+    }
+  }
+  if (
+    durationSeconds !== undefined &&
+    durationSeconds !== null &&
+    !(Number.isFinite(durationSeconds) && durationSeconds >= 0)
+  ) {
+    return "durationSeconds must be zero or more";
+  }
+  if (isActive !== undefined && typeof isActive !== "boolean") {
+    return "isActive must be true or false";
+  }
+  return null;
+};
+
+// Message lookup scoped to the caller's organization
+const findMessage = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? VoicemailMessage.findOne({
+        _id: req.params.id,
+        organizationId: req.user.organizationId,
+      })
+    : null;
+
+// LIST VOICEMAIL MESSAGES
+router.get("/", ownerOrAdmin, async (req, res) => {
+  try {
+    const query = { organizationId: req.user.organizationId };
+    if (req.query.includeInactive !== "true") query.isActive = true;
+
+    const messages = await VoicemailMessage.find(query)
+      .populate("createdBy", "username role")
+      .sort({ name: 1 });
+
+    res.json(messages);
+  } catch (error) {
+    console.error("Error fetching voicemail messages:", error);
+    res.status(500).json({ error: "Failed to fetch voicemail messages" });
+  }
+});
+
+// CREATE VOICEMAIL MESSAGE
+router.post("/", ownerOrAdmin, async (req, res) => {
+  try {
+    const fields = pickEditableFields(req.body);
+
+    if (!fields.name || !fields.audioUrl) {
+      return res
+        .status(400)
+        .json({ error: "Message name and audioUrl are required" });
+    }
+
+    const validationError = validateMessageInput(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const message = await new VoicemailMessage({
+      ...fields,
+      name: fields.name.trim(),
+      organizationId: req.user.organizationId,
+      createdBy: req.user.id,
+    }).save();
+
+    res.status(201).json({
+      message: "Voicemail message created successfully",
+      voicemailMessage: message,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A voicemail message with this name already exists" });
+    }
+    console.error("Error creating voicemail message:", error);
+    res.status(500).json({ error: "Failed to create voicemail message" });
+  }
+});
+
+// UPDATE VOICEMAIL MESSAGE
+router.put("/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const message = await findMessage(req);
+    if (!message) {
+      return res.status(404).json({ error: "Voicemail message not found" });
+    }
+
+    const fields = pickEditableFields(req.body);
+    const validationError = validateMessageInput(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    message.set(fields);
+    await message.save();
+
+    res.json({
+      message: "Voicemail message updated successfully",
+      voicemailMessage: message,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ error: "A voicemail message with this name already exists" });
+    }
+    console.error("Error updating voicemail message:", error);
+    res.status(500).json({ error: "Failed to update voicemail message" });
+  }
+});
+
+// DELETE VOICEMAIL MESSAGE (not while a campaign drops it)
+router.delete("/:id", ownerOrAdmin, async (req, res) => {
+  try {
+    const message = await findMessage(req);
+    if (!message) {
+      return res.status(404).json({ error: "Voicemail message not found" });
+    }
+
+    const campaigns = await Campaign.find({
+      organizationId: message.organizationId,
+      "answeringMachine.voicemailMessageId": message._id,
+    }).select("name");
+    if (campaigns.length > 0) {
+      return res.status(400).json({
+        error: "Voicemail message is used by campaigns. Deactivate it instead.",
+        campaigns: campaigns.map((campaign) => campaign.name),
+      });
+    }
+
+    await message.deleteOne();
+    res.json({ message: "Voicemail message deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting voicemail message:", error);
+    res.status(500).json({ error: "Failed to delete voicemail message" });
+  }
+});
+
+module.exports = router;
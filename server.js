@@ -41,6 +41,23 @@ const dialRouter = require("./routes/dial");
 const recordingRouter = require("./routes/recording");
 const organizationRouter = require("./routes/organization");
 const platformAdminRouter = require("./routes/platformAdmin");
+const realtimeRouter = require("./routes/realtime");
+const dncRouter = require("./routes/dnc");
+const campaignsRouter = require("./routes/campaigns");
+const contactsRouter = require("./routes/contacts");
+const teamsRouter = require("./routes/teams");
+const callScriptsRouter = require("./routes/callScripts");
+const dispositionsRouter = require("./routes/dispositions");
+const voicemailMessagesRouter = require("./routes/voicemailMessages");
+const callerIdsRouter = require("./routes/callerIds");
+const transcriptsRouter = require("./routes/transcripts");
+const qaRouter = require("./routes/qa");
+const { getDialerEngine } = require("./utils/dialerEngine");
+const { startLeaseSweeper } = require("./utils/leaseSweeper");
+const { startCallbackReminders } = require("./utils/callbackReminders");
+const { startRecordingRetention } = require("./utils/recordingRetention");
+const { startTranscriptionQueue } = require("./utils/transcriptionQueue");
+const { backfillCalleeTimezones } = require("./utils/calleeHours");
 
 // Database connection
 mongoose
@@ -48,7 +65,21 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log("✅ MongoDB connected successfully"))
+  .then(() => {
+    console.log("✅ MongoDB connected successfully");
+    getDialerEngine().start();
+    startLeaseSweeper();
+    startCallbackReminders();
+    startRecordingRetention();
+    startTranscriptionQueue();
+    backfillCalleeTimezones()
+      .then((updated) => {
+        if (updated > 0) {
+          console.log(`✅ Resolved callee time zones for ${updated} numbers`);
+        }
+      })
+      .catch((err) => console.error("Time zone backfill error:", err));
+  })
   .catch((err) => {
     console.error("❌ MongoDB connection error:", err.message);
     process.exit(1);
@@ -80,7 +111,18 @@ app.use("/organization", organizationRouter);
 app.use("/platform-admin", platformAdminRouter); // Platform admin routes
 app.use("/twilio", twilioRouter); // No authentication required for Twilio webhooks
 app.use("/dial", authMiddleware, dialRouter); // Protected routes for dial operations
-app.use("/recording", authMiddleware, recordingRouter); // Protected routes for recording operations
+app.use("/recording", recordingRouter); // Recording operations (signed file links need no login)
+app.use("/campaigns", authMiddleware, campaignsRouter); // Campaign management
+app.use("/contacts", authMiddleware, contactsRouter); // Contact records and screen pop
+app.use("/teams", authMiddleware, teamsRouter); // Teams sharing number pools
+app.use("/call-scripts", authMiddleware, callScriptsRouter); // Agent call scripts and answers
+app.use("/dispositions", authMiddleware, dispositionsRouter); // Disposition catalog
+app.use("/voicemail-messages", authMiddleware, voicemailMessagesRouter); // Voicemail drop recordings
+app.use("/caller-ids", authMiddleware, callerIdsRouter); // Caller ID pool
+app.use("/transcripts", authMiddleware, transcriptsRouter); // Call transcripts and search
+app.use("/qa", authMiddleware, qaRouter); // QA scorecards and call scoring
+app.use("/dnc", authMiddleware, dncRouter); // Do-Not-Call registry
+app.use("/realtime", realtimeRouter); // Supervisor event stream (authenticates itself)
 
 // Test endpoint
 app.get("/test", (req, res) => {
@@ -163,7 +205,29 @@ app.listen(PORT, () => {
   console.log("   POST /auth/login - User authentication");
   console.log("   GET  /twilio/access-token - Twilio access token");
   console.log("   POST /twilio/outbound-twiml - Twilio outbound calls");
+  console.log("   POST /twilio/call-status - Twilio call status webhook");
+  console.log(
+    "   POST /twilio/amd-status - Answering machine detection webhook"
+  );
+  console.log(
+    "   POST /twilio/recording-status - Call recording status webhook"
+  );
+  console.log(
+    "   POST /twilio/recording-consent - Recording announcement for callees"
+  );
+  console.log("   POST /twilio/inbound-twiml - Twilio inbound calls");
   console.log("   POST /dial/* - Protected dial operations");
+  console.log("   *    /campaigns/* - Campaign management");
+  console.log("   *    /contacts/* - Contact records and screen pop");
+  console.log("   *    /teams/* - Teams sharing number pools");
+  console.log("   *    /call-scripts/* - Agent call scripts and answers");
+  console.log("   *    /dispositions/* - Disposition catalog");
+  console.log("   *    /voicemail-messages/* - Voicemail drop recordings");
+  console.log("   *    /caller-ids/* - Caller ID pool");
+  console.log("   *    /transcripts/* - Call transcripts and search");
+  console.log("   *    /qa/* - QA scorecards and call scoring");
+  console.log("   *    /dnc/* - Do-Not-Call registry");
+  console.log("   GET  /realtime/events - Supervisor event stream (SSE)");
   console.log("");
 });
 
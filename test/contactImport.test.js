@@ -0,0 +1,297 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const Contact = require("../models/Contact");
+const ContactHistory = require("../models/ContactHistory");
+const DialList = require("../models/DialList");
+const DncAuditLog = require("../models/DncAuditLog");
+const DncEntry = require("../models/DncEntry");
+const ImportJob = require("../models/ImportJob");
+const {
+  buildContactFields,
+  getFileType,
+  readRows,
+  resolveMapping,
+  runImport,
+} = require("../utils/contactImport");
+
+// Mongoose query stand-in: chainable, resolves to value when awaited
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// CSV file in the temp directory, removed after each test
+const writeCsv = (lines) => {
+  const filePath = path.join(
+    os.tmpdir(),
+    `contact-import-${process.pid}-${Date.now()}.csv`
+  );
+  fs.writeFileSync(filePath, lines.join("\n"));
+  return filePath;
+};
+
+describe("column mapping", () => {
+  it("guesses the phone, contact and skill columns from the headers", () => {
+    const { mapping } = resolveMapping([
+      "Mobile",
+      "Full Name",
+      "E-mail",
+      "Skills",
+      "City",
+      "Notes.internal",
+      "$score",
+    ]);
+
+    assert.equal(mapping.phone, "Mobile");
+    assert.equal(mapping.name, "Full Name");
+    assert.equal(mapping.email, "E-mail");
+    assert.equal(mapping.skill, "Skills");
+    assert.deepEqual(mapping.address, { city: "City" });
+    assert.deepEqual(mapping.customFields, {
+      Notes_internal: "Notes.internal",
+      score: "$score",
+    });
+  });
+
+  it("needs a phone column", () => {
+    assert.match(resolveMapping(["Name", "Email"]).error, /phone column/);
+    assert.match(resolveMapping(["Phone"], { name: "Phone" }).error, /phone/);
+  });
+
+  it("rejects mappings to missing columns or bad field names", () => {
+    const headers = ["Phone", "Name"];
+
+    assert.match(
+      resolveMapping(headers, { phone: "Phone", email: "Email" }).error,
+      /Columns not found in file: Email/
+    );
+    assert.match(
+      resolveMapping(headers, {
+        phone: "Phone",
+        customFields: { "a.b": "Name" },
+      }).error,
+      /Invalid custom field name: a.b/
+    );
+    assert.match(
+      resolveMapping(headers, { phone: "Phone", address: { planet: "Name" } })
+        .error,
+      /Unknown address field: planet/
+    );
+  });
+});
+
+describe("contact fields", () => {
+  const { mapping } = resolveMapping([
+    "Phone",
+    "Name",
+    "Email",
+    "City",
+    "Tier",
+  ]);
+
+  it("splits a single name column and lowercases email", () => {
+    assert.deepEqual(
+      buildContactFields(
+        {
+          Phone: "5551234567",
+          Name: "Ada King Lovelace",
+          Email: "ADA@Example.com",
+          City: "London",
+          Tier: "gold",
+        },
+        mapping
+      ),
+      {
+        firstName: "Ada",
+        lastName: "King Lovelace",
+        email: "ada@example.com",
+        address: { city: "London" },
+        customFields: { Tier: "gold" },
+      }
+    );
+  });
+
+  it("leaves out empty cells", () => {
+    assert.deepEqual(
+      buildContactFields(
+        { Phone: "5551234567", Name: "", Email: "", City: "", Tier: "" },
+        mapping
+      ),
+      {}
+    );
+  });
+});
+
+describe("reading rows", () => {
+  let filePath;
+
+  afterEach(() => {
+    if (filePath) fs.rmSync(filePath, { force: true });
+  });
+
+  it("detects the file type from the name", () => {
+    assert.equal(getFileType("leads.CSV"), "csv");
+    assert.equal(getFileType("leads.xlsx"), "xlsx");
+    assert.equal(getFileType("leads.xls"), null);
+  });
+
+  it("streams CSV rows keyed by header with their line numbers", async () => {
+    filePath = writeCsv(["Phone,Name", "5551234567,Ada", "", "5557654321"]);
+    let headers = null;
+    const rows = [];
+
+    for await (const item of readRows(filePath, "csv", (value) => {
+      headers = value;
+    })) {
+      rows.push(item);
+    }
+
+    assert.deepEqual(headers, ["Phone", "Name"]);
+    assert.deepEqual(rows, [
+      { row: 2, values: { Phone: "5551234567", Name: "Ada" } },
+      { row: 4, values: { Phone: "5557654321", Name: "" } },
+    ]);
+  });
+});
+
+describe("import rows", () => {
+  const organizationId = objectId();
+  const userId = objectId();
+  const agentId = objectId();
+  const job = { _id: objectId(), fileType: "csv", defaultCountry: "US" };
+  let filePath;
+
+  beforeEach(() => {
+    mock.method(ImportJob, "findById", async () => job);
+    mock.method(ImportJob, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(Contact, "find", () => query([]));
+    mock.method(Contact, "bulkWrite", async () => ({}));
+    mock.method(ContactHistory, "insertMany", async () => []);
+    mock.method(DncAuditLog, "insertMany", async () => []);
+    mock.method(console, "log", () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(filePath, { force: true });
+  });
+
+  const run = () =>
+    runImport({
+      jobId: job._id,
+      filePath,
+      organizationId,
+      userId,
+      distribution: { strategy: "single", agents: [{ _id: agentId }] },
+      campaignId: null,
+    });
+
+  // Last progress save of the job
+  const finalProgress = () =>
+    ImportJob.updateOne.mock.calls.at(-1).arguments[1];
+
+  it("uploads valid rows and reports rejected, duplicate and DNC rows", async () => {
+    const dncEntry = { _id: objectId(), phoneNumber: "+15551234000" };
+    const existingEntry = {
+      _id: objectId(),
+      phoneNumber: "+15551235000",
+      disposition: null,
+    };
+    mock.method(DncEntry, "find", () => query([dncEntry]));
+    mock.method(DialList, "find", () => query([existingEntry]));
+    mock.method(DialList, "bulkWrite", async () => ({}));
+    filePath = writeCsv([
+      "Phone,Name",
+      "(555) 123-4567,Ada Lovelace",
+      "12345,Bad Number",
+      ",No Number",
+      "555-123-4567,Repeated",
+      "555-123-4000,Do Not Call",
+      "555-123-5000,Already Listed",
+    ]);
+
+    await run();
+
+    const { $set } = finalProgress();
+    assert.equal($set.status, "completed");
+    assert.deepEqual($set.counts, {
+      rows: 6,
+      uploaded: 1,
+      duplicates: 2,
+      suppressed: 1,
+      rejected: 2,
+    });
+
+    const issues = ImportJob.updateOne.mock.calls.flatMap(
+      (call) => call.arguments[1].$push.issues.$each
+    );
+    assert.deepEqual(
+      issues.map(({ row, status, reason }) => [row, status, reason]),
+      [
+        [3, "rejected", "Invalid phone number"],
+        [4, "rejected", "Missing phone number"],
+        [5, "duplicate", "Repeated in file"],
+        [6, "suppressed", "On DNC list"],
+        [7, "duplicate", "Already in dial list; reset for re-dialing"],
+      ]
+    );
+
+    const [operations] = DialList.bulkWrite.mock.calls[0].arguments;
+    assert.equal(operations[0].insertOne.document.phoneNumber, "+15551234567");
+    assert.equal(operations[0].insertOne.document.assignedTo, agentId);
+    assert.equal(operations[1].updateOne.filter._id, existingEntry._id);
+    assert.equal(
+      DncAuditLog.insertMany.mock.calls[0].arguments[0][0].action,
+      "upload_suppressed"
+    );
+  });
+
+  it("reports numbers another upload inserted first as duplicates", async () => {
+    mock.method(DncEntry, "find", () => query([]));
+    mock.method(DialList, "find", () => query([]));
+    mock.method(DialList, "bulkWrite", async () => {
+      throw Object.assign(new Error("E11000"), {
+        writeErrors: [{ index: 1, code: 11000, errmsg: "E11000" }],
+      });
+    });
+    filePath = writeCsv(["Phone", "5551234567", "5557654321"]);
+
+    await run();
+
+    const { $set } = finalProgress();
+    assert.equal($set.counts.uploaded, 1);
+    assert.equal($set.counts.duplicates, 1);
+    const issues = ImportJob.updateOne.mock.calls.flatMap(
+      (call) => call.arguments[1].$push.issues.$each
+    );
+    assert.deepEqual(issues, [
+      {
+        row: 3,
+        phoneNumber: "5557654321",
+        status: "duplicate",
+        reason: "Added to the dial list by another upload",
+      },
+    ]);
+  });
+
+  it("fails the job when the file has no phone column", async () => {
+    mock.method(console, "error", () => {});
+    filePath = writeCsv(["Name", "Ada"]);
+
+    await run();
+
+    const { $set } = finalProgress();
+    assert.equal($set.status, "failed");
+    assert.match($set.error, /phone column/);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  decryptSecret,
+  digestSecret,
+  encryptSecret,
+  isEncrypted,
+} = require("../utils/credentialCipher");
+
+const KEY = crypto.randomBytes(32).toString("hex");
+
+// Flip the first byte of one base64 part of an encrypted value
+const tamper = (value, part) => {
+  const parts = value.split(":");
+  const bytes = Buffer.from(parts[part], "base64");
+  bytes[0] ^= 1;
+  parts[part] = bytes.toString("base64");
+  return parts.join(":");
+};
+
+describe("credential cipher", () => {
+  const originalKey = process.env.CREDENTIALS_ENCRYPTION_KEY;
+
+  beforeEach(() => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = KEY;
+  });
+
+  afterEach(() => {
+    if (originalKey === undefined) {
+      delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+    } else {
+      process.env.CREDENTIALS_ENCRYPTION_KEY = originalKey;
+    }
+  });
+
+  it("decrypts what it encrypted", () => {
+    const encrypted = encryptSecret("auth-token-123");
+
+    assert.ok(isEncrypted(encrypted));
+    assert.ok(!encrypted.includes("auth-token-123"));
+    assert.notEqual(encryptSecret("auth-token-123"), encrypted);
+    assert.equal(decryptSecret(encrypted), "auth-token-123");
+  });
+
+  it("stores empty values as null", () => {
+    assert.equal(encryptSecret(""), null);
+    assert.equal(encryptSecret(undefined), null);
+    assert.equal(decryptSecret(null), null);
+  });
+
+  it("accepts a base64 key", () => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = Buffer.from(KEY, "hex").toString(
+      "base64"
+    );
+    assert.equal(decryptSecret(encryptSecret("secret")), "secret");
+  });
+
+  it("rejects tampered values", () => {
+    const encrypted = encryptSecret("auth-token-123");
+
+    assert.throws(() => decryptSecret(tamper(encrypted, 4)));
+    assert.throws(() => decryptSecret(tamper(encrypted, 3)));
+    assert.throws(() => decryptSecret(tamper(encrypted, 2)));
+    assert.throws(() => decryptSecret("auth-token-123"), /not an encrypted/);
+  });
+
+  it("rejects values encrypted under another key", () => {
+    const encrypted = encryptSecret("auth-token-123");
+    process.env.CREDENTIALS_ENCRYPTION_KEY = crypto
+      .randomBytes(32)
+      .toString("hex");
+
+    assert.throws(() => decryptSecret(encrypted));
+  });
+
+  it("needs a 32-byte key", () => {
+    delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+    assert.throws(() => encryptSecret("secret"), /is not set/);
+
+    process.env.CREDENTIALS_ENCRYPTION_KEY = "c2hvcnQ=";
+    assert.throws(() => encryptSecret("secret"), /32 bytes/);
+  });
+
+  it("digests values the same way under the same key", () => {
+    assert.equal(digestSecret("AC123"), digestSecret("AC123"));
+    assert.notEqual(digestSecret("AC123"), digestSecret("AC124"));
+  });
+});
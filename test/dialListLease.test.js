@@ -0,0 +1,168 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Campaign = require("../models/Campaign");
+const CallLog = require("../models/CallLog");
+const DialList = require("../models/DialList");
+const DncAuditLog = require("../models/DncAuditLog");
+const DncEntry = require("../models/DncEntry");
+const Organization = require("../models/Organization");
+const Team = require("../models/Team");
+const {
+  LEASE_TTL_SECONDS,
+  MAX_ATTEMPTS,
+  buildLeaseFilter,
+  getLeaseExpiry,
+  leaseNextNumber,
+  releaseExpiredLeases,
+  renewNumberLease,
+} = require("../utils/dialListLease");
+
+// Mongoose query stand-in: chainable, resolves to value when awaited
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe("lease filter", () => {
+  const now = new Date("2026-10-18T12:00:00Z");
+  const agentId = objectId();
+
+  it("leaves out numbers that are locked, cooling down or kept by others", () => {
+    const filter = buildLeaseFilter({
+      organizationId: "org1",
+      assignedTo: agentId,
+      now,
+    });
+
+    assert.equal(filter.currentlyDialingBy, null);
+    assert.deepEqual(filter.nextEligibleAt, { $not: { $gt: now } });
+    assert.deepEqual(filter.callbackOwner, { $in: [null, agentId] });
+    assert.deepEqual(filter.$or[0], { assignedTo: agentId, pool: null });
+    assert.deepEqual(filter.attempts, { $lt: MAX_ATTEMPTS });
+  });
+
+  it("lets campaign clauses set the attempt limits", () => {
+    const clauses = [{ campaignId: null, attempts: { $lt: 5 } }];
+    const filter = buildLeaseFilter({
+      organizationId: "org1",
+      assignedTo: agentId,
+      campaignClauses: clauses,
+      now,
+    });
+
+    assert.equal(filter.attempts, undefined);
+    assert.deepEqual(filter.$and, [{ $or: clauses }]);
+  });
+
+  it("expires leases after the TTL", () => {
+    assert.equal(
+      getLeaseExpiry(now).getTime() - now.getTime(),
+      LEASE_TTL_SECONDS * 1000
+    );
+  });
+});
+
+describe("leasing", () => {
+  const organizationId = objectId();
+  const userId = objectId();
+
+  beforeEach(() => {
+    mock.method(Campaign, "find", () => query([]));
+    mock.method(Campaign, "distinct", () => query([]));
+    mock.method(Team, "distinct", () => query([]));
+    mock.method(Organization, "findById", () => query(null));
+    mock.method(DialList, "updateOne", () => query({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("locks the next number to the agent with a lease", async () => {
+    const entry = { _id: objectId(), phoneNumber: "+15551234567" };
+    // Due callbacks are tried first, then the regular queue
+    mock.method(DialList, "findOneAndUpdate", (filter) =>
+      query(filter.callbackAt ? null : entry)
+    );
+    mock.method(DncEntry, "findOne", () => query(null));
+
+    assert.equal(await leaseNextNumber({ organizationId, userId }), entry);
+
+    const calls = DialList.findOneAndUpdate.mock.calls;
+    assert.equal(calls.length, 2);
+    const [filter, update] = calls[1].arguments;
+    assert.equal(filter.currentlyDialingBy, null);
+    assert.equal(update.currentlyDialingBy, userId);
+    assert.equal(update.dialingStatus, "dialing");
+    assert.ok(update.leaseExpiresAt > new Date());
+  });
+
+  it("closes out DNC numbers instead of leasing them", async () => {
+    const entry = { _id: objectId(), phoneNumber: "+15551234567" };
+    let regularLeases = 0;
+    mock.method(DialList, "findOneAndUpdate", (filter) =>
+      query(!filter.callbackAt && regularLeases++ === 0 ? entry : null)
+    );
+    mock.method(DncEntry, "findOne", () => query({ _id: objectId() }));
+    mock.method(DncAuditLog, "create", async () => ({}));
+
+    assert.equal(await leaseNextNumber({ organizationId, userId }), null);
+
+    const [filter, update] = DialList.updateOne.mock.calls[0].arguments;
+    assert.equal(filter._id, entry._id);
+    assert.equal(update.disposition, "DNC");
+    assert.equal(update.currentlyDialingBy, null);
+    assert.equal(
+      DncAuditLog.create.mock.calls[0].arguments[0].action,
+      "lease_suppressed"
+    );
+  });
+
+  it("renews the lock of a number that is still held", async () => {
+    assert.equal(await renewNumberLease(null), false);
+    assert.equal(await renewNumberLease("entry1"), true);
+
+    const [filter, update] = DialList.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      _id: "entry1",
+      currentlyDialingBy: { $ne: null },
+    });
+    assert.ok(update.leaseExpiresAt > new Date());
+  });
+});
+
+describe("expiry sweep", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("releases expired locks except numbers on a live call", async () => {
+    const now = new Date("2026-10-18T12:00:00Z");
+    const organizationId = objectId();
+    const [idle, onCall] = [objectId(), objectId()];
+    mock.method(DialList, "distinct", (field) =>
+      query(field === "_id" ? [idle, onCall] : [organizationId])
+    );
+    mock.method(CallLog, "distinct", () => query([onCall]));
+    mock.method(DialList, "updateMany", () => query({ modifiedCount: 1 }));
+
+    assert.equal(await releaseExpiredLeases(now), 1);
+
+    const liveFilter = CallLog.distinct.mock.calls[0].arguments[1];
+    assert.deepEqual(liveFilter.dialListId, { $in: [idle, onCall] });
+
+    const [filter, pipeline] = DialList.updateMany.mock.calls[0].arguments;
+    assert.equal(filter.organizationId, organizationId);
+    assert.deepEqual(filter._id, { $nin: [onCall] });
+    assert.deepEqual(filter.$or[0], { leaseExpiresAt: { $lte: now } });
+    assert.equal(pipeline[0].$set.lockRelease.reason, "expired");
+    assert.equal(pipeline[0].$set.currentlyDialingBy, null);
+  });
+});
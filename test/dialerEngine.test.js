@@ -0,0 +1,275 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const CallerIdNumber = require("../models/CallerIdNumber");
+const DialList = require("../models/DialList");
+const Organization = require("../models/Organization");
+const UserStatus = require("../models/UserStatus");
+const { DialerEngine } = require("../utils/dialerEngine");
+
+// Mongoose query stand-in: chainable, resolves to value when awaited
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Twilio REST client stub recording calls.create() options
+const stubClient = () => {
+  const created = [];
+  return {
+    created,
+    calls: {
+      create: async (options) => {
+        created.push(options);
+        return { sid: `CA${String(created.length).padStart(32, "0")}` };
+      },
+    },
+  };
+};
+
+const organizationDoc = (dialer = {}) => ({
+  isActive: true,
+  settings: {
+    dialer: {
+      mode: "predictive",
+      callsPerAgent: 2,
+      maxAbandonRate: 0.03,
+      abandonWindowHours: 24,
+      ringTimeout: 25,
+      abandonMessage: "Sorry, all agents are busy.",
+      ...dialer,
+    },
+  },
+});
+
+const callLogDoc = (fields = {}) => ({
+  _id: objectId(),
+  organizationId: objectId(),
+  userId: objectId(),
+  phoneNumber: "+15551234567",
+  dialListId: objectId(),
+  campaignId: null,
+  status: "connecting",
+  save: mock.fn(async function () {
+    return this;
+  }),
+  ...fields,
+});
+
+describe("DialerEngine", () => {
+  let client;
+  let engine;
+
+  beforeEach(() => {
+    client = stubClient();
+    engine = new DialerEngine({
+      client,
+      baseUrl: "https://dialer.example.com",
+      callerId: "+15550000000",
+    });
+    mock.method(CallerIdNumber, "findOneAndUpdate", () => query(null));
+    mock.method(CallerIdNumber, "updateOne", () => query({}));
+    mock.method(DialList, "updateOne", () => query({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe("pacing", () => {
+    const readyAgents = (count) =>
+      Array.from({ length: count }, () => ({ userId: objectId() }));
+
+    const pace = async ({ dialer, agents, answered = 0, abandoned = 0 }) => {
+      mock.method(Organization, "findById", () =>
+        query(organizationDoc(dialer))
+      );
+      mock.method(UserStatus, "find", () => query(agents));
+      mock.method(CallLog, "countDocuments", (filter) =>
+        query(filter.abandoned ? abandoned : answered)
+      );
+      mock.method(engine, "leaseNumber", async () => ({ _id: objectId() }));
+      mock.method(engine, "originateCall", async () => "CA1");
+
+      await engine.paceOrganization(objectId());
+      return engine.originateCall.mock.callCount();
+    };
+
+    it("dials callsPerAgent numbers per ready agent in predictive mode", async () => {
+      assert.equal(await pace({ agents: readyAgents(2) }), 4);
+    });
+
+    it("dials one number per agent in power mode", async () => {
+      assert.equal(
+        await pace({ dialer: { mode: "power" }, agents: readyAgents(3) }),
+        3
+      );
+    });
+
+    it("stops over-dialing once the abandon rate reaches the ceiling", async () => {
+      const calls = await pace({
+        agents: readyAgents(2),
+        answered: 100,
+        abandoned: 5,
+      });
+      assert.equal(calls, 2);
+    });
+
+    it("counts calls still ringing against the available slots", async () => {
+      const organizationId = objectId();
+      engine.inFlight.set("CA-ringing", {
+        organizationId: organizationId.toString(),
+        agentId: null,
+        startedAt: new Date(),
+      });
+      mock.method(Organization, "findById", () => query(organizationDoc()));
+      mock.method(UserStatus, "find", () => query(readyAgents(1)));
+      mock.method(CallLog, "countDocuments", () => query(0));
+      mock.method(engine, "leaseNumber", async () => ({ _id: objectId() }));
+      mock.method(engine, "originateCall", async () => "CA1");
+
+      await engine.paceOrganization(organizationId);
+      assert.equal(engine.originateCall.mock.callCount(), 1);
+    });
+
+    it("places calls through the Twilio client", async () => {
+      const organizationId = objectId();
+      mock.method(Organization, "findById", () => query(null));
+      mock.method(CallLog.prototype, "save", async function () {
+        return this;
+      });
+
+      const callSid = await engine.originateCall(
+        organizationId,
+        { _id: objectId(), phoneNumber: "+15551234567", campaignId: null },
+        organizationDoc().settings.dialer
+      );
+
+      assert.equal(client.created.length, 1);
+      assert.equal(client.created[0].to, "+15551234567");
+      assert.equal(client.created[0].from, "+15550000000");
+      assert.equal(
+        client.created[0].url,
+        "https://dialer.example.com/twilio/dialer/answer"
+      );
+      assert.equal(engine.inFlight.get(callSid).agentId, null);
+    });
+  });
+
+  describe("handleAnswer", () => {
+    it("bridges the callee to a claimed agent", async () => {
+      const callLog = callLogDoc();
+      const agentId = objectId();
+      mock.method(CallLog, "findOne", () => query(callLog));
+      mock.method(Organization, "findById", () => query(null));
+      mock.method(engine, "claimAgent", async () => ({ userId: agentId }));
+
+      const twiml = await engine.handleAnswer({ CallSid: "CA1" });
+
+      assert.match(twiml, /<Dial><Client>/);
+      assert.equal(callLog.userId, agentId);
+      assert.equal(callLog.status, "on_call");
+      assert.equal(callLog.abandoned, undefined);
+      const [filter, update] = DialList.updateOne.mock.calls[0].arguments;
+      assert.equal(filter._id, callLog.dialListId);
+      assert.equal(update.currentlyDialingBy, agentId);
+      assert.ok(update.leaseExpiresAt > new Date());
+    });
+
+    it("abandons the call when no agent is free", async () => {
+      const callLog = callLogDoc();
+      mock.method(CallLog, "findOne", () => query(callLog));
+      mock.method(Organization, "findById", () => query(organizationDoc()));
+      mock.method(engine, "claimAgent", async () => null);
+
+      const twiml = await engine.handleAnswer({ CallSid: "CA1" });
+
+      assert.match(twiml, /<Say>Sorry, all agents are busy.<\/Say><Hangup\/>/);
+      assert.equal(callLog.abandoned, true);
+      assert.equal(callLog.endedBy, "abandoned");
+      assert.equal(DialList.updateOne.mock.callCount(), 0);
+    });
+
+    it("hangs up when the organization is gone", async () => {
+      const callLog = callLogDoc();
+      mock.method(CallLog, "findOne", () => query(callLog));
+      mock.method(Organization, "findById", () => query(null));
+      mock.method(engine, "claimAgent", async () => null);
+
+      const twiml = await engine.handleAnswer({ CallSid: "CA1" });
+
+      assert.match(twiml, /<Hangup\/>/);
+      assert.doesNotMatch(twiml, /<Say>/);
+    });
+
+    it("hangs up calls without a CallLog", async () => {
+      mock.method(CallLog, "findOne", () => query(null));
+
+      const twiml = await engine.handleAnswer({ CallSid: "CA1" });
+
+      assert.match(twiml, /<Hangup\/>/);
+    });
+  });
+
+  describe("handleStatus", () => {
+    it("frees the agent and keeps the number locked after a bridged call", async () => {
+      const callLog = callLogDoc({ answerTime: new Date(), status: "on_call" });
+      engine.inFlight.set("CA1", { agentId: callLog.userId });
+      mock.method(CallLog, "findOne", () => query(callLog));
+      mock.method(UserStatus, "updateOne", () => query({}));
+      mock.method(DialList, "findOne", () => query(null));
+
+      await engine.handleStatus({ CallSid: "CA1", CallStatus: "completed" });
+
+      assert.equal(callLog.status, "ended");
+      assert.equal(engine.inFlight.has("CA1"), false);
+      assert.equal(UserStatus.updateOne.mock.callCount(), 1);
+      assert.equal(
+        UserStatus.updateOne.mock.calls[0].arguments[1].isOnCall,
+        false
+      );
+      assert.equal(DialList.findOne.mock.callCount(), 0);
+      assert.ok(
+        DialList.updateOne.mock.calls[0].arguments[1].leaseExpiresAt >
+          new Date()
+      );
+    });
+
+    it("records the outcome of a call that was never bridged", async () => {
+      const callLog = callLogDoc();
+      engine.inFlight.set("CA1", { agentId: null });
+      mock.method(CallLog, "findOne", () => query(callLog));
+      mock.method(UserStatus, "updateOne", () => query({}));
+      mock.method(DialList, "findOne", () => query(null));
+
+      await engine.handleStatus({ CallSid: "CA1", CallStatus: "no-answer" });
+
+      assert.equal(engine.inFlight.has("CA1"), false);
+      assert.equal(UserStatus.updateOne.mock.callCount(), 0);
+      const [filter] = DialList.findOne.mock.calls[0].arguments;
+      assert.equal(filter._id, callLog.dialListId);
+      assert.equal(filter.dialingStatus, "dialing");
+    });
+
+    it("keeps calls in progress tracked", async () => {
+      const callLog = callLogDoc();
+      engine.inFlight.set("CA1", { agentId: null });
+      mock.method(CallLog, "findOne", () => query(callLog));
+
+      await engine.handleStatus({ CallSid: "CA1", CallStatus: "ringing" });
+
+      assert.equal(callLog.status, "ringing");
+      assert.equal(callLog.save.mock.callCount(), 1);
+      assert.equal(engine.inFlight.has("CA1"), true);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createAssigner,
+  createPicker,
+  normalizeSkill,
+  validateDistribution,
+} = require("../utils/distribution");
+
+const agent = (id, fields = {}) => ({ _id: id, ...fields });
+
+// Agent IDs picked for each of count numbers
+const pick = (assign, count, skill) =>
+  Array.from({ length: count }, () => assign(skill)?.assignedTo ?? null);
+
+describe("distribution strategies", () => {
+  it("gives every number to the single agent", () => {
+    const assign = createAssigner({
+      strategy: "single",
+      agents: [agent("a", { capacity: 0 })],
+    });
+    assert.deepEqual(pick(assign, 2), ["a", "a"]);
+  });
+
+  it("takes agents in turn and skips those at zero capacity", () => {
+    const assign = createAssigner({
+      strategy: "round_robin",
+      agents: [agent("a"), agent("b", { capacity: 0 }), agent("c")],
+    });
+    assert.deepEqual(pick(assign, 4), ["a", "c", "a", "c"]);
+  });
+
+  it("spreads numbers by weight without runs", () => {
+    const assign = createAssigner({
+      strategy: "weighted",
+      agents: [agent("a", { capacity: 1 }), agent("b")],
+      weights: { b: 2 },
+    });
+    assert.deepEqual(pick(assign, 6), ["b", "a", "b", "b", "a", "b"]);
+  });
+
+  it("keeps a rotation per skill and rejects numbers nobody can take", () => {
+    const assign = createAssigner({
+      strategy: "skill",
+      agents: [
+        agent("a", { skills: ["spanish"] }),
+        agent("b", { skills: ["spanish", "french"] }),
+      ],
+      skill: "spanish",
+    });
+
+    assert.deepEqual(pick(assign, 3, " French "), ["b", "b", "b"]);
+    assert.deepEqual(pick(assign, 2), ["a", "b"]);
+    assert.equal(assign("german"), null);
+  });
+
+  it("leaves pooled numbers unassigned for the eligible agents", () => {
+    const agentPool = createAssigner({
+      strategy: "pool",
+      agents: [agent("a", { skills: ["sales"] }), agent("b")],
+    });
+    assert.deepEqual(agentPool("Sales"), {
+      assignedTo: null,
+      pool: "agents",
+      poolAgents: ["a"],
+      teamId: null,
+    });
+
+    const teamPool = createAssigner({
+      strategy: "pool",
+      poolType: "team",
+      teamId: "team1",
+    });
+    assert.deepEqual(teamPool(), {
+      assignedTo: null,
+      pool: "team",
+      poolAgents: [],
+      teamId: "team1",
+    });
+  });
+
+  it("picks nobody when every weight is zero", () => {
+    assert.equal(createPicker([agent("a")], () => 0)(), null);
+  });
+});
+
+describe("skill tags", () => {
+  it("trims and lowercases tags", () => {
+    assert.equal(normalizeSkill("  Spanish "), "spanish");
+    assert.equal(normalizeSkill(""), null);
+    assert.equal(normalizeSkill(null), null);
+  });
+});
+
+describe("distribution validation", () => {
+  it("accepts known strategies with their required options", () => {
+    assert.equal(
+      validateDistribution({ strategy: "single", agentIds: ["a"] }),
+      null
+    );
+    assert.equal(
+      validateDistribution({
+        strategy: "weighted",
+        agentIds: ["a", "b"],
+        weights: { a: 0, b: 3 },
+      }),
+      null
+    );
+    assert.equal(
+      validateDistribution({ strategy: "pool", poolType: "campaign" }),
+      null
+    );
+  });
+
+  it("rejects unknown strategies and missing agents or teams", () => {
+    assert.match(validateDistribution({ strategy: "random" }), /strategy/);
+    assert.match(
+      validateDistribution({ strategy: "pool", poolType: "office" }),
+      /poolType/
+    );
+    assert.match(
+      validateDistribution({ strategy: "pool", poolType: "team" }),
+      /team/
+    );
+    assert.match(
+      validateDistribution({ strategy: "round_robin", agentIds: [] }),
+      /agents/
+    );
+    assert.match(
+      validateDistribution({ strategy: "single", agentIds: ["a", "b"] }),
+      /exactly one/
+    );
+    assert.match(
+      validateDistribution({
+        strategy: "weighted",
+        agentIds: ["a"],
+        weights: { a: -1 },
+      }),
+      /zero or more/
+    );
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const DncEntry = require("../models/DncEntry");
+const { findDncEntries, findDncEntry } = require("../utils/dncRegistry");
+const {
+  getPhoneNumberVariants,
+  toE164,
+  toStoredPhoneNumber,
+} = require("../utils/phoneNumber");
+
+// Mongoose query stand-in resolving to value
+const query = (value) => ({
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+describe("phone number forms", () => {
+  it("reads national numbers as E.164 in the default country", () => {
+    assert.equal(toE164("(555) 123-4567"), "+15551234567");
+    assert.equal(toE164("15551234567"), "+15551234567");
+    assert.equal(toE164("07700 900123", "GB"), "+447700900123");
+    assert.equal(toE164("12345"), null);
+  });
+
+  it("stores numbers in E.164 when they can be read as one", () => {
+    assert.equal(toStoredPhoneNumber("555-123-4567"), "+15551234567");
+    assert.equal(toStoredPhoneNumber("+1 555 123 4567"), "+15551234567");
+    assert.equal(toStoredPhoneNumber("12345"), "12345");
+  });
+
+  it("matches a national number with its E.164 form both ways", () => {
+    assert.ok(getPhoneNumberVariants("5551234567").includes("+15551234567"));
+    assert.ok(getPhoneNumberVariants("+15551234567").includes("5551234567"));
+    assert.ok(getPhoneNumberVariants("+15551234567").includes("15551234567"));
+  });
+});
+
+describe("DNC lookups", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("finds a national DNC entry for an E.164 dial-list number", async () => {
+    const entry = { _id: "dnc1", phoneNumber: "5551234567" };
+    mock.method(DncEntry, "find", () => query([entry]));
+
+    const matches = await findDncEntries("org1", ["+15551234567"]);
+
+    const { phoneNumber } = DncEntry.find.mock.calls[0].arguments[0];
+    assert.ok(phoneNumber.$in.includes("5551234567"));
+    assert.equal(matches.get("+15551234567"), entry);
+  });
+
+  it("finds an E.164 DNC entry for a national number", async () => {
+    const entry = { _id: "dnc1", phoneNumber: "+15551234567" };
+    mock.method(DncEntry, "findOne", () => query(entry));
+
+    assert.equal(await findDncEntry("org1", "555-123-4567"), entry);
+
+    const { phoneNumber } = DncEntry.findOne.mock.calls[0].arguments[0];
+    assert.ok(phoneNumber.$in.includes("+15551234567"));
+  });
+});
@@ -0,0 +1,256 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const QaScorecard = require("../models/QaScorecard");
+const {
+  findScorecardForCall,
+  scoreCallTranscript,
+  summarizeQa,
+  validateScorecardInput,
+} = require("../utils/qaScoring");
+
+// Mongoose query stand-in: chainable, resolves to value when awaited
+const query = (value) => {
+  const chain = {
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const CRITERIA = [
+  {
+    key: "greeting",
+    label: "Greeting",
+    type: "required",
+    phrases: ["thank you for calling"],
+    withinSeconds: 10,
+    weight: 2,
+  },
+  {
+    key: "disclosure",
+    label: "Recording disclosure",
+    type: "required",
+    phrases: ["this call is recorded"],
+    weight: 1,
+  },
+  {
+    key: "profanity",
+    label: "No profanity",
+    type: "forbidden",
+    phrases: ["damn"],
+    weight: 1,
+  },
+  { key: "tone", label: "Tone", type: "manual", weight: 1 },
+];
+
+// Transcript words from [channel, start, text] triples
+const words = (items) =>
+  items.flatMap(([channel, start, text]) =>
+    text.split(" ").map((word, index) => ({
+      channel,
+      start: start + index * 0.3,
+      word,
+    }))
+  );
+
+const TRANSCRIPT = {
+  words: words([
+    [1, 2, "Thank you for calling!"],
+    [2, 20, "Damn,"],
+    [1, 30, "This call is recorded."],
+  ]),
+};
+
+describe("QA scoring", () => {
+  const scorecard = { _id: objectId(), passingScore: 80, criteria: CRITERIA };
+  let callLog;
+
+  beforeEach(() => {
+    callLog = { _id: objectId(), organizationId: objectId(), qa: null };
+    mock.method(CallLog, "updateOne", async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("scores phrases on either channel and flags forbidden ones", async () => {
+    const qa = await scoreCallTranscript(callLog, TRANSCRIPT, { scorecard });
+
+    assert.deepEqual(
+      qa.results.map((result) => [result.key, result.autoPassed]),
+      [
+        ["greeting", true],
+        ["disclosure", true],
+        ["profanity", false],
+        ["tone", null],
+      ]
+    );
+    assert.equal(qa.score, 75);
+    assert.equal(qa.passed, false);
+    assert.equal(qa.flagged, true);
+    assert.deepEqual(qa.violations, [
+      {
+        key: "profanity",
+        label: "No profanity",
+        type: "forbidden",
+        phrase: "damn",
+        start: 20,
+        channel: 2,
+      },
+    ]);
+
+    const [filter, update] = CallLog.updateOne.mock.calls[0].arguments;
+    assert.equal(filter._id, callLog._id);
+    assert.equal(update.qa, qa);
+  });
+
+  it("uses segment times and the required phrase's time limit", async () => {
+    const qa = await scoreCallTranscript(
+      callLog,
+      {
+        segments: [
+          { channel: 1, start: 12, text: "Thank you for calling" },
+          { channel: 1, start: 15, text: "This call is recorded" },
+        ],
+      },
+      { scorecard }
+    );
+
+    assert.equal(qa.results[0].autoPassed, false);
+    assert.equal(qa.results[1].matches[0].start, 15);
+    assert.deepEqual(
+      qa.violations.map((violation) => [violation.key, violation.type]),
+      [["greeting", "missing_required"]]
+    );
+  });
+
+  it("keeps supervisor adjustments when rescoring with the same scorecard", async () => {
+    callLog.qa = {
+      scorecardId: scorecard._id,
+      results: [
+        { key: "profanity", passed: true, adjusted: true, note: "Quote" },
+      ],
+      scoreOverride: 90,
+    };
+
+    const qa = await scoreCallTranscript(callLog, TRANSCRIPT, { scorecard });
+
+    const profanity = qa.results.find((result) => result.key === "profanity");
+    assert.equal(profanity.autoPassed, false);
+    assert.equal(profanity.passed, true);
+    assert.equal(profanity.note, "Quote");
+    assert.equal(qa.autoScore, 75);
+    assert.equal(qa.score, 90);
+    assert.equal(qa.passed, true);
+    assert.equal(qa.flagged, false);
+  });
+
+  it("drops adjustments made under another scorecard", async () => {
+    callLog.qa = {
+      scorecardId: objectId(),
+      results: [{ key: "profanity", passed: true, adjusted: true }],
+      scoreOverride: 90,
+    };
+
+    const qa = await scoreCallTranscript(callLog, TRANSCRIPT, { scorecard });
+
+    assert.equal(qa.score, 75);
+    assert.equal(qa.flagged, true);
+  });
+});
+
+describe("scorecard lookup", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("prefers a scorecard listing the call's campaign", async () => {
+    const campaignId = objectId();
+    const fallback = { _id: objectId(), campaignIds: [] };
+    const campaignCard = { _id: objectId(), campaignIds: [campaignId] };
+    mock.method(QaScorecard, "find", () => query([fallback, campaignCard]));
+
+    const callLog = { organizationId: objectId(), campaignId };
+    assert.equal(await findScorecardForCall(callLog), campaignCard);
+
+    const [filter] = QaScorecard.find.mock.calls[0].arguments;
+    assert.equal(filter.isActive, true);
+    assert.deepEqual(filter.$or, [
+      { campaignIds: { $size: 0 } },
+      { campaignIds: campaignId },
+    ]);
+  });
+
+  it("leaves calls without a scorecard unscored", async () => {
+    mock.method(QaScorecard, "find", () => query([]));
+    mock.method(CallLog, "updateOne", async () => ({}));
+
+    const callLog = { _id: objectId(), organizationId: objectId() };
+    assert.equal(await scoreCallTranscript(callLog, TRANSCRIPT), null);
+    assert.equal(CallLog.updateOne.mock.calls.length, 0);
+  });
+});
+
+describe("QA summary", () => {
+  it("leaves the score undecided until a criterion is", () => {
+    const qa = summarizeQa({
+      passingScore: 80,
+      results: [{ key: "tone", type: "manual", weight: 1, passed: null }],
+    });
+
+    assert.equal(qa.score, null);
+    assert.equal(qa.passed, null);
+    assert.deepEqual(qa.violations, []);
+  });
+
+  it("lets a score override of zero fail the call", () => {
+    const qa = summarizeQa({
+      passingScore: 80,
+      scoreOverride: 0,
+      results: [{ key: "tone", type: "manual", weight: 1, passed: true }],
+    });
+
+    assert.equal(qa.score, 0);
+    assert.equal(qa.passed, false);
+    assert.equal(qa.flagged, false);
+  });
+});
+
+describe("scorecard validation", () => {
+  it("accepts well-formed criteria", () => {
+    assert.equal(
+      validateScorecardInput({ criteria: CRITERIA, passingScore: 80 }),
+      null
+    );
+    assert.equal(validateScorecardInput({ isActive: false }), null);
+  });
+
+  it("rejects bad scores, keys, types, phrases and limits", () => {
+    const criterion = CRITERIA[1];
+    const check = (fields) =>
+      validateScorecardInput({ criteria: [{ ...criterion, ...fields }] });
+
+    assert.match(validateScorecardInput({ passingScore: 101 }), /0 to 100/);
+    assert.match(validateScorecardInput({ isActive: "yes" }), /true or false/);
+    assert.match(validateScorecardInput({ criteria: [] }), /non-empty/);
+    assert.match(
+      validateScorecardInput({ criteria: [criterion, criterion] }),
+      /Duplicate criterion key: disclosure/
+    );
+    assert.match(check({ key: "bad key" }), /keys must be/);
+    assert.match(check({ label: " " }), /needs a label/);
+    assert.match(check({ type: "bonus" }), /type must be one of/);
+    assert.match(check({ phrases: ["!!"] }), /at least one phrase/);
+    assert.match(check({ withinSeconds: 0 }), /withinSeconds/);
+    assert.match(
+      check({ type: "forbidden", withinSeconds: 10 }),
+      /required phrases only/
+    );
+    assert.match(check({ weight: -1 }), /weight/);
+  });
+});
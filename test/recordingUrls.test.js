@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  signRecordingAccess,
+  verifyRecordingAccess,
+} = require("../utils/recordingUrls");
+
+const NOW = new Date("2026-10-18T12:00:00Z").getTime();
+const CALL_LOG_ID = "652f1c0a9b1e8a0012345678";
+
+describe("recording URLs", () => {
+  const originalSecrets = {
+    RECORDING_URL_SECRET: process.env.RECORDING_URL_SECRET,
+    JWT_SECRET: process.env.JWT_SECRET,
+  };
+
+  beforeEach(() => {
+    delete process.env.RECORDING_URL_SECRET;
+    process.env.JWT_SECRET = "test-jwt-secret";
+  });
+
+  afterEach(() => {
+    Object.entries(originalSecrets).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  it("accepts its own signature until the URL expires", () => {
+    const { expires, signature, expiresAt } = signRecordingAccess(
+      CALL_LOG_ID,
+      NOW
+    );
+
+    assert.equal(expiresAt.getTime(), expires * 1000);
+    assert.equal(
+      verifyRecordingAccess(CALL_LOG_ID, expires, signature, NOW),
+      true
+    );
+    assert.equal(
+      verifyRecordingAccess(CALL_LOG_ID, String(expires), signature, NOW),
+      true
+    );
+    assert.equal(
+      verifyRecordingAccess(
+        CALL_LOG_ID,
+        expires,
+        signature,
+        expires * 1000 + 1
+      ),
+      false
+    );
+  });
+
+  it("rejects signatures for another call or expiry", () => {
+    const { expires, signature } = signRecordingAccess(CALL_LOG_ID, NOW);
+
+    assert.equal(
+      verifyRecordingAccess(
+        "652f1c0a9b1e8a0012345679",
+        expires,
+        signature,
+        NOW
+      ),
+      false
+    );
+    assert.equal(
+      verifyRecordingAccess(CALL_LOG_ID, expires + 3600, signature, NOW),
+      false
+    );
+    assert.equal(verifyRecordingAccess(CALL_LOG_ID, "", signature, NOW), false);
+  });
+
+  it("rejects tampered and malformed signatures", () => {
+    const { expires, signature } = signRecordingAccess(CALL_LOG_ID, NOW);
+    const tampered = `${signature[0] === "0" ? "1" : "0"}${signature.slice(1)}`;
+
+    assert.equal(
+      verifyRecordingAccess(CALL_LOG_ID, expires, tampered, NOW),
+      false
+    );
+    assert.equal(
+      verifyRecordingAccess(CALL_LOG_ID, expires, signature.toUpperCase(), NOW),
+      false
+    );
+    assert.equal(
+      verifyRecordingAccess(CALL_LOG_ID, expires, signature.slice(2), NOW),
+      false
+    );
+    assert.equal(
+      verifyRecordingAccess(CALL_LOG_ID, expires, [signature], NOW),
+      false
+    );
+  });
+
+  it("signs with RECORDING_URL_SECRET when it is set", () => {
+    const { expires, signature } = signRecordingAccess(CALL_LOG_ID, NOW);
+    process.env.RECORDING_URL_SECRET = "recording-secret";
+
+    assert.equal(
+      verifyRecordingAccess(CALL_LOG_ID, expires, signature, NOW),
+      false
+    );
+    const signed = signRecordingAccess(CALL_LOG_ID, NOW);
+    assert.equal(
+      verifyRecordingAccess(CALL_LOG_ID, signed.expires, signed.signature, NOW),
+      true
+    );
+  });
+
+  it("needs a secret to sign with", () => {
+    delete process.env.JWT_SECRET;
+    assert.throws(
+      () => signRecordingAccess(CALL_LOG_ID, NOW),
+      /RECORDING_URL_SECRET is not set/
+    );
+  });
+});
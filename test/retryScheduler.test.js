@@ -0,0 +1,120 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_RETRY_RULES,
+  buildCallbackUpdate,
+  buildOutcomeUpdate,
+  parseCallbackAt,
+  resolveRetryRules,
+  validateRetryRules,
+} = require("../utils/retryScheduler");
+
+const NOW = new Date("2026-10-18T12:00:00Z");
+
+describe("retry rules", () => {
+  it("fills in defaults for outcomes the organization did not configure", () => {
+    const rules = resolveRetryRules({
+      retryRules: { maxAttempts: 5, busy: { delayMinutes: 2 } },
+    });
+
+    assert.equal(rules.maxAttempts, 5);
+    assert.deepEqual(rules.busy, { maxAttempts: 3, delayMinutes: 2 });
+    assert.deepEqual(rules.no_answer, DEFAULT_RETRY_RULES.no_answer);
+  });
+
+  it("schedules the next attempt after the outcome's cool-down", () => {
+    const update = buildOutcomeUpdate(
+      { attempts: 1, outcomeAttempts: { no_answer: 0 } },
+      "no_answer",
+      resolveRetryRules(),
+      NOW
+    );
+
+    assert.equal(update.$set.dialingStatus, "no_answer");
+    assert.equal(update.$set["outcomeAttempts.no_answer"], 1);
+    assert.equal(
+      update.$set.nextEligibleAt.toISOString(),
+      "2026-10-18T16:00:00.000Z"
+    );
+    assert.equal(update.$set.currentlyDialingBy, null);
+  });
+
+  it("closes the number out at the outcome's attempt limit", () => {
+    const update = buildOutcomeUpdate(
+      { attempts: 2, outcomeAttempts: { failed: 1 } },
+      "failed",
+      resolveRetryRules(),
+      NOW
+    );
+
+    assert.equal(update.$set.dialingStatus, "completed");
+    assert.equal(update.$set.completedAt, NOW);
+    assert.equal(update.$set.nextEligibleAt, null);
+  });
+
+  it("closes the number out at the overall attempt limit", () => {
+    const update = buildOutcomeUpdate(
+      { attempts: 3, outcomeAttempts: {} },
+      "busy",
+      resolveRetryRules(),
+      NOW
+    );
+    assert.equal(update.$set.dialingStatus, "completed");
+  });
+});
+
+describe("callbacks", () => {
+  it("starts a fresh attempt cycle at the callback time", () => {
+    const callbackAt = new Date("2026-10-19T15:00:00Z");
+    const update = buildCallbackUpdate(callbackAt, "agent1");
+
+    assert.equal(update.nextEligibleAt, callbackAt);
+    assert.equal(update.callbackOwner, "agent1");
+    assert.equal(update.attempts, 0);
+    assert.equal(update.dialingStatus, "pending");
+  });
+
+  it("accepts only future callback times", () => {
+    assert.equal(
+      parseCallbackAt("2026-10-19T15:00:00Z", NOW).date.toISOString(),
+      "2026-10-19T15:00:00.000Z"
+    );
+    assert.match(parseCallbackAt("2026-10-17", NOW).error, /future/);
+    assert.match(parseCallbackAt("tomorrow", NOW).error, /valid date/);
+    assert.match(parseCallbackAt(undefined, NOW).error, /valid date/);
+  });
+});
+
+describe("retry rules validation", () => {
+  it("accepts partial rules", () => {
+    assert.equal(validateRetryRules(undefined), null);
+    assert.equal(
+      validateRetryRules({ maxAttempts: 4, busy: { delayMinutes: 0 } }),
+      null
+    );
+  });
+
+  it("rejects rules that are not objects", () => {
+    assert.match(validateRetryRules("3"), /retryRules must be an object/);
+    assert.match(
+      validateRetryRules({ busy: null }),
+      /retryRules.busy must be an object/
+    );
+    assert.match(
+      validateRetryRules({ no_answer: 5 }),
+      /retryRules.no_answer must be an object/
+    );
+  });
+
+  it("rejects out-of-range limits and delays", () => {
+    assert.match(validateRetryRules({ maxAttempts: 0 }), /1 to 20/);
+    assert.match(
+      validateRetryRules({ failed: { maxAttempts: 2.5 } }),
+      /failed.maxAttempts/
+    );
+    assert.match(
+      validateRetryRules({ busy: { delayMinutes: -1 } }),
+      /busy.delayMinutes/
+    );
+  });
+});
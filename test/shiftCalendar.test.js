@@ -0,0 +1,124 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getBusinessDay,
+  getCurrentShift,
+  getNextWindowStart,
+  isWithinWindow,
+  validateShiftSettings,
+  zonedTimeToUtc,
+} = require("../utils/shiftCalendar");
+
+const NEW_YORK_SHIFTS = {
+  timezone: "America/New_York",
+  shifts: [
+    { name: "Day", start: "09:00", end: "17:00" },
+    { name: "Night", start: "18:00", end: "02:00" },
+  ],
+};
+
+describe("shift calendar", () => {
+  it("converts wall-clock times across a DST change", () => {
+    assert.equal(
+      zonedTimeToUtc(2026, 3, 7, 9, 0, "America/New_York").toISOString(),
+      "2026-03-07T14:00:00.000Z"
+    );
+    assert.equal(
+      zonedTimeToUtc(2026, 3, 8, 9, 0, "America/New_York").toISOString(),
+      "2026-03-08T13:00:00.000Z"
+    );
+  });
+
+  it("runs the business day from the first shift to the next day's", () => {
+    const day = getBusinessDay(
+      NEW_YORK_SHIFTS,
+      new Date("2026-03-10T03:00:00Z")
+    );
+
+    assert.equal(day.date, "2026-03-09");
+    assert.equal(day.start.toISOString(), "2026-03-09T13:00:00.000Z");
+    assert.equal(day.end.toISOString(), "2026-03-10T13:00:00.000Z");
+    assert.equal(day.shifts.length, 2);
+  });
+
+  it("keeps calls after midnight in the previous business day", () => {
+    const day = getBusinessDay(
+      NEW_YORK_SHIFTS,
+      new Date("2026-03-10T05:30:00Z")
+    );
+    assert.equal(day.date, "2026-03-09");
+  });
+
+  it("uses the local calendar day when no shifts are set", () => {
+    const day = getBusinessDay(
+      { timezone: "Asia/Kolkata" },
+      new Date("2026-01-01T20:00:00Z")
+    );
+
+    assert.equal(day.date, "2026-01-02");
+    assert.equal(day.start.toISOString(), "2026-01-01T18:30:00.000Z");
+  });
+
+  it("finds an overnight shift still running after midnight", () => {
+    const shift = getCurrentShift(
+      NEW_YORK_SHIFTS,
+      new Date("2026-03-10T05:30:00Z")
+    );
+
+    assert.equal(shift.name, "Night");
+    assert.equal(shift.start.toISOString(), "2026-03-09T22:00:00.000Z");
+    assert.equal(shift.end.toISOString(), "2026-03-10T06:00:00.000Z");
+    assert.equal(
+      getCurrentShift(NEW_YORK_SHIFTS, new Date("2026-03-10T11:00:00Z")),
+      null
+    );
+  });
+});
+
+describe("daily windows", () => {
+  const fridayNights = { start: "21:00", end: "02:00", days: [5] };
+
+  it("counts the hours after midnight toward the day the window opened", () => {
+    // Saturday 01:00 belongs to Friday's window; Sunday 01:00 to Saturday's
+    assert.equal(
+      isWithinWindow(fridayNights, "UTC", new Date("2026-10-17T01:00:00Z")),
+      true
+    );
+    assert.equal(
+      isWithinWindow(fridayNights, "UTC", new Date("2026-10-18T01:00:00Z")),
+      false
+    );
+  });
+
+  it("finds when a closed window next opens", () => {
+    const weekdays = { start: "09:00", end: "17:00", days: [1, 2, 3, 4, 5] };
+    const saturday = new Date("2026-10-17T12:00:00Z");
+    const monday = new Date("2026-10-19T10:00:00Z");
+
+    assert.equal(
+      getNextWindowStart(weekdays, "UTC", saturday).toISOString(),
+      "2026-10-19T09:00:00.000Z"
+    );
+    assert.equal(getNextWindowStart(weekdays, "UTC", monday), monday);
+  });
+});
+
+describe("shift settings validation", () => {
+  it("accepts a timezone with HH:MM shifts", () => {
+    assert.equal(validateShiftSettings(NEW_YORK_SHIFTS), null);
+  });
+
+  it("rejects bad timezones, shift lists and times", () => {
+    assert.match(validateShiftSettings(null), /must be an object/);
+    assert.match(
+      validateShiftSettings({ timezone: "Mars/Olympus" }),
+      /Invalid timezone/
+    );
+    assert.match(validateShiftSettings({ shifts: "09:00" }), /array/);
+    assert.match(validateShiftSettings({ shifts: [null] }), /HH:MM/);
+    assert.match(
+      validateShiftSettings({ shifts: [{ start: "9:00", end: "17:00" }] }),
+      /HH:MM/
+    );
+  });
+});
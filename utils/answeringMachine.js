@@ -0,0 +1,164 @@
+// Answering machine detection (AMD) for outbound calls. Detection runs
+// asynchronously so live callees are connected without delay; Twilio reports
+// the result to /twilio/amd-status, where machine answers are dispositioned
+// and either get the campaign's voicemail message or are hung up.
+const mongoose = require("mongoose");
+const { VoiceResponse } = require("twilio").twiml;
+const CallLog = require("../models/CallLog");
+const Campaign = require("../models/Campaign");
+const DialList = require("../models/DialList");
+const VoicemailMessage = require("../models/VoicemailMessage");
+const { findDisposition, applyDisposition } = require("./dispositions");
+const { recordDialOutcome } = require("./retryScheduler");
+
+// Disposition given to machine answers (from the organization's catalog)
+const MACHINE_DISPOSITION = "Answering Machine";
+
+// Results that mean the greeting has ended and a message can be left
+const VOICEMAIL_DROP_RESULTS = [
+  "machine_end_beep",
+  "machine_end_silence",
+  "machine_end_other",
+];
+
+const isMachineAnswer = (answeredBy) =>
+  !!answeredBy && (answeredBy.startsWith("machine_") || answeredBy === "fax");
+
+/**
+ * Detection settings for a call; calls outside a campaign always use
+ * detection and have no voicemail message.
+ */
+const getAnsweringMachineSettings = async (campaignId) => {
+  const campaign = mongoose.isValidObjectId(campaignId)
+    ? await Campaign.findById(campaignId).select("answeringMachine").lean()
+    : null;
+
+  return {
+    detection: campaign?.answeringMachine?.detection ?? true,
+    voicemailMessageId: campaign?.answeringMachine?.voicemailMessageId || null,
+  };
+};
+
+// calls.create() options for async detection reporting to callbackUrl
+const buildAmdCallOptions = (callbackUrl) => ({
+  machineDetection: "DetectMessageEnd",
+  asyncAmd: "true",
+  asyncAmdStatusCallback: callbackUrl,
+  asyncAmdStatusCallbackMethod: "POST",
+});
+
+// <Number> attributes for detection on a dialed leg (always asynchronous)
+const buildAmdNumberOptions = (callbackUrl) => ({
+  machineDetection: "DetectMessageEnd",
+  amdStatusCallback: callbackUrl,
+  amdStatusCallbackMethod: "POST",
+});
+
+/**
+ * Process a detection result for a call. Humans are only recorded; machines
+ * get the campaign's voicemail message (when the beep was heard) or are hung
+ * up, and the call and its dial-list number are given MACHINE_DISPOSITION.
+ * context carries the dialer details from the callback URL for calls whose
+ * CallLog has not been written yet.
+ * Returns a summary of what was done.
+ */
+const handleAmdResult = async ({ client, params, context = {} }) => {
+  const { CallSid, ParentCallSid, AnsweredBy, To } = params;
+
+  // Browser calls are logged against the client leg, the parent of the
+  // dialed leg that detection ran on
+  const callSids = [context.parentCallSid, ParentCallSid, CallSid].filter(
+    Boolean
+  );
+  const callLog = await CallLog.findOne({ twilioCallSid: { $in: callSids } });
+
+  const organizationId = callLog?.organizationId || context.organizationId;
+  if (!organizationId) return { machine: false, skipped: true };
+
+  if (callLog) callLog.answeredBy = AnsweredBy;
+
+  if (!isMachineAnswer(AnsweredBy)) {
+    if (callLog) await callLog.save();
+    return { machine: false };
+  }
+
+  const campaignId = callLog?.campaignId || context.campaignId || null;
+  const settings = await getAnsweringMachineSettings(campaignId);
+  const message =
+    settings.voicemailMessageId && VOICEMAIL_DROP_RESULTS.includes(AnsweredBy)
+      ? await VoicemailMessage.findOne({
+          _id: settings.voicemailMessageId,
+          organizationId,
+          isActive: true,
+        })
+      : null;
+
+  try {
+    if (message) {
+      const vr = new VoiceResponse();
+      vr.play(message.audioUrl);
+      vr.hangup();
+      await client.calls(CallSid).update({ twiml: vr.toString() });
+    } else {
+      await client.calls(CallSid).update({ status: "completed" });
+    }
+  } catch (error) {
+    // The call may already have ended; the disposition still applies
+    console.error(`Failed to end machine call ${CallSid}:`, error.message);
+  }
+
+  const disposition = await findDisposition(
+    organizationId,
+    MACHINE_DISPOSITION
+  );
+
+  if (callLog) {
+    if (disposition) callLog.disposition = disposition.code;
+    callLog.voicemailMessageId = message ? message._id : null;
+    callLog.auditAction = message ? "amd_voicemail_drop" : "amd_machine";
+    await callLog.save();
+  }
+
+  // Only numbers still being dialed, so an agent's disposition is not undone
+  const phoneNumber = callLog?.phoneNumber || To;
+  const filter = callLog?.dialListId
+    ? { _id: callLog.dialListId, organizationId, dialingStatus: "dialing" }
+    : phoneNumber && {
+        organizationId,
+        phoneNumber,
+        dialingStatus: "dialing",
+        ...(campaignId && { campaignId }),
+      };
+
+  if (filter) {
+    if (disposition) {
+      await applyDisposition({ filter, disposition });
+    } else {
+      // Catalog without the code: treat it like an unanswered call
+      const entry = await DialList.findOne(filter).select("_id");
+      if (entry) {
+        await recordDialOutcome({
+          entryId: entry._id,
+          outcome: "no_answer",
+          filter: { dialingStatus: "dialing" },
+        });
+      }
+    }
+  }
+
+  return {
+    machine: true,
+    disposition: disposition ? disposition.code : null,
+    voicemailDropped: !!message,
+  };
+};
+
+module.exports = {
+  MACHINE_DISPOSITION,
+  VOICEMAIL_DROP_RESULTS,
+  isMachineAnswer,
+  getAnsweringMachineSettings,
+  buildAmdCallOptions,
+  buildAmdNumberOptions,
+  handleAmdResult,
+};
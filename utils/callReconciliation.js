@@ -0,0 +1,116 @@
+// Helpers for merging Twilio call-status webhooks into CallLog documents and
+// reconciling them against what the browser reported through /dial/log.
+
+// Twilio CallStatus -> CallLog.status
+const CARRIER_STATUS_MAP = {
+  queued: "connecting",
+  initiated: "connecting",
+  ringing: "ringing",
+  "in-progress": "on_call",
+  completed: "ended",
+  busy: "ended",
+  "no-answer": "ended",
+  failed: "ended",
+  canceled: "ended",
+};
+
+// Webhooks can arrive out of order, so never move a call backwards
+const STATUS_RANK = {
+  connecting: 0,
+  ringing: 1,
+  on_call: 2,
+  on_hold: 2,
+  ended: 3,
+};
+
+// Allowed gap (seconds) between client and carrier durations before flagging
+const DURATION_TOLERANCE_SECONDS = parseInt(
+  process.env.CALL_DURATION_TOLERANCE_SECONDS || "5",
+  10
+);
+
+const parseTwilioTimestamp = (value) => {
+  if (!value) return new Date();
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? new Date() : parsed;
+};
+
+const isTerminalCarrierStatus = (carrierStatus) =>
+  CARRIER_STATUS_MAP[carrierStatus] === "ended";
+
+/**
+ * Apply a Twilio status callback payload to a CallLog document (not saved)
+ */
+const applyCarrierStatus = (callLog, params) => {
+  const { CallStatus, Timestamp, CallDuration, Duration } = params;
+  const mappedStatus = CARRIER_STATUS_MAP[CallStatus];
+  const eventTime = parseTwilioTimestamp(Timestamp);
+
+  if (!mappedStatus) {
+    callLog.carrierStatus = CallStatus;
+    return callLog;
+  }
+
+  const currentRank = STATUS_RANK[callLog.status] ?? 0;
+  if (STATUS_RANK[mappedStatus] >= currentRank) {
+    callLog.status = mappedStatus;
+    callLog.carrierStatus = CallStatus;
+  }
+
+  if (mappedStatus === "ringing" && !callLog.ringTime) {
+    callLog.ringTime = eventTime;
+  }
+
+  if (mappedStatus === "on_call" && !callLog.answerTime) {
+    callLog.answerTime = eventTime;
+  }
+
+  if (mappedStatus === "ended") {
+    if (!callLog.endTime) {
+      callLog.endTime = eventTime;
+    }
+
+    const billed = parseInt(CallDuration ?? Duration, 10);
+    if (!isNaN(billed)) {
+      callLog.billedDuration = billed;
+    }
+
+    if (!callLog.endedBy) {
+      callLog.endedBy = "carrier";
+    }
+  }
+
+  return reconcileDurations(callLog);
+};
+
+/**
+ * Compare client-reported and carrier-billed durations and flag a mismatch.
+ * If the client never reported a duration (e.g. crashed tab), fall back to
+ * the carrier value so reports are not left at zero.
+ */
+const reconcileDurations = (callLog) => {
+  if (callLog.billedDuration === null || callLog.billedDuration === undefined) {
+    return callLog;
+  }
+
+  if (!callLog.duration) {
+    callLog.duration = callLog.billedDuration;
+    callLog.durationDelta = null;
+    callLog.durationMismatch = false;
+    return callLog;
+  }
+
+  const delta = callLog.duration - callLog.billedDuration;
+  callLog.durationDelta = delta;
+  callLog.durationMismatch = Math.abs(delta) > DURATION_TOLERANCE_SECONDS;
+
+  return callLog;
+};
+
+module.exports = {
+  CARRIER_STATUS_MAP,
+  applyCarrierStatus,
+  reconcileDurations,
+  isTerminalCarrierStatus,
+  parseTwilioTimestamp,
+};
@@ -0,0 +1,254 @@
+// Twilio-native call recording. Calls are recorded dual-channel (agent and
+// callee on separate channels) by Twilio from the call TwiML, calls.create or,
+// once a consent announcement has played, the REST API (see
+// utils/recordingConsent); when a recording is ready Twilio reports it to
+// /twilio/recording-status, where the file is downloaded, kept through the
+// configured storage adapter under the organization's path and linked to
+// the call's CallLog. Recordings past the organization's retention period
+// are deleted by the retention sweeper (utils/recordingRetention).
+const axios = require("axios");
+const CallLog = require("../models/CallLog");
+const {
+  buildRecordingKey,
+  getStorageName,
+  getRecordingStorage,
+} = require("./recordingStorage");
+const { enqueueTranscription } = require("./transcriptionQueue");
+const { getTwilioAccount, getAccountClient } = require("./twilioAccounts");
+const {
+  CONSENT_MODES,
+  validateRecordingConsent,
+} = require("./recordingConsent");
+
+const RECORDING_EVENTS = ["completed", "absent"];
+
+const RECORDING_SID_PATTERN = /^RE[0-9a-fA-F]{32}$/;
+
+// Keep the copy on Twilio as well (it is deleted once stored by default)
+const KEEP_ON_TWILIO = process.env.RECORDING_KEEP_ON_TWILIO === "true";
+
+// calls.create() options to record the call, reporting to callbackUrl
+const buildRecordingCallOptions = (callbackUrl) => ({
+  record: true,
+  recordingChannels: "dual",
+  recordingStatusCallback: callbackUrl,
+  recordingStatusCallbackEvent: RECORDING_EVENTS,
+  recordingStatusCallbackMethod: "POST",
+});
+
+// <Dial> attributes to record the bridged call once it is answered
+const buildRecordingDialOptions = (callbackUrl) => ({
+  record: "record-from-answer-dual",
+  recordingStatusCallback: callbackUrl,
+  recordingStatusCallbackEvent: RECORDING_EVENTS.join(" "),
+  recordingStatusCallbackMethod: "POST",
+});
+
+/**
+ * Start recording a call in progress, e.g. after the consent announcement
+ */
+const startCallRecording = (client, callSid, callbackUrl) =>
+  client.calls(callSid).recordings.create({
+    recordingChannels: "dual",
+    recordingStatusCallback: callbackUrl,
+    recordingStatusCallbackEvent: RECORDING_EVENTS,
+    recordingStatusCallbackMethod: "POST",
+  });
+
+/**
+ * Store a recording for a call and link it to the CallLog, replacing (and
+ * deleting) any recording the call already had, and queue its transcription.
+ */
+const storeCallRecording = async ({
+  callLog,
+  body,
+  contentType = "audio/mpeg",
+  name,
+  recordingSid = null,
+  duration = null,
+  channels = 1,
+}) => {
+  const storageName = getStorageName();
+  const stored = await getRecordingStorage(storageName).put({
+    key: buildRecordingKey(callLog.organizationId, name),
+    body,
+    contentType,
+    description: `Call recording for ${callLog.phoneNumber} (call ${callLog._id})`,
+  });
+
+  if (
+    callLog.recordingStatus === "stored" &&
+    callLog.recordingId !== stored.key
+  ) {
+    await deleteCallRecording(callLog, { save: false });
+  }
+
+  Object.assign(callLog, {
+    recordingId: stored.key,
+    recordingUrl: stored.url,
+    recordingStorage: storageName,
+    recordingSid,
+    recordingDuration: duration,
+    recordingChannels: channels,
+    recordingStatus: "stored",
+    recordedAt: new Date(),
+    recordingDeletedAt: null,
+  });
+  await callLog.save();
+
+  try {
+    await enqueueTranscription(callLog);
+  } catch (error) {
+    console.error(
+      `Failed to queue transcription for call ${callLog._id}:`,
+      error.message
+    );
+  }
+  return callLog;
+};
+
+/**
+ * Delete a call's stored recording and clear its link. Missing files are
+ * not an error.
+ */
+const deleteCallRecording = async (callLog, { save = true } = {}) => {
+  if (callLog.recordingId && callLog.recordingStorage) {
+    await getRecordingStorage(callLog.recordingStorage).remove(
+      callLog.recordingId
+    );
+  }
+
+  Object.assign(callLog, {
+    recordingId: null,
+    recordingUrl: null,
+    recordingStatus: "deleted",
+    recordingDeletedAt: new Date(),
+  });
+  if (save) await callLog.save();
+  return callLog;
+};
+
+// Download a recording's audio from Twilio with the account's credentials.
+// The media URL is built from the account and recording SIDs rather than
+// taken from the callback, so credentials only ever go to api.twilio.com.
+const downloadTwilioRecording = async (account, recordingSid) => {
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${account.accountSid}/Recordings/${recordingSid}.mp3`;
+  const response = await axios.get(url, {
+    responseType: "arraybuffer",
+    auth:
+      account.apiKey && account.apiSecret
+        ? { username: account.apiKey, password: account.apiSecret }
+        : { username: account.accountSid, password: account.authToken },
+  });
+  return Buffer.from(response.data);
+};
+
+/**
+ * Process a recording status callback: completed recordings are downloaded,
+ * stored and linked to the call's CallLog, then removed from Twilio. The
+ * Twilio account is the one the call's organization dials through; callbacks
+ * naming another account are ignored.
+ * context carries the consent mode from the callback URL.
+ * Returns a summary of what was done.
+ */
+const handleRecordingStatus = async ({ params, context = {} }) => {
+  const {
+    AccountSid,
+    CallSid,
+    RecordingSid,
+    RecordingStatus,
+    RecordingDuration,
+    RecordingChannels,
+  } = params;
+
+  if (!RECORDING_SID_PATTERN.test(RecordingSid || "")) {
+    return { stored: false, skipped: true };
+  }
+
+  const callLog = await CallLog.findOne({ twilioCallSid: CallSid });
+  if (!callLog) return { stored: false, skipped: true };
+
+  const account = await getTwilioAccount(callLog.organizationId);
+  if (AccountSid && AccountSid !== account.accountSid) {
+    return { stored: false, skipped: true };
+  }
+
+  if (CONSENT_MODES.includes(context.consent)) {
+    callLog.recordingConsent = context.consent;
+  }
+
+  if (RecordingStatus !== "completed") {
+    callLog.recordingSid = RecordingSid;
+    callLog.recordingStatus =
+      RecordingStatus === "absent" ? "absent" : "failed";
+    await callLog.save();
+    return { stored: false, status: callLog.recordingStatus };
+  }
+
+  // Twilio retries callbacks; the recording may already be stored
+  if (callLog.recordingSid === RecordingSid && callLog.recordingId) {
+    return { stored: true, duplicate: true };
+  }
+
+  try {
+    const body = await downloadTwilioRecording(account, RecordingSid);
+    await storeCallRecording({
+      callLog,
+      body,
+      name: `${CallSid}-${RecordingSid}.mp3`,
+      recordingSid: RecordingSid,
+      duration: RecordingDuration ? parseInt(RecordingDuration, 10) : null,
+      channels: RecordingChannels ? parseInt(RecordingChannels, 10) : 1,
+    });
+  } catch (error) {
+    // Left on Twilio so it can be fetched again
+    callLog.recordingSid = RecordingSid;
+    callLog.recordingStatus = "failed";
+    await callLog.save();
+    throw error;
+  }
+
+  if (!KEEP_ON_TWILIO) {
+    try {
+      await getAccountClient(account).recordings(RecordingSid).remove();
+    } catch (error) {
+      console.error(
+        `Failed to delete recording ${RecordingSid} from Twilio:`,
+        error.message
+      );
+    }
+  }
+  return { stored: true, callLogId: callLog._id };
+};
+
+/**
+ * Validate organization recording settings before saving.
+ * Returns an error message or null.
+ */
+const validateRecordingSettings = (recording) => {
+  if (recording === undefined || recording === null) return null;
+  if (typeof recording !== "object") return "recording must be an object";
+
+  const { enabled, retentionDays, consent } = recording;
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return "recording.enabled must be true or false";
+  }
+  if (
+    retentionDays !== undefined &&
+    retentionDays !== null &&
+    !(Number.isInteger(retentionDays) && retentionDays >= 1)
+  ) {
+    return "recording.retentionDays must be a whole number of at least 1, or null";
+  }
+  return validateRecordingConsent(consent, { field: "recording.consent" });
+};
+
+module.exports = {
+  buildRecordingCallOptions,
+  buildRecordingDialOptions,
+  startCallRecording,
+  storeCallRecording,
+  deleteCallRecording,
+  handleRecordingStatus,
+  validateRecordingSettings,
+};
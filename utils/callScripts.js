@@ -0,0 +1,283 @@
+// Agent call scripts: validating the prompt/question tree, picking the script
+// for a call and checking an agent's answers against the path they took.
+const CallScript = require("../models/CallScript");
+
+const ANSWER_TYPES = ["choice", "yes_no", "text", "number"];
+
+const MAX_NODES = 200;
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+
+const NODE_ID_PATTERN = /^[\w-]{1,50}$/;
+const ANSWER_KEY_PATTERN = /^[A-Za-z][\w]{0,49}$/;
+
+// Nodes a node can lead to: its options' targets and its own next
+const getNextIds = (node) =>
+  [...(node.options || []).map((option) => option.next), node.next].filter(
+    Boolean
+  );
+
+/**
+ * Validate a script's startNodeId and nodes before saving. Every link must
+ * point at a node, answer keys must be unique, and the tree may not loop
+ * back on itself. Returns an error message or null.
+ */
+const validateScriptNodes = ({ startNodeId, nodes }) => {
+  if (!Array.isArray(nodes) || nodes.length === 0) {
+    return "A script needs at least one node";
+  }
+  if (nodes.length > MAX_NODES) {
+    return `A script can have at most ${MAX_NODES} nodes`;
+  }
+
+  const byId = new Map();
+  const answerKeys = new Set();
+  for (const node of nodes) {
+    if (!node || !NODE_ID_PATTERN.test(node.id || "")) {
+      return "Node ids must be 1-50 letters, digits, dashes or underscores";
+    }
+    if (byId.has(node.id)) return `Duplicate node id: ${node.id}`;
+    byId.set(node.id, node);
+
+    if (!node.text || !String(node.text).trim()) {
+      return `Node ${node.id} needs text`;
+    }
+
+    const type = node.type || "prompt";
+    if (!["prompt", "question"].includes(type)) {
+      return `Invalid node type: ${type}`;
+    }
+    if (type === "prompt") {
+      if (node.options?.length > 0) {
+        return `Prompt ${node.id} cannot have options`;
+      }
+      continue;
+    }
+
+    if (!ANSWER_TYPES.includes(node.answerType)) {
+      return `Question ${node.id} needs an answerType: ${ANSWER_TYPES.join(
+        ", "
+      )}`;
+    }
+    if (!ANSWER_KEY_PATTERN.test(node.answerKey || "")) {
+      return `Question ${node.id} needs an answerKey (letters, digits, underscores)`;
+    }
+    if (answerKeys.has(node.answerKey)) {
+      return `Duplicate answerKey: ${node.answerKey}`;
+    }
+    answerKeys.add(node.answerKey);
+
+    const options = node.options || [];
+    if (node.answerType === "choice") {
+      if (options.length === 0) return `Question ${node.id} needs options`;
+      const values = options.map((option) => option?.value);
+      if (values.some((value) => !value || typeof value !== "string")) {
+        return `Options of ${node.id} need a value`;
+      }
+      if (new Set(values).size !== values.length) {
+        return `Duplicate option values in ${node.id}`;
+      }
+    } else if (options.length > 0) {
+      return `Only choice questions can have options (${node.id})`;
+    }
+  }
+
+  if (!byId.has(startNodeId)) return "startNodeId must be one of the nodes";
+
+  for (const node of nodes) {
+    const missing = getNextIds(node).find((id) => !byId.has(id));
+    if (missing) return `Node ${node.id} links to unknown node ${missing}`;
+  }
+
+  // Depth-first walk; reaching a node already on the path is a loop
+  const visiting = new Set();
+  const done = new Set();
+  const findLoop = (id) => {
+    if (done.has(id)) return null;
+    if (visiting.has(id)) return id;
+    visiting.add(id);
+    for (const nextId of getNextIds(byId.get(id))) {
+      const loop = findLoop(nextId);
+      if (loop) return loop;
+    }
+    visiting.delete(id);
+    done.add(id);
+    return null;
+  };
+  const loop = findLoop(startNodeId);
+  if (loop) return `Script loops back to node ${loop}`;
+
+  return null;
+};
+
+/**
+ * Active script for a campaign, falling back to the organization's default.
+ * Returns the CallScript or null.
+ */
+const resolveActiveScript = async ({ organizationId, campaignId = null }) => {
+  if (campaignId) {
+    const script = await CallScript.findOne({
+      organizationId,
+      campaignId,
+      isActive: true,
+    });
+    if (script) return script;
+  }
+  return CallScript.findOne({
+    organizationId,
+    campaignId: null,
+    isActive: true,
+  });
+};
+
+// Cast one answer to its question's type; returns { value, label } or
+// { error }
+const castAnswer = (node, raw) => {
+  switch (node.answerType) {
+    case "choice": {
+      const option = node.options.find((item) => item.value === String(raw));
+      return option
+        ? { value: option.value, label: option.label || option.value }
+        : { error: `"${raw}" is not an option for ${node.answerKey}` };
+    }
+    case "yes_no": {
+      const value = String(raw).toLowerCase();
+      if (["true", "yes"].includes(value)) return { value: true };
+      if (["false", "no"].includes(value)) return { value: false };
+      return { error: `${node.answerKey} must be yes or no` };
+    }
+    case "number": {
+      const value = Number(raw);
+      return raw !== "" && Number.isFinite(value)
+        ? { value }
+        : { error: `${node.answerKey} must be a number` };
+    }
+    default: {
+      const value = String(raw).trim();
+      return value.length <= MAX_TEXT_ANSWER_LENGTH
+        ? { value }
+        : {
+            error: `${node.answerKey} must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`,
+          };
+    }
+  }
+};
+
+/**
+ * Check answers ({ nodeId: value }) by walking the script from its start:
+ * choice answers pick the branch, unanswered optional questions are passed
+ * over, and answers to questions off the path taken are rejected.
+ * Returns { answers } in the order asked, or { error }.
+ */
+const parseScriptAnswers = (script, rawAnswers) => {
+  if (!rawAnswers || typeof rawAnswers !== "object") {
+    return { error: "Answers must be an object of node id to answer" };
+  }
+
+  const byId = new Map(script.nodes.map((node) => [node.id, node]));
+  const pending = new Map(
+    Object.entries(rawAnswers).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  );
+  const answers = [];
+
+  // Validation rejects loops, so the walk always ends
+  let node = byId.get(script.startNodeId);
+  while (node) {
+    let nextId = node.next;
+
+    if (node.type === "question") {
+      if (pending.has(node.id)) {
+        const cast = castAnswer(node, pending.get(node.id));
+        if (cast.error) return { error: cast.error };
+        pending.delete(node.id);
+
+        answers.push({
+          nodeId: node.id,
+          key: node.answerKey,
+          question: node.text,
+          value: cast.value,
+          label: cast.label,
+        });
+        if (node.answerType === "choice") {
+          nextId =
+            node.options.find((option) => option.value === cast.value).next ||
+            node.next;
+        }
+      } else if (node.required) {
+        return { error: `${node.answerKey} is required` };
+      }
+    }
+
+    node = nextId ? byId.get(nextId) : null;
+  }
+
+  if (pending.size > 0) {
+    return {
+      error: `Answers not on the script path: ${[...pending.keys()].join(
+        ", "
+      )}`,
+    };
+  }
+  return { answers };
+};
+
+/**
+ * Answer columns for an export: the script's current questions in order,
+ * then keys only found in older versions' answers.
+ */
+const getAnswerColumns = (script, callLogs) => {
+  const keys = script.nodes
+    .filter((node) => node.type === "question")
+    .map((node) => node.answerKey);
+  callLogs.forEach((log) =>
+    (log.scriptAnswers || []).forEach(({ key }) => {
+      if (!keys.includes(key)) keys.push(key);
+    })
+  );
+  return keys;
+};
+
+/**
+ * CSV of calls and their answers, one row per call and one column per
+ * answer key, next to the call's disposition.
+ */
+const buildAnswerExport = (script, callLogs) => {
+  const escape = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  const keys = getAnswerColumns(script, callLogs);
+
+  const lines = callLogs.map((log) => {
+    const values = new Map(
+      (log.scriptAnswers || []).map(({ key, value, label }) => [
+        key,
+        label || value,
+      ])
+    );
+    return [
+      log.phoneNumber,
+      log.startTime ? new Date(log.startTime).toISOString() : "",
+      log.userId?.username || "Unknown",
+      log.disposition,
+      log.scriptVersion,
+      ...keys.map((key) => values.get(key)),
+    ]
+      .map(escape)
+      .join(",");
+  });
+
+  return [
+    ["Phone Number", "Start Time", "User", "Disposition", "Script Version"]
+      .concat(keys)
+      .map(escape)
+      .join(","),
+    ...lines,
+  ].join("\n");
+};
+
+module.exports = {
+  ANSWER_TYPES,
+  validateScriptNodes,
+  resolveActiveScript,
+  parseScriptAnswers,
+  buildAnswerExport,
+};
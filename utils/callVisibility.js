@@ -0,0 +1,32 @@
+// Which calls a user may see, matching GET /dial/call-logs: owners see every
+// call in the organization, admins their own and their agents' calls, agents
+// only their own.
+const User = require("../models/User");
+
+/**
+ * CallLog filter for the calls a user may see, or null for an unknown role.
+ * Also fits other per-call records that carry organizationId and userId
+ * (e.g. Transcript).
+ */
+const getVisibleCallQuery = async ({ role, id: userId, organizationId }) => {
+  switch (role) {
+    case "owner":
+      return { organizationId };
+    case "admin": {
+      const agents = await User.find({
+        createdBy: userId,
+        organizationId,
+        role: "agent",
+      }).select("_id");
+      const agentIds = agents.map((agent) => agent._id);
+      agentIds.push(userId); // Include admin's own calls
+      return { organizationId, userId: { $in: agentIds } };
+    }
+    case "agent":
+      return { organizationId, userId };
+    default:
+      return null;
+  }
+};
+
+module.exports = { getVisibleCallQuery };
@@ -0,0 +1,92 @@
+// Background job that reminds agents of callbacks coming due. Each callback
+// is announced once on the realtime feed (a "callbackReminder" event for its
+// owner, or the agent it is assigned to) shortly before its time.
+const DialList = require("../models/DialList");
+const { publish } = require("./realtimeEvents");
+
+const REMINDER_INTERVAL_MS = parseInt(
+  process.env.CALLBACK_REMINDER_INTERVAL_MS || "60000",
+  10
+);
+
+// How long before callbackAt the reminder goes out
+const REMINDER_LEAD_MINUTES = parseInt(
+  process.env.CALLBACK_REMINDER_LEAD_MINUTES || "5",
+  10
+);
+
+const REMINDER_BATCH_SIZE = 500;
+
+let timer = null;
+let sending = false;
+
+/**
+ * Announce callbacks due within the lead time that have not been announced
+ * yet. Returns how many reminders were sent.
+ */
+const sendCallbackReminders = async (now = new Date()) => {
+  const entries = await DialList.find({
+    callbackAt: {
+      $ne: null,
+      $lte: new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000),
+    },
+    callbackReminderSentAt: null,
+    dialingStatus: { $ne: "completed" },
+  })
+    .select(
+      "organizationId phoneNumber callbackAt callbackOwner assignedTo contactId campaignId"
+    )
+    .limit(REMINDER_BATCH_SIZE)
+    .lean();
+
+  let sent = 0;
+  for (const entry of entries) {
+    // Claim the reminder so a second server does not send it too
+    const claimed = await DialList.updateOne(
+      { _id: entry._id, callbackReminderSentAt: null },
+      { callbackReminderSentAt: now }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    publish(entry.organizationId, "callbackReminder", {
+      userId: entry.callbackOwner || entry.assignedTo,
+      numberId: entry._id,
+      phoneNumber: entry.phoneNumber,
+      callbackAt: entry.callbackAt,
+      contactId: entry.contactId,
+      campaignId: entry.campaignId,
+    });
+    sent++;
+  }
+  return sent;
+};
+
+const sweep = async () => {
+  if (sending) return;
+  sending = true;
+  try {
+    const sent = await sendCallbackReminders();
+    if (sent > 0) console.log(`Sent ${sent} callback reminder(s)`);
+  } catch (error) {
+    console.error("Callback reminder error:", error);
+  } finally {
+    sending = false;
+  }
+};
+
+const startCallbackReminders = () => {
+  if (timer) return;
+  timer = setInterval(sweep, REMINDER_INTERVAL_MS);
+  console.log("✅ Callback reminders started");
+};
+
+const stopCallbackReminders = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  sendCallbackReminders,
+  startCallbackReminders,
+  stopCallbackReminders,
+};
@@ -0,0 +1,258 @@
+// Calling-hours compliance in the callee's local time. The callee's time zone
+// is resolved offline from the number's country and area code using the
+// bundled dataset in data/phoneTimezones.json. Numbers outside their window
+// are skipped and deferred until it opens, never failed.
+const mongoose = require("mongoose");
+const Campaign = require("../models/Campaign");
+const DialList = require("../models/DialList");
+const Organization = require("../models/Organization");
+const phoneTimezones = require("./data/phoneTimezones.json");
+const { getPhoneNumberVariants, toE164 } = require("./phoneNumber");
+const {
+  isValidTimezone,
+  isWithinWindow,
+  getNextWindowStart,
+} = require("./shiftCalendar");
+
+// Used when an organization has not saved calleeCallingHours yet
+const DEFAULT_CALLEE_HOURS = {
+  enabled: true,
+  start: "08:00",
+  end: "21:00",
+  days: [],
+};
+
+const BACKFILL_BATCH_SIZE = 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const NANP_AREA_CODES = new Map();
+Object.entries(phoneTimezones.nanp).forEach(([timezone, codes]) => {
+  codes.split(" ").forEach((code) => NANP_AREA_CODES.set(code, timezone));
+});
+
+// Every zone a number can resolve to
+const CALLEE_TIMEZONES = [
+  ...new Set([
+    ...NANP_AREA_CODES.values(),
+    ...Object.values(phoneTimezones.countries),
+    ...Object.values(phoneTimezones.regions).flatMap((region) => [
+      region.default,
+      ...Object.values(region.prefixes),
+    ]),
+  ]),
+];
+
+/**
+ * IANA zone for a phone number, or null when it cannot be resolved.
+ * Numbers without a country code are read as US numbers, like uploads.
+ */
+const getCalleeTimezone = (phoneNumber) => {
+  const e164 = toE164(phoneNumber);
+  if (!e164) return null;
+
+  const digits = e164.slice(1);
+  if (digits.startsWith("1")) {
+    return NANP_AREA_CODES.get(digits.slice(1, 4)) || null;
+  }
+
+  // Calling codes are prefix-free, so the first match is the country
+  for (let length = 1; length <= 3; length++) {
+    const code = digits.slice(0, length);
+    const region = phoneTimezones.regions[code];
+    if (region) {
+      const national = digits.slice(length);
+      for (let prefix = 3; prefix >= 1; prefix--) {
+        const timezone = region.prefixes[national.slice(0, prefix)];
+        if (timezone) return timezone;
+      }
+      return region.default;
+    }
+    if (phoneTimezones.countries[code]) return phoneTimezones.countries[code];
+  }
+  return null;
+};
+
+/**
+ * Callee window for a campaign, or for numbers outside one: the campaign's
+ * calleeCallingHours when set, otherwise the organization's.
+ * Returns { start, end, days } or null when calls are not restricted.
+ */
+const resolveCalleeWindow = (settings = {}, campaign = null) => {
+  const campaignHours = campaign?.calleeCallingHours;
+  if (campaignHours?.start && campaignHours?.end) return campaignHours;
+
+  const hours = { ...DEFAULT_CALLEE_HOURS, ...settings?.calleeCallingHours };
+  return hours.enabled ? hours : null;
+};
+
+// Numbers whose zone is unknown are judged in the campaign's or
+// organization's own timezone
+const getFallbackTimezone = (settings = {}, campaign = null) =>
+  [campaign?.callingHours?.timezone, settings?.timezone, "UTC"].find(
+    (timezone) => timezone && isValidTimezone(timezone)
+  );
+
+/**
+ * Restrict a lease query clause to numbers inside their callee window now.
+ * Unknown zones are stored as null and excluded with the fallback timezone.
+ */
+const limitToCalleeHours = (
+  clause,
+  settings,
+  campaign = null,
+  now = new Date()
+) => {
+  const window = resolveCalleeWindow(settings, campaign);
+  if (!window) return clause;
+
+  const blocked = CALLEE_TIMEZONES.filter(
+    (timezone) => !isWithinWindow(window, timezone, now)
+  );
+  if (!isWithinWindow(window, getFallbackTimezone(settings, campaign), now)) {
+    blocked.push(null);
+  }
+
+  return blocked.length > 0
+    ? { ...clause, timezone: { $nin: blocked } }
+    : clause;
+};
+
+/**
+ * Check one number before a call is placed.
+ * Returns { allowed, timezone, nextAllowedAt }.
+ */
+const checkCalleeHours = async ({
+  organizationId,
+  campaignId = null,
+  phoneNumber,
+  now = new Date(),
+}) => {
+  const [organization, campaign] = await Promise.all([
+    Organization.findById(organizationId)
+      .select("settings.timezone settings.calleeCallingHours")
+      .lean(),
+    campaignId && mongoose.isValidObjectId(campaignId)
+      ? Campaign.findOne({ _id: campaignId, organizationId })
+          .select("callingHours calleeCallingHours")
+          .lean()
+      : null,
+  ]);
+  const settings = organization?.settings;
+  const timezone =
+    getCalleeTimezone(phoneNumber) || getFallbackTimezone(settings, campaign);
+  const window = resolveCalleeWindow(settings, campaign);
+
+  if (!window || isWithinWindow(window, timezone, now)) {
+    return { allowed: true, timezone, nextAllowedAt: null };
+  }
+  return {
+    allowed: false,
+    timezone,
+    nextAllowedAt: getNextWindowStart(window, timezone, now),
+  };
+};
+
+/**
+ * Push a number's dial entries back until its window opens. A lock taken
+ * before the call was refused is released and its attempt not counted.
+ */
+const deferDialEntries = ({ organizationId, phoneNumber, until }) =>
+  DialList.updateMany(
+    {
+      organizationId,
+      phoneNumber: { $in: getPhoneNumberVariants(phoneNumber) },
+      dialingStatus: {
+        $in: ["pending", "failed", "no_answer", "busy", "dialing"],
+      },
+    },
+    [
+      {
+        $set: {
+          attempts: {
+            $cond: [
+              { $ne: [{ $ifNull: ["$currentlyDialingBy", null] }, null] },
+              { $max: [{ $subtract: ["$attempts", 1] }, 0] },
+              "$attempts",
+            ],
+          },
+          dialingStatus: {
+            $cond: [
+              { $eq: ["$dialingStatus", "dialing"] },
+              "pending",
+              "$dialingStatus",
+            ],
+          },
+          currentlyDialingBy: null,
+          leaseExpiresAt: null,
+          nextEligibleAt: until,
+        },
+      },
+    ]
+  );
+
+/**
+ * Resolve and store time zones for dial entries saved before they were
+ * tracked. Works in batches until none are left; returns how many it set.
+ */
+const backfillCalleeTimezones = async () => {
+  let updated = 0;
+
+  for (;;) {
+    const entries = await DialList.find({ timezone: { $exists: false } })
+      .select("phoneNumber")
+      .limit(BACKFILL_BATCH_SIZE)
+      .lean();
+    if (entries.length === 0) return updated;
+
+    await DialList.bulkWrite(
+      entries.map((entry) => ({
+        updateOne: {
+          filter: { _id: entry._id },
+          update: { $set: { timezone: getCalleeTimezone(entry.phoneNumber) } },
+        },
+      }))
+    );
+    updated += entries.length;
+  }
+};
+
+/**
+ * Validate callee calling hours ({ enabled, start, end, days }) before
+ * saving. Returns an error message or null.
+ */
+const validateCalleeHours = (hours) => {
+  if (hours === undefined || hours === null) return null;
+  if (typeof hours !== "object") return "calleeCallingHours must be an object";
+
+  const { enabled, start, end, days } = hours;
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return "calleeCallingHours.enabled must be true or false";
+  }
+  if (!!start !== !!end) {
+    return "Callee calling hours need both start and end";
+  }
+  if (start && (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end))) {
+    return "Callee calling hours must be in HH:MM (24-hour) format";
+  }
+  if (
+    days !== undefined &&
+    (!Array.isArray(days) ||
+      days.some((day) => !Number.isInteger(day) || day < 0 || day > 6))
+  ) {
+    return "Callee calling days must be numbers from 0 (Sunday) to 6 (Saturday)";
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_CALLEE_HOURS,
+  CALLEE_TIMEZONES,
+  getCalleeTimezone,
+  resolveCalleeWindow,
+  limitToCalleeHours,
+  checkCalleeHours,
+  deferDialEntries,
+  backfillCalleeTimezones,
+  validateCalleeHours,
+};
@@ -0,0 +1,153 @@
+// Local-presence caller ID selection from an organization's pool of owned
+// numbers. A call presents the least recently used active number in the
+// callee's area code, then in their state or province, then any number in
+// the pool; numbers at their daily cap are skipped. Organizations without a
+// pool keep using TWILIO_PHONE_NUMBER.
+const mongoose = require("mongoose");
+const CallerIdNumber = require("../models/CallerIdNumber");
+const areaCodeRegions = require("./data/areaCodeRegions.json");
+const { toE164 } = require("./phoneNumber");
+
+const NANP_REGIONS = new Map();
+["US", "CA"].forEach((country) => {
+  Object.entries(areaCodeRegions[country]).forEach(([region, codes]) => {
+    codes
+      .split(" ")
+      .forEach((code) => NANP_REGIONS.set(code, { country, region }));
+  });
+});
+
+// Numbers with fewer calls than this are too new to judge
+const HEALTH_MIN_CALLS = parseInt(
+  process.env.CALLER_ID_HEALTH_MIN_CALLS || "50",
+  10
+);
+
+// Answer rate below which a number is reported as unhealthy
+const HEALTH_MIN_ANSWER_RATE = parseFloat(
+  process.env.CALLER_ID_MIN_ANSWER_RATE || "0.1"
+);
+
+/**
+ * Country, area code and state/province of a number. NANP numbers only;
+ * fields are null when they cannot be resolved.
+ */
+const getNumberLocation = (phoneNumber) => {
+  const e164 = toE164(phoneNumber);
+  if (!e164 || !e164.startsWith("+1")) {
+    return { country: null, areaCode: null, region: null };
+  }
+
+  const areaCode = e164.slice(2, 5);
+  const location = NANP_REGIONS.get(areaCode);
+  return {
+    country: location ? location.country : null,
+    areaCode,
+    region: location ? location.region : null,
+  };
+};
+
+const toUsageDate = (now) => now.toISOString().slice(0, 10);
+
+/**
+ * Atomically take the least recently used active number matching the
+ * filter that is under its daily cap and not flagged as spam, counting
+ * today's use.
+ */
+const claimCallerId = (organizationId, filter, now) => {
+  const today = toUsageDate(now);
+
+  return CallerIdNumber.findOneAndUpdate(
+    {
+      organizationId,
+      status: "active",
+      spamFlagged: false,
+      ...filter,
+      $or: [
+        { dailyCap: null },
+        { usageDate: { $ne: today } },
+        { $expr: { $lt: ["$usageCount", "$dailyCap"] } },
+      ],
+    },
+    [
+      {
+        $set: {
+          usageCount: {
+            $cond: [
+              { $eq: ["$usageDate", today] },
+              { $add: ["$usageCount", 1] },
+              1,
+            ],
+          },
+          usageDate: today,
+          lastUsedAt: now,
+        },
+      },
+    ],
+    { new: true, sort: { lastUsedAt: 1 } }
+  );
+};
+
+/**
+ * Caller ID to present when calling phoneNumber. A campaign's own callerId
+ * wins; otherwise the closest pool number is used, then the fallback.
+ * Returns the number, or the fallback when none applies.
+ */
+const selectCallerId = async ({
+  organizationId,
+  phoneNumber,
+  campaignCallerId = null,
+  fallback = process.env.TWILIO_PHONE_NUMBER,
+  now = new Date(),
+}) => {
+  if (campaignCallerId) return campaignCallerId;
+  if (!mongoose.isValidObjectId(organizationId)) return fallback;
+
+  const { country, areaCode, region } = getNumberLocation(phoneNumber);
+  const tiers = [];
+  if (areaCode) tiers.push({ areaCode });
+  if (region) tiers.push({ country, region });
+  tiers.push({});
+
+  for (const filter of tiers) {
+    const number = await claimCallerId(organizationId, filter, now);
+    if (number) return number.phoneNumber;
+  }
+  return fallback;
+};
+
+/**
+ * Count a Twilio status event against the pool number it was placed from:
+ * "initiated" counts a call, "in-progress" an answer.
+ */
+const recordCallerIdStatus = (organizationId, callerId, callStatus) => {
+  const field = { initiated: "totalCalls", "in-progress": "answeredCalls" }[
+    callStatus
+  ];
+  if (!field || !organizationId || !callerId) return null;
+
+  return CallerIdNumber.updateOne(
+    { organizationId, phoneNumber: callerId },
+    { $inc: { [field]: 1 } }
+  );
+};
+
+/**
+ * Answer rate and whether it is low enough to suspect spam labelling
+ */
+const getCallerIdHealth = (number) => {
+  const answerRate =
+    number.totalCalls > 0 ? number.answeredCalls / number.totalCalls : null;
+  const healthy =
+    number.totalCalls < HEALTH_MIN_CALLS ||
+    answerRate >= HEALTH_MIN_ANSWER_RATE;
+  return { answerRate, healthy: healthy && !number.spamFlagged };
+};
+
+module.exports = {
+  getNumberLocation,
+  selectCallerId,
+  recordCallerIdStatus,
+  getCallerIdHealth,
+  toUsageDate,
+};
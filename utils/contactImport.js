@@ -0,0 +1,586 @@
+// Streaming CSV/XLSX import into the dial list. Rows are read one at a time,
+// mapped to a phone number and contact fields, normalized to E.164 and written
+// in batches; contact details go to Contact records linked from the entries.
+// Progress and every rejected, duplicate or DNC-suppressed row are kept on the
+// ImportJob for the downloadable report.
+const fs = require("fs");
+const { parse } = require("csv-parse");
+const ExcelJS = require("exceljs");
+const DialList = require("../models/DialList");
+const ImportJob = require("../models/ImportJob");
+const { getCalleeTimezone } = require("./calleeHours");
+const { ADDRESS_FIELDS, upsertContacts } = require("./contacts");
+const { createAssigner, normalizeSkill } = require("./distribution");
+const { findDncEntries, recordSuppressions } = require("./dncRegistry");
+const { getPhoneNumberVariants, toE164 } = require("./phoneNumber");
+const { scheduleDialListProgress } = require("./realtimeEvents");
+
+const BATCH_SIZE = 500;
+
+// Rows kept for the downloadable report; larger imports are summarized
+const MAX_REPORTED_ISSUES = 20000;
+
+const PHONE_HEADER = /phone|number|mobile|cell|tel/i;
+const NAME_HEADER = /^(full[\s_]?)?name$|contact/i;
+const SKILL_HEADER = /^skills?$/i;
+
+// Auto-detected contact columns, checked in this order
+const FIELD_HEADERS = {
+  email: /e-?mail/i,
+  firstName: /^(first|given)([\s_]?name)?$/i,
+  lastName: /^(last|family)([\s_]?name)?$|surname/i,
+  company: /company|business|organi[sz]ation/i,
+};
+const ADDRESS_HEADERS = {
+  zipCode: /zip|post(al)?[\s_]?code/i,
+  street: /street|address/i,
+  city: /^city$|town/i,
+  state: /^state$|province|region/i,
+  country: /^country$/i,
+};
+
+const getFileType = (fileName = "") =>
+  /\.xlsx$/i.test(fileName) ? "xlsx" : /\.csv$/i.test(fileName) ? "csv" : null;
+
+// ExcelJS cell values can be rich text, hyperlinks, formulas or dates
+const cellToString = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+    return "";
+  }
+  return String(value).trim();
+};
+
+/**
+ * Rows of a file as { row, values: { header: value } }, streamed.
+ * Calls onHeaders(headers) once before the first row.
+ */
+async function* readRows(filePath, fileType, onHeaders) {
+  if (fileType === "csv") {
+    let headers = null;
+    const parser = fs.createReadStream(filePath).pipe(
+      parse({
+        bom: true,
+        trim: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        info: true,
+      })
+    );
+
+    for await (const { record, info } of parser) {
+      if (!headers) {
+        headers = record;
+        onHeaders(headers);
+        continue;
+      }
+      const values = {};
+      headers.forEach((header, index) => {
+        values[header] = record[index] || "";
+      });
+      yield { row: info.lines, values };
+    }
+    return;
+  }
+
+  // XLSX: first worksheet only, first row is the header
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    sharedStrings: "cache",
+    hyperlinks: "ignore",
+    styles: "ignore",
+    worksheets: "emit",
+  });
+
+  for await (const worksheet of workbook) {
+    let headers = null;
+    for await (const row of worksheet) {
+      const cells = (row.values || []).slice(1).map(cellToString);
+      if (!headers) {
+        headers = cells;
+        onHeaders(headers);
+        continue;
+      }
+      if (cells.every((cell) => !cell)) continue;
+
+      const values = {};
+      headers.forEach((header, index) => {
+        values[header] = cells[index] || "";
+      });
+      yield { row: row.number, values };
+    }
+    break;
+  }
+}
+
+/**
+ * Column mapping for a file: { phone, name, firstName, lastName, email,
+ * company, address: { street, city, state, country, zipCode }, skill,
+ * customFields: { field: header } }, each value being a column header.
+ * Without an explicit mapping the columns are guessed from the headers and
+ * every other column becomes a custom field.
+ * Returns { mapping } or { error }.
+ */
+const resolveMapping = (headers, requested) => {
+  if (requested) {
+    const customFields = requested.customFields || {};
+    const address = requested.address || {};
+    const missing = [
+      requested.phone,
+      requested.name,
+      requested.skill,
+      ...Object.keys(FIELD_HEADERS).map((field) => requested[field]),
+      ...Object.values(address),
+      ...Object.values(customFields),
+    ].filter((header) => header && !headers.includes(header));
+
+    if (!requested.phone)
+      return { error: "Mapping must include a phone column" };
+    const badField = Object.keys(customFields).find(
+      (field) => field.includes(".") || field.startsWith("$")
+    );
+    if (badField) {
+      return { error: `Invalid custom field name: ${badField}` };
+    }
+    const badAddressField = Object.keys(address).find(
+      (field) => !ADDRESS_FIELDS.includes(field)
+    );
+    if (badAddressField) {
+      return { error: `Unknown address field: ${badAddressField}` };
+    }
+    if (missing.length > 0) {
+      return { error: `Columns not found in file: ${missing.join(", ")}` };
+    }
+
+    const mapping = {
+      phone: requested.phone,
+      name: requested.name || null,
+      skill: requested.skill || null,
+    };
+    Object.keys(FIELD_HEADERS).forEach((field) => {
+      mapping[field] = requested[field] || null;
+    });
+    return { mapping: { ...mapping, address, customFields } };
+  }
+
+  const used = new Set();
+  const claim = (pattern) => {
+    const header = headers.find(
+      (item) => item && !used.has(item) && pattern.test(item)
+    );
+    if (!header) return null;
+    used.add(header);
+    return header;
+  };
+
+  const phone = claim(PHONE_HEADER);
+  if (!phone) {
+    return { error: "Could not find a phone column; please map one" };
+  }
+
+  const mapping = { phone };
+  Object.entries(FIELD_HEADERS).forEach(([field, pattern]) => {
+    mapping[field] = claim(pattern);
+  });
+  mapping.name = claim(NAME_HEADER);
+  mapping.skill = claim(SKILL_HEADER);
+
+  const address = {};
+  Object.entries(ADDRESS_HEADERS).forEach(([field, pattern]) => {
+    const header = claim(pattern);
+    if (header) address[field] = header;
+  });
+
+  const customFields = {};
+  headers
+    .filter((header) => header && !used.has(header))
+    .forEach((header) => {
+      // Map keys cannot contain "." or start with "$"
+      customFields[header.replace(/\./g, "_").replace(/^\$/, "")] = header;
+    });
+
+  return { mapping: { ...mapping, address, customFields } };
+};
+
+/**
+ * Contact fields for one row, leaving out empty cells so imports never blank
+ * out values already on a contact. A single name column is split into first
+ * and last name when those are not mapped separately.
+ */
+const buildContactFields = (values, mapping) => {
+  const fields = {};
+  Object.keys(FIELD_HEADERS).forEach((field) => {
+    const value = mapping[field] && values[mapping[field]];
+    if (value) fields[field] = value;
+  });
+  if (fields.email) fields.email = fields.email.toLowerCase();
+
+  const fullName = mapping.name && values[mapping.name];
+  if (fullName && !fields.firstName && !fields.lastName) {
+    const [firstName, ...rest] = fullName.trim().split(/\s+/);
+    fields.firstName = firstName;
+    if (rest.length > 0) fields.lastName = rest.join(" ");
+  }
+
+  Object.entries(mapping.address || {}).forEach(([field, header]) => {
+    if (values[header]) {
+      fields.address = { ...fields.address, [field]: values[header] };
+    }
+  });
+
+  Object.entries(mapping.customFields).forEach(([field, header]) => {
+    if (values[header]) {
+      fields.customFields = { ...fields.customFields, [field]: values[header] };
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Unordered bulk write of one batch. A failed operation does not stop the
+ * others; their write errors are returned by operation index.
+ */
+const writeDialListEntries = async (operations) => {
+  const writeErrors = new Map();
+  if (operations.length === 0) return writeErrors;
+
+  try {
+    await DialList.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    [].concat(error.writeErrors).forEach((writeError) => {
+      writeErrors.set(writeError.index, writeError);
+    });
+  }
+  return writeErrors;
+};
+
+/**
+ * Import worker. Reads the file, writes DialList entries in batches spread
+ * across agents by the distribution, and records progress on the job. The
+ * temporary file is removed afterwards.
+ */
+const runImport = async ({
+  jobId,
+  filePath,
+  requestedMapping,
+  organizationId,
+  userId,
+  distribution,
+  campaignId,
+}) => {
+  const job = await ImportJob.findById(jobId);
+  const assign = createAssigner(distribution);
+  const counts = {
+    rows: 0,
+    uploaded: 0,
+    duplicates: 0,
+    suppressed: 0,
+    rejected: 0,
+  };
+  const seen = new Set();
+  let mapping = null;
+  let batch = [];
+  let pendingIssues = [];
+  let reportedIssues = 0;
+  let issuesTruncated = false;
+
+  const addIssue = (issue) => {
+    counts[issue.status === "duplicate" ? "duplicates" : issue.status]++;
+    if (reportedIssues < MAX_REPORTED_ISSUES) {
+      pendingIssues.push(issue);
+      reportedIssues++;
+    } else {
+      issuesTruncated = true;
+    }
+  };
+
+  // Progress is appended rather than re-saving the whole issue list
+  const saveProgress = (fields = {}) => {
+    const issuesToAdd = pendingIssues;
+    pendingIssues = [];
+    return ImportJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          counts,
+          issuesTruncated,
+          headers: job.headers,
+          mapping,
+          ...fields,
+        },
+        $push: { issues: { $each: issuesToAdd } },
+      }
+    );
+  };
+
+  const flush = async () => {
+    const rows = batch;
+    batch = [];
+    if (rows.length === 0) return;
+
+    const phoneNumbers = rows.map((item) => item.phoneNumber);
+    const [dncEntries, existing] = await Promise.all([
+      findDncEntries(organizationId, phoneNumbers, job.defaultCountry),
+      DialList.find({
+        organizationId,
+        phoneNumber: {
+          $in: phoneNumbers.flatMap((number) =>
+            getPhoneNumberVariants(number, job.defaultCountry)
+          ),
+        },
+      }).select("phoneNumber disposition"),
+    ]);
+
+    const existingByNumber = new Map();
+    existing.forEach((entry) => {
+      getPhoneNumberVariants(entry.phoneNumber, job.defaultCountry).forEach(
+        (variant) => existingByNumber.set(variant, entry)
+      );
+    });
+
+    const suppressions = [];
+
+    // Numbers on the organization or platform DNC list are never uploaded
+    const allowed = rows.filter((item) => {
+      const { row, raw, phoneNumber } = item;
+      const existingEntry = existingByNumber.get(phoneNumber);
+      const dncEntry = dncEntries.get(phoneNumber);
+
+      if (dncEntry || existingEntry?.disposition === "DNC") {
+        suppressions.push({
+          organizationId,
+          phoneNumber,
+          action: "upload_suppressed",
+          dncEntryId: dncEntry?._id || null,
+          dialListId: existingEntry?._id || null,
+          userId,
+          details: dncEntry
+            ? `Import ${job._id}`
+            : `Import ${job._id}: previously dispositioned DNC`,
+        });
+        addIssue({
+          row,
+          phoneNumber: raw,
+          status: "suppressed",
+          reason: dncEntry ? "On DNC list" : "Previously dispositioned DNC",
+        });
+        return false;
+      }
+
+      item.assignment = assign(item.skill);
+      if (!item.assignment) {
+        addIssue({
+          row,
+          phoneNumber: raw,
+          status: "rejected",
+          reason: item.skill
+            ? `No agent with skill "${item.skill}"`
+            : "No eligible agent",
+        });
+        return false;
+      }
+      return true;
+    });
+
+    const contactIds = await upsertContacts({
+      organizationId,
+      userId,
+      rows: allowed,
+      importJobId: job._id,
+    });
+
+    const operations = [];
+    // Row behind each operation, counted once the write succeeds
+    const written = [];
+
+    allowed.forEach(({ row, raw, phoneNumber, skill, assignment }) => {
+      const existingEntry = existingByNumber.get(phoneNumber);
+      const contactId = contactIds.get(phoneNumber) || null;
+
+      if (existingEntry) {
+        // Reset calling status while preserving disposition and comments
+        operations.push({
+          updateOne: {
+            filter: { _id: existingEntry._id },
+            update: {
+              $set: {
+                ...(contactId && { contactId }),
+                dialingStatus: "pending",
+                attempts: 0,
+                currentlyDialingBy: null,
+                ...assignment,
+                skill: skill || distribution.skill,
+                uploadedBy: userId,
+                campaignId,
+                timezone: getCalleeTimezone(phoneNumber),
+                outcomeAttempts: { busy: 0, no_answer: 0, failed: 0 },
+                nextEligibleAt: null,
+                callbackAt: null,
+                callbackOwner: null,
+                updatedAt: new Date(),
+              },
+              $unset: { lastDialedAt: "" },
+            },
+          },
+        });
+        written.push({ row, raw, existing: true });
+        return;
+      }
+
+      operations.push({
+        insertOne: {
+          document: {
+            contactId,
+            phoneNumber,
+            organizationId,
+            uploadedBy: userId,
+            ...assignment,
+            skill: skill || distribution.skill,
+            campaignId,
+            timezone: getCalleeTimezone(phoneNumber),
+            dialingStatus: "pending",
+          },
+        },
+      });
+      written.push({ row, raw, existing: false });
+    });
+
+    const writeErrors = await writeDialListEntries(operations);
+    written.forEach(({ row, raw, existing }, index) => {
+      const writeError = writeErrors.get(index);
+      if (writeError) {
+        // Another upload can insert the same number between our lookup and
+        // this write; the unique index turns that into a duplicate key error
+        const concurrentInsert = !existing && writeError.code === 11000;
+        addIssue({
+          row,
+          phoneNumber: raw,
+          status: concurrentInsert ? "duplicate" : "rejected",
+          reason: concurrentInsert
+            ? "Added to the dial list by another upload"
+            : `Failed to save: ${writeError.errmsg}`,
+        });
+      } else if (existing) {
+        addIssue({
+          row,
+          phoneNumber: raw,
+          status: "duplicate",
+          reason: "Already in dial list; reset for re-dialing",
+        });
+      } else {
+        counts.uploaded++;
+      }
+    });
+    await recordSuppressions(suppressions);
+
+    // bulkWrite skips model hooks, so nudge the realtime feed directly
+    scheduleDialListProgress(organizationId);
+
+    await saveProgress();
+  };
+
+  try {
+    for await (const { row, values } of readRows(
+      filePath,
+      job.fileType,
+      (headers) => {
+        job.headers = headers;
+        const resolved = resolveMapping(headers, requestedMapping);
+        if (resolved.error) throw new Error(resolved.error);
+        mapping = resolved.mapping;
+      }
+    )) {
+      counts.rows++;
+      const raw = values[mapping.phone] || "";
+      const phoneNumber = toE164(raw, job.defaultCountry);
+
+      if (!phoneNumber) {
+        addIssue({
+          row,
+          phoneNumber: raw,
+          status: "rejected",
+          reason: raw ? "Invalid phone number" : "Missing phone number",
+        });
+        continue;
+      }
+
+      if (seen.has(phoneNumber)) {
+        addIssue({
+          row,
+          phoneNumber: raw,
+          status: "duplicate",
+          reason: "Repeated in file",
+        });
+        continue;
+      }
+      seen.add(phoneNumber);
+
+      batch.push({
+        row,
+        raw,
+        phoneNumber,
+        skill: mapping.skill ? normalizeSkill(values[mapping.skill]) : null,
+        fields: buildContactFields(values, mapping),
+      });
+
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+
+    if (!mapping) throw new Error("File is empty");
+
+    await flush();
+    await saveProgress({ status: "completed", completedAt: new Date() });
+
+    console.log(
+      `Import ${job._id} completed: ${counts.uploaded} uploaded, ${counts.duplicates} duplicates, ${counts.suppressed} suppressed, ${counts.rejected} rejected`
+    );
+  } catch (error) {
+    console.error(`Import ${job._id} failed:`, error);
+    await saveProgress({
+      status: "failed",
+      error: error.message,
+      completedAt: new Date(),
+    }).catch((saveError) =>
+      console.error(`Import ${job._id} status save failed:`, saveError)
+    );
+  } finally {
+    fs.unlink(filePath, () => {});
+  }
+};
+
+/**
+ * CSV of a job's rejected, duplicate and suppressed rows
+ */
+const buildIssueReport = (job) => {
+  const escape = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  const lines = job.issues.map((issue) =>
+    [issue.row, issue.phoneNumber, issue.status, issue.reason]
+      .map(escape)
+      .join(",")
+  );
+
+  if (job.issuesTruncated) {
+    lines.push(
+      escape(
+        `Report truncated after ${MAX_REPORTED_ISSUES} rows; see job counts for totals`
+      )
+    );
+  }
+
+  return ["Row,Phone Number,Status,Reason", ...lines].join("\n");
+};
+
+module.exports = {
+  BATCH_SIZE,
+  getFileType,
+  readRows,
+  resolveMapping,
+  buildContactFields,
+  runImport,
+  buildIssueReport,
+};
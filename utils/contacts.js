@@ -0,0 +1,249 @@
+// Contact records: field validation, change tracking and the bulk upsert
+// used by imports. Every change is written to ContactHistory.
+const mongoose = require("mongoose");
+const Contact = require("../models/Contact");
+const ContactHistory = require("../models/ContactHistory");
+const DialList = require("../models/DialList");
+const { getPhoneNumberVariants } = require("./phoneNumber");
+
+const NAME_FIELDS = ["firstName", "lastName", "email", "company"];
+const ADDRESS_FIELDS = ["street", "city", "state", "country", "zipCode"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Empty strings clear a field
+const cleanValue = (value) => {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  return trimmed === "" ? null : trimmed;
+};
+
+/**
+ * Contact fields from a request body or import row:
+ * { firstName, lastName, email, company, address: {...}, customFields: {...} }.
+ * Only keys present in the input are returned, so partial updates leave the
+ * other fields alone.
+ */
+const pickContactFields = (body = {}) => {
+  const fields = {};
+
+  NAME_FIELDS.forEach((key) => {
+    if (body[key] !== undefined) fields[key] = cleanValue(body[key]);
+  });
+  if (fields.email) fields.email = fields.email.toLowerCase();
+
+  if (body.address && typeof body.address === "object") {
+    fields.address = {};
+    ADDRESS_FIELDS.forEach((key) => {
+      if (body.address[key] !== undefined) {
+        fields.address[key] = cleanValue(body.address[key]);
+      }
+    });
+  }
+
+  if (body.customFields && typeof body.customFields === "object") {
+    fields.customFields = {};
+    Object.entries(body.customFields).forEach(([key, value]) => {
+      fields.customFields[key] = cleanValue(value);
+    });
+  }
+
+  return fields;
+};
+
+/**
+ * Validate picked contact fields. Returns an error message or null.
+ */
+const validateContactInput = (fields) => {
+  if (fields.email && !EMAIL_PATTERN.test(fields.email)) {
+    return `Invalid email: ${fields.email}`;
+  }
+
+  // Map keys cannot contain "." or start with "$"
+  const badField = Object.keys(fields.customFields || {}).find(
+    (key) => !key || key.includes(".") || key.startsWith("$")
+  );
+  if (badField !== undefined) {
+    return `Invalid custom field name: ${badField}`;
+  }
+
+  return null;
+};
+
+/**
+ * Field-level changes between a stored contact (lean or document) and picked
+ * fields, as [{ field, from, to }] with dotted paths for nested values
+ */
+const diffContact = (current = {}, fields) => {
+  const changes = [];
+  const compare = (field, from, to) => {
+    const before = from === undefined || from === "" ? null : from;
+    if (before !== to) changes.push({ field, from: before, to });
+  };
+
+  NAME_FIELDS.forEach((key) => {
+    if (fields[key] !== undefined) compare(key, current[key], fields[key]);
+  });
+
+  Object.entries(fields.address || {}).forEach(([key, value]) => {
+    compare(`address.${key}`, current.address?.[key], value);
+  });
+
+  const currentCustom =
+    current.customFields instanceof Map
+      ? Object.fromEntries(current.customFields)
+      : current.customFields || {};
+  Object.entries(fields.customFields || {}).forEach(([key, value]) => {
+    compare(`customFields.${key}`, currentCustom[key], value);
+  });
+
+  return changes;
+};
+
+/**
+ * MongoDB update for a list of changes. Cleared custom fields are removed
+ * from the map rather than stored as null.
+ */
+const buildContactUpdate = (changes, userId) => {
+  const $set = { updatedBy: userId || null };
+  const $unset = {};
+
+  changes.forEach(({ field, to }) => {
+    if (to === null && field.startsWith("customFields.")) {
+      $unset[field] = "";
+    } else {
+      $set[field] = to;
+    }
+  });
+
+  return Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+};
+
+/**
+ * Contact for a phone number in an organization (any stored variant)
+ */
+const findContactByPhone = (organizationId, phoneNumber) => {
+  const variants = getPhoneNumberVariants(phoneNumber);
+  if (variants.length === 0) return null;
+
+  return Contact.findOne({ organizationId, phoneNumber: { $in: variants } });
+};
+
+/**
+ * Point every dial entry for the contact's number at the contact
+ */
+const linkDialEntries = (contact) =>
+  DialList.updateMany(
+    {
+      organizationId: contact.organizationId,
+      phoneNumber: { $in: getPhoneNumberVariants(contact.phoneNumber) },
+    },
+    { $set: { contactId: contact._id } }
+  );
+
+/**
+ * Create or update contacts in bulk, e.g. for an import batch.
+ * rows: [{ phoneNumber, fields }] with E.164 numbers and picked fields.
+ * Imports only ever fill in values, so pass fields without empty entries.
+ * Returns a Map of phone number -> contact id for every number in the batch
+ * that has a contact, including ones that were left unchanged.
+ */
+const upsertContacts = async ({
+  organizationId,
+  userId,
+  rows,
+  action = "imported",
+  importJobId = null,
+}) => {
+  const contactIds = new Map();
+  if (rows.length === 0) return contactIds;
+
+  const existing = await Contact.find({
+    organizationId,
+    phoneNumber: {
+      $in: rows.flatMap((row) => getPhoneNumberVariants(row.phoneNumber)),
+    },
+  }).lean();
+
+  const existingByNumber = new Map();
+  existing.forEach((contact) => {
+    getPhoneNumberVariants(contact.phoneNumber).forEach((variant) =>
+      existingByNumber.set(variant, contact)
+    );
+  });
+
+  const operations = [];
+  const history = [];
+
+  rows.forEach(({ phoneNumber, fields }) => {
+    const contact = existingByNumber.get(phoneNumber);
+
+    if (contact) {
+      contactIds.set(phoneNumber, contact._id);
+      const changes = diffContact(contact, fields);
+      if (changes.length === 0) return;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: contact._id },
+          update: buildContactUpdate(changes, userId),
+        },
+      });
+      history.push({
+        contactId: contact._id,
+        organizationId,
+        userId,
+        action,
+        changes,
+        importJobId,
+      });
+      return;
+    }
+
+    const changes = diffContact({}, fields);
+    if (changes.length === 0) return;
+
+    const _id = new mongoose.Types.ObjectId();
+    contactIds.set(phoneNumber, _id);
+    operations.push({
+      insertOne: {
+        document: {
+          _id,
+          ...fields,
+          organizationId,
+          phoneNumber,
+          createdBy: userId,
+          updatedBy: userId,
+        },
+      },
+    });
+    history.push({
+      contactId: _id,
+      organizationId,
+      userId,
+      action,
+      changes,
+      importJobId,
+    });
+  });
+
+  if (operations.length > 0) {
+    await Contact.bulkWrite(operations, { ordered: false });
+  }
+  if (history.length > 0) {
+    await ContactHistory.insertMany(history, { ordered: false });
+  }
+
+  return contactIds;
+};
+
+module.exports = {
+  ADDRESS_FIELDS,
+  pickContactFields,
+  validateContactInput,
+  diffContact,
+  buildContactUpdate,
+  findContactByPhone,
+  linkDialEntries,
+  upsertContacts,
+};
@@ -0,0 +1,79 @@
+// Encryption for secrets stored in MongoDB, such as organizations' Twilio
+// credentials. Uses AES-256-GCM with the key in CREDENTIALS_ENCRYPTION_KEY
+// (32 bytes, hex or base64); values are stored as "enc:v1:<iv>:<tag>:<data>".
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const PREFIX = "enc:v1";
+
+const getKey = () => {
+  const raw = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!raw) {
+    throw new Error("CREDENTIALS_ENCRYPTION_KEY is not set");
+  }
+
+  const key = /^[0-9a-fA-F]{64}$/.test(raw)
+    ? Buffer.from(raw, "hex")
+    : Buffer.from(raw, "base64");
+  if (key.length !== 32) {
+    throw new Error("CREDENTIALS_ENCRYPTION_KEY must be 32 bytes");
+  }
+  return key;
+};
+
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(`${PREFIX}:`);
+
+/**
+ * Encrypt a secret; empty values are stored as null
+ */
+const encryptSecret = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    PREFIX,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    data.toString("base64"),
+  ].join(":");
+};
+
+/**
+ * Decrypt a value from encryptSecret. Throws if it was tampered with or
+ * encrypted under another key.
+ */
+const decryptSecret = (value) => {
+  if (!value) return null;
+  if (!isEncrypted(value)) {
+    throw new Error("Value is not an encrypted secret");
+  }
+
+  const [, , iv, tag, data] = value.split(":");
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    getKey(),
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+/**
+ * Keyed digest of a value, so encrypted values can still be looked up
+ * (e.g. an organization by the AccountSid on a Twilio webhook)
+ */
+const digestSecret = (value) =>
+  crypto.createHmac("sha256", getKey()).update(String(value)).digest("hex");
+
+module.exports = { encryptSecret, decryptSecret, digestSecret, isEncrypted };
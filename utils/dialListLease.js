@@ -0,0 +1,370 @@
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const DialList = require("../models/DialList");
+const Campaign = require("../models/Campaign");
+const Organization = require("../models/Organization");
+const Team = require("../models/Team");
+const { limitToCalleeHours } = require("./calleeHours");
+const { findDncEntry, recordSuppression } = require("./dncRegistry");
+const { resolveRetryRules } = require("./retryScheduler");
+
+// Statuses a number can be (re)dialed from
+const DIALABLE_STATUSES = ["pending", "failed", "no_answer", "busy"];
+
+// Fallback attempt limit; organizations set theirs in settings.retryRules
+const MAX_ATTEMPTS = 3;
+
+// Locks expire unless renewed. Clients send a heartbeat to
+// POST /dial/renew-number-lock while they hold a number (dialing, on the call
+// and until it is dispositioned), well inside this TTL; call status webhooks
+// renew it as well, and numbers on a live call are never swept.
+const LEASE_TTL_SECONDS = parseInt(
+  process.env.DIAL_LEASE_TTL_SECONDS || "120",
+  10
+);
+
+// Calls left "live" longer than this are assumed dead (no final webhook) and
+// no longer keep their number locked
+const MAX_LIVE_CALL_MS = 4 * 60 * 60 * 1000;
+
+// CallLog statuses of a call still in progress
+const LIVE_CALL_STATUSES = ["connecting", "ringing", "on_call", "on_hold"];
+
+// Give up after skipping this many DNC numbers in one lease
+const MAX_SUPPRESSED_PER_LEASE = 25;
+
+// Never-attempted first, then priority, then longest-waiting retry, then oldest
+const LEASE_SORT = {
+  attempts: 1,
+  priority: -1,
+  nextEligibleAt: 1,
+  createdAt: 1,
+};
+
+// Due callbacks are served before anything else, earliest promised first
+const CALLBACK_LEASE_SORT = {
+  callbackAt: 1,
+  priority: -1,
+};
+
+/**
+ * Campaign part of the lease query: numbers outside any campaign plus numbers
+ * of active campaigns inside their calling hours, each with its own retry
+ * policy and limited to numbers inside their callee calling hours. Pass a
+ * campaignId to lease from that campaign only.
+ * An empty array means nothing may be dialed right now.
+ */
+const buildCampaignClauses = async ({
+  organizationId,
+  campaignId = null,
+  now = new Date(),
+}) => {
+  const campaignFilter = { organizationId, status: "active" };
+  if (campaignId) campaignFilter._id = campaignId;
+
+  const [campaigns, organization] = await Promise.all([
+    Campaign.find(campaignFilter).select(
+      "callingHours calleeCallingHours retryPolicy"
+    ),
+    Organization.findById(organizationId)
+      .select(
+        "settings.timezone settings.retryRules settings.calleeCallingHours"
+      )
+      .lean(),
+  ]);
+  const settings = organization?.settings;
+  const timezone = settings?.timezone || "UTC";
+  const { maxAttempts } = resolveRetryRules(settings);
+
+  const clauses = campaignId
+    ? []
+    : [
+        limitToCalleeHours(
+          { campaignId: null, attempts: { $lt: maxAttempts } },
+          settings,
+          null,
+          now
+        ),
+      ];
+
+  campaigns
+    .filter((campaign) => campaign.isWithinCallingHours(now, timezone))
+    .forEach((campaign) => {
+      const { maxAttempts, retryDelayMinutes } = campaign.retryPolicy;
+      const clause = {
+        campaignId: campaign._id,
+        attempts: { $lt: maxAttempts },
+      };
+      if (retryDelayMinutes > 0) {
+        clause.$or = [
+          { attempts: 0 },
+          {
+            lastDialedAt: {
+              $lte: new Date(now.getTime() - retryDelayMinutes * 60 * 1000),
+            },
+          },
+        ];
+      }
+      clauses.push(limitToCalleeHours(clause, settings, campaign, now));
+    });
+
+  return clauses;
+};
+
+/**
+ * Campaigns and teams whose shared pools an agent may lease from. A campaign
+ * with no assigned agents is open to everyone in the organization.
+ * Returns { campaignIds, teamIds }.
+ */
+const getPoolMemberships = async ({ organizationId, userId }) => {
+  const [campaignIds, teamIds] = await Promise.all([
+    Campaign.distinct("_id", {
+      organizationId,
+      $or: [{ assignedAgents: userId }, { assignedAgents: { $size: 0 } }],
+    }),
+    Team.distinct("_id", { organizationId, members: userId }),
+  ]);
+  return { campaignIds, teamIds };
+};
+
+/**
+ * $or clauses for the numbers an agent owns: assigned to them outside any
+ * pool, or in a shared pool they belong to (see getPoolMemberships).
+ */
+const buildMembershipClauses = (
+  userId,
+  { campaignIds = [], teamIds = [] } = {}
+) => [
+  { assignedTo: userId, pool: null },
+  { pool: "agents", poolAgents: userId },
+  { pool: "campaign", campaignId: { $in: campaignIds } },
+  { pool: "team", teamId: { $in: teamIds } },
+];
+
+/**
+ * Query for numbers an agent may dial now: assigned to them or in a shared
+ * pool they belong to. Without campaign clauses every number is limited to
+ * MAX_ATTEMPTS.
+ */
+const buildLeaseFilter = ({
+  organizationId,
+  assignedTo,
+  memberships,
+  campaignClauses,
+  now = new Date(),
+}) => {
+  const filter = {
+    organizationId,
+    dialingStatus: { $in: DIALABLE_STATUSES },
+    currentlyDialingBy: null, // Not currently being dialed by someone else
+    nextEligibleAt: { $not: { $gt: now } }, // Unset, or cool-down has passed
+    callbackOwner: { $in: [null, assignedTo] }, // Not kept by another agent
+    $or: buildMembershipClauses(assignedTo, memberships),
+  };
+
+  if (campaignClauses) {
+    filter.$and = [{ $or: campaignClauses }];
+  } else {
+    filter.attempts = { $lt: MAX_ATTEMPTS };
+  }
+
+  return filter;
+};
+
+const getLeaseExpiry = (now = new Date()) =>
+  new Date(now.getTime() + LEASE_TTL_SECONDS * 1000);
+
+/**
+ * Atomically lock the next dialable number for an agent, optionally from one
+ * campaign. Callbacks that are due come first, then LEASE_SORT order.
+ * Pooled numbers are assigned to the agent who leases them.
+ * Numbers on the DNC registry are closed out (and audited) instead of
+ * leased. Returns the leased DialList entry or null when nothing is
+ * available.
+ *
+ * Agents sharing a pool race for the same entries in LEASE_SORT order; the
+ * lock is taken in a single findOneAndUpdate conditioned on
+ * currentlyDialingBy being null, so only one of them can win a number.
+ */
+const leaseNextNumber = async ({
+  organizationId,
+  userId,
+  campaignId = null,
+}) => {
+  const [campaignClauses, memberships] = await Promise.all([
+    buildCampaignClauses({ organizationId, campaignId }),
+    getPoolMemberships({ organizationId, userId }),
+  ]);
+  if (campaignClauses.length === 0) return null;
+
+  for (let skipped = 0; skipped < MAX_SUPPRESSED_PER_LEASE; skipped++) {
+    const now = new Date();
+    const filter = buildLeaseFilter({
+      organizationId,
+      assignedTo: userId,
+      memberships,
+      campaignClauses,
+      now,
+    });
+    const update = {
+      dialingStatus: "dialing",
+      assignedTo: userId,
+      currentlyDialingBy: userId,
+      lastDialedAt: now,
+      leaseExpiresAt: getLeaseExpiry(now),
+      nextEligibleAt: null,
+      $inc: { attempts: 1 },
+    };
+
+    const entry =
+      (await DialList.findOneAndUpdate(
+        { ...filter, callbackAt: { $ne: null, $lte: now } },
+        update,
+        { new: true, sort: CALLBACK_LEASE_SORT }
+      )) ||
+      (await DialList.findOneAndUpdate(filter, update, {
+        new: true,
+        sort: LEASE_SORT,
+      }));
+    if (!entry) return null;
+
+    const dncEntry = await findDncEntry(organizationId, entry.phoneNumber);
+    if (!dncEntry) return entry;
+
+    console.log("Skipping DNC number on lease:", entry.phoneNumber);
+    await DialList.updateOne(
+      { _id: entry._id },
+      {
+        dialingStatus: "completed",
+        disposition: "DNC",
+        currentlyDialingBy: null,
+        callbackAt: null,
+        callbackOwner: null,
+        completedAt: new Date(),
+        $inc: { attempts: -1 }, // Never actually dialed
+      }
+    );
+    await recordSuppression({
+      organizationId,
+      phoneNumber: entry.phoneNumber,
+      action: "lease_suppressed",
+      dncEntryId: dncEntry._id,
+      dialListId: entry._id,
+      userId,
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Extend an agent's locks (one number, or all they hold).
+ * Returns { renewed, leaseExpiresAt }.
+ */
+const renewLeases = async ({ organizationId, userId, numberId = null }) => {
+  const leaseExpiresAt = getLeaseExpiry();
+  const filter = { organizationId, currentlyDialingBy: userId };
+  if (numberId) filter._id = numberId;
+
+  const result = await DialList.updateMany(filter, { leaseExpiresAt });
+  return { renewed: result.modifiedCount, leaseExpiresAt };
+};
+
+/**
+ * Extend the lock on one number, whoever holds it, e.g. while its call is
+ * in progress. Returns whether a lock was renewed.
+ */
+const renewNumberLease = async (dialListId) => {
+  if (!dialListId) return false;
+  const result = await DialList.updateOne(
+    { _id: dialListId, currentlyDialingBy: { $ne: null } },
+    { leaseExpiresAt: getLeaseExpiry() }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Return locked numbers to the queue, recording why on each entry.
+ * Reasons: "agent", "supervisor", "expired".
+ * Returns how many numbers were released.
+ */
+const releaseLocks = async ({ filter, reason, releasedBy = null }) => {
+  const result = await DialList.updateMany(
+    { ...filter, currentlyDialingBy: { $ne: null } },
+    [
+      {
+        $set: {
+          lockRelease: {
+            reason,
+            releasedAt: "$$NOW",
+            releasedBy: releasedBy
+              ? new mongoose.Types.ObjectId(releasedBy.toString())
+              : null,
+            previousHolder: "$currentlyDialingBy",
+          },
+          dialingStatus: "pending",
+          currentlyDialingBy: null,
+          leaseExpiresAt: null,
+        },
+      },
+    ]
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Release every lock whose lease has run out, one organization at a time so
+ * realtime progress events still fire. Locks taken before leases had an
+ * expiry are judged by lastDialedAt. Numbers whose call is still live are
+ * kept, as their agent may not be renewing (server dialer, old clients).
+ * Returns how many were released.
+ */
+const releaseExpiredLeases = async (now = new Date()) => {
+  const expired = {
+    currentlyDialingBy: { $ne: null },
+    $or: [
+      { leaseExpiresAt: { $lte: now } },
+      {
+        leaseExpiresAt: null,
+        lastDialedAt: {
+          $lte: new Date(now.getTime() - LEASE_TTL_SECONDS * 1000),
+        },
+      },
+    ],
+  };
+
+  const liveNumberIds = await CallLog.distinct("dialListId", {
+    dialListId: { $in: await DialList.distinct("_id", expired) },
+    status: { $in: LIVE_CALL_STATUSES },
+    startTime: { $gte: new Date(now.getTime() - MAX_LIVE_CALL_MS) },
+  });
+  const filter = { ...expired, _id: { $nin: liveNumberIds } };
+
+  let released = 0;
+  const organizationIds = await DialList.distinct("organizationId", filter);
+  for (const organizationId of organizationIds) {
+    released += await releaseLocks({
+      filter: { ...filter, organizationId },
+      reason: "expired",
+    });
+  }
+  return released;
+};
+
+module.exports = {
+  DIALABLE_STATUSES,
+  MAX_ATTEMPTS,
+  LEASE_TTL_SECONDS,
+  LEASE_SORT,
+  CALLBACK_LEASE_SORT,
+  buildCampaignClauses,
+  getPoolMemberships,
+  buildMembershipClauses,
+  buildLeaseFilter,
+  getLeaseExpiry,
+  leaseNextNumber,
+  renewLeases,
+  renewNumberLease,
+  releaseLocks,
+  releaseExpiredLeases,
+};
@@ -0,0 +1,525 @@
+// Server-side power/predictive dialing engine.
+// Places calls through the Twilio REST client on behalf of agents whose
+// UserStatus is ready in server dialer mode, bridges answered calls to a free
+// agent's Voice client and keeps the abandon rate under the org's ceiling.
+const twilio = require("twilio");
+const { VoiceResponse } = twilio.twiml;
+const CallLog = require("../models/CallLog");
+const Campaign = require("../models/Campaign");
+const DialList = require("../models/DialList");
+const Organization = require("../models/Organization");
+const UserStatus = require("../models/UserStatus");
+const {
+  getLeaseExpiry,
+  leaseNextNumber,
+  renewNumberLease,
+} = require("./dialListLease");
+const {
+  applyCarrierStatus,
+  isTerminalCarrierStatus,
+} = require("./callReconciliation");
+const { buildAmdCallOptions } = require("./answeringMachine");
+const {
+  buildRecordingCallOptions,
+  buildRecordingDialOptions,
+} = require("./callRecordings");
+const { resolveRecordingConsent } = require("./recordingConsent");
+const { selectCallerId, recordCallerIdStatus } = require("./callerIdPool");
+const { recordDialOutcome } = require("./retryScheduler");
+const { getTwilioAccount, getAccountClient } = require("./twilioAccounts");
+const { buildClientIdentity } = require("./twilioIdentity");
+
+// Agents the engine may dial for and bridge calls to
+const READY_AGENT_FILTER = {
+  isLoggedIn: true,
+  isOnCall: false,
+  deviceStatus: "ready",
+  autoDialerStatus: "running",
+  dialerMode: "server",
+};
+
+// Carrier outcome -> DialList.dialingStatus for calls never bridged to an agent
+const UNBRIDGED_OUTCOMES = {
+  busy: "busy",
+  "no-answer": "no_answer",
+  canceled: "no_answer",
+  failed: "failed",
+  completed: "failed",
+};
+
+// Forget calls whose final status webhook never arrived
+const STALE_CALL_MS = 10 * 60 * 1000;
+
+class DialerEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.client] - Twilio REST client, or a stub exposing calls.create()
+   * @param {string} options.baseUrl - Public URL Twilio calls back on
+   * @param {string} [options.callerId] - Caller ID when the pool has no number
+   * @param {Function} [options.resolveAccount] - async (organizationId) =>
+   *   { client, callerId } for organizations with their own Twilio account;
+   *   defaults to options.client and options.callerId
+   * @param {number} [options.tickIntervalMs] - How often pacing runs
+   */
+  constructor({
+    client,
+    baseUrl,
+    callerId,
+    resolveAccount,
+    tickIntervalMs = 2000,
+  } = {}) {
+    this.client = client;
+    this.baseUrl = baseUrl;
+    this.callerId = callerId;
+    this.resolveAccount =
+      resolveAccount || (async () => ({ client, callerId }));
+    this.tickIntervalMs = tickIntervalMs;
+    this.inFlight = new Map(); // CallSid -> call being paced
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    if (!this.baseUrl) {
+      console.warn("⚠️  Dialer engine not started: BASE_URL is not set");
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+    this.timer.unref();
+    console.log("✅ Dialer engine started");
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One pacing pass over every organization with ready server-mode agents
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      this.pruneInFlight();
+
+      const organizationIds = await UserStatus.distinct(
+        "organizationId",
+        READY_AGENT_FILTER
+      );
+
+      for (const organizationId of organizationIds) {
+        try {
+          await this.paceOrganization(organizationId);
+        } catch (error) {
+          console.error(
+            `Dialer pacing failed for organization ${organizationId}:`,
+            error
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Dialer tick error:", error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  pruneInFlight() {
+    const cutoff = Date.now() - STALE_CALL_MS;
+    for (const [callSid, call] of this.inFlight) {
+      if (!call.agentId && call.startedAt.getTime() < cutoff) {
+        this.inFlight.delete(callSid);
+      }
+    }
+  }
+
+  // Calls placed for an organization that have not been bridged yet
+  getPendingCalls(organizationId) {
+    return [...this.inFlight.values()].filter(
+      (call) =>
+        call.organizationId === organizationId.toString() && !call.agentId
+    );
+  }
+
+  async getReadyAgents(organizationId) {
+    return UserStatus.find({ organizationId, ...READY_AGENT_FILTER }).sort({
+      lastActivity: 1,
+    });
+  }
+
+  /**
+   * Abandoned calls as a fraction of answered engine calls in the window
+   */
+  async getAbandonRate(organizationId, dialerSettings) {
+    const windowHours = dialerSettings.abandonWindowHours || 24;
+    const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+    const baseQuery = {
+      organizationId,
+      type: "auto",
+      dialListId: { $ne: null },
+      startTime: { $gte: since },
+    };
+
+    const [answered, abandoned] = await Promise.all([
+      CallLog.countDocuments({ ...baseQuery, answerTime: { $ne: null } }),
+      CallLog.countDocuments({ ...baseQuery, abandoned: true }),
+    ]);
+
+    return answered > 0 ? abandoned / answered : 0;
+  }
+
+  getPacingRatio(dialerSettings, abandonRate) {
+    if (dialerSettings.mode !== "predictive") return 1;
+
+    // Over the ceiling: stop over-dialing until the rate recovers
+    if (abandonRate >= dialerSettings.maxAbandonRate) return 1;
+
+    return Math.max(1, dialerSettings.callsPerAgent || 1);
+  }
+
+  async paceOrganization(organizationId) {
+    const organization = await Organization.findById(organizationId).select(
+      "isActive settings"
+    );
+    if (!organization || !organization.isActive) return;
+
+    const dialerSettings = organization.settings.dialer;
+    const readyAgents = await this.getReadyAgents(organizationId);
+    if (readyAgents.length === 0) return;
+
+    const abandonRate = await this.getAbandonRate(
+      organizationId,
+      dialerSettings
+    );
+    const ratio = this.getPacingRatio(dialerSettings, abandonRate);
+    let slots =
+      Math.floor(readyAgents.length * ratio) -
+      this.getPendingCalls(organizationId).length;
+
+    // Round-robin across ready agents, each dialing from their own list
+    let agentIds = readyAgents.map((status) => status.userId);
+    while (slots > 0 && agentIds.length > 0) {
+      const agentsWithNumbers = [];
+
+      for (const agentId of agentIds) {
+        if (slots <= 0) break;
+
+        const entry = await this.leaseNumber(organizationId, agentId);
+        if (!entry) continue;
+
+        agentsWithNumbers.push(agentId);
+        slots--;
+        await this.originateCall(organizationId, entry, dialerSettings);
+      }
+
+      agentIds = agentsWithNumbers;
+    }
+  }
+
+  // Next number for an agent to dial, locked to them
+  leaseNumber(organizationId, agentId) {
+    return leaseNextNumber({ organizationId, userId: agentId });
+  }
+
+  /**
+   * Place a call for a leased DialList entry.
+   * Returns the Twilio CallSid, or null if the call could not be placed.
+   */
+  async originateCall(organizationId, entry, dialerSettings) {
+    try {
+      const campaign = entry.campaignId
+        ? await Campaign.findById(entry.campaignId).select(
+            "callerId answeringMachine"
+          )
+        : null;
+      const detection = campaign ? campaign.answeringMachine.detection : true;
+      const consent = await resolveRecordingConsent({
+        organizationId,
+        campaignId: entry.campaignId,
+        phoneNumber: entry.phoneNumber,
+      });
+
+      const account = await this.resolveAccount(organizationId);
+      const call = await account.client.calls.create({
+        to: entry.phoneNumber,
+        from: await selectCallerId({
+          organizationId,
+          phoneNumber: entry.phoneNumber,
+          campaignCallerId: campaign?.callerId,
+          fallback: account.callerId,
+        }),
+        url: `${this.baseUrl}/twilio/dialer/answer`,
+        method: "POST",
+        timeout: dialerSettings.ringTimeout || 25,
+        statusCallback: `${this.baseUrl}/twilio/dialer/status`,
+        statusCallbackEvent: ["initiated", "ringing", "answered", "completed"],
+        statusCallbackMethod: "POST",
+        ...(detection &&
+          buildAmdCallOptions(`${this.baseUrl}/twilio/amd-status`)),
+        // Recording after the announcement is started by handleAnswer()
+        ...(consent.record &&
+          !consent.recordAfterAnnouncement &&
+          buildRecordingCallOptions(this.recordingCallbackUrl(consent))),
+      });
+
+      this.inFlight.set(call.sid, {
+        organizationId: organizationId.toString(),
+        dialListId: entry._id,
+        phoneNumber: entry.phoneNumber,
+        agentId: null,
+        startedAt: new Date(),
+      });
+
+      await new CallLog({
+        userId: entry.assignedTo,
+        organizationId,
+        phoneNumber: entry.phoneNumber,
+        dialListId: entry._id,
+        campaignId: entry.campaignId,
+        type: "auto",
+        twilioCallSid: call.sid,
+        auditAction: "dialer_originate",
+        startTime: new Date(),
+        status: "connecting",
+      }).save();
+
+      console.log(`Dialer originated ${call.sid} to ${entry.phoneNumber}`);
+      return call.sid;
+    } catch (error) {
+      console.error(
+        `Dialer failed to call ${entry.phoneNumber}:`,
+        error.message
+      );
+      await recordDialOutcome({ entryId: entry._id, outcome: "failed" });
+      return null;
+    }
+  }
+
+  /**
+   * Atomically reserve a ready agent, preferring the number's assignee
+   */
+  async claimAgent(organizationId, preferredUserId, phoneNumber) {
+    const update = {
+      isOnCall: true,
+      callStatus: "connected",
+      currentCallNumber: phoneNumber,
+      currentCallStartTime: new Date(),
+      lastActivity: new Date(),
+    };
+
+    const preferred = await UserStatus.findOneAndUpdate(
+      { userId: preferredUserId, organizationId, ...READY_AGENT_FILTER },
+      update,
+      { new: true }
+    );
+    if (preferred) return preferred;
+
+    return UserStatus.findOneAndUpdate(
+      { organizationId, ...READY_AGENT_FILTER },
+      update,
+      { new: true, sort: { lastActivity: 1 } }
+    );
+  }
+
+  // Recording status callback, noting the consent mode applied
+  recordingCallbackUrl(consent) {
+    return `${this.baseUrl}/twilio/recording-status?consent=${consent.mode}`;
+  }
+
+  /**
+   * Callee answered: returns TwiML bridging to an agent, or an abandon
+   * message. Calls whose CallLog is gone are hung up.
+   */
+  async handleAnswer({ CallSid }) {
+    const vr = new VoiceResponse();
+    const callLog = await CallLog.findOne({ twilioCallSid: CallSid });
+
+    if (!callLog) {
+      console.error("Dialer answer for unknown call:", CallSid);
+      vr.hangup();
+      return vr.toString();
+    }
+
+    if (!callLog.answerTime) callLog.answerTime = new Date();
+
+    const agentStatus = await this.claimAgent(
+      callLog.organizationId,
+      callLog.userId,
+      callLog.phoneNumber
+    );
+
+    if (!agentStatus) {
+      const organization = await Organization.findById(
+        callLog.organizationId
+      ).select("settings");
+
+      callLog.abandoned = true;
+      callLog.endedBy = "abandoned";
+      await callLog.save();
+
+      console.warn(`Dialer abandoned ${CallSid}: no agent available`);
+      // The organization may have been removed while the call rang
+      const abandonMessage = organization?.settings?.dialer?.abandonMessage;
+      if (abandonMessage) vr.say(abandonMessage);
+      vr.hangup();
+      return vr.toString();
+    }
+
+    const agentId = agentStatus.userId;
+    callLog.userId = agentId;
+    callLog.status = "on_call";
+    callLog.auditAction = "dialer_bridge";
+    await callLog.save();
+
+    // Hand the number to the agent who took it so they can disposition it
+    if (callLog.dialListId) {
+      await DialList.updateOne(
+        { _id: callLog.dialListId },
+        {
+          assignedTo: agentId,
+          currentlyDialingBy: agentId,
+          leaseExpiresAt: getLeaseExpiry(),
+        }
+      );
+    }
+
+    const tracked = this.inFlight.get(CallSid);
+    if (tracked) tracked.agentId = agentId;
+
+    // Tell the callee about recording before connecting them
+    const consent = await resolveRecordingConsent({
+      organizationId: callLog.organizationId,
+      campaignId: callLog.campaignId,
+      phoneNumber: callLog.phoneNumber,
+    });
+    if (consent.announcement) vr.say(consent.announcement);
+
+    console.log(`Dialer bridging ${CallSid} to agent ${agentId}`);
+    const dial = vr.dial(
+      consent.record && consent.recordAfterAnnouncement
+        ? buildRecordingDialOptions(this.recordingCallbackUrl(consent))
+        : {}
+    );
+    dial.client(buildClientIdentity(callLog.organizationId, agentId));
+    return vr.toString();
+  }
+
+  /**
+   * Status callback for engine calls: syncs CallLog, frees agent and number
+   */
+  async handleStatus(params) {
+    const { CallSid, CallStatus } = params;
+    const callLog = await CallLog.findOne({ twilioCallSid: CallSid });
+
+    if (callLog) {
+      applyCarrierStatus(callLog, params);
+      await callLog.save();
+      await recordCallerIdStatus(
+        callLog.organizationId,
+        params.From,
+        CallStatus
+      );
+    }
+
+    if (!isTerminalCarrierStatus(CallStatus)) {
+      if (callLog) await renewNumberLease(callLog.dialListId);
+      return;
+    }
+
+    this.inFlight.delete(CallSid);
+    if (!callLog) return;
+
+    const bridged = !!callLog.answerTime && !callLog.abandoned;
+
+    if (bridged) {
+      // The agent is free again; the number stays locked until dispositioned,
+      // with a fresh lease for wrap-up that their client keeps renewing
+      await renewNumberLease(callLog.dialListId);
+      await UserStatus.updateOne(
+        {
+          userId: callLog.userId,
+          organizationId: callLog.organizationId,
+          currentCallNumber: callLog.phoneNumber,
+        },
+        {
+          isOnCall: false,
+          callStatus: "idle",
+          currentCallNumber: null,
+          currentCallStartTime: null,
+        }
+      );
+      return;
+    }
+
+    if (callLog.dialListId) {
+      await recordDialOutcome({
+        entryId: callLog.dialListId,
+        outcome: callLog.abandoned
+          ? "failed"
+          : UNBRIDGED_OUTCOMES[CallStatus] || "failed",
+        filter: { dialingStatus: "dialing" },
+      });
+    }
+  }
+
+  /**
+   * Pacing snapshot for an organization's dashboard
+   */
+  async getOrganizationStatus(organizationId) {
+    const organization = await Organization.findById(organizationId).select(
+      "settings"
+    );
+    const dialerSettings = organization.settings.dialer;
+
+    const [readyAgents, abandonRate] = await Promise.all([
+      this.getReadyAgents(organizationId),
+      this.getAbandonRate(organizationId, dialerSettings),
+    ]);
+
+    const organizationCalls = [...this.inFlight.values()].filter(
+      (call) => call.organizationId === organizationId.toString()
+    );
+
+    return {
+      running: !!this.timer,
+      mode: dialerSettings.mode,
+      callsPerAgent: dialerSettings.callsPerAgent,
+      pacingRatio: this.getPacingRatio(dialerSettings, abandonRate),
+      abandonRate,
+      maxAbandonRate: dialerSettings.maxAbandonRate,
+      readyAgents: readyAgents.length,
+      callsRinging: organizationCalls.filter((call) => !call.agentId).length,
+      callsBridged: organizationCalls.filter((call) => call.agentId).length,
+    };
+  }
+}
+
+// Shared engine used by the server and the Twilio webhooks
+let dialerEngine = null;
+
+const getDialerEngine = () => {
+  if (!dialerEngine) {
+    dialerEngine = new DialerEngine({
+      baseUrl: process.env.BASE_URL,
+      // Each organization dials through its own Twilio account if it has one
+      resolveAccount: async (organizationId) => {
+        const account = await getTwilioAccount(organizationId);
+        return {
+          client: getAccountClient(account),
+          callerId: account.phoneNumber,
+        };
+      },
+      tickIntervalMs: parseInt(process.env.DIALER_TICK_MS || "2000", 10),
+    });
+  }
+  return dialerEngine;
+};
+
+module.exports = { DialerEngine, getDialerEngine, READY_AGENT_FILTER };
@@ -0,0 +1,244 @@
+// Per-organization disposition catalog. Organizations start with the
+// built-in dispositions below and may edit, add or retire codes; the catalog
+// decides which codes agents may pick and what each does to the number.
+const Campaign = require("../models/Campaign");
+const DialList = require("../models/DialList");
+const Disposition = require("../models/Disposition");
+const {
+  getEntryRetryRules,
+  buildCallbackUpdate,
+  parseCallbackAt,
+} = require("./retryScheduler");
+
+const DISPOSITION_CATEGORIES = ["success", "contact", "no_contact"];
+
+// Seeded for organizations without a catalog; behave as before catalogs
+const DEFAULT_DISPOSITIONS = [
+  { code: "Interested", category: "success", color: "#16a34a" },
+  { code: "Not Interested", category: "contact", color: "#dc2626" },
+  { code: "Answering Machine", category: "no_contact", color: "#9333ea" },
+  { code: "Dead Air", category: "no_contact", color: "#6b7280" },
+  { code: "No Answer", category: "no_contact", color: "#f59e0b" },
+  {
+    code: "Call Back",
+    category: "contact",
+    color: "#2563eb",
+    requiresCallbackDate: true,
+  },
+  { code: "DNC", category: "contact", color: "#111827", addsToDnc: true },
+];
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * An organization's catalog in display order, inactive codes included.
+ * The defaults are seeded the first time it is read.
+ */
+const getDispositionCatalog = async (organizationId) => {
+  const catalog = await Disposition.find({ organizationId })
+    .sort({ sortOrder: 1, code: 1 })
+    .lean();
+  if (catalog.length > 0) return catalog;
+
+  try {
+    await Disposition.insertMany(
+      DEFAULT_DISPOSITIONS.map((disposition, index) => ({
+        ...disposition,
+        organizationId,
+        sortOrder: index,
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error; // Seeded by a concurrent request
+  }
+  return Disposition.find({ organizationId })
+    .sort({ sortOrder: 1, code: 1 })
+    .lean();
+};
+
+// Catalog entry for a code, active or not; null when unknown
+const findDisposition = async (organizationId, code) => {
+  if (!code) return null;
+  const catalog = await getDispositionCatalog(organizationId);
+  return catalog.find((disposition) => disposition.code === code) || null;
+};
+
+/**
+ * Check a disposition an agent picked: it must be an active catalog code,
+ * allowed by the campaign (if the campaign limits them), and come with
+ * callbackAt when the code requires one.
+ * Returns { disposition, callbackDate } or { error }; disposition is null
+ * when no code was given.
+ */
+const resolveDisposition = async ({
+  organizationId,
+  campaignId = null,
+  code,
+  callbackAt,
+}) => {
+  if (!code) return { disposition: null, callbackDate: null };
+
+  const disposition = await findDisposition(organizationId, code);
+  if (!disposition || !disposition.isActive) {
+    return { error: `Unknown disposition: ${code}` };
+  }
+
+  if (campaignId) {
+    const campaign = await Campaign.findById(campaignId).select("dispositions");
+    if (
+      campaign &&
+      campaign.dispositions.length > 0 &&
+      !campaign.dispositions.includes(code)
+    ) {
+      return {
+        error: `Disposition "${code}" is not allowed for this campaign`,
+      };
+    }
+  }
+
+  if (!disposition.requiresCallbackDate) {
+    return { disposition, callbackDate: null };
+  }
+  if (!callbackAt) {
+    return { error: `A callback time (callbackAt) is required for ${code}` };
+  }
+  const callback = parseCallbackAt(callbackAt);
+  return callback.error
+    ? { error: callback.error }
+    : { disposition, callbackDate: callback.date };
+};
+
+/**
+ * Close out or re-queue a dial-list entry for a disposition: callbacks are
+ * queued for their time, retryable codes after their delay (closed once the
+ * attempt limit is reached), final codes complete the number. Pass null to
+ * just complete it. callbackOwner keeps a callback with that agent. Extra
+ * fields (notes, comments) are set alongside.
+ * Returns the updated entry, or null if nothing matched the filter.
+ */
+const applyDisposition = async ({
+  filter,
+  disposition,
+  callbackDate = null,
+  callbackOwner = null,
+  fields = {},
+  now = new Date(),
+}) => {
+  const entry = await DialList.findOne(filter);
+  if (!entry) return null;
+
+  const completed = {
+    dialingStatus: "completed",
+    currentlyDialingBy: null,
+    completedAt: now,
+    callbackAt: null,
+    callbackOwner: null,
+  };
+
+  let update = completed;
+  if (callbackDate) {
+    update = buildCallbackUpdate(callbackDate, callbackOwner);
+  } else if (disposition && !disposition.final) {
+    const rules = await getEntryRetryRules(entry);
+    if ((entry.attempts || 0) < rules.maxAttempts) {
+      update = {
+        dialingStatus: "pending",
+        currentlyDialingBy: null,
+        leaseExpiresAt: null,
+        completedAt: null,
+        callbackAt: null,
+        callbackOwner: null,
+        nextEligibleAt: new Date(
+          now.getTime() + disposition.retryDelayMinutes * 60 * 1000
+        ),
+      };
+    }
+  }
+
+  return DialList.findOneAndUpdate(
+    { ...filter, _id: entry._id },
+    {
+      ...update,
+      ...fields,
+      ...(disposition && { disposition: disposition.code }),
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Codes in a list that are not in the organization's catalog (for campaign
+ * disposition lists).
+ */
+const findUnknownDispositions = async (organizationId, codes) => {
+  const catalog = await getDispositionCatalog(organizationId);
+  const known = new Set(catalog.map((disposition) => disposition.code));
+  return codes.filter((code) => !known.has(code));
+};
+
+/**
+ * Validate catalog fields before saving.
+ * Returns an error message or null.
+ */
+const validateDispositionInput = ({
+  code,
+  label,
+  category,
+  color,
+  requiresCallbackDate,
+  addsToDnc,
+  final,
+  retryDelayMinutes,
+  sortOrder,
+  isActive,
+}) => {
+  if (
+    code !== undefined &&
+    (typeof code !== "string" || !code.trim() || code.trim().length > 50)
+  ) {
+    return "Disposition code must be 1-50 characters";
+  }
+  if (label !== undefined && label !== null && typeof label !== "string") {
+    return "label must be a string";
+  }
+  if (category !== undefined && !DISPOSITION_CATEGORIES.includes(category)) {
+    return `Invalid category: ${category}. Use one of ${DISPOSITION_CATEGORIES.join(
+      ", "
+    )}`;
+  }
+  if (color !== undefined && !COLOR_PATTERN.test(color)) {
+    return "color must be a hex color like #16a34a";
+  }
+
+  const flags = { requiresCallbackDate, addsToDnc, final, isActive };
+  const badFlag = Object.keys(flags).find(
+    (key) => flags[key] !== undefined && typeof flags[key] !== "boolean"
+  );
+  if (badFlag) return `${badFlag} must be true or false`;
+
+  if (addsToDnc && final === false) {
+    return "A disposition that adds to DNC must be final";
+  }
+  if (
+    retryDelayMinutes !== undefined &&
+    !(Number.isFinite(retryDelayMinutes) && retryDelayMinutes >= 0)
+  ) {
+    return "retryDelayMinutes must be zero or more";
+  }
+  if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+    return "sortOrder must be a whole number";
+  }
+  return null;
+};
+
+module.exports = {
+  DISPOSITION_CATEGORIES,
+  DEFAULT_DISPOSITIONS,
+  getDispositionCatalog,
+  findDisposition,
+  resolveDisposition,
+  applyDisposition,
+  findUnknownDispositions,
+  validateDispositionInput,
+};
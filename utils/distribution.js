@@ -0,0 +1,153 @@
+// Spreading numbers across agents at upload time and when re-balancing.
+// A distribution is { strategy, agents, skill, weights, poolType, teamId }:
+//   single      - every number to one agent
+//   round_robin - agents in turn
+//   weighted    - in proportion to each agent's capacity (or given weights)
+//   skill       - weighted among the agents holding the number's skill tag
+//   pool        - left unassigned in a shared pool. poolType "agents" (the
+//                 default) lets the listed agents with the skill lease it,
+//                 "campaign" any agent of the number's campaign and "team"
+//                 any member of teamId.
+const STRATEGIES = ["single", "round_robin", "weighted", "skill", "pool"];
+const POOL_TYPES = ["agents", "campaign", "team"];
+
+const normalizeSkill = (skill) => {
+  const value = skill === null || skill === undefined ? "" : String(skill);
+  return value.trim().toLowerCase() || null;
+};
+
+/**
+ * Smooth weighted round-robin: spreads picks evenly instead of in runs, and
+ * equal weights give plain round-robin. Agents with no weight are skipped.
+ * Returns a picker () => agent, or null when nobody can take numbers.
+ */
+const createPicker = (agents, getWeight) => {
+  const state = agents
+    .map((agent) => ({ agent, weight: getWeight(agent), current: 0 }))
+    .filter((item) => item.weight > 0);
+  const totalWeight = state.reduce((sum, item) => sum + item.weight, 0);
+
+  return () => {
+    if (state.length === 0) return null;
+
+    let best = null;
+    state.forEach((item) => {
+      item.current += item.weight;
+      if (!best || item.current > best.current) best = item;
+    });
+    best.current -= totalWeight;
+    return best.agent;
+  };
+};
+
+/**
+ * Assignment function for a distribution. Call it once per number with the
+ * number's skill tag (if any); it returns the DialList fields
+ * { assignedTo, pool, poolAgents, teamId }, or null when no agent can take
+ * the number.
+ */
+const createAssigner = ({
+  strategy,
+  agents = [],
+  skill = null,
+  weights = {},
+  poolType = "agents",
+  teamId = null,
+}) => {
+  const getWeight = ["weighted", "skill"].includes(strategy)
+    ? (agent) => weights[agent._id.toString()] ?? agent.capacity ?? 1
+    : () => 1;
+  const pickers = new Map(); // One rotation per skill tag
+
+  // Agents at zero capacity take no new numbers unless picked explicitly
+  const available =
+    strategy === "single"
+      ? agents
+      : agents.filter((agent) => (agent.capacity ?? 1) > 0);
+
+  // Campaign and team pools are open to every member, whatever the skill
+  if (strategy === "pool" && poolType !== "agents") {
+    return () => ({
+      assignedTo: null,
+      pool: poolType,
+      poolAgents: [],
+      teamId: poolType === "team" ? teamId : null,
+    });
+  }
+
+  return (rowSkill = null) => {
+    const tag = ["skill", "pool"].includes(strategy)
+      ? normalizeSkill(rowSkill) || skill
+      : null;
+    const eligible = tag
+      ? available.filter((agent) => (agent.skills || []).includes(tag))
+      : available;
+    if (eligible.length === 0) return null;
+
+    if (strategy === "pool") {
+      return {
+        assignedTo: null,
+        pool: "agents",
+        poolAgents: eligible.map((agent) => agent._id),
+        teamId: null,
+      };
+    }
+
+    const key = tag || "";
+    if (!pickers.has(key)) pickers.set(key, createPicker(eligible, getWeight));
+    const agent = pickers.get(key)();
+    return agent
+      ? { assignedTo: agent._id, pool: null, poolAgents: [], teamId: null }
+      : null;
+  };
+};
+
+/**
+ * Validate distribution options before resolving agents.
+ * Returns an error message or null.
+ */
+const validateDistribution = ({
+  strategy,
+  agentIds,
+  weights,
+  poolType = "agents",
+  teamId,
+}) => {
+  if (!STRATEGIES.includes(strategy)) {
+    return `Invalid strategy: ${strategy}. Use one of ${STRATEGIES.join(", ")}`;
+  }
+  if (strategy === "pool" && !POOL_TYPES.includes(poolType)) {
+    return `Invalid poolType: ${poolType}. Use one of ${POOL_TYPES.join(", ")}`;
+  }
+  if (strategy === "pool" && poolType === "team") {
+    return teamId ? null : "Please specify the team whose pool to use";
+  }
+  if (strategy === "pool" && poolType === "campaign") return null;
+  if (!Array.isArray(agentIds) || agentIds.length === 0) {
+    return strategy === "single"
+      ? "Please specify which user to assign numbers to"
+      : "Please specify the agents to distribute numbers to";
+  }
+  if (strategy === "single" && agentIds.length > 1) {
+    return "The single strategy takes exactly one user";
+  }
+  if (
+    weights &&
+    (typeof weights !== "object" ||
+      Object.values(weights).some(
+        (weight) => !(Number.isFinite(weight) && weight >= 0)
+      ))
+  ) {
+    return "Weights must be zero or more";
+  }
+  return null;
+};
+
+module.exports = {
+  STRATEGIES,
+  POOL_TYPES,
+  normalizeSkill,
+  createPicker,
+  createAssigner,
+  validateDistribution,
+};
@@ -0,0 +1,253 @@
+// Do-Not-Call registry: organization lists plus an optional platform-wide
+// list (organizationId: null). Every change and every suppressed upload or
+// lease is written to DncAuditLog.
+const { parse } = require("csv-parse/sync");
+const DncEntry = require("../models/DncEntry");
+const DncAuditLog = require("../models/DncAuditLog");
+const {
+  getPhoneNumberVariants,
+  toStoredPhoneNumber,
+} = require("./phoneNumber");
+
+// Organization entries and platform-wide entries both apply
+const scopeFilter = (organizationId) => ({
+  organizationId: { $in: [organizationId, null] },
+});
+
+/**
+ * DNC entry covering a number for an organization, or null
+ */
+const findDncEntry = async (organizationId, phoneNumber) => {
+  const variants = getPhoneNumberVariants(phoneNumber);
+  if (variants.length === 0) return null;
+
+  return DncEntry.findOne({
+    ...scopeFilter(organizationId),
+    phoneNumber: { $in: variants },
+  });
+};
+
+/**
+ * Bulk lookup for uploads: Map of every stored form of a listed number
+ * (see getPhoneNumberVariants) -> DNC entry
+ */
+const findDncEntries = async (
+  organizationId,
+  phoneNumbers,
+  defaultCountry = "US"
+) => {
+  const variants = phoneNumbers.flatMap((number) =>
+    getPhoneNumberVariants(number, defaultCountry)
+  );
+  const matches = new Map();
+  if (variants.length === 0) return matches;
+
+  const entries = await DncEntry.find({
+    ...scopeFilter(organizationId),
+    phoneNumber: { $in: variants },
+  });
+
+  entries.forEach((entry) => {
+    getPhoneNumberVariants(entry.phoneNumber, defaultCountry).forEach(
+      (variant) => matches.set(variant, entry)
+    );
+  });
+
+  return matches;
+};
+
+/**
+ * Add a number to an organization's (or the platform) DNC list.
+ * Returns { entry, created } - existing entries are left untouched.
+ */
+const addToDnc = async ({
+  organizationId = null,
+  phoneNumber,
+  source,
+  reason = null,
+  userId = null,
+  callLogId = null,
+}) => {
+  const normalized = toStoredPhoneNumber(phoneNumber);
+  if (!normalized) {
+    throw new Error(`Invalid phone number: ${phoneNumber}`);
+  }
+
+  const existing = await DncEntry.findOne({
+    organizationId,
+    phoneNumber: { $in: getPhoneNumberVariants(normalized) },
+  });
+  if (existing) return { entry: existing, created: false };
+
+  const entry = await new DncEntry({
+    organizationId,
+    phoneNumber: normalized,
+    source,
+    reason,
+    addedBy: userId,
+    callLogId,
+  }).save();
+
+  await DncAuditLog.create({
+    organizationId,
+    phoneNumber: normalized,
+    action: "added",
+    dncEntryId: entry._id,
+    userId,
+    details: reason ? `${source}: ${reason}` : source,
+  });
+
+  return { entry, created: true };
+};
+
+/**
+ * Remove an entry by id within a scope (organization or platform)
+ */
+const removeFromDnc = async ({ organizationId = null, entryId, userId }) => {
+  const entry = await DncEntry.findOneAndDelete({
+    _id: entryId,
+    organizationId,
+  });
+  if (!entry) return null;
+
+  await DncAuditLog.create({
+    organizationId,
+    phoneNumber: entry.phoneNumber,
+    action: "removed",
+    dncEntryId: entry._id,
+    userId,
+  });
+
+  return entry;
+};
+
+/**
+ * Record that an upload or lease skipped a number because of the DNC list
+ */
+const recordSuppression = ({
+  organizationId,
+  phoneNumber,
+  action,
+  dncEntryId = null,
+  dialListId = null,
+  userId = null,
+  details = null,
+}) =>
+  DncAuditLog.create({
+    organizationId,
+    phoneNumber,
+    action,
+    dncEntryId,
+    dialListId,
+    userId,
+    details,
+  });
+
+/**
+ * Bulk form of recordSuppression for large imports
+ */
+const recordSuppressions = (suppressions) =>
+  suppressions.length > 0
+    ? DncAuditLog.insertMany(suppressions, { ordered: false })
+    : Promise.resolve([]);
+
+/**
+ * Rows of { phoneNumber, reason } from a DNC CSV. Uses a "phone"/"number"
+ * column and optional "reason" column when there is a header row,
+ * otherwise the first column.
+ */
+const parseDncCsv = (buffer) => {
+  const records = parse(buffer, {
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+    bom: true,
+  });
+  if (records.length === 0) return [];
+
+  const header = records[0].map((cell) => cell.toLowerCase());
+  const phoneIndex = header.findIndex((cell) => /phone|number/.test(cell));
+  const hasHeader = phoneIndex !== -1 || !/\d/.test(records[0][0] || "");
+  const reasonIndex = hasHeader ? header.indexOf("reason") : -1;
+  const column = phoneIndex === -1 ? 0 : phoneIndex;
+
+  return records.slice(hasHeader ? 1 : 0).map((record) => ({
+    phoneNumber: record[column],
+    reason: reasonIndex === -1 ? null : record[reasonIndex] || null,
+  }));
+};
+
+/**
+ * Bulk add rows of { phoneNumber, reason } to a DNC list.
+ * Returns counts of added, existing and invalid rows.
+ */
+const importDncNumbers = async ({
+  organizationId = null,
+  rows,
+  source = "import",
+  userId = null,
+}) => {
+  const results = { added: 0, existing: 0, invalid: [] };
+  const byNumber = new Map();
+
+  rows.forEach((row) => {
+    const normalized = toStoredPhoneNumber(row.phoneNumber);
+    if (normalized.replace("+", "").length < 7) {
+      results.invalid.push(row.phoneNumber);
+    } else if (!byNumber.has(normalized)) {
+      byNumber.set(normalized, row.reason || null);
+    }
+  });
+
+  const existing = await DncEntry.find({
+    organizationId,
+    phoneNumber: {
+      $in: [...byNumber.keys()].flatMap((number) =>
+        getPhoneNumberVariants(number)
+      ),
+    },
+  }).select("phoneNumber");
+  const existingVariants = new Set(
+    existing.flatMap((entry) => getPhoneNumberVariants(entry.phoneNumber))
+  );
+
+  const newEntries = [...byNumber.entries()]
+    .filter(([number]) => !existingVariants.has(number))
+    .map(([phoneNumber, reason]) => ({
+      organizationId,
+      phoneNumber,
+      source,
+      reason,
+      addedBy: userId,
+    }));
+  results.existing = byNumber.size - newEntries.length;
+
+  if (newEntries.length > 0) {
+    const inserted = await DncEntry.insertMany(newEntries, { ordered: false });
+    results.added = inserted.length;
+
+    await DncAuditLog.insertMany(
+      inserted.map((entry) => ({
+        organizationId,
+        phoneNumber: entry.phoneNumber,
+        action: "added",
+        dncEntryId: entry._id,
+        userId,
+        details: source,
+      }))
+    );
+  }
+
+  return results;
+};
+
+module.exports = {
+  findDncEntry,
+  findDncEntries,
+  addToDnc,
+  removeFromDnc,
+  recordSuppression,
+  recordSuppressions,
+  parseDncCsv,
+  importDncNumbers,
+};
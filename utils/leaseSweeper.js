@@ -0,0 +1,39 @@
+// Background sweeper that returns expired DialList locks to the queue,
+// e.g. when a browser died mid-call and never released its number.
+const { releaseExpiredLeases } = require("./dialListLease");
+
+const SWEEP_INTERVAL_MS = parseInt(
+  process.env.LEASE_SWEEP_INTERVAL_MS || "30000",
+  10
+);
+
+let timer = null;
+let sweeping = false;
+
+const sweep = async () => {
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    const released = await releaseExpiredLeases();
+    if (released > 0) {
+      console.log(`Lease sweeper released ${released} expired number lock(s)`);
+    }
+  } catch (error) {
+    console.error("Lease sweeper error:", error);
+  } finally {
+    sweeping = false;
+  }
+};
+
+const startLeaseSweeper = () => {
+  if (timer) return;
+  timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  console.log("✅ Lease sweeper started");
+};
+
+const stopLeaseSweeper = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { startLeaseSweeper, stopLeaseSweeper, sweep };
@@ -0,0 +1,115 @@
+// Phone number helpers shared by uploads, DNC checks and dialing
+
+/**
+ * Strip formatting characters, keeping a leading "+" if present
+ */
+const normalizePhoneNumber = (value) => {
+  if (value === null || value === undefined) return "";
+
+  const trimmed = String(value).trim();
+  const digits = trimmed.replace(/\D/g, "");
+  if (!digits) return "";
+
+  return trimmed.startsWith("+") ? `+${digits}` : digits;
+};
+
+/**
+ * Stored forms a number may have been saved under: as given, with and
+ * without "+", and its E.164 and national forms for defaultCountry. Lets a
+ * national 5551234567 and +15551234567 match whichever way either was saved.
+ */
+const getPhoneNumberVariants = (value, defaultCountry = "US") => {
+  const normalized = normalizePhoneNumber(value);
+  if (!normalized) return [];
+
+  const variants = new Set([
+    normalized,
+    normalized.startsWith("+") ? normalized.slice(1) : `+${normalized}`,
+  ]);
+
+  const e164 = toE164(normalized, defaultCountry);
+  if (e164) {
+    variants.add(e164);
+    variants.add(e164.slice(1));
+
+    const country = COUNTRY_CALLING_CODES[String(defaultCountry).toUpperCase()];
+    if (country && e164.startsWith(`+${country.code}`)) {
+      variants.add(e164.slice(country.code.length + 1));
+    }
+  }
+  return [...variants];
+};
+
+// Calling codes and national number lengths for default-country imports
+const COUNTRY_CALLING_CODES = {
+  US: { code: "1", lengths: [10] },
+  CA: { code: "1", lengths: [10] },
+  GB: { code: "44", lengths: [10] },
+  IE: { code: "353", lengths: [7, 8, 9] },
+  AU: { code: "61", lengths: [9] },
+  NZ: { code: "64", lengths: [8, 9, 10] },
+  PK: { code: "92", lengths: [9, 10] },
+  IN: { code: "91", lengths: [10] },
+  AE: { code: "971", lengths: [8, 9] },
+  SA: { code: "966", lengths: [8, 9] },
+  DE: { code: "49", lengths: [6, 7, 8, 9, 10, 11] },
+  FR: { code: "33", lengths: [9] },
+  ES: { code: "34", lengths: [9] },
+  IT: { code: "39", lengths: [6, 7, 8, 9, 10, 11] },
+  NL: { code: "31", lengths: [9] },
+  MX: { code: "52", lengths: [10] },
+  BR: { code: "55", lengths: [10, 11] },
+  PH: { code: "63", lengths: [10] },
+  ZA: { code: "27", lengths: [9] },
+};
+
+/**
+ * E.164 form of a number, or null if it cannot be made valid.
+ * Numbers without "+" or "00" are read as national numbers of defaultCountry
+ * (a leading trunk "0" is dropped); numbers that already start with the
+ * country code are accepted as-is.
+ */
+const toE164 = (value, defaultCountry = "US") => {
+  const normalized = normalizePhoneNumber(value);
+  if (!normalized) return null;
+
+  let international = null;
+  if (normalized.startsWith("+")) {
+    international = normalized.slice(1);
+  } else if (normalized.startsWith("00")) {
+    international = normalized.slice(2);
+  } else {
+    const country = COUNTRY_CALLING_CODES[String(defaultCountry).toUpperCase()];
+    if (!country) return null;
+
+    const national = normalized.replace(/^0+/, "");
+    if (country.lengths.includes(national.length)) {
+      international = country.code + national;
+    } else if (
+      national.startsWith(country.code) &&
+      country.lengths.includes(national.length - country.code.length)
+    ) {
+      international = national;
+    } else {
+      return null;
+    }
+  }
+
+  // E.164: up to 15 digits, no leading zero
+  return /^[1-9]\d{7,14}$/.test(international) ? `+${international}` : null;
+};
+
+/**
+ * Form numbers are stored and compared in: E.164 when the number can be
+ * read as one, otherwise stripped of formatting
+ */
+const toStoredPhoneNumber = (value, defaultCountry = "US") =>
+  toE164(value, defaultCountry) || normalizePhoneNumber(value);
+
+module.exports = {
+  COUNTRY_CALLING_CODES,
+  normalizePhoneNumber,
+  getPhoneNumberVariants,
+  toE164,
+  toStoredPhoneNumber,
+};
@@ -0,0 +1,308 @@
+// Keyword spotting and QA scoring of call transcripts against the
+// organization's scorecards (models/QaScorecard). Calls are scored when their
+// transcript is saved; supervisors can then adjust any criterion or the score
+// itself, and rescoring with the same scorecard keeps those adjustments.
+//
+// Phrases are matched as word sequences on either channel, ignoring case and
+// punctuation, using word timestamps when the engine produced them and
+// segment start times otherwise.
+const CallLog = require("../models/CallLog");
+const QaScorecard = require("../models/QaScorecard");
+const { publish } = require("./realtimeEvents");
+
+const CRITERION_TYPES = ["required", "forbidden", "manual"];
+const CRITERION_KEY_PATTERN = /^[a-z0-9_-]{1,50}$/i;
+const MAX_CRITERIA = 50;
+
+// Matches kept per criterion; enough to show where a phrase was said
+const MAX_MATCHES = 5;
+
+// Lowercase words without punctuation, so "Don't" matches "dont"
+const tokenize = (text) =>
+  (text || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+// Transcript words per channel as [{ token, start }], in time order
+const buildChannelTokens = (transcript) => {
+  const channels = new Map();
+  const add = (channel, token, start) => {
+    if (!channels.has(channel)) channels.set(channel, []);
+    channels.get(channel).push({ token, start });
+  };
+
+  const words = transcript.words || [];
+  if (words.length > 0) {
+    words.forEach((word) =>
+      tokenize(word.word).forEach((token) =>
+        add(word.channel || 1, token, word.start)
+      )
+    );
+  } else {
+    (transcript.segments || []).forEach((segment) =>
+      tokenize(segment.text).forEach((token) =>
+        add(segment.channel || 1, token, segment.start)
+      )
+    );
+  }
+  return channels;
+};
+
+/**
+ * Where any of the phrases was said, as [{ phrase, start, channel }] in time
+ * order
+ */
+const findPhrases = (channelTokens, phrases) => {
+  const matches = [];
+  phrases.forEach((phrase) => {
+    const needle = tokenize(phrase);
+    if (needle.length === 0) return;
+
+    channelTokens.forEach((tokens, channel) => {
+      for (let i = 0; i + needle.length <= tokens.length; i++) {
+        if (needle.every((token, j) => tokens[i + j].token === token)) {
+          matches.push({ phrase, start: tokens[i].start, channel });
+        }
+      }
+    });
+  });
+  return matches.sort((a, b) => a.start - b.start);
+};
+
+// Transcript result for one criterion; manual checks are left undecided
+const scoreCriterion = (criterion, channelTokens) => {
+  if (criterion.type === "manual") {
+    return { autoPassed: null, matches: [] };
+  }
+
+  let matches = findPhrases(channelTokens, criterion.phrases || []);
+  if (criterion.type === "required" && criterion.withinSeconds) {
+    matches = matches.filter((match) => match.start <= criterion.withinSeconds);
+  }
+
+  return {
+    autoPassed:
+      criterion.type === "required" ? matches.length > 0 : matches.length === 0,
+    matches: matches.slice(0, MAX_MATCHES),
+  };
+};
+
+/**
+ * Weighted 0-100 score over the decided criteria, or null when none are
+ */
+const calculateScore = (results, field = "passed") => {
+  const decided = results.filter(
+    (result) => result[field] !== null && result[field] !== undefined
+  );
+  const total = decided.reduce((sum, result) => sum + result.weight, 0);
+  if (total === 0) return null;
+
+  const earned = decided
+    .filter((result) => result[field])
+    .reduce((sum, result) => sum + result.weight, 0);
+  return Math.round((earned / total) * 100);
+};
+
+// Failed required and forbidden criteria; one entry per forbidden phrase said
+const findViolations = (results) =>
+  results
+    .filter((result) => result.passed === false && result.type !== "manual")
+    .flatMap((result) => {
+      const base = { key: result.key, label: result.label };
+      if (result.type === "required") {
+        return [{ ...base, type: "missing_required" }];
+      }
+      if (result.matches.length === 0) return [{ ...base, type: "forbidden" }];
+      return result.matches.map((match) => ({
+        ...base,
+        type: "forbidden",
+        ...match,
+      }));
+    });
+
+/**
+ * Recalculate a QA review's score, pass mark and violations from its results
+ */
+const summarizeQa = (qa) => {
+  qa.autoScore = calculateScore(qa.results, "autoPassed");
+  qa.score =
+    qa.scoreOverride !== null && qa.scoreOverride !== undefined
+      ? qa.scoreOverride
+      : calculateScore(qa.results);
+  qa.passed = qa.score === null ? null : qa.score >= qa.passingScore;
+  qa.violations = findViolations(qa.results);
+  qa.flagged = qa.violations.length > 0;
+  return qa;
+};
+
+/**
+ * Active scorecard for a call: one listing the call's campaign, otherwise the
+ * organization's default (no campaigns). The most recently updated wins.
+ */
+const findScorecardForCall = async (callLog) => {
+  const candidates = [{ campaignIds: { $size: 0 } }];
+  if (callLog.campaignId) candidates.push({ campaignIds: callLog.campaignId });
+
+  const scorecards = await QaScorecard.find({
+    organizationId: callLog.organizationId,
+    isActive: true,
+    $or: candidates,
+  }).sort({ updatedAt: -1 });
+
+  return (
+    scorecards.find((scorecard) =>
+      scorecard.campaignIds.some(
+        (campaignId) =>
+          callLog.campaignId && campaignId.equals(callLog.campaignId)
+      )
+    ) ||
+    scorecards[0] ||
+    null
+  );
+};
+
+/**
+ * Score a call's transcript and save the review on the CallLog. Uses the
+ * call's scorecard unless one is given. Supervisor adjustments are kept when
+ * the call was already scored with the same scorecard. Returns the review, or
+ * null when no scorecard applies.
+ */
+const scoreCallTranscript = async (callLog, transcript, { scorecard } = {}) => {
+  scorecard = scorecard || (await findScorecardForCall(callLog));
+  if (!scorecard) return null;
+
+  const previous =
+    callLog.qa && callLog.qa.scorecardId?.equals(scorecard._id)
+      ? callLog.qa
+      : null;
+  const adjusted = new Map(
+    (previous?.results || [])
+      .filter((result) => result.adjusted)
+      .map((result) => [result.key, result])
+  );
+
+  const channelTokens = buildChannelTokens(transcript);
+  const results = scorecard.criteria.map((criterion) => {
+    const { autoPassed, matches } = scoreCriterion(criterion, channelTokens);
+    const adjustment = adjusted.get(criterion.key);
+    return {
+      key: criterion.key,
+      label: criterion.label,
+      type: criterion.type,
+      weight: criterion.weight,
+      autoPassed,
+      passed: adjustment ? adjustment.passed : autoPassed,
+      adjusted: Boolean(adjustment),
+      note: adjustment?.note || null,
+      matches,
+    };
+  });
+
+  const qa = summarizeQa({
+    scorecardId: scorecard._id,
+    passingScore: scorecard.passingScore,
+    results,
+    scoreOverride: previous?.scoreOverride ?? null,
+    notes: previous?.notes || null,
+    adjustedBy: previous?.adjustedBy || null,
+    adjustedAt: previous?.adjustedAt || null,
+    scoredAt: new Date(),
+  });
+
+  await CallLog.updateOne({ _id: callLog._id }, { qa });
+  callLog.qa = qa;
+
+  if (qa.flagged) {
+    publish(callLog.organizationId, "qaFlagged", {
+      callLogId: callLog._id,
+      userId: callLog.userId,
+      phoneNumber: callLog.phoneNumber,
+      score: qa.score,
+      violations: qa.violations,
+    });
+  }
+  return qa;
+};
+
+/**
+ * Validate scorecard fields before saving.
+ * Returns an error message or null.
+ */
+const validateScorecardInput = ({ criteria, passingScore, isActive }) => {
+  if (
+    passingScore !== undefined &&
+    (typeof passingScore !== "number" || passingScore < 0 || passingScore > 100)
+  ) {
+    return "passingScore must be a number from 0 to 100";
+  }
+  if (isActive !== undefined && typeof isActive !== "boolean") {
+    return "isActive must be true or false";
+  }
+  if (criteria === undefined) return null;
+
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return "criteria must be a non-empty array";
+  }
+  if (criteria.length > MAX_CRITERIA) {
+    return `A scorecard can have at most ${MAX_CRITERIA} criteria`;
+  }
+
+  const keys = new Set();
+  for (const criterion of criteria) {
+    if (!criterion || typeof criterion !== "object") {
+      return "Each criterion must be an object";
+    }
+    const { key, label, type, phrases, withinSeconds, weight } = criterion;
+
+    if (typeof key !== "string" || !CRITERION_KEY_PATTERN.test(key)) {
+      return "Criterion keys must be 1-50 letters, numbers, - or _";
+    }
+    if (keys.has(key)) return `Duplicate criterion key: ${key}`;
+    keys.add(key);
+
+    if (typeof label !== "string" || !label.trim()) {
+      return `Criterion ${key} needs a label`;
+    }
+    if (!CRITERION_TYPES.includes(type)) {
+      return `Criterion ${key} type must be one of: ${CRITERION_TYPES.join(
+        ", "
+      )}`;
+    }
+    if (type !== "manual") {
+      if (
+        !Array.isArray(phrases) ||
+        phrases.length === 0 ||
+        phrases.some(
+          (phrase) => typeof phrase !== "string" || !tokenize(phrase).length
+        )
+      ) {
+        return `Criterion ${key} needs at least one phrase`;
+      }
+    }
+    if (
+      withinSeconds !== undefined &&
+      withinSeconds !== null &&
+      (type !== "required" ||
+        typeof withinSeconds !== "number" ||
+        withinSeconds < 1)
+    ) {
+      return `Criterion ${key} withinSeconds must be at least 1, for required phrases only`;
+    }
+    if (
+      weight !== undefined &&
+      (typeof weight !== "number" || !(weight >= 0))
+    ) {
+      return `Criterion ${key} weight must be a number of 0 or more`;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  findScorecardForCall,
+  scoreCallTranscript,
+  summarizeQa,
+  validateScorecardInput,
+};
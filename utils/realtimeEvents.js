@@ -0,0 +1,105 @@
+// In-process event bus for the realtime supervisor feed (/realtime/events).
+// Models publish UserStatus, CallLog and DialList changes per organization;
+// the SSE route subscribes and filters by the viewer's visibility.
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open dashboard
+
+// Coalesce dial-list changes so bulk updates produce one progress event
+const DIAL_LIST_PROGRESS_DELAY_MS = 1000;
+const pendingProgress = new Map(); // organizationId -> timeout
+
+const channelFor = (organizationId) => `org:${organizationId}`;
+
+const hasSubscribers = (organizationId) =>
+  organizationId
+    ? emitter.listenerCount(channelFor(organizationId)) > 0
+    : emitter.eventNames().length > 0;
+
+const publish = (organizationId, type, payload) => {
+  if (!organizationId || !hasSubscribers(organizationId)) return;
+
+  emitter.emit(channelFor(organizationId), {
+    type,
+    payload,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Listen to an organization's events. Returns an unsubscribe function.
+ */
+const subscribe = (organizationId, listener) => {
+  const channel = channelFor(organizationId);
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+/**
+ * Per-agent DialList counts by dialing status for an organization
+ */
+const getDialListProgress = async (organizationId) => {
+  const DialList = mongoose.model("DialList");
+  const rows = await DialList.aggregate([
+    {
+      $match: {
+        organizationId: new mongoose.Types.ObjectId(organizationId.toString()),
+      },
+    },
+    {
+      $group: {
+        _id: { assignedTo: "$assignedTo", status: "$dialingStatus" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const agents = {};
+  rows.forEach(({ _id, count }) => {
+    const userId = _id.assignedTo ? _id.assignedTo.toString() : null;
+    if (!agents[userId]) {
+      agents[userId] = {
+        userId,
+        pending: 0,
+        dialing: 0,
+        completed: 0,
+        failed: 0,
+        busy: 0,
+        no_answer: 0,
+      };
+    }
+    agents[userId][_id.status] = count;
+  });
+
+  return Object.values(agents);
+};
+
+const scheduleDialListProgress = (organizationId) => {
+  if (!organizationId || !hasSubscribers(organizationId)) return;
+
+  const key = organizationId.toString();
+  if (pendingProgress.has(key)) return;
+
+  pendingProgress.set(
+    key,
+    setTimeout(async () => {
+      pendingProgress.delete(key);
+      try {
+        const agents = await getDialListProgress(key);
+        publish(key, "dialListProgress", { agents });
+      } catch (error) {
+        console.error("Dial list progress event error:", error);
+      }
+    }, DIAL_LIST_PROGRESS_DELAY_MS)
+  );
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  hasSubscribers,
+  getDialListProgress,
+  scheduleDialListProgress,
+};
@@ -0,0 +1,136 @@
+// Recording consent for outbound calls. Each organization (and optionally
+// each campaign) picks how callees are told about recording:
+//   none                       record without an announcement
+//   announce                   play the announcement; the whole call is recorded
+//   record_after_announcement  recording starts once the announcement has played
+//   skip                       do not record
+// The rule can be limited to jurisdictions resolved from the dialed number
+// ("US" or "US-CA" style codes); numbers elsewhere are recorded without an
+// announcement. Numbers whose jurisdiction cannot be resolved get the rule.
+const mongoose = require("mongoose");
+const Campaign = require("../models/Campaign");
+const Organization = require("../models/Organization");
+const { getNumberLocation } = require("./callerIdPool");
+
+const CONSENT_MODES = ["none", "announce", "record_after_announcement", "skip"];
+
+const DEFAULT_ANNOUNCEMENT =
+  "This call may be recorded for quality and training purposes.";
+
+const JURISDICTION_PATTERN = /^[A-Z]{2}(-[A-Z]{2})?$/;
+
+/**
+ * Jurisdiction codes a number falls in, country first (e.g. ["US", "US-CA"]).
+ * Empty when the number cannot be resolved.
+ */
+const getNumberJurisdictions = (phoneNumber) => {
+  const { country, region } = getNumberLocation(phoneNumber);
+  if (!country) return [];
+  return region ? [country, `${country}-${region}`] : [country];
+};
+
+const appliesToNumber = (jurisdictions, phoneNumber) => {
+  if (!jurisdictions || jurisdictions.length === 0) return true;
+
+  const numberJurisdictions = getNumberJurisdictions(phoneNumber);
+  if (numberJurisdictions.length === 0) return true;
+  return numberJurisdictions.some((code) => jurisdictions.includes(code));
+};
+
+/**
+ * How a call to phoneNumber is recorded: the campaign's consent rule when it
+ * sets one, otherwise the organization's.
+ * Returns { mode, record, announcement, recordAfterAnnouncement }.
+ */
+const resolveRecordingConsent = async ({
+  organizationId,
+  campaignId = null,
+  phoneNumber,
+}) => {
+  const [organization, campaign] = await Promise.all([
+    mongoose.isValidObjectId(organizationId)
+      ? Organization.findById(organizationId)
+          .select("settings.recording")
+          .lean()
+      : null,
+    mongoose.isValidObjectId(campaignId)
+      ? Campaign.findOne({ _id: campaignId, organizationId })
+          .select("recordingConsent")
+          .lean()
+      : null,
+  ]);
+
+  const recording = organization?.settings?.recording || {};
+  if (recording.enabled === false) {
+    return {
+      mode: "skip",
+      record: false,
+      announcement: null,
+      recordAfterAnnouncement: false,
+    };
+  }
+
+  const orgRule = recording.consent || {};
+  const rule = campaign?.recordingConsent?.mode
+    ? campaign.recordingConsent
+    : orgRule;
+  const mode = appliesToNumber(rule.jurisdictions, phoneNumber)
+    ? rule.mode || "none"
+    : "none";
+  const announces = ["announce", "record_after_announcement"].includes(mode);
+
+  return {
+    mode,
+    record: mode !== "skip",
+    announcement: announces
+      ? rule.announcement || orgRule.announcement || DEFAULT_ANNOUNCEMENT
+      : null,
+    recordAfterAnnouncement: mode === "record_after_announcement",
+  };
+};
+
+/**
+ * Validate a consent rule before saving; campaigns may leave mode null to
+ * use the organization's rule.
+ * Returns an error message or null.
+ */
+const validateRecordingConsent = (
+  consent,
+  { field = "consent", allowInherit = false } = {}
+) => {
+  if (consent === undefined || consent === null) return null;
+  if (typeof consent !== "object") return `${field} must be an object`;
+
+  const { mode, jurisdictions, announcement } = consent;
+  if (
+    mode !== undefined &&
+    !(mode === null && allowInherit) &&
+    !CONSENT_MODES.includes(mode)
+  ) {
+    return `${field}.mode must be one of: ${CONSENT_MODES.join(", ")}`;
+  }
+  if (
+    jurisdictions !== undefined &&
+    (!Array.isArray(jurisdictions) ||
+      jurisdictions.some(
+        (code) => typeof code !== "string" || !JURISDICTION_PATTERN.test(code)
+      ))
+  ) {
+    return `${field}.jurisdictions must be codes like "US" or "US-CA"`;
+  }
+  if (
+    announcement !== undefined &&
+    announcement !== null &&
+    (typeof announcement !== "string" || announcement.length > 500)
+  ) {
+    return `${field}.announcement must be text of up to 500 characters`;
+  }
+  return null;
+};
+
+module.exports = {
+  CONSENT_MODES,
+  getNumberJurisdictions,
+  resolveRecordingConsent,
+  validateRecordingConsent,
+};
@@ -0,0 +1,83 @@
+// Background job that deletes call recordings older than their
+// organization's retention period (settings.recording.retentionDays).
+// Organizations without a retention period keep recordings indefinitely.
+const CallLog = require("../models/CallLog");
+const Organization = require("../models/Organization");
+const { deleteCallRecording } = require("./callRecordings");
+
+const RETENTION_INTERVAL_MS = parseInt(
+  process.env.RECORDING_RETENTION_INTERVAL_MS || "3600000",
+  10
+);
+
+const RETENTION_BATCH_SIZE = 200;
+
+let timer = null;
+let purging = false;
+
+/**
+ * Delete recordings past each organization's retention period.
+ * Returns how many recordings were deleted.
+ */
+const purgeExpiredRecordings = async (now = new Date()) => {
+  const organizations = await Organization.find({
+    "settings.recording.retentionDays": { $gte: 1 },
+  })
+    .select("settings.recording.retentionDays")
+    .lean();
+
+  let deleted = 0;
+  for (const organization of organizations) {
+    const { retentionDays } = organization.settings.recording;
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 3600 * 1000);
+
+    const callLogs = await CallLog.find({
+      organizationId: organization._id,
+      recordingStatus: "stored",
+      recordedAt: { $lt: cutoff },
+    }).limit(RETENTION_BATCH_SIZE);
+
+    for (const callLog of callLogs) {
+      try {
+        await deleteCallRecording(callLog);
+        deleted++;
+      } catch (error) {
+        console.error(
+          `Failed to delete expired recording for call ${callLog._id}:`,
+          error.message
+        );
+      }
+    }
+  }
+  return deleted;
+};
+
+const sweep = async () => {
+  if (purging) return;
+  purging = true;
+  try {
+    const deleted = await purgeExpiredRecordings();
+    if (deleted > 0) console.log(`Deleted ${deleted} expired recording(s)`);
+  } catch (error) {
+    console.error("Recording retention error:", error);
+  } finally {
+    purging = false;
+  }
+};
+
+const startRecordingRetention = () => {
+  if (timer) return;
+  timer = setInterval(sweep, RETENTION_INTERVAL_MS);
+  console.log("✅ Recording retention started");
+};
+
+const stopRecordingRetention = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  purgeExpiredRecordings,
+  startRecordingRetention,
+  stopRecordingRetention,
+};
@@ -0,0 +1,216 @@
+// Storage for call recordings. The adapter is chosen with RECORDING_STORAGE
+// ("local", "s3" or "drive"; default "local") and every recording is kept
+// under its organization's own path. Each CallLog records which adapter
+// holds its recording, so switching adapters does not orphan older files.
+//
+// Adapters expose:
+//   put({ key, body, contentType, description }) -> { key, url }
+//   get(key) -> { stream, contentType }
+//   remove(key)
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+
+const DEFAULT_STORAGE = "local";
+
+const LOCAL_DIR = path.resolve(
+  process.env.RECORDING_LOCAL_DIR || "uploads/recordings"
+);
+
+/**
+ * Org-scoped storage key for a recording, e.g.
+ * organizations/<orgId>/recordings/2025/01/<name>
+ */
+const buildRecordingKey = (organizationId, name, date = new Date()) => {
+  const year = date.getUTCFullYear();
+  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
+  return `organizations/${organizationId}/recordings/${year}/${month}/${name}`;
+};
+
+// Local disk, under RECORDING_LOCAL_DIR
+const localAdapter = {
+  resolve(key) {
+    const filePath = path.resolve(LOCAL_DIR, key);
+    if (!filePath.startsWith(LOCAL_DIR + path.sep)) {
+      throw new Error("Invalid recording key");
+    }
+    return filePath;
+  },
+
+  async put({ key, body }) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+    return { key, url: null };
+  },
+
+  async get(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.access(filePath);
+    return { stream: fs.createReadStream(filePath), contentType: "audio/mpeg" };
+  },
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  },
+};
+
+// S3 or an S3-compatible service (MinIO, R2, Spaces) via RECORDING_S3_ENDPOINT
+const createS3Adapter = () => {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+
+  const bucket = process.env.RECORDING_S3_BUCKET;
+  if (!bucket) throw new Error("RECORDING_S3_BUCKET is not set");
+
+  const endpoint = process.env.RECORDING_S3_ENDPOINT;
+  const s3 = new S3Client({
+    region: process.env.RECORDING_S3_REGION || "us-east-1",
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+    ...(process.env.RECORDING_S3_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.RECORDING_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.RECORDING_S3_SECRET_ACCESS_KEY,
+      },
+    }),
+  });
+
+  return {
+    async put({ key, body, contentType }) {
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+        })
+      );
+      return { key, url: null };
+    },
+
+    async get(key) {
+      const object = await s3.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return { stream: object.Body, contentType: object.ContentType };
+    },
+
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+// Google Drive, one folder per organization under GOOGLE_DRIVE_FOLDER_ID.
+// Drive addresses files by id, so the stored key is the file id.
+const createDriveAdapter = () => {
+  const { google } = require("googleapis");
+
+  const rootFolderId = process.env.GOOGLE_DRIVE_FOLDER_ID;
+  if (!rootFolderId || !process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
+    throw new Error("Google Drive not configured");
+  }
+
+  const auth = new google.auth.GoogleAuth({
+    credentials: JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT_KEY),
+    scopes: ["https://www.googleapis.com/auth/drive.file"],
+  });
+  const drive = google.drive({ version: "v3", auth });
+  const folders = new Map(); // organization path -> folder id
+
+  const getFolderId = async (name) => {
+    if (folders.has(name)) return folders.get(name);
+
+    const existing = await drive.files.list({
+      q: `'${rootFolderId}' in parents and name = '${name}' and mimeType = 'application/vnd.google-apps.folder' and trashed = false`,
+      fields: "files(id)",
+      includeItemsFromAllDrives: true,
+      supportsAllDrives: true,
+    });
+    let folderId = existing.data.files[0]?.id;
+    if (!folderId) {
+      const created = await drive.files.create({
+        resource: {
+          name,
+          mimeType: "application/vnd.google-apps.folder",
+          parents: [rootFolderId],
+        },
+        fields: "id",
+        supportsAllDrives: true,
+      });
+      folderId = created.data.id;
+    }
+    folders.set(name, folderId);
+    return folderId;
+  };
+
+  return {
+    async put({ key, body, contentType, description }) {
+      // "organizations/<orgId>/..." -> folder "organizations-<orgId>"
+      const [scope, organizationId] = key.split("/");
+      const parent = await getFolderId(`${scope}-${organizationId}`);
+      const file = await drive.files.create({
+        resource: {
+          name: path.basename(key),
+          parents: [parent],
+          description,
+        },
+        media: { mimeType: contentType, body: Readable.from(body) },
+        fields: "id,webViewLink",
+        supportsAllDrives: true,
+      });
+      return { key: file.data.id, url: file.data.webViewLink };
+    },
+
+    async get(key) {
+      const response = await drive.files.get(
+        { fileId: key, alt: "media", supportsAllDrives: true },
+        { responseType: "stream" }
+      );
+      return {
+        stream: response.data,
+        contentType: response.headers["content-type"],
+      };
+    },
+
+    async remove(key) {
+      await drive.files.delete({ fileId: key, supportsAllDrives: true });
+    },
+  };
+};
+
+const ADAPTERS = {
+  local: () => localAdapter,
+  s3: createS3Adapter,
+  drive: createDriveAdapter,
+};
+
+const adapters = new Map();
+
+const getStorageName = () => process.env.RECORDING_STORAGE || DEFAULT_STORAGE;
+
+/**
+ * Storage adapter by name; defaults to the configured one. Throws if the
+ * adapter is unknown or not configured.
+ */
+const getRecordingStorage = (name = getStorageName()) => {
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown recording storage: ${name}`);
+  }
+  if (!adapters.has(name)) adapters.set(name, ADAPTERS[name]());
+  return adapters.get(name);
+};
+
+module.exports = {
+  buildRecordingKey,
+  getStorageName,
+  getRecordingStorage,
+};
@@ -0,0 +1,63 @@
+// Short-lived signed URLs for call recordings. An authorized user asks for a
+// URL; the URL itself carries no login, so it can be handed to an <audio>
+// element, and stops working after RECORDING_URL_TTL_SECONDS.
+const crypto = require("crypto");
+
+const URL_TTL_SECONDS = parseInt(
+  process.env.RECORDING_URL_TTL_SECONDS || "300",
+  10
+);
+
+// Without RECORDING_URL_SECRET a separate key is derived from JWT_SECRET,
+// so the login token secret is never used to sign URLs itself
+const getSigningKey = () => {
+  if (process.env.RECORDING_URL_SECRET) return process.env.RECORDING_URL_SECRET;
+  if (!process.env.JWT_SECRET) {
+    throw new Error("RECORDING_URL_SECRET is not set");
+  }
+  return Buffer.from(
+    crypto.hkdfSync("sha256", process.env.JWT_SECRET, "", "recording-urls", 32)
+  );
+};
+
+const sign = (callLogId, expires) =>
+  crypto
+    .createHmac("sha256", getSigningKey())
+    .update(`${callLogId}:${expires}`)
+    .digest("hex");
+
+/**
+ * Signed query for a call's recording, valid for URL_TTL_SECONDS.
+ * Returns { expires, signature, expiresAt }.
+ */
+const signRecordingAccess = (callLogId, now = Date.now()) => {
+  const expires = Math.floor(now / 1000) + URL_TTL_SECONDS;
+  return {
+    expires,
+    signature: sign(callLogId.toString(), expires),
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Whether a signature is valid for the call and has not expired
+ */
+const verifyRecordingAccess = (
+  callLogId,
+  expires,
+  signature,
+  now = Date.now()
+) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt * 1000 < now) return false;
+  if (typeof signature !== "string" || !/^[0-9a-f]{64}$/.test(signature)) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(signature, "hex"),
+    Buffer.from(sign(callLogId.toString(), expiresAt), "hex")
+  );
+};
+
+module.exports = { signRecordingAccess, verifyRecordingAccess };
@@ -0,0 +1,204 @@
+// Retry scheduling for dial-list numbers. Each unsuccessful outcome (busy,
+// no answer, failed) has its own attempt limit and cool-down from the
+// organization's settings.retryRules; DialList.nextEligibleAt holds the time
+// a number may be leased again. Dispositions that require a callback date set
+// it to the time the agent picked.
+const Campaign = require("../models/Campaign");
+const DialList = require("../models/DialList");
+const Organization = require("../models/Organization");
+
+const RETRYABLE_OUTCOMES = ["busy", "no_answer", "failed"];
+
+// Used for anything an organization has not configured
+const DEFAULT_RETRY_RULES = {
+  maxAttempts: 3,
+  busy: { maxAttempts: 3, delayMinutes: 10 },
+  no_answer: { maxAttempts: 3, delayMinutes: 240 },
+  failed: { maxAttempts: 2, delayMinutes: 30 },
+};
+
+const resolveRetryRules = (settings = {}) => {
+  const configured = settings.retryRules || {};
+  const rules = {
+    maxAttempts: configured.maxAttempts || DEFAULT_RETRY_RULES.maxAttempts,
+  };
+
+  RETRYABLE_OUTCOMES.forEach((outcome) => {
+    rules[outcome] = {
+      ...DEFAULT_RETRY_RULES[outcome],
+      ...(configured[outcome] || {}),
+    };
+  });
+
+  return rules;
+};
+
+const getOrganizationRetryRules = async (organizationId) => {
+  const organization = await Organization.findById(organizationId)
+    .select("settings.retryRules")
+    .lean();
+  return resolveRetryRules(organization ? organization.settings : {});
+};
+
+/**
+ * DialList update for an unsuccessful outcome: schedule the retry, or close
+ * the number out once the outcome (or overall) attempt limit is reached.
+ */
+const buildOutcomeUpdate = (entry, outcome, rules, now = new Date()) => {
+  const rule = rules[outcome];
+  const outcomeAttempts = (entry.outcomeAttempts?.[outcome] || 0) + 1;
+  const exhausted =
+    outcomeAttempts >= rule.maxAttempts ||
+    (entry.attempts || 0) >= rules.maxAttempts;
+
+  // A callback that was not reached becomes an ordinary retry; an owned
+  // one stays with its agent
+  const update = {
+    $set: {
+      currentlyDialingBy: null,
+      callbackAt: null,
+      callbackReminderSentAt: null,
+      [`outcomeAttempts.${outcome}`]: outcomeAttempts,
+    },
+  };
+
+  if (exhausted) {
+    Object.assign(update.$set, {
+      dialingStatus: "completed",
+      completedAt: now,
+      nextEligibleAt: null,
+    });
+  } else {
+    Object.assign(update.$set, {
+      dialingStatus: outcome,
+      nextEligibleAt: new Date(now.getTime() + rule.delayMinutes * 60 * 1000),
+    });
+  }
+
+  return update;
+};
+
+/**
+ * Retry rules for one dial-list entry: the organization's, with the
+ * campaign's own attempt limit replacing the overall one.
+ */
+const getEntryRetryRules = async (entry) => {
+  const rules = await getOrganizationRetryRules(entry.organizationId);
+
+  if (entry.campaignId) {
+    const campaign = await Campaign.findById(entry.campaignId).select(
+      "retryPolicy"
+    );
+    if (campaign) rules.maxAttempts = campaign.retryPolicy.maxAttempts;
+  }
+
+  return rules;
+};
+
+/**
+ * Record a busy/no-answer/failed outcome for a dial-list entry.
+ * Extra filter conditions (e.g. the current lock holder) guard the update.
+ * Returns the updated entry, or null if nothing matched.
+ */
+const recordDialOutcome = async ({ entryId, outcome, filter = {} }) => {
+  if (!RETRYABLE_OUTCOMES.includes(outcome)) {
+    throw new Error(`Not a retryable outcome: ${outcome}`);
+  }
+
+  const entry = await DialList.findOne({ _id: entryId, ...filter });
+  if (!entry) return null;
+
+  const rules = await getEntryRetryRules(entry);
+
+  return DialList.findOneAndUpdate(
+    { _id: entry._id, ...filter },
+    buildOutcomeUpdate(entry, outcome, rules),
+    { new: true }
+  );
+};
+
+/**
+ * DialList fields for a "Call Back" at a chosen time, optionally kept by the
+ * agent (callbackOwner). The callback starts a fresh attempt cycle so earlier
+ * no-answers do not block it.
+ */
+const buildCallbackUpdate = (callbackAt, callbackOwner = null) => ({
+  dialingStatus: "pending",
+  currentlyDialingBy: null,
+  leaseExpiresAt: null,
+  completedAt: null,
+  callbackAt,
+  callbackOwner,
+  callbackReminderSentAt: null,
+  nextEligibleAt: callbackAt,
+  attempts: 0,
+  outcomeAttempts: { busy: 0, no_answer: 0, failed: 0 },
+});
+
+/**
+ * Parse an agent-picked callback time. Returns { date } or { error }.
+ */
+const parseCallbackAt = (value, now = new Date()) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    return { error: "callbackAt must be a valid date/time" };
+  }
+  if (date <= now) {
+    return { error: "callbackAt must be in the future" };
+  }
+  return { date };
+};
+
+/**
+ * Validate settings.retryRules before saving.
+ * Returns an error message or null.
+ */
+const validateRetryRules = (retryRules) => {
+  if (retryRules === undefined) return null;
+  if (!retryRules || typeof retryRules !== "object") {
+    return "retryRules must be an object";
+  }
+
+  const isAttemptLimit = (value) =>
+    Number.isInteger(value) && value >= 1 && value <= 20;
+
+  if (
+    retryRules.maxAttempts !== undefined &&
+    !isAttemptLimit(retryRules.maxAttempts)
+  ) {
+    return "retryRules.maxAttempts must be a whole number from 1 to 20";
+  }
+
+  for (const outcome of RETRYABLE_OUTCOMES) {
+    const rule = retryRules[outcome];
+    if (rule === undefined) continue;
+    if (!rule || typeof rule !== "object") {
+      return `retryRules.${outcome} must be an object`;
+    }
+
+    if (rule.maxAttempts !== undefined && !isAttemptLimit(rule.maxAttempts)) {
+      return `retryRules.${outcome}.maxAttempts must be a whole number from 1 to 20`;
+    }
+    if (
+      rule.delayMinutes !== undefined &&
+      !(Number.isFinite(rule.delayMinutes) && rule.delayMinutes >= 0)
+    ) {
+      return `retryRules.${outcome}.delayMinutes must be zero or more`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  RETRYABLE_OUTCOMES,
+  DEFAULT_RETRY_RULES,
+  resolveRetryRules,
+  getOrganizationRetryRules,
+  getEntryRetryRules,
+  buildOutcomeUpdate,
+  recordDialOutcome,
+  buildCallbackUpdate,
+  parseCallbackAt,
+  validateRetryRules,
+};
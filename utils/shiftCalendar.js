@@ -0,0 +1,320 @@
+// Shift calendar: works out an organization's "business day" from its IANA
+// timezone and configured shift windows (Organization.settings.shifts).
+//
+// A business day starts when its first shift starts and runs until the first
+// shift of the next day starts, so every call belongs to exactly one day.
+// Shifts whose end is not after their start cross midnight. With no shifts
+// configured the business day is the local calendar day.
+const Organization = require("../models/Organization");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const formatterCache = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatterCache.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in a timezone
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== "literal") parts[type] = parseInt(value, 10);
+    });
+  return parts;
+};
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const getOffsetMs = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// Instant for a wall-clock time in a timezone (DST-aware)
+const zonedTimeToUtc = (year, month, day, hour, minute, timezone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  let result = guess - getOffsetMs(new Date(guess), timezone);
+  const correctedOffset = getOffsetMs(new Date(result), timezone);
+  result = guess - correctedOffset;
+  return new Date(result);
+};
+
+const parseTime = (value) => {
+  const match = TIME_PATTERN.exec(value);
+  return match
+    ? { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) }
+    : null;
+};
+
+// Business dates are plain { year, month, day } objects
+const addDays = ({ year, month, day }, days) => {
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+  };
+};
+
+const formatDate = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+const resolveSettings = (settings = {}) => {
+  const timezone =
+    settings.timezone && isValidTimezone(settings.timezone)
+      ? settings.timezone
+      : "UTC";
+  const shifts = (settings.shifts || [])
+    .map((shift) => ({
+      name: shift.name,
+      start: parseTime(shift.start),
+      end: parseTime(shift.end),
+    }))
+    .filter((shift) => shift.start && shift.end)
+    .sort(
+      (a, b) =>
+        a.start.hour * 60 +
+        a.start.minute -
+        (b.start.hour * 60 + b.start.minute)
+    );
+
+  return { timezone, shifts };
+};
+
+/**
+ * Concrete shift windows for a business date
+ */
+const getShiftWindows = (settings, date) => {
+  const { timezone, shifts } = resolveSettings(settings);
+
+  return shifts.map((shift) => {
+    const start = zonedTimeToUtc(
+      date.year,
+      date.month,
+      date.day,
+      shift.start.hour,
+      shift.start.minute,
+      timezone
+    );
+    const crossesMidnight =
+      shift.end.hour * 60 + shift.end.minute <=
+      shift.start.hour * 60 + shift.start.minute;
+    const endDate = crossesMidnight ? addDays(date, 1) : date;
+    const end = zonedTimeToUtc(
+      endDate.year,
+      endDate.month,
+      endDate.day,
+      shift.end.hour,
+      shift.end.minute,
+      timezone
+    );
+
+    return { name: shift.name, start, end };
+  });
+};
+
+// When a business date begins (first shift start, or local midnight)
+const getDayStart = (settings, date) => {
+  const windows = getShiftWindows(settings, date);
+  if (windows.length > 0) return windows[0].start;
+
+  const { timezone } = resolveSettings(settings);
+  return zonedTimeToUtc(date.year, date.month, date.day, 0, 0, timezone);
+};
+
+/**
+ * Business day containing an instant.
+ * Returns { date: "YYYY-MM-DD", start, end, timezone, shifts }
+ */
+const getBusinessDay = (settings, now = new Date()) => {
+  const { timezone } = resolveSettings(settings);
+  const local = getZonedParts(now, timezone);
+  let date = { year: local.year, month: local.month, day: local.day };
+
+  // Before today's first shift starts we are still in yesterday's business day
+  if (now < getDayStart(settings, date)) {
+    date = addDays(date, -1);
+  }
+
+  return {
+    date: formatDate(date),
+    start: getDayStart(settings, date),
+    end: getDayStart(settings, addDays(date, 1)),
+    timezone,
+    shifts: getShiftWindows(settings, date),
+  };
+};
+
+/**
+ * Shift window in progress at an instant, or null between shifts
+ */
+const getCurrentShift = (settings, now = new Date()) => {
+  const { timezone } = resolveSettings(settings);
+  const local = getZonedParts(now, timezone);
+  const today = { year: local.year, month: local.month, day: local.day };
+
+  // Yesterday's overnight shifts may still be running
+  const windows = [
+    ...getShiftWindows(settings, addDays(today, -1)),
+    ...getShiftWindows(settings, today),
+  ];
+
+  return (
+    windows.find((window) => now >= window.start && now < window.end) || null
+  );
+};
+
+const toMinutes = ({ hour, minute }) => hour * 60 + minute;
+
+/**
+ * Whether an instant falls inside a daily window { start, end, days } in a
+ * timezone. "end" at or before "start" crosses midnight; days are weekdays
+ * (0 = Sunday) the window starts on, empty meaning every day.
+ */
+const isWithinWindow = (
+  { start, end, days } = {},
+  timezone,
+  now = new Date()
+) => {
+  const startTime = parseTime(start);
+  const endTime = parseTime(end);
+  if (!startTime || !endTime) return true;
+
+  const local = getZonedParts(now, timezone);
+  const weekday = new Date(
+    Date.UTC(local.year, local.month - 1, local.day)
+  ).getUTCDay();
+  const minutes = toMinutes(local);
+  const startMinutes = toMinutes(startTime);
+  const endMinutes = toMinutes(endTime);
+
+  const inWindow =
+    endMinutes > startMinutes
+      ? minutes >= startMinutes && minutes < endMinutes
+      : minutes >= startMinutes || minutes < endMinutes;
+  if (!inWindow) return false;
+
+  // After midnight in an overnight window the window began the previous day
+  const windowDay =
+    endMinutes <= startMinutes && minutes < endMinutes
+      ? (weekday + 6) % 7
+      : weekday;
+  return !days || days.length === 0 || days.includes(windowDay);
+};
+
+/**
+ * Next instant a daily window opens in a timezone; now if it is open
+ */
+const getNextWindowStart = (window = {}, timezone, now = new Date()) => {
+  if (isWithinWindow(window, timezone, now)) return now;
+
+  const startTime = parseTime(window.start);
+  const local = getZonedParts(now, timezone);
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = addDays(local, offset);
+    const weekday = new Date(
+      Date.UTC(date.year, date.month - 1, date.day)
+    ).getUTCDay();
+    if (window.days?.length > 0 && !window.days.includes(weekday)) continue;
+
+    const opensAt = zonedTimeToUtc(
+      date.year,
+      date.month,
+      date.day,
+      startTime.hour,
+      startTime.minute,
+      timezone
+    );
+    if (opensAt > now) return opensAt;
+  }
+  return null;
+};
+
+/**
+ * Business day for an organization, loading its settings
+ */
+const getOrganizationBusinessDay = async (organizationId, now = new Date()) => {
+  const organization = await Organization.findById(organizationId).select(
+    "settings"
+  );
+  return getBusinessDay(organization ? organization.settings : {}, now);
+};
+
+/**
+ * Validate timezone/shift settings before saving.
+ * Returns an error message or null.
+ */
+const validateShiftSettings = (settings = {}) => {
+  if (!settings || typeof settings !== "object") {
+    return "Settings must be an object";
+  }
+
+  const { timezone, shifts } = settings;
+  if (timezone !== undefined && !(timezone && isValidTimezone(timezone))) {
+    return `Invalid timezone: ${timezone}`;
+  }
+
+  if (shifts !== undefined) {
+    if (!Array.isArray(shifts)) return "Shifts must be an array";
+
+    for (const shift of shifts) {
+      if (
+        !shift ||
+        typeof shift !== "object" ||
+        !parseTime(shift.start) ||
+        !parseTime(shift.end)
+      ) {
+        return "Shift start and end must be in HH:MM (24-hour) format";
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  getBusinessDay,
+  getCurrentShift,
+  getShiftWindows,
+  getOrganizationBusinessDay,
+  validateShiftSettings,
+  isValidTimezone,
+  isWithinWindow,
+  getNextWindowStart,
+  zonedTimeToUtc,
+  getZonedParts,
+};
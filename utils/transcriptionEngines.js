@@ -0,0 +1,185 @@
+// Speech-to-text engines for call recordings, chosen with
+// TRANSCRIPTION_ENGINE (default "whisper-cpp"). Engines run locally so
+// transcription works without network access.
+//
+// Engines expose:
+//   name
+//   transcribe({ filePath, language }) -> { language, segments, words }
+// where filePath is a 16 kHz mono WAV file, segments are
+// [{ start, end, text }] and words [{ word, start, end, confidence }], with
+// times in seconds.
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_ENGINE = "whisper-cpp";
+
+// Longest an engine or ffmpeg may run on one file
+const PROCESS_TIMEOUT_MS = parseInt(
+  process.env.TRANSCRIPTION_TIMEOUT_MS || "1800000",
+  10
+);
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+
+/**
+ * Convert one channel of a recording to the 16 kHz mono WAV engines expect
+ */
+const extractChannel = async (inputPath, outputPath, channel) => {
+  await execFileAsync(
+    FFMPEG_PATH,
+    [
+      "-y",
+      "-loglevel",
+      "error",
+      "-i",
+      inputPath,
+      "-af",
+      `pan=mono|c0=c${channel - 1}`,
+      "-ar",
+      "16000",
+      "-ac",
+      "1",
+      outputPath,
+    ],
+    { timeout: PROCESS_TIMEOUT_MS }
+  );
+  return outputPath;
+};
+
+// whisper.cpp token texts are word pieces; a leading space starts a new word
+const tokensToWords = (tokens) => {
+  const words = [];
+  tokens.forEach((token) => {
+    const text = token.text || "";
+    if (!text.trim() || /^\[_.*\]$/.test(text.trim())) return;
+
+    const piece = {
+      start: token.offsets.from / 1000,
+      end: token.offsets.to / 1000,
+      confidence: typeof token.p === "number" ? token.p : null,
+    };
+    const last = words[words.length - 1];
+    if (last && !text.startsWith(" ")) {
+      last.word += text;
+      last.end = piece.end;
+      if (piece.confidence !== null && last.confidence !== null) {
+        last.confidence = Math.min(last.confidence, piece.confidence);
+      }
+      return;
+    }
+    words.push({ word: text.trim(), ...piece });
+  });
+  return words.filter((word) => /\w/.test(word.word));
+};
+
+// whisper.cpp command line (WHISPER_CPP_BIN) with a ggml model file
+// (WHISPER_CPP_MODEL); word timestamps come from its full JSON output
+const whisperCppEngine = {
+  name: "whisper-cpp",
+
+  async transcribe({ filePath, language }) {
+    const model = process.env.WHISPER_CPP_MODEL;
+    if (!model) throw new Error("WHISPER_CPP_MODEL is not set");
+
+    const outputBase = filePath.replace(/\.wav$/, "");
+    await execFileAsync(
+      process.env.WHISPER_CPP_BIN || "whisper-cli",
+      [
+        "-m",
+        model,
+        "-f",
+        filePath,
+        "-l",
+        language || "auto",
+        "-t",
+        process.env.WHISPER_CPP_THREADS || "1",
+        "--output-json-full",
+        "--output-file",
+        outputBase,
+        "--no-prints",
+      ],
+      { timeout: PROCESS_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }
+    );
+
+    const output = JSON.parse(
+      await fs.promises.readFile(`${outputBase}.json`, "utf8")
+    );
+    const parts = output.transcription || [];
+
+    return {
+      language: output.result?.language || language || null,
+      segments: parts
+        .map((part) => ({
+          start: part.offsets.from / 1000,
+          end: part.offsets.to / 1000,
+          text: part.text.trim(),
+        }))
+        .filter((segment) => segment.text),
+      words: tokensToWords(parts.flatMap((part) => part.tokens || [])),
+    };
+  },
+};
+
+const ENGINES = {
+  [whisperCppEngine.name]: whisperCppEngine,
+};
+
+/**
+ * Transcription engine by name; defaults to the configured one
+ */
+const getTranscriptionEngine = (
+  name = process.env.TRANSCRIPTION_ENGINE || DEFAULT_ENGINE
+) => {
+  if (!ENGINES[name]) {
+    throw new Error(`Unknown transcription engine: ${name}`);
+  }
+  return ENGINES[name];
+};
+
+/**
+ * Transcribe a recording file, one channel at a time for dual-channel
+ * recordings. Segments and words are merged in time order and tagged with
+ * their channel. Working files go in workDir.
+ */
+const transcribeRecording = async ({
+  engine,
+  inputPath,
+  workDir,
+  channels = 1,
+  language = null,
+}) => {
+  const segments = [];
+  const words = [];
+  let detectedLanguage = language;
+
+  for (let channel = 1; channel <= channels; channel++) {
+    const wavPath = await extractChannel(
+      inputPath,
+      path.join(workDir, `channel-${channel}.wav`),
+      channel
+    );
+    const result = await engine.transcribe({ filePath: wavPath, language });
+
+    detectedLanguage = detectedLanguage || result.language;
+    result.segments.forEach((segment) =>
+      segments.push({ channel, ...segment })
+    );
+    result.words.forEach((word) => words.push({ channel, ...word }));
+  }
+
+  segments.sort((a, b) => a.start - b.start);
+  words.sort((a, b) => a.start - b.start);
+
+  return {
+    language: detectedLanguage,
+    segments,
+    words,
+    text: segments.map((segment) => segment.text).join(" "),
+  };
+};
+
+module.exports = { getTranscriptionEngine, transcribeRecording };
@@ -0,0 +1,255 @@
+// Background queue that transcribes stored call recordings. New recordings
+// are queued when the organization has transcription enabled
+// (settings.transcription), and owners or admins can queue any recorded
+// call. One job runs at a time: the recording is copied from storage to a
+// temporary directory, transcribed by the local engine and the transcript is
+// saved against the CallLog, then scored by the QA scorecard that applies.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const CallLog = require("../models/CallLog");
+const Organization = require("../models/Organization");
+const Transcript = require("../models/Transcript");
+const TranscriptionJob = require("../models/TranscriptionJob");
+const { scoreCallTranscript } = require("./qaScoring");
+const { getRecordingStorage } = require("./recordingStorage");
+const {
+  getTranscriptionEngine,
+  transcribeRecording,
+} = require("./transcriptionEngines");
+
+const POLL_INTERVAL_MS = parseInt(
+  process.env.TRANSCRIPTION_POLL_INTERVAL_MS || "15000",
+  10
+);
+
+// A job still processing after this is assumed dead and picked up again
+const JOB_LOCK_MS = 60 * 60 * 1000;
+
+// Delay before a failed attempt is retried, multiplied by the attempt count
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const LANGUAGE_PATTERN = /^([a-z]{2}|auto)$/;
+
+let timer = null;
+let working = false;
+
+/**
+ * Queue a call's recording for transcription. Automatic requests (no
+ * requestedBy) only queue when the organization has transcription enabled.
+ * Returns the job, or null when nothing was queued.
+ */
+const enqueueTranscription = async (callLog, { requestedBy = null } = {}) => {
+  if (callLog.recordingStatus !== "stored") return null;
+
+  const organization = await Organization.findById(callLog.organizationId)
+    .select("settings.transcription")
+    .lean();
+  const settings = organization?.settings?.transcription || {};
+  if (!requestedBy && !settings.enabled) return null;
+
+  const open = await TranscriptionJob.findOne({
+    callLogId: callLog._id,
+    status: { $in: ["queued", "processing"] },
+  });
+  if (open) return open;
+
+  const job = await new TranscriptionJob({
+    organizationId: callLog.organizationId,
+    callLogId: callLog._id,
+    language: settings.language === "auto" ? null : settings.language || null,
+    requestedBy,
+  }).save();
+
+  await CallLog.updateOne({ _id: callLog._id }, { transcriptStatus: "queued" });
+  return job;
+};
+
+/**
+ * Atomically take the next job that is due, or one whose worker died
+ */
+const claimNextJob = (now = new Date()) =>
+  TranscriptionJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAfter: { $lte: now } },
+        { status: "processing", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      status: "processing",
+      lockedUntil: new Date(now.getTime() + JOB_LOCK_MS),
+      $inc: { attempts: 1 },
+    },
+    { new: true, sort: { runAfter: 1 } }
+  );
+
+// Copy a stored recording to a local file for the engine
+const downloadRecording = async (callLog, filePath) => {
+  const { stream } = await getRecordingStorage(callLog.recordingStorage).get(
+    callLog.recordingId
+  );
+  await pipeline(stream, fs.createWriteStream(filePath));
+  return filePath;
+};
+
+/**
+ * Transcribe a claimed job's recording and save the transcript
+ */
+const runJob = async (job) => {
+  const callLog = await CallLog.findById(job.callLogId);
+  if (!callLog || callLog.recordingStatus !== "stored") {
+    throw Object.assign(new Error("Call has no stored recording"), {
+      permanent: true,
+    });
+  }
+
+  await CallLog.updateOne(
+    { _id: callLog._id },
+    { transcriptStatus: "processing" }
+  );
+
+  const workDir = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), "transcription-")
+  );
+  try {
+    const inputPath = await downloadRecording(
+      callLog,
+      path.join(workDir, `recording${path.extname(callLog.recordingId)}`)
+    );
+    const engine = getTranscriptionEngine();
+    const result = await transcribeRecording({
+      engine,
+      inputPath,
+      workDir,
+      channels: callLog.recordingChannels === 2 ? 2 : 1,
+      language: job.language,
+    });
+
+    const transcript = await Transcript.findOneAndUpdate(
+      { callLogId: callLog._id },
+      {
+        organizationId: callLog.organizationId,
+        userId: callLog.userId,
+        engine: engine.name,
+        recordingId: callLog.recordingId,
+        ...result,
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await CallLog.updateOne(
+      { _id: callLog._id },
+      { transcriptStatus: "completed", transcriptId: transcript._id }
+    );
+
+    // A scoring failure should not send the transcription round again
+    try {
+      await scoreCallTranscript(callLog, transcript);
+    } catch (error) {
+      console.error(`QA scoring failed for call ${callLog._id}:`, error);
+    }
+    return transcript;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Work one job: completed, retried later, or failed once out of attempts
+ */
+const processJob = async (job) => {
+  try {
+    await runJob(job);
+    job.status = "completed";
+    job.error = null;
+    job.completedAt = new Date();
+    job.lockedUntil = null;
+    await job.save();
+  } catch (error) {
+    console.error(`Transcription job ${job._id} failed:`, error.message);
+
+    const retry = !error.permanent && job.attempts < job.maxAttempts;
+    job.status = retry ? "queued" : "failed";
+    job.error = error.message;
+    job.lockedUntil = null;
+    if (retry) {
+      job.runAfter = new Date(Date.now() + RETRY_DELAY_MS * job.attempts);
+    }
+    await job.save();
+
+    await CallLog.updateOne(
+      { _id: job.callLogId },
+      { transcriptStatus: retry ? "queued" : "failed" }
+    );
+  }
+  return job;
+};
+
+/**
+ * Work due jobs one after another until none are left.
+ * Returns how many jobs were worked.
+ */
+const processTranscriptionJobs = async () => {
+  let processed = 0;
+  let job = await claimNextJob();
+  while (job) {
+    await processJob(job);
+    processed++;
+    job = await claimNextJob();
+  }
+  return processed;
+};
+
+const poll = async () => {
+  if (working) return;
+  working = true;
+  try {
+    const processed = await processTranscriptionJobs();
+    if (processed > 0) console.log(`Worked ${processed} transcription job(s)`);
+  } catch (error) {
+    console.error("Transcription queue error:", error);
+  } finally {
+    working = false;
+  }
+};
+
+const startTranscriptionQueue = () => {
+  if (timer) return;
+  timer = setInterval(poll, POLL_INTERVAL_MS);
+  console.log("✅ Transcription queue started");
+};
+
+const stopTranscriptionQueue = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Validate organization transcription settings before saving.
+ * Returns an error message or null.
+ */
+const validateTranscriptionSettings = (transcription) => {
+  if (transcription === undefined || transcription === null) return null;
+  if (typeof transcription !== "object") {
+    return "transcription must be an object";
+  }
+
+  const { enabled, language } = transcription;
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return "transcription.enabled must be true or false";
+  }
+  if (language !== undefined && !LANGUAGE_PATTERN.test(language)) {
+    return 'transcription.language must be a two-letter code or "auto"';
+  }
+  return null;
+};
+
+module.exports = {
+  enqueueTranscription,
+  processTranscriptionJobs,
+  startTranscriptionQueue,
+  stopTranscriptionQueue,
+  validateTranscriptionSettings,
+};
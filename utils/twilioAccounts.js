@@ -0,0 +1,257 @@
+// Twilio credentials per organization. Organizations with a dedicated
+// account (Organization.twilio.enabled) place calls, mint access tokens and
+// sign webhooks with their own credentials; everyone else shares the account
+// configured through the TWILIO_* environment variables.
+const mongoose = require("mongoose");
+const twilio = require("twilio");
+const Organization = require("../models/Organization");
+const {
+  encryptSecret,
+  decryptSecret,
+  digestSecret,
+} = require("./credentialCipher");
+
+// Encrypted fields on Organization.twilio
+const CREDENTIAL_FIELDS = [
+  "accountSid",
+  "authToken",
+  "apiKey",
+  "apiSecret",
+  "twimlAppSid",
+];
+
+// Needed for access tokens and calls, and authToken to check webhook
+// signatures
+const REQUIRED_CREDENTIALS = [
+  "accountSid",
+  "authToken",
+  "apiKey",
+  "apiSecret",
+  "twimlAppSid",
+];
+
+// Twilio SID formats, checked before credentials are saved
+const SID_PATTERNS = {
+  accountSid: /^AC[0-9a-fA-F]{32}$/,
+  apiKey: /^SK[0-9a-fA-F]{32}$/,
+  twimlAppSid: /^AP[0-9a-fA-F]{32}$/,
+};
+
+// Decrypted accounts are cached briefly; updates clear the entry
+const ACCOUNT_CACHE_MS = 5 * 60 * 1000;
+
+const accountCache = new Map();
+const clients = new WeakMap();
+let sharedAccount = null;
+
+const getSharedAccount = () => {
+  if (!sharedAccount) {
+    sharedAccount = {
+      dedicated: false,
+      organizationId: null,
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      apiKey: process.env.TWILIO_API_KEY,
+      apiSecret: process.env.TWILIO_API_SECRET,
+      twimlAppSid: process.env.TWILIO_TWIML_APP_SID,
+      phoneNumber: process.env.TWILIO_PHONE_NUMBER,
+    };
+  }
+  return sharedAccount;
+};
+
+/**
+ * An organization's stored credentials, decrypted, whether or not its
+ * dedicated account is enabled. Returns null for unknown organizations.
+ */
+const loadOrganizationCredentials = async (organizationId) => {
+  const organization = await Organization.findById(organizationId)
+    .select(CREDENTIAL_FIELDS.map((field) => `+twilio.${field}`).join(" "))
+    .lean();
+  if (!organization) return null;
+
+  const stored = organization.twilio || {};
+  const account = {
+    dedicated: !!stored.enabled,
+    organizationId: organization._id,
+    phoneNumber: stored.phoneNumber || null,
+  };
+  CREDENTIAL_FIELDS.forEach((field) => {
+    account[field] = decryptSecret(stored[field]);
+  });
+  return account;
+};
+
+/**
+ * REST client for credentials: API key and secret when present, otherwise
+ * the auth token
+ */
+const buildTwilioClient = ({ accountSid, authToken, apiKey, apiSecret }) =>
+  apiKey && apiSecret
+    ? twilio(apiKey, apiSecret, { accountSid })
+    : twilio(accountSid, authToken);
+
+// One client per resolved account
+const getAccountClient = (account) => {
+  if (!clients.has(account)) clients.set(account, buildTwilioClient(account));
+  return clients.get(account);
+};
+
+/**
+ * Credentials an organization's calls use: its own when it has a dedicated
+ * account, otherwise the shared one. Unknown or missing ids get the shared
+ * account.
+ */
+const getTwilioAccount = async (organizationId) => {
+  if (!mongoose.isValidObjectId(organizationId)) return getSharedAccount();
+
+  const key = organizationId.toString();
+  const cached = accountCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.account;
+
+  const stored = await loadOrganizationCredentials(organizationId);
+  const account = stored?.dedicated ? stored : getSharedAccount();
+  accountCache.set(key, { account, expiresAt: Date.now() + ACCOUNT_CACHE_MS });
+  return account;
+};
+
+const getTwilioClient = async (organizationId) =>
+  getAccountClient(await getTwilioAccount(organizationId));
+
+/**
+ * Account a webhook came from, by its AccountSid parameter
+ */
+const getTwilioAccountBySid = async (accountSid) => {
+  const shared = getSharedAccount();
+  if (!accountSid || accountSid === shared.accountSid) return shared;
+
+  const organization = await Organization.findOne({
+    "twilio.enabled": true,
+    "twilio.accountSidDigest": digestSecret(accountSid),
+  }).select("_id");
+  return organization ? getTwilioAccount(organization._id) : shared;
+};
+
+// Drop a cached account after its credentials change
+const clearTwilioAccount = (organizationId) => {
+  if (organizationId) accountCache.delete(organizationId.toString());
+};
+
+// Credential fields an account is missing for calls and access tokens
+const getMissingCredentials = (account) =>
+  REQUIRED_CREDENTIALS.filter((field) => !account[field]);
+
+/**
+ * Validate credential fields before saving; null or "" clears a field.
+ * Returns an error message or null.
+ */
+const validateCredentialInput = (credentials) => {
+  for (const field of [...CREDENTIAL_FIELDS, "phoneNumber"]) {
+    const value = credentials[field];
+    if (value === undefined || value === null || value === "") continue;
+    if (typeof value !== "string") return `${field} must be a string`;
+    if (SID_PATTERNS[field] && !SID_PATTERNS[field].test(value)) {
+      return `Invalid ${field}`;
+    }
+  }
+  if (
+    credentials.phoneNumber &&
+    !/^\+\d{10,15}$/.test(credentials.phoneNumber)
+  ) {
+    return "phoneNumber must be in E.164 format";
+  }
+  return null;
+};
+
+/**
+ * Organization.twilio fields for new credentials, with secrets encrypted.
+ * Fields left out of credentials are not returned, so they stay as they are.
+ */
+const buildCredentialUpdate = (credentials) => {
+  const update = {};
+  CREDENTIAL_FIELDS.forEach((field) => {
+    if (credentials[field] === undefined) return;
+    update[`twilio.${field}`] = encryptSecret(credentials[field]);
+  });
+
+  if (credentials.accountSid !== undefined) {
+    update["twilio.accountSidDigest"] = credentials.accountSid
+      ? digestSecret(credentials.accountSid)
+      : null;
+    update["twilio.accountSidHint"] = credentials.accountSid
+      ? credentials.accountSid.slice(-4)
+      : null;
+  }
+  if (credentials.phoneNumber !== undefined) {
+    update["twilio.phoneNumber"] = credentials.phoneNumber || null;
+  }
+  return update;
+};
+
+/**
+ * Check credentials against Twilio: the account is active, and the API key,
+ * TwiML app and caller ID number exist on it.
+ * Returns { valid, checks, errors }.
+ */
+const verifyTwilioCredentials = async (account) => {
+  const checks = {};
+  const errors = [];
+
+  const missing = getMissingCredentials(account);
+  if (missing.length > 0) {
+    return {
+      valid: false,
+      checks,
+      errors: [`Missing credentials: ${missing.join(", ")}`],
+    };
+  }
+
+  const client = buildTwilioClient(account);
+  const run = async (name, check) => {
+    try {
+      checks[name] = await check();
+      if (!checks[name]) errors.push(`${name} check failed`);
+    } catch (error) {
+      checks[name] = false;
+      errors.push(`${name}: ${error.message}`);
+    }
+  };
+
+  await run("account", async () => {
+    const details = await client.api.v2010.accounts(account.accountSid).fetch();
+    return details.status === "active";
+  });
+  await run(
+    "apiKey",
+    async () => !!(await client.keys(account.apiKey).fetch())
+  );
+  await run(
+    "twimlApp",
+    async () => !!(await client.applications(account.twimlAppSid).fetch())
+  );
+  if (account.phoneNumber) {
+    await run("phoneNumber", async () => {
+      const numbers = await client.incomingPhoneNumbers.list({
+        phoneNumber: account.phoneNumber,
+        limit: 1,
+      });
+      return numbers.length > 0;
+    });
+  }
+
+  return { valid: errors.length === 0, checks, errors };
+};
+
+module.exports = {
+  CREDENTIAL_FIELDS,
+  getTwilioAccount,
+  getTwilioClient,
+  loadOrganizationCredentials,
+  getTwilioAccountBySid,
+  getAccountClient,
+  clearTwilioAccount,
+  getMissingCredentials,
+  validateCredentialInput,
+  buildCredentialUpdate,
+  verifyTwilioCredentials,
+};
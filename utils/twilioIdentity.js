@@ -0,0 +1,27 @@
+// Twilio Voice client identities are scoped per organization and user so
+// each agent's browser can be addressed individually (e.g. for inbound calls).
+// Twilio allows alphanumerics and underscores in identities.
+
+const IDENTITY_PATTERN = /^org_([a-f0-9]{24})_user_([a-f0-9]{24})$/i;
+
+/**
+ * Build the Voice client identity for a user
+ */
+const buildClientIdentity = (organizationId, userId) =>
+  `org_${organizationId}_user_${userId}`;
+
+/**
+ * Parse an identity (optionally prefixed with "client:") back into its ids.
+ * Returns null for anything that is not a dialer client identity.
+ */
+const parseClientIdentity = (value) => {
+  if (!value || typeof value !== "string") return null;
+
+  const identity = value.startsWith("client:") ? value.slice(7) : value;
+  const match = identity.match(IDENTITY_PATTERN);
+  if (!match) return null;
+
+  return { organizationId: match[1], userId: match[2], identity };
+};
+
+module.exports = { buildClientIdentity, parseClientIdentity };